@@ -91,8 +91,24 @@ class ACF_Canto_Field_Plugin
 
         // Load helper classes
         require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-logger.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-cache.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/interface-acf-canto-transport.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-wp-transport.php';
         require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-api.php';
         require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-asset-formatter.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-user-assets.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-markup.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-picker.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/acf-canto-functions.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-field-values.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-health.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-usage-index.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-access.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-asset-query.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-filename-matcher.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-import.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-rest.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-blocks.php';
 
         // Register the field type using the modern ACF method
         if (function_exists('acf_register_field_type')) {
@@ -102,6 +118,55 @@ class ACF_Canto_Field_Plugin
         
         // Include AJAX handler
         $this->include_ajax_handler();
+
+        // REST API field and picker routes
+        $rest = new ACF_Canto_REST();
+        $rest->register_hooks();
+
+        // CantoAsset GraphQL type
+        if (class_exists('WPGraphQL')) {
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-graphql.php';
+            $graphql = new ACF_Canto_GraphQL();
+            $graphql->register_hooks();
+        }
+
+        // Canto Asset block and block editor picker
+        $blocks = new ACF_Canto_Blocks();
+        $blocks->register_hooks();
+
+        // Asset usage index
+        ACF_Canto_Usage_Index::maybe_install();
+        $usage = new ACF_Canto_Usage_Index();
+        $usage->register_hooks();
+
+        // Asset resolution during WP All Import runs
+        $import = new ACF_Canto_Import();
+        $import->register_hooks();
+
+        // Daily asset health scan and its report page, and the cache, import log and access pages
+        $health = new ACF_Canto_Health();
+        $health->register_hooks();
+
+        if (is_admin()) {
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-health-page.php';
+            new ACF_Canto_Health_Page($health);
+
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-cache-page.php';
+            new ACF_Canto_Cache_Page(new ACF_Canto_Cache());
+
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-import-page.php';
+            new ACF_Canto_Import_Page($import);
+
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-access-page.php';
+            new ACF_Canto_Access_Page(new ACF_Canto_Access());
+        }
+
+        // Register WP-CLI commands
+        if (defined('WP_CLI') && WP_CLI) {
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-value-migrator.php';
+            require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-cli.php';
+            WP_CLI::add_command('acf-canto', 'ACF_Canto_CLI');
+        }
     }
 
     /**
@@ -141,6 +206,10 @@ class ACF_Canto_Field_Plugin
     public function activate()
     {
         add_option('acf_canto_field_activated', true);
+
+        // Create the asset usage index table
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-usage-index.php';
+        ACF_Canto_Usage_Index::install();
     }
 
     /**
@@ -156,6 +225,10 @@ class ACF_Canto_Field_Plugin
              OR option_name LIKE '_transient_timeout_acf_canto_%'"
         );
 
+        // Stop the asset health scan
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-health.php';
+        ACF_Canto_Health::unschedule();
+
         delete_option('acf_canto_field_activated');
     }
 
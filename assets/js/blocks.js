@@ -0,0 +1,237 @@
+(function($, wp, undefined) {
+
+    var el = wp.element.createElement;
+    var Fragment = wp.element.Fragment;
+    var blockEditor = wp.blockEditor;
+    var components = wp.components;
+    var l10n = acf_canto.l10n;
+
+    // Asset types offered by each block variant
+    var VARIANTS = {
+        image: { schemes: ['image'], title: l10n.block_image, icon: 'format-image' },
+        video: { schemes: ['video'], title: l10n.block_video, icon: 'format-video' },
+        file: { schemes: ['document'], title: l10n.block_file, icon: 'media-document' }
+    };
+
+    // Core blocks that get "Replace from Canto", and the variant they pick from
+    var CORE_BLOCKS = {
+        'core/image': 'image',
+        'core/video': 'video',
+        'core/file': 'file'
+    };
+
+    // One picker per variant, created the first time it's opened
+    var modals = {};
+
+    /**
+     * Open the Canto picker for a variant
+     *
+     * The picker is shared by every block of the variant, so the block that
+     * opened it is remembered until the selection is confirmed.
+     */
+    function openPicker(variant, value, onSelect) {
+        var picker = modals[variant];
+
+        if (!picker) {
+            var $modal = $(acf_canto_blocks.modal).appendTo('body');
+
+            picker = modals[variant] = {
+                value: '',
+                onSelect: null
+            };
+
+            picker.modal = acfCanto.createModal($modal, {
+                crop: variant === 'image',
+                schemes: VARIANTS[variant].schemes,
+                getValue: function() {
+                    return picker.value;
+                },
+                onConfirm: function(assets) {
+                    if (assets.length && assets[0].stored_value && picker.onSelect) {
+                        picker.onSelect(assets[0]);
+                    }
+                }
+            });
+        }
+
+        picker.value = value || '';
+        picker.onSelect = onSelect;
+        picker.modal.open();
+    }
+
+    /**
+     * Render a preview of a stored value in the editor
+     */
+    function renderPreview(variant, value, alt) {
+        var reference = acfCanto.parseStoredValue(value);
+        var url = reference.url;
+
+        if (variant === 'image') {
+            return el('img', {
+                src: reference.id ? acf_canto_blocks.thumbnail_url + '?canto_thumbnail=1&asset_type=image&asset_id=' + encodeURIComponent(reference.id) : url,
+                alt: alt || reference.name || '',
+                onError: function(e) {
+                    e.target.src = acfCanto.getDefaultThumbnail('image');
+                }
+            });
+        }
+
+        if (variant === 'video') {
+            return el('video', { src: url, controls: true, preload: 'metadata' });
+        }
+
+        return el('a', { href: url, className: 'acf-canto-document-link', onClick: function(e) { e.preventDefault(); } }, reference.name || url);
+    }
+
+    /**
+     * Editor for the Canto Asset block
+     */
+    function AssetEdit(props) {
+        var attributes = props.attributes;
+        var variant = VARIANTS[attributes.variant] ? attributes.variant : 'image';
+        var blockProps = blockEditor.useBlockProps({ className: 'acf-canto-block' });
+
+        function select() {
+            openPicker(variant, attributes.value, function(asset) {
+                props.setAttributes({ value: asset.stored_value });
+            });
+        }
+
+        if (!attributes.value) {
+            return el('div', blockProps,
+                el(components.Placeholder, {
+                    icon: VARIANTS[variant].icon,
+                    label: VARIANTS[variant].title,
+                    instructions: l10n.block_instructions
+                },
+                    el(components.Button, { variant: 'primary', onClick: select }, l10n.select_from_canto)
+                )
+            );
+        }
+
+        return el(Fragment, null,
+            el(blockEditor.BlockControls, null,
+                el(components.ToolbarGroup, null,
+                    el(components.ToolbarButton, { onClick: select }, l10n.replace),
+                    el(components.ToolbarButton, {
+                        onClick: function() {
+                            props.setAttributes({ value: '' });
+                        }
+                    }, l10n.remove)
+                )
+            ),
+            variant === 'image' && el(blockEditor.InspectorControls, null,
+                el(components.PanelBody, { title: l10n.details },
+                    el(components.TextareaControl, {
+                        label: l10n.alt_text,
+                        value: attributes.alt,
+                        onChange: function(alt) {
+                            props.setAttributes({ alt: alt });
+                        }
+                    })
+                )
+            ),
+            el('figure', blockProps,
+                renderPreview(variant, attributes.value, attributes.alt),
+                el(blockEditor.RichText, {
+                    tagName: 'figcaption',
+                    value: attributes.caption,
+                    placeholder: l10n.caption_placeholder,
+                    onChange: function(caption) {
+                        props.setAttributes({ caption: caption });
+                    }
+                })
+            )
+        );
+    }
+
+    wp.blocks.registerBlockType('acf-canto/asset', {
+        apiVersion: 2,
+        title: l10n.block_title,
+        description: l10n.block_description,
+        category: 'media',
+        icon: 'cloud',
+        attributes: {
+            value: { type: 'string', default: '' },
+            variant: { type: 'string', default: 'image' },
+            alt: { type: 'string', default: '' },
+            caption: { type: 'string', default: '' }
+        },
+        supports: {
+            align: ['wide', 'full', 'left', 'center', 'right'],
+            html: false
+        },
+        variations: $.map(VARIANTS, function(config, name) {
+            return {
+                name: name,
+                title: config.title,
+                icon: config.icon,
+                attributes: { variant: name },
+                isDefault: name === 'image',
+                scope: ['inserter', 'transform'],
+                isActive: ['variant']
+            };
+        }),
+        edit: AssetEdit,
+        save: function() {
+            return null;
+        }
+    });
+
+    /**
+     * Core block attributes for a picked asset
+     */
+    function getCoreAttributes(name, asset, attributes) {
+        var url = acfCanto.resolveAssetUrl(asset);
+
+        switch (name) {
+            case 'core/image':
+                return {
+                    id: undefined,
+                    url: url,
+                    alt: attributes.alt || asset.name || ''
+                };
+
+            case 'core/video':
+                return { id: undefined, src: url };
+
+            default:
+                return {
+                    id: undefined,
+                    href: url,
+                    fileName: asset.name || '',
+                    textLinkHref: url
+                };
+        }
+    }
+
+    /**
+     * Add "Replace from Canto" to the toolbar of core media blocks
+     */
+    var withReplaceFromCanto = wp.compose.createHigherOrderComponent(function(BlockEdit) {
+        return function(props) {
+            var variant = CORE_BLOCKS[props.name];
+
+            if (!variant || !props.isSelected) {
+                return el(BlockEdit, props);
+            }
+
+            return el(Fragment, null,
+                el(BlockEdit, props),
+                el(blockEditor.BlockControls, { group: 'other' },
+                    el(components.ToolbarButton, {
+                        icon: 'cloud',
+                        onClick: function() {
+                            openPicker(variant, '', function(asset) {
+                                props.setAttributes(getCoreAttributes(props.name, asset, props.attributes));
+                            });
+                        }
+                    }, l10n.replace_from_canto)
+                )
+            );
+        };
+    }, 'withReplaceFromCanto');
+
+    wp.hooks.addFilter('editor.BlockEdit', 'acf-canto/replace-from-canto', withReplaceFromCanto);
+
+})(jQuery, window.wp);
@@ -0,0 +1,212 @@
+(function($, undefined) {
+
+    var l10n = acf_canto.l10n;
+
+    var SETTINGS = '.acf-field-setting-root_albums, .acf-field-setting-default_album';
+
+    /**
+     * Add a "Choose from Canto" tree below the root albums and default album settings
+     *
+     * Handlers are delegated, so settings ACF clones or re-renders keep working.
+     */
+    function initialize($root) {
+        $root.find(SETTINGS).each(function() {
+            var $setting = $(this);
+
+            if ($setting.find('.acf-canto-album-picker').length) {
+                return;
+            }
+
+            $setting.find('input[type="text"]').first().after(
+                $('<div class="acf-canto-album-picker">').append(
+                    $('<button type="button" class="button acf-canto-album-picker-toggle" aria-expanded="false">').text(l10n.choose_albums),
+                    $('<ul class="acf-canto-album-picker-tree">').hide()
+                )
+            );
+        });
+    }
+
+    /**
+     * The text input, tree and mode of the setting an element belongs to
+     */
+    function getPicker($element) {
+        var $setting = $element.closest(SETTINGS);
+        var $input = $setting.find('input[type="text"]').first();
+
+        return {
+            $input: $input,
+            $tree: $setting.find('.acf-canto-album-picker-tree'),
+            $toggle: $setting.find('.acf-canto-album-picker-toggle'),
+            // Root albums take several albums and folders, the default album a single album
+            multiple: $setting.hasClass('acf-field-setting-root_albums'),
+            // Outside acf_fields[], so the boxes aren't saved with the field
+            name: 'acf_canto_album_picker_' + $input.attr('id')
+        };
+    }
+
+    /**
+     * IDs in a setting's text input
+     */
+    function getIds($input) {
+        return $.grep($.map(($input.val() || '').split(','), $.trim), function(id) {
+            return id !== '';
+        });
+    }
+
+    /**
+     * Load the children of a folder, or the top level, into a list
+     */
+    function loadNodes(picker, $list, albumId) {
+        $list.empty().append($('<li class="acf-canto-album-picker-message">').text(l10n.loading));
+
+        acfCanto.request({
+            action: 'acf_canto_get_tree',
+            album_id: albumId
+        }).done(function(response) {
+            $list.empty();
+
+            if (!response.success) {
+                showError(picker, $list, albumId, acfCanto.getError(response));
+                return;
+            }
+
+            var nodes = response.data && response.data.results ? response.data.results : [];
+
+            if (!nodes.length) {
+                $list.append($('<li class="acf-canto-album-picker-message">').text(l10n.no_albums));
+                return;
+            }
+
+            $.each(nodes, function(index, node) {
+                $list.append(createNode(picker, node));
+            });
+
+            syncChecks(picker);
+        }).fail(function() {
+            $list.empty();
+            showError(picker, $list, albumId, acfCanto.getError(null));
+        });
+    }
+
+    /**
+     * Show why a list failed to load, with a button to load it again
+     */
+    function showError(picker, $list, albumId, error) {
+        $list.append($('<li class="acf-canto-album-picker-message">').append(acfCanto.renderError(error, function() {
+            loadNodes(picker, $list, albumId);
+        })));
+    }
+
+    /**
+     * Create a tree row with a checkbox (root albums) or radio (default album)
+     */
+    function createNode(picker, node) {
+        var isAlbum = node.scheme === 'album';
+        var isFolder = !isAlbum && (node.type === 'folder' || (node.children && node.children.length > 0));
+        var $item = $('<li class="acf-canto-album-picker-item">').attr('data-album-id', node.id);
+        var $row = $('<div class="acf-canto-album-picker-row">');
+        var $label = $('<label>');
+
+        if (isFolder) {
+            $row.append($('<button type="button" class="button-link acf-canto-album-picker-expand" aria-expanded="false">').text('+'));
+        } else {
+            $row.append('<span class="acf-canto-album-picker-expand"></span>');
+        }
+
+        // Only albums hold assets to open in
+        if (picker.multiple || isAlbum) {
+            $label.append($('<input>').attr({
+                type: picker.multiple ? 'checkbox' : 'radio',
+                name: picker.name,
+                value: node.id
+            }));
+        }
+
+        $label.append(
+            $('<span class="acf-canto-album-picker-name">').text((isAlbum ? '📁 ' : '📂 ') + (node.name || 'Untitled')),
+            $('<code>').text(node.id)
+        );
+
+        return $item.append($row.append($label));
+    }
+
+    /**
+     * Tick the boxes of the IDs in the text input
+     */
+    function syncChecks(picker) {
+        var ids = getIds(picker.$input);
+
+        picker.$tree.find('input').each(function() {
+            this.checked = $.inArray(this.value, ids) !== -1;
+        });
+    }
+
+    $(document).on('click', '.acf-canto-album-picker-toggle', function(e) {
+        e.preventDefault();
+        var picker = getPicker($(this));
+        var open = picker.$tree.is(':visible');
+
+        picker.$tree.toggle(!open);
+        picker.$toggle.attr('aria-expanded', open ? 'false' : 'true').text(open ? l10n.choose_albums : l10n.close);
+
+        if (!open && picker.$tree.children().length === 0) {
+            loadNodes(picker, picker.$tree, '');
+        }
+    });
+
+    $(document).on('click', '.acf-canto-album-picker-expand', function(e) {
+        e.preventDefault();
+        var $button = $(this);
+        var $item = $button.closest('.acf-canto-album-picker-item');
+        var $children = $item.children('.acf-canto-album-picker-children');
+        var expanded = $button.attr('aria-expanded') === 'true';
+
+        $button.attr('aria-expanded', expanded ? 'false' : 'true').text(expanded ? '+' : '-');
+
+        if (expanded) {
+            $children.hide();
+            return;
+        }
+
+        if (!$children.length) {
+            $children = $('<ul class="acf-canto-album-picker-children">').appendTo($item);
+            loadNodes(getPicker($item), $children, $item.attr('data-album-id'));
+        }
+
+        $children.show();
+    });
+
+    // Write ticked albums and folders back to the text input
+    $(document).on('change', '.acf-canto-album-picker-tree input', function() {
+        var picker = getPicker($(this));
+
+        if (!picker.multiple) {
+            picker.$input.val(this.value).trigger('change');
+            return;
+        }
+
+        var ids = getIds(picker.$input);
+        var index = $.inArray(this.value, ids);
+
+        if (this.checked && index === -1) {
+            ids.push(this.value);
+        } else if (!this.checked && index !== -1) {
+            ids.splice(index, 1);
+        }
+
+        picker.$input.val(ids.join(',')).trigger('change');
+    });
+
+    // Keep the boxes in step with IDs typed by hand
+    $(document).on('change', '.acf-field-setting-root_albums input[type="text"], .acf-field-setting-default_album input[type="text"]', function() {
+        syncChecks(getPicker($(this)));
+    });
+
+    $(function() {
+        initialize($(document.body));
+    });
+
+    // Settings are rendered again when a field's type changes
+    acf.addAction('append', initialize);
+
+})(jQuery);
@@ -0,0 +1,3267 @@
+(function($, undefined) {
+    
+    // Counter used to give each modal's dialog unique ARIA ids
+    var dialogCount = 0;
+    
+    /**
+     * Create a Canto picker on a modal rendered by ACF_Canto_Picker::render_modal()
+     *
+     * The modal handles searching, browsing, the recent and favourites lists,
+     * selection, the inspector, crop & focal point and uploads. Whatever
+     * owns the modal (an ACF field, a block) gets the confirmed assets
+     * through onConfirm, each with the record to store as stored_value.
+     *
+     * Settings:
+     * - fieldKey: Canto field whose restrictions and upload settings apply
+     * - fieldToken: token rendered with the field, so its capability applies
+     * - multiple, max: multiple selection and its maximum (0 for no limit)
+     * - crop, upload: enable the crop tool and uploads
+     * - schemes: asset types to offer when there is no field, e.g. ['image']
+     * - defaultAlbum: album ID the modal first opens in, in the Browse tab
+     * - getValue(): the stored value, used to highlight the current asset
+     * - getRemainingCapacity(): assets that can still be added, -1 for no limit
+     * - onConfirm(assets): receives the confirmed assets
+     * - $dropTarget, $progress: element outside the modal that accepts dropped
+     *   files, and the upload progress bar shown while the modal is closed
+     * - getFocusFallback(): element to focus on close when the opener is gone
+     *
+     * Returns an object with open(), close() and uploadFiles(fileList).
+     */
+    function createModal($modal, options) {
+        
+        var settings = $.extend({
+            fieldKey: '',
+            fieldToken: '',
+            multiple: false,
+            max: 0,
+            crop: false,
+            upload: false,
+            schemes: [],
+            defaultAlbum: '',
+            getValue: function() {
+                return '';
+            },
+            getRemainingCapacity: function() {
+                return -1;
+            },
+            onConfirm: function() {},
+            $dropTarget: $(),
+            $progress: $(),
+            getFocusFallback: function() {
+                return $();
+            }
+        }, options);
+
+        var $searchInput = $modal.find('.acf-canto-search-input');
+        var $searchBtn = $modal.find('.acf-canto-search-btn');
+        var $searchClear = $modal.find('.acf-canto-search-clear');
+        var $suggestions = $modal.find('.acf-canto-suggestions');
+        var $filtersToggle = $modal.find('.acf-canto-filters-toggle');
+        var $searchFilters = $modal.find('.acf-canto-search-filters');
+        var $results = $modal.find('.acf-canto-assets-grid');
+        var $loading = $modal.find('.acf-canto-loading');
+        var $confirmBtn = $modal.find('.acf-canto-confirm-selection');
+        var $cancelBtn = $modal.find('.acf-canto-cancel');
+        var $closeBtn = $modal.find('.acf-canto-modal-close');
+        
+        // Tree navigation elements
+        var $navTabs = $modal.find('.acf-canto-nav-tab');
+        var $searchView = $modal.find('.acf-canto-search-view');
+        var $browseView = $modal.find('.acf-canto-browse-view');
+        var $treeContainer = $modal.find('.acf-canto-tree-list');
+        var $treeLoading = $modal.find('.acf-canto-tree-loading');
+        var $browseAssets = $modal.find('.acf-canto-browse-assets');
+        var $browseLoading = $modal.find('.acf-canto-browse-loading');
+        var $currentPath = $modal.find('.acf-canto-current-path');
+        var $treeRefresh = $modal.find('.acf-canto-tree-refresh');
+        var $treeFilter = $modal.find('.acf-canto-tree-filter');
+        var $browseRefresh = $modal.find('.acf-canto-browse-refresh');
+        var $viewToggleBtns = $modal.find('.acf-canto-view-toggle-btn');
+        var $dialog = $modal.find('.acf-canto-modal-content');
+        var $liveRegion = $modal.find('.acf-canto-live-region');
+        var $inspector = $modal.find('.acf-canto-inspector');
+        var $inspectorUrl = $inspector.find('.acf-canto-inspector-url-input');
+        var $cropTools = $inspector.find('.acf-canto-crop-tools');
+        
+        // Recent & favourites elements
+        var $recentView = $modal.find('.acf-canto-recent-view');
+        var $recentLoading = $modal.find('.acf-canto-recent-loading');
+        var $recentAssets = $modal.find('.acf-canto-recent-assets');
+        var $favoriteAssets = $modal.find('.acf-canto-favorite-assets');
+
+        var selectedAsset = null;
+        var currentAlbumId = null;
+        var currentAlbumName = '';
+        var currentViewMode = 'grid'; // Default view mode
+
+        var fieldKey = settings.fieldKey;
+        var fieldToken = settings.fieldToken;
+
+        // Multiple selection settings and state
+        var isMultiple = !!settings.multiple;
+        var maxAssets = parseInt(settings.max, 10) || 0;
+        var selectedAssets = [];
+        var $lastClickedItem = null;
+
+        // Number of assets requested per page in search and browse results
+        var PAGE_SIZE = 50;
+
+        // Live search runs after a pause in typing, once the query is long enough
+        var SEARCH_DELAY = 300;
+        var MIN_QUERY_LENGTH = 2;
+        var searchTimer = null;
+        var lastQuery = null;
+
+        // Search responses and typeahead suggestions for this modal, keyed by request
+        var searchCache = {};
+        var suggestionCache = {};
+        var suggestRequest = null;
+
+        // Browse tab state remembered per user: expanded folder IDs (as keys) and the last album
+        var expandedIds = {};
+        var lastAlbum = null;
+        var browseStateLoaded = false;
+        var saveBrowseTimer = null;
+
+        // Tree filter: the filter the tree shows results for, and the pending root tree request
+        var treeFilter = '';
+        var treeFilterTimer = null;
+        var treeRequest = null;
+
+        // Element that opened the modal, focused again when it closes
+        var $modalTrigger = null;
+
+        // Pending or completed acf_canto_get_asset lookups, keyed by asset ID
+        var assetDetails = {};
+
+        // Crop & focal point tool: edits per asset ID, as fractions of the full image
+        var cropEnabled = !!settings.crop;
+        var assetEdits = {};
+        var cropMode = 'focal';
+
+        // The current user's starred asset IDs (as keys), loaded when the modal first opens
+        var favoriteIds = {};
+        var userAssetsLoaded = false;
+
+        // Drag-and-drop upload to Canto
+        var uploadEnabled = !!settings.upload;
+        var $uploadInput = $modal.find('.acf-canto-upload-input');
+        var $dropzone = $modal.find('.acf-canto-dropzone');
+        var dragDepth = 0;
+        var uploading = false;
+
+        // Canto processes uploads asynchronously: poll every 2 seconds for up to 3 minutes
+        var UPLOAD_POLL_INTERVAL = 2000;
+        var UPLOAD_POLL_LIMIT = 90;
+
+        // Label the dialog by its heading
+        var dialogId = 'acf-canto-dialog-' + (++dialogCount);
+        $dialog.attr('aria-labelledby', dialogId + '-title');
+        $dialog.find('.acf-canto-modal-title').attr('id', dialogId + '-title');
+        $suggestions.attr('id', dialogId + '-suggestions');
+        $searchInput.attr('aria-controls', dialogId + '-suggestions');
+
+        if (isMultiple) {
+            $confirmBtn.text(acf_canto.l10n.select_assets_button);
+            $modal.find('.acf-canto-modal-footer').prepend('<span class="acf-canto-selection-count"></span>');
+        }
+
+        // Only offer type filters for the schemes the owner accepts
+        if (settings.schemes.length) {
+            $searchFilters.find('.acf-canto-filter-chip').filter(function() {
+                return $.inArray($(this).data('scheme'), settings.schemes) === -1;
+            }).remove();
+
+            if ($searchFilters.find('.acf-canto-filter-chip').length < 2) {
+                $searchFilters.find('.acf-canto-filter-chips').remove();
+            }
+        }
+        
+        // Close modal
+        $closeBtn.add($cancelBtn).on('click', function(e) {
+            e.preventDefault();
+            closeModal();
+        });
+        
+        // Close modal on background click
+        $modal.on('click', function(e) {
+            if (e.target === this) {
+                closeModal();
+            }
+        });
+
+        // Escape closes the modal and Tab stays inside it
+        $modal.on('keydown', function(e) {
+            if (e.which === 27) { // Escape
+                e.preventDefault();
+                closeModal();
+            } else if (e.which === 9) { // Tab
+                trapFocus(e);
+            }
+        });
+        
+        // Search functionality
+        $searchBtn.on('click', function(e) {
+            e.preventDefault();
+            searchNow();
+        });
+        
+        $searchInput.on('keydown', function(e) {
+            handleSearchKeydown(e);
+        });
+
+        // Show/hide clear button based on input content, and search as you type
+        $searchInput.on('input', function() {
+            if ($(this).val().length > 0) {
+                $searchClear.show();
+            } else {
+                $searchClear.hide();
+            }
+            scheduleSearch();
+        });
+
+        $searchInput.on('blur', function() {
+            hideSuggestions();
+        });
+
+        // Keep focus in the input while a suggestion is clicked
+        $suggestions.on('mousedown', function(e) {
+            e.preventDefault();
+        });
+
+        $suggestions.on('click', '.acf-canto-suggestion', function(e) {
+            e.preventDefault();
+            chooseSuggestion($(this));
+        });
+
+        // Clear search input
+        $searchClear.on('click', function(e) {
+            e.preventDefault();
+            clearSearch();
+        });
+        
+        // Advanced search filters
+        $filtersToggle.on('click', function(e) {
+            e.preventDefault();
+            var expanded = $filtersToggle.attr('aria-expanded') === 'true';
+            $filtersToggle.attr('aria-expanded', expanded ? 'false' : 'true');
+            $searchFilters.slideToggle(150);
+        });
+
+        $searchFilters.on('change', '[data-filter]', function() {
+            updateFiltersIndicator();
+            performSearch();
+        });
+
+        $searchFilters.on('click', '.acf-canto-filter-chip', function(e) {
+            e.preventDefault();
+            var active = !$(this).hasClass('active');
+            $(this).toggleClass('active', active).attr('aria-pressed', active ? 'true' : 'false');
+            updateFiltersIndicator();
+            performSearch();
+        });
+
+        $searchFilters.on('click', '.acf-canto-filters-reset', function(e) {
+            e.preventDefault();
+            resetSearchFilters();
+        });
+        
+        // Tab navigation
+        $navTabs.on('click', function(e) {
+            e.preventDefault();
+            var view = $(this).data('view');
+            switchView(view);
+        });
+
+        $navTabs.on('keydown', function(e) {
+            if (e.which !== 37 && e.which !== 39) { // Left / Right
+                return;
+            }
+            e.preventDefault();
+            var index = $navTabs.index(this) + (e.which === 39 ? 1 : -1);
+            var $next = $navTabs.eq((index + $navTabs.length) % $navTabs.length);
+            switchView($next.data('view'));
+            $next.focus();
+        });
+
+        // View mode toggle (grid/list)
+        $viewToggleBtns.on('click', function(e) {
+            e.preventDefault();
+            var viewMode = $(this).data('view-mode');
+            switchViewMode(viewMode);
+        });
+        
+        // Tree navigation
+        $treeRefresh.on('click', function(e) {
+            e.preventDefault();
+            if (treeFilter) {
+                loadTreeMatches(treeFilter);
+            } else {
+                loadTree();
+            }
+        });
+
+        // Filter the loaded tree right away, then the whole tree on the server
+        $treeFilter.on('input', function() {
+            var filter = $.trim($(this).val());
+
+            clearTimeout(treeFilterTimer);
+            filterLoadedTree(filter);
+
+            treeFilterTimer = setTimeout(function() {
+                applyTreeFilter(filter);
+            }, SEARCH_DELAY);
+        });
+
+        $treeFilter.on('keydown', function(e) {
+            if (e.which === 27 && $(this).val() !== '') { // Escape clears the filter first
+                e.preventDefault();
+                e.stopPropagation();
+                $(this).val('').trigger('input');
+            }
+        });
+
+        // Breadcrumbs: the root lists all assets, folders are revealed in the tree
+        $currentPath.on('click', '.acf-canto-breadcrumb-link', function(e) {
+            e.preventDefault();
+            var path = $(this).data('path');
+
+            if (!path.length) {
+                showAllAssets();
+                return;
+            }
+
+            revealTreePath(path).done(function($item) {
+                focusTreeItem($item);
+            });
+        });
+        
+        $browseRefresh.on('click', function(e) {
+            e.preventDefault();
+            searchCache = {};
+            if (currentAlbumId) {
+                loadAlbumAssets(currentAlbumId);
+            } else {
+                performSearch('', $browseAssets, $browseLoading);
+            }
+        });
+        
+        // Tree item clicks (delegated)
+        $treeContainer.on('click', '.acf-canto-tree-expand', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            var $item = $(this).closest('.acf-canto-tree-item');
+            toggleTreeItem($item);
+        });
+        
+        $treeContainer.on('click', '.acf-canto-tree-link', function(e) {
+            e.preventDefault();
+            activateTreeItem($(this).closest('.acf-canto-tree-item'));
+        });
+
+        $treeContainer.on('keydown', '.acf-canto-tree-link', function(e) {
+            handleTreeKeydown($(this), e);
+        });
+        
+        // Load the next page of results
+        $modal.on('click', '.acf-canto-load-more-btn', function(e) {
+            e.preventDefault();
+            loadNextPage($(this).closest('.acf-canto-load-more'));
+        });
+
+        // Infinite scroll in the search and browse result panes
+        $modal.find('.acf-canto-results, .acf-canto-browse-assets').on('scroll', function() {
+            if (this.scrollTop + this.clientHeight >= this.scrollHeight - 200) {
+                loadNextPage($(this).find('> .acf-canto-load-more'));
+            }
+        });
+        
+        // Asset selection (delegated to modal for both views)
+        $modal.on('click', '.acf-canto-asset-item', function(e) {
+            e.preventDefault();
+            setRovingFocus($(this), false);
+            selectAsset($(this), e);
+        });
+
+        $modal.on('keydown', '.acf-canto-asset-item', function(e) {
+            handleGridKeydown($(this), e);
+        });
+        
+        // Star or unstar an asset from its tile
+        $modal.on('click', '.acf-canto-favorite-toggle', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            toggleFavorite($(this).closest('.acf-canto-asset-item'));
+        });
+        
+        // Crop & focal point tool
+        $cropTools.on('click', '.acf-canto-crop-mode', function(e) {
+            e.preventDefault();
+            setCropMode($(this).data('mode'));
+        });
+
+        $cropTools.on('click', '.acf-canto-crop-reset', function(e) {
+            e.preventDefault();
+            delete assetEdits[$inspector.data('asset-id')];
+            updateCropOverlay();
+        });
+
+        $inspector.on('mousedown', '.acf-canto-crop-stage', function(e) {
+            if (e.which === 1) {
+                e.preventDefault();
+                startCropInteraction($(this), e);
+            }
+        });
+
+        $inspector.on('keydown', '.acf-canto-crop-stage', function(e) {
+            handleFocalKeydown(e);
+        });
+        
+        // Copy the inspected asset's direct URL
+        $inspector.on('click', '.acf-canto-copy-url', function(e) {
+            e.preventDefault();
+            copyInspectorUrl($(this));
+        });
+        
+        // Confirm selection
+        $confirmBtn.on('click', function(e) {
+            e.preventDefault();
+            confirmSelection();
+        });
+
+        // Upload files dropped on the field or the modal, or picked with the upload button
+        if (uploadEnabled) {
+            $dialog.add(settings.$dropTarget).on('dragenter', function(e) {
+                if (!hasDraggedFiles(e)) {
+                    return;
+                }
+                e.preventDefault();
+                dragDepth++;
+                showDropzone($(this));
+            }).on('dragover', function(e) {
+                if (hasDraggedFiles(e)) {
+                    e.preventDefault();
+                    e.originalEvent.dataTransfer.dropEffect = uploading ? 'none' : 'copy';
+                }
+            }).on('dragleave', function(e) {
+                if (hasDraggedFiles(e) && --dragDepth <= 0) {
+                    hideDropzone();
+                }
+            }).on('drop', function(e) {
+                if (!hasDraggedFiles(e)) {
+                    return;
+                }
+                e.preventDefault();
+                hideDropzone();
+                uploadFiles(e.originalEvent.dataTransfer.files);
+            });
+
+            $modal.find('.acf-canto-upload-btn').on('click', function(e) {
+                e.preventDefault();
+                $uploadInput.trigger('click');
+            });
+
+            $uploadInput.on('change', function() {
+                uploadFiles(this.files);
+                $(this).val('');
+            });
+        }
+        
+        /**
+         * Open the modal and load initial assets
+         */
+        function openModal() {
+            $modalTrigger = $(document.activeElement);
+            $modal.show();
+            $('body').addClass('acf-canto-modal-open');
+            
+            // The first opening goes straight to the field's default album
+            if (settings.defaultAlbum && !browseStateLoaded && $treeContainer.is(':empty')) {
+                switchView('browse');
+            }
+            
+            if ($searchView.hasClass('active')) {
+                $searchInput.focus();
+            } else {
+                $navTabs.filter('.active').focus();
+            }
+            
+            // Load initial assets if results are empty
+            if ($results.children().length === 0) {
+                performSearch('');
+            }
+
+            // Favourites are needed up front to show starred tiles
+            if (!userAssetsLoaded) {
+                loadUserAssets();
+            }
+        }
+        
+        /**
+         * Close the modal
+         */
+        function closeModal() {
+            clearTimeout(searchTimer);
+            hideSuggestions();
+            $modal.hide();
+            $('body').removeClass('acf-canto-modal-open');
+            selectedAsset = null;
+            $confirmBtn.prop('disabled', true);
+            $results.find('.acf-canto-asset-item').removeClass('selected');
+            hideInspector();
+
+            if (isMultiple) {
+                clearMultipleSelection();
+            }
+            syncAriaSelected();
+            restoreFocus();
+        }
+
+        /**
+         * Return focus to the button that opened the modal
+         *
+         * The preview is re-rendered after a selection, so fall back to the
+         * field's current select/edit button when the trigger is gone.
+         */
+        function restoreFocus() {
+            if ($modalTrigger && $modalTrigger.length && $.contains(document, $modalTrigger[0])) {
+                $modalTrigger.focus();
+            } else {
+                settings.getFocusFallback().focus();
+            }
+            $modalTrigger = null;
+        }
+
+        /**
+         * Keep Tab and Shift+Tab cycling inside the dialog
+         */
+        function trapFocus(e) {
+            var $focusable = $dialog.find('a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]')
+                .filter(':visible')
+                .filter(function() {
+                    return !this.disabled && $(this).attr('tabindex') !== '-1';
+                });
+
+            if ($focusable.length === 0) {
+                return;
+            }
+
+            var first = $focusable[0];
+            var last = $focusable[$focusable.length - 1];
+
+            if (e.shiftKey && (document.activeElement === first || !$.contains($dialog[0], document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Announce a message to screen readers through the live region
+         */
+        function announce(message) {
+            // Clear first so repeating the same message is announced again
+            $liveRegion.text('');
+            setTimeout(function() {
+                $liveRegion.text(message);
+            }, 100);
+        }
+        
+        /**
+         * Replace a container's contents with an error and announce it
+         */
+        function showError($container, error, retry) {
+            $container.empty().append(renderError(error, retry));
+            announce(getErrorMessage(error));
+        }
+
+        /**
+         * Mirror the selected class on tiles into aria-selected
+         */
+        function syncAriaSelected() {
+            $modal.find('.acf-canto-asset-item').each(function() {
+                $(this).attr('aria-selected', $(this).hasClass('selected') ? 'true' : 'false');
+            });
+        }
+
+        /**
+         * Move the grid's single tab stop to a tile
+         */
+        function setRovingFocus($item, focus) {
+            $item.closest('.acf-canto-assets-grid').find('.acf-canto-asset-item').attr('tabindex', '-1');
+            $item.attr('tabindex', '0');
+            if (focus) {
+                $item.focus();
+            }
+        }
+
+        /**
+         * Number of tiles per row in a grid, based on their rendered position
+         */
+        function getGridColumns($items) {
+            if ($items.length === 0) {
+                return 1;
+            }
+            var top = $items.first().position().top;
+            var columns = 0;
+            $items.each(function() {
+                if ($(this).position().top !== top) {
+                    return false;
+                }
+                columns++;
+            });
+            return Math.max(1, columns);
+        }
+
+        /**
+         * Keyboard model for asset tiles
+         *
+         * Arrows and Home/End move focus, Space selects (toggles in multiple
+         * mode, Shift+Space selects a range), Enter selects and confirms and
+         * F stars or unstars the tile.
+         */
+        function handleGridKeydown($item, e) {
+            var $items = $item.closest('.acf-canto-assets-grid').find('.acf-canto-asset-item');
+            var index = $items.index($item);
+            var columns = getGridColumns($items);
+            var target = null;
+
+            switch (e.which) {
+                case 37: target = index - 1; break;         // Left
+                case 39: target = index + 1; break;         // Right
+                case 38: target = index - columns; break;   // Up
+                case 40: target = index + columns; break;   // Down
+                case 36: target = 0; break;                 // Home
+                case 35: target = $items.length - 1; break; // End
+                case 32: // Space
+                    e.preventDefault();
+                    selectAsset($item, { ctrlKey: isMultiple && !e.shiftKey, shiftKey: e.shiftKey });
+                    return;
+                case 13: // Enter
+                    e.preventDefault();
+                    if (!$item.hasClass('selected')) {
+                        selectAsset($item, { ctrlKey: isMultiple });
+                    }
+                    confirmSelection();
+                    return;
+                case 70: // F
+                    if (e.ctrlKey || e.metaKey || e.altKey) {
+                        return;
+                    }
+                    e.preventDefault();
+                    toggleFavorite($item);
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            if (target >= 0 && target < $items.length) {
+                setRovingFocus($items.eq(target), true);
+            }
+        }
+
+        /**
+         * Keyboard model for the album/folder tree (WAI-ARIA treeview pattern)
+         */
+        function handleTreeKeydown($link, e) {
+            var $item = $link.closest('.acf-canto-tree-item');
+            var $visible = $treeContainer.find('.acf-canto-tree-link:visible');
+            var index = $visible.index($link);
+            var expandable = $link.attr('aria-expanded') !== undefined;
+            var $target = null;
+
+            switch (e.which) {
+                case 40: $target = $visible.eq(index + 1); break; // Down
+                case 38: $target = index > 0 ? $visible.eq(index - 1) : null; break; // Up
+                case 36: $target = $visible.first(); break; // Home
+                case 35: $target = $visible.last(); break;  // End
+                case 39: // Right: expand, or move to the first child
+                    if (expandable && !$item.hasClass('expanded')) {
+                        toggleTreeItem($item);
+                    } else {
+                        $target = $item.find('> .acf-canto-tree-children > .acf-canto-tree-item > .acf-canto-tree-link').first();
+                    }
+                    break;
+                case 37: // Left: collapse, or move to the parent
+                    if (expandable && $item.hasClass('expanded')) {
+                        toggleTreeItem($item);
+                    } else {
+                        $target = $item.parent().closest('.acf-canto-tree-item').find('> .acf-canto-tree-link');
+                    }
+                    break;
+                case 13: // Enter
+                case 32: // Space
+                    activateTreeItem($item);
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            if ($target && $target.length) {
+                $treeContainer.find('.acf-canto-tree-link').attr('tabindex', '-1');
+                $target.attr('tabindex', '0').focus();
+            }
+        }
+
+        /**
+         * Open an album, or expand/collapse a folder
+         */
+        function activateTreeItem($item) {
+            var $link = $item.find('> .acf-canto-tree-link');
+
+            $treeContainer.find('.acf-canto-tree-link').attr('tabindex', '-1');
+            $link.attr('tabindex', '0');
+
+            // Only load assets for albums, not folders
+            if ($item.data('scheme') === 'album') {
+                selectAlbum($item.attr('data-album-id'), $link.find('.acf-canto-tree-name').text(), getTreePath($item));
+            } else {
+                // For folders, just expand/collapse them
+                toggleTreeItem($item);
+            }
+        }
+        
+        /**
+         * Clear search input and reload all assets
+         */
+        function clearSearch() {
+            clearTimeout(searchTimer);
+            hideSuggestions();
+            $searchInput.val('');
+            $searchClear.hide();
+            // Reload all assets (empty query shows all)
+            performSearch('');
+            $searchInput.focus();
+        }
+
+        /**
+         * Collect the advanced search filters that differ from their defaults
+         */
+        function getSearchFilters() {
+            var filters = {};
+
+            $searchFilters.find('[data-filter]').each(function() {
+                var value = $(this).val();
+                if (value) {
+                    filters[$(this).data('filter')] = value;
+                }
+            });
+
+            var schemes = $searchFilters.find('.acf-canto-filter-chip.active').map(function() {
+                return $(this).data('scheme');
+            }).get();
+
+            if (schemes.length) {
+                filters.schemes = schemes;
+            }
+
+            return filters;
+        }
+
+        /**
+         * Request parameters that limit results to what the owner accepts
+         *
+         * The server reads a field's restrictions from its saved settings;
+         * schemes narrow them further, or stand in when there is no field.
+         */
+        function getRestrictionData() {
+            var data = { field_key: fieldKey, field_token: fieldToken };
+
+            if (settings.schemes.length) {
+                data.schemes = settings.schemes;
+            }
+
+            return data;
+        }
+
+        /**
+         * Highlight the filters toggle when any filter is not on its default
+         */
+        function updateFiltersIndicator() {
+            var changed = $searchFilters.find('select[data-filter]').filter(function() {
+                return this.selectedIndex > 0;
+            }).length;
+
+            changed += $searchFilters.find('input[data-filter]').filter(function() {
+                return $(this).val() !== '';
+            }).length;
+
+            changed += $searchFilters.find('.acf-canto-filter-chip.active').length;
+
+            $filtersToggle.toggleClass('has-filters', changed > 0);
+        }
+
+        /**
+         * Put every filter back to its default and search again
+         */
+        function resetSearchFilters() {
+            $searchFilters.find('select[data-filter]').prop('selectedIndex', 0);
+            $searchFilters.find('input[data-filter]').val('');
+            $searchFilters.find('.acf-canto-filter-chip').removeClass('active').attr('aria-pressed', 'false');
+            updateFiltersIndicator();
+            performSearch();
+        }
+
+        /**
+         * Perform search for assets
+         */
+        function performSearch(query, targetContainer, loadingElement, start) {
+            if (typeof query === 'undefined') {
+                query = $searchInput.val();
+            }
+            if (typeof targetContainer === 'undefined') {
+                targetContainer = $results;
+            }
+            if (typeof loadingElement === 'undefined') {
+                loadingElement = $loading;
+            }
+            
+            start = start || 0;
+            var append = start > 0;
+            
+            console.log('ACF Canto: Performing search with query:', query, 'start:', start);
+            
+            if (!append) {
+                loadingElement.show();
+                targetContainer.empty();
+                removePager(targetContainer);
+                announce(acf_canto.l10n.loading);
+            }
+            
+            var data = $.extend({
+                action: 'acf_canto_search',
+                query: query,
+                selected_id: settings.getValue(),
+                start: start,
+                limit: PAGE_SIZE
+            }, getRestrictionData());
+            
+            // Filters belong to the search tab, not the browse listing
+            if (targetContainer.is($results)) {
+                $.extend(data, getSearchFilters());
+            }
+            
+            console.log('ACF Canto: AJAX data:', data);
+            
+            var cacheKey = getSearchCacheKey(data);
+            var cached = searchCache[cacheKey];
+            var request = cached ? $.Deferred().resolve(cached).promise() : sendRequest(data);
+            
+            trackRequest(targetContainer, request, append);
+            
+            if (!append && targetContainer.is($results)) {
+                lastQuery = $.trim(query);
+            }
+            
+            return request
+                .done(function(response) {
+                    console.log('ACF Canto: AJAX response:', response);
+                    
+                    // A newer search has replaced this one
+                    if (!isCurrentRequest(targetContainer, request)) {
+                        return;
+                    }
+                    
+                    loadingElement.hide();
+                    
+                    if (response.success && !cached) {
+                        searchCache[cacheKey] = response;
+                    }
+                    
+                    if (response.success && response.data) {
+                        displayAssets(response.data.assets, targetContainer, append);
+                        updatePager(targetContainer, response.data, function(nextStart) {
+                            return performSearch(query, targetContainer, loadingElement, nextStart);
+                        });
+                        announceResults(response.data);
+                    } else if (!append) {
+                        console.error('ACF Canto: Error:', response.data);
+                        showError(targetContainer, getError(response), function() {
+                            performSearch(query, targetContainer, loadingElement);
+                        });
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    if (status === 'abort') {
+                        return;
+                    }
+                    console.error('ACF Canto: AJAX failed:', status, error);
+                    loadingElement.hide();
+                    if (!append) {
+                        showError(targetContainer, getError(null), function() {
+                            performSearch(query, targetContainer, loadingElement);
+                        });
+                    }
+                });
+        }
+        
+        /**
+         * Cache key of a search request: its parameters without action and nonce
+         */
+        function getSearchCacheKey(data) {
+            var params = $.extend({}, data);
+            delete params.action;
+            delete params.nonce;
+            return JSON.stringify(params);
+        }
+        
+        /**
+         * Remember the request loading into a results container
+         *
+         * A new first page aborts whatever the container was still loading.
+         */
+        function trackRequest(targetContainer, request, append) {
+            var previous = targetContainer.data('acf-canto-request');
+            
+            if (!append && previous && previous.abort) {
+                previous.abort();
+            }
+            
+            targetContainer.data('acf-canto-request', request);
+        }
+        
+        /**
+         * Check that a request is still the latest for its results container
+         */
+        function isCurrentRequest(targetContainer, request) {
+            return targetContainer.data('acf-canto-request') === request;
+        }
+        
+        /**
+         * Search after a pause in typing
+         *
+         * Queries shorter than MIN_QUERY_LENGTH wait for more input; an empty
+         * query lists all assets again.
+         */
+        function scheduleSearch() {
+            var query = $.trim($searchInput.val());
+            
+            clearTimeout(searchTimer);
+            
+            if (query.length > 0 && query.length < MIN_QUERY_LENGTH) {
+                hideSuggestions();
+                return;
+            }
+            
+            searchTimer = setTimeout(function() {
+                if (query !== lastQuery) {
+                    performSearch(query);
+                }
+                loadSuggestions(query);
+            }, SEARCH_DELAY);
+        }
+        
+        /**
+         * Search right away, as the Search button and Enter do
+         */
+        function searchNow() {
+            clearTimeout(searchTimer);
+            hideSuggestions();
+            performSearch();
+        }
+        
+        /**
+         * Arrow keys move through the suggestions, Enter picks one or searches,
+         * Escape closes the list before it closes the modal
+         */
+        function handleSearchKeydown(e) {
+            var $items = $suggestions.children('.acf-canto-suggestion');
+            var open = $suggestions.is(':visible') && $items.length > 0;
+            
+            if (e.which === 40 || e.which === 38) { // Down / Up
+                if (!open) {
+                    return;
+                }
+                e.preventDefault();
+                var current = $items.index($items.filter('.active'));
+                var next = e.which === 40 ? current + 1 : (current === -1 ? $items.length : current) - 1;
+                setActiveSuggestion($items.eq((next + $items.length) % $items.length));
+            } else if (e.which === 13) { // Enter
+                e.preventDefault();
+                var $active = open ? $items.filter('.active') : $();
+                if ($active.length) {
+                    chooseSuggestion($active);
+                } else {
+                    searchNow();
+                }
+            } else if (e.which === 27 && open) { // Escape
+                e.preventDefault();
+                e.stopPropagation();
+                hideSuggestions();
+            }
+        }
+        
+        /**
+         * Load typeahead suggestions for a query, reusing earlier ones
+         */
+        function loadSuggestions(query) {
+            if (suggestRequest) {
+                suggestRequest.abort();
+                suggestRequest = null;
+            }
+            
+            if (query.length < MIN_QUERY_LENGTH) {
+                hideSuggestions();
+                return;
+            }
+            
+            if (suggestionCache[query]) {
+                showSuggestions(suggestionCache[query], query);
+                return;
+            }
+            
+            var request = suggestRequest = sendRequest($.extend({
+                action: 'acf_canto_suggest',
+                query: query
+            }, getRestrictionData()));
+            
+            // Suggestions are optional, so failures are ignored
+            request.done(function(response) {
+                if (request !== suggestRequest) {
+                    return;
+                }
+                suggestRequest = null;
+                
+                if (response.success && response.data) {
+                    suggestionCache[query] = response.data.suggestions;
+                    showSuggestions(response.data.suggestions, query);
+                }
+            });
+        }
+        
+        /**
+         * Show suggestions under the search input, the query highlighted in each
+         */
+        function showSuggestions(suggestions, query) {
+            // Drop suggestions for a query the user has since changed
+            if (!suggestions.length || $.trim($searchInput.val()) !== query || !$searchInput.is(':focus')) {
+                hideSuggestions();
+                return;
+            }
+            
+            $suggestions.empty();
+            $searchInput.removeAttr('aria-activedescendant');
+            
+            $.each(suggestions, function(index, suggestion) {
+                var value = suggestion.value;
+                var position = value.toLowerCase().indexOf(query.toLowerCase());
+                var $value = $('<span class="acf-canto-suggestion-value">');
+                
+                if (position === -1) {
+                    $value.text(value);
+                } else {
+                    $value.append(
+                        document.createTextNode(value.slice(0, position)),
+                        $('<mark>').text(value.substr(position, query.length)),
+                        document.createTextNode(value.slice(position + query.length))
+                    );
+                }
+                
+                $('<li class="acf-canto-suggestion" role="option" aria-selected="false">')
+                    .attr('id', dialogId + '-suggestion-' + index)
+                    .data('value', value)
+                    .append($value, $('<span class="acf-canto-suggestion-type">').text(acf_canto.l10n.suggestion_types[suggestion.type] || ''))
+                    .appendTo($suggestions);
+            });
+            
+            $suggestions.show();
+            $searchInput.attr('aria-expanded', 'true');
+        }
+        
+        /**
+         * Close the suggestions and drop any still loading
+         */
+        function hideSuggestions() {
+            if (suggestRequest) {
+                suggestRequest.abort();
+                suggestRequest = null;
+            }
+            
+            $suggestions.hide().empty();
+            $searchInput.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+        }
+        
+        /**
+         * Highlight a suggestion for the keyboard
+         */
+        function setActiveSuggestion($item) {
+            $suggestions.children('.acf-canto-suggestion').removeClass('active').attr('aria-selected', 'false');
+            $item.addClass('active').attr('aria-selected', 'true');
+            $searchInput.attr('aria-activedescendant', $item.attr('id'));
+            $item[0].scrollIntoView({ block: 'nearest' });
+        }
+        
+        /**
+         * Search for a suggestion
+         */
+        function chooseSuggestion($item) {
+            $searchInput.val($item.data('value'));
+            $searchClear.show();
+            searchNow();
+        }
+        
+        /**
+         * Announce the result count of a loaded page
+         */
+        function announceResults(page) {
+            if (page.found || page.assets.length) {
+                announce(acf_canto.l10n.results_found.replace('%d', Math.max(page.found, page.assets.length)));
+            } else {
+                announce(acf_canto.l10n.no_assets);
+            }
+        }
+        
+        /**
+         * Element that holds the "Load more" bar for a results container
+         *
+         * The search grid is itself the results container, so its pager sits
+         * next to it; the browse container wraps its grid, so the pager goes inside.
+         */
+        function getPagerHost(targetContainer) {
+            return targetContainer.hasClass('acf-canto-assets-grid') ? targetContainer.parent() : targetContainer;
+        }
+        
+        /**
+         * Remove the "Load more" bar for a results container
+         */
+        function removePager(targetContainer) {
+            getPagerHost(targetContainer).find('> .acf-canto-load-more').remove();
+        }
+        
+        /**
+         * Show a "Load more" bar with the result count after a page has loaded
+         */
+        function updatePager(targetContainer, page, loadNext) {
+            removePager(targetContainer);
+            
+            var shown = targetContainer.find('.acf-canto-asset-item').length;
+            // Filters can leave a page empty while later pages still have matches
+            if (!shown && !page.has_more) {
+                return;
+            }
+            
+            var $pager = $('<div class="acf-canto-load-more">');
+            if (shown) {
+                $pager.append($('<span class="acf-canto-results-count">').text(
+                    acf_canto.l10n.showing_count.replace('%1$d', shown).replace('%2$d', Math.max(page.found, shown))
+                ));
+            }
+            
+            if (page.has_more) {
+                $pager.append($('<button type="button" class="button acf-canto-load-more-btn">').text(acf_canto.l10n.load_more));
+                $pager.data('load-next', function() {
+                    return loadNext(page.next_start);
+                });
+            }
+            
+            getPagerHost(targetContainer).append($pager);
+        }
+        
+        /**
+         * Load the next page for a pager, ignoring repeat triggers while loading
+         */
+        function loadNextPage($pager) {
+            var loadNext = $pager.data('load-next');
+            var $button = $pager.find('.acf-canto-load-more-btn');
+            
+            if (!loadNext || $button.prop('disabled')) {
+                return;
+            }
+            
+            $button.prop('disabled', true).text(acf_canto.l10n.loading);
+            loadNext().done(function(response) {
+                if (!response.success) {
+                    $button.prop('disabled', false).text(acf_canto.l10n.load_more);
+                    announce(getErrorMessage(getError(response)));
+                }
+            }).fail(function(xhr, status) {
+                $button.prop('disabled', false).text(acf_canto.l10n.load_more);
+                if (status !== 'abort') {
+                    announce(getErrorMessage(getError(null)));
+                }
+            });
+        }
+        
+        /**
+         * Display assets in the grid
+         */
+        function displayAssets(assets, targetContainer, append) {
+            if (typeof targetContainer === 'undefined') {
+                targetContainer = $results;
+            }
+            
+            if (append) {
+                if (!assets || assets.length === 0) {
+                    return;
+                }
+            } else {
+                targetContainer.empty();
+            }
+            
+            if (!assets || assets.length === 0) {
+                targetContainer.html('<div class="acf-canto-no-results">' + acf_canto.l10n.no_assets + '</div>');
+                return;
+            }
+            
+            // Create grid container if it doesn't exist
+            var $grid = targetContainer.hasClass('acf-canto-assets-grid') ?
+                        targetContainer :
+                        targetContainer.find('.acf-canto-assets-grid');
+
+            if ($grid.length === 0) {
+                $grid = $('<div class="acf-canto-assets-grid" role="listbox">');
+                $grid.attr('aria-label', acf_canto.l10n.assets_label);
+                if (isMultiple) {
+                    $grid.attr('aria-multiselectable', 'true');
+                }
+                // Apply current view mode to new grid
+                if (currentViewMode === 'list') {
+                    $grid.addClass('list-view');
+                }
+                targetContainer.append($grid);
+            } else if (!append) {
+                $grid.empty();
+            }
+            
+            $.each(assets, function(index, asset) {
+                var $item = $('<div class="acf-canto-asset-item" data-asset-id="' + asset.id + '">');
+                $item.attr({ role: 'option', tabindex: '-1', 'aria-selected': 'false' });
+                $item.data('asset', asset);
+                
+                // Thumbnail
+                if (asset.thumbnail) {
+                    var $thumb = $('<div class="acf-canto-asset-thumb">');
+                    var $img = $('<img>').attr({
+                        'src': asset.thumbnail,
+                        'alt': asset.name
+                    });
+                    
+                    // Handle broken images with fallback
+                    $img.on('error', function() {
+                        console.log('ACF Canto: Image failed to load:', asset.thumbnail);
+                        var defaultThumb = getDefaultThumbnail(asset.scheme);
+                        $(this).attr('src', defaultThumb);
+                    });
+                    
+                    $thumb.append($img);
+                    $item.append($thumb);
+                } else {
+                    $item.append('<div class="acf-canto-asset-thumb acf-canto-no-thumb"><span>' + asset.scheme + '</span></div>');
+                }
+                
+                // Details
+                var $details = $('<div class="acf-canto-asset-details">');
+                $details.append('<h4>' + asset.name + '</h4>');
+                
+                // Add file size and date info
+                if (asset.size) {
+                    $details.append('<p class="acf-canto-asset-size">' + asset.size + '</p>');
+                }
+                if (asset.formatted_date) {
+                    $details.append('<p class="acf-canto-asset-date">' + asset.formatted_date + '</p>');
+                }
+                
+                $item.append($details);
+                $item.append(createFavoriteToggle(asset.id));
+                
+                // Keep multi-selection visible when results are re-rendered
+                if (isMultiple) {
+                    if (findSelectedIndex(asset.id) !== -1) {
+                        $item.addClass('selected');
+                    }
+                    $grid.append($item);
+                    return;
+                }
+
+                // Mark as selected if it's the current value (download URL match)
+                var currentReference = parseStoredValue(settings.getValue());
+                if (asset.download_url === currentReference.url) {
+                    restoreAssetEdits(asset.id, currentReference);
+                    $item.addClass('selected');
+                    selectedAsset = asset;
+                    $confirmBtn.prop('disabled', false);
+                }
+                
+                $grid.append($item);
+            });
+
+            // Give the grid a single tab stop, keeping it on the current tile when appending
+            if ($grid.find('.acf-canto-asset-item[tabindex="0"]').length === 0) {
+                var $first = $grid.find('.acf-canto-asset-item.selected').first();
+                setRovingFocus($first.length ? $first : $grid.find('.acf-canto-asset-item').first(), false);
+            }
+            syncAriaSelected();
+        }
+        
+        /**
+         * Select an asset
+         */
+        function selectAsset($item, e) {
+            if (isMultiple) {
+                selectMultipleAsset($item, e);
+                return;
+            }
+
+            var assetId = $item.data('asset-id');
+            
+            // Remove previous selection from all views
+            $modal.find('.acf-canto-asset-item').removeClass('selected');
+            
+            // Mark as selected
+            $item.addClass('selected');
+            
+            // Find asset data
+            selectedAsset = null;
+            $modal.find('.acf-canto-asset-item').each(function() {
+                if ($(this).data('asset-id') === assetId) {
+                    selectedAsset = $(this).data('asset') || {
+                        id: assetId,
+                        name: $(this).find('h4').text(),
+                        thumbnail: $(this).find('img').attr('src') || '',
+                        dimensions: $(this).find('p').eq(0).text() || '',
+                        size: $(this).find('p').eq(1).text() || ''
+                    };
+                    return false;
+                }
+            });
+            
+            $confirmBtn.prop('disabled', false);
+            syncAriaSelected();
+
+            if (selectedAsset) {
+                showInspector(selectedAsset);
+            }
+        }
+        
+        /**
+         * Update the multi-selection from a tile click
+         *
+         * Plain click selects only the clicked tile, Ctrl/Cmd-click toggles it
+         * and Shift-click selects the range from the last clicked tile within
+         * the same grid.
+         */
+        function selectMultipleAsset($item, e) {
+            var $grid = $item.closest('.acf-canto-assets-grid');
+
+            if (e && e.shiftKey && $lastClickedItem && $lastClickedItem.closest('.acf-canto-assets-grid').is($grid)) {
+                var $items = $grid.find('.acf-canto-asset-item');
+                var from = $items.index($lastClickedItem);
+                var to = $items.index($item);
+
+                $items.slice(Math.min(from, to), Math.max(from, to) + 1).each(function() {
+                    addToSelection($(this));
+                });
+            } else if (e && (e.ctrlKey || e.metaKey)) {
+                if (findSelectedIndex($item.data('asset-id')) !== -1) {
+                    removeFromSelection($item.data('asset-id'));
+                } else {
+                    addToSelection($item);
+                }
+                $lastClickedItem = $item;
+            } else {
+                clearMultipleSelection();
+                addToSelection($item);
+                $lastClickedItem = $item;
+            }
+
+            updateSelectionCount();
+            syncAriaSelected();
+
+            // Inspect the clicked tile, or whatever is still selected after a deselect
+            var index = findSelectedIndex($item.data('asset-id'));
+            if (index === -1) {
+                index = selectedAssets.length - 1;
+            }
+
+            if (index !== -1) {
+                showInspector(selectedAssets[index]);
+            } else {
+                hideInspector();
+            }
+        }
+
+        /**
+         * Find the index of an asset in the multi-selection
+         */
+        function findSelectedIndex(assetId) {
+            for (var i = 0; i < selectedAssets.length; i++) {
+                if (String(selectedAssets[i].id) === String(assetId)) {
+                    return i;
+                }
+            }
+            return -1;
+        }
+
+        /**
+         * Add a tile's asset to the multi-selection, respecting the maximum
+         */
+        function addToSelection($item) {
+            var assetId = $item.data('asset-id');
+
+            if (findSelectedIndex(assetId) !== -1) {
+                return;
+            }
+
+            var remaining = getRemainingCapacity();
+            if (remaining !== -1 && selectedAssets.length >= remaining) {
+                $modal.find('.acf-canto-selection-count').addClass('acf-canto-limit-reached');
+                return;
+            }
+
+            selectedAssets.push($item.data('asset') || {
+                id: assetId,
+                name: $item.find('h4').text(),
+                thumbnail: $item.find('img').attr('src') || ''
+            });
+            $modal.find('.acf-canto-asset-item').filter(function() {
+                return String($(this).data('asset-id')) === String(assetId);
+            }).addClass('selected');
+        }
+
+        /**
+         * Remove an asset from the multi-selection
+         */
+        function removeFromSelection(assetId) {
+            var index = findSelectedIndex(assetId);
+            if (index !== -1) {
+                selectedAssets.splice(index, 1);
+            }
+            $modal.find('.acf-canto-asset-item').filter(function() {
+                return String($(this).data('asset-id')) === String(assetId);
+            }).removeClass('selected');
+            $modal.find('.acf-canto-selection-count').removeClass('acf-canto-limit-reached');
+        }
+
+        /**
+         * Clear the multi-selection
+         */
+        function clearMultipleSelection() {
+            selectedAssets = [];
+            $lastClickedItem = null;
+            $modal.find('.acf-canto-asset-item').removeClass('selected');
+            $modal.find('.acf-canto-selection-count').removeClass('acf-canto-limit-reached');
+            updateSelectionCount();
+        }
+
+        /**
+         * Update the footer counter and confirm button for multi-selection
+         */
+        function updateSelectionCount() {
+            var $count = $modal.find('.acf-canto-selection-count');
+            var text = selectedAssets.length ? acf_canto.l10n.selected_count.replace('%d', selectedAssets.length) : '';
+
+            if ($count.hasClass('acf-canto-limit-reached')) {
+                text += ' ' + acf_canto.l10n.max_reached.replace('%d', maxAssets);
+            }
+
+            $count.text(text);
+            $confirmBtn.prop('disabled', selectedAssets.length === 0);
+        }
+
+        /**
+         * Build the record stored for an asset, including any crop and focal point
+         *
+         * The record keeps what themes need without calling the Canto API:
+         * ID, scheme, name, MIME type, dimensions, direct URL and when it was picked.
+         */
+        function buildStoredValue(asset) {
+            var url = resolveAssetUrl(asset);
+            var edits = assetEdits[asset.id];
+
+            if (!url) {
+                return '';
+            }
+
+            var data = {
+                id: String(asset.id),
+                scheme: asset.scheme || '',
+                name: asset.name || '',
+                mime_type: asset.mime_type || '',
+                dimensions: asset.dimensions || '',
+                url: url,
+                selected_at: new Date().toISOString()
+            };
+
+            if (edits && asset.scheme === 'image') {
+                if (edits.crop) {
+                    data.rendition = { crop: edits.crop };
+                }
+                if (edits.focal_point) {
+                    data.focal_point = edits.focal_point;
+                }
+            }
+
+            return JSON.stringify(data);
+        }
+
+        /**
+         * Load the crop and focal point of the field's current value into the tool
+         */
+        function restoreAssetEdits(assetId, reference) {
+            if (assetEdits[assetId] || (!reference.rendition && !reference.focal_point)) {
+                return;
+            }
+            assetEdits[assetId] = {
+                crop: reference.rendition ? reference.rendition.crop : null,
+                focal_point: reference.focal_point || null
+            };
+        }
+
+        /**
+         * Load full data for every selected asset and hand them to the owner
+         */
+        function confirmMultipleSelection() {
+            if (selectedAssets.length === 0) {
+                return;
+            }
+
+            $confirmBtn.prop('disabled', true);
+            recordRecentAssets(selectedAssets);
+
+            var requests = $.map(selectedAssets, function(asset) {
+                return getAssetDetails(asset).then(null, function() {
+                    // Keep the tile data so one failed lookup doesn't drop the whole selection
+                    return $.Deferred().resolve(asset).promise();
+                });
+            });
+
+            $.when.apply($, requests).done(function() {
+                finishSelection(Array.prototype.slice.call(arguments));
+            });
+        }
+
+        /**
+         * Confirm the selection
+         */
+        function confirmSelection() {
+            if (isMultiple) {
+                confirmMultipleSelection();
+                return;
+            }
+
+            if (!selectedAsset) {
+                return;
+            }
+
+            var asset = selectedAsset;
+            $confirmBtn.prop('disabled', true);
+            recordRecentAssets([asset]);
+
+            // Full asset data (with filename) is usually already loaded by the inspector
+            getAssetDetails(asset)
+                .done(function(fullAssetData) {
+                    finishSelection([fullAssetData]);
+                })
+                .fail(function() {
+                    // Fall back to the tile data
+                    finishSelection([asset]);
+                });
+        }
+
+        /**
+         * Attach the record to store to each asset, pass them on and close
+         */
+        function finishSelection(assets) {
+            assets = $.map(assets, function(asset) {
+                var storedValue = buildStoredValue(asset);
+
+                if (!storedValue) {
+                    console.warn('ACF Canto: No download URL could be determined for asset:', asset.id);
+                }
+
+                return $.extend({}, asset, { stored_value: storedValue });
+            });
+
+            closeModal();
+            settings.onConfirm(assets);
+        }
+
+        /**
+         * Number of assets that can still be added, or -1 for no limit
+         */
+        function getRemainingCapacity() {
+            return settings.getRemainingCapacity();
+        }
+        
+        /**
+         * Switch between search and browse views
+         */
+        function switchView(view) {
+            $navTabs.removeClass('active').attr({ 'aria-selected': 'false', tabindex: '-1' });
+            $navTabs.filter('[data-view="' + view + '"]').addClass('active').attr({ 'aria-selected': 'true', tabindex: '0' });
+
+            $modal.find('.acf-canto-view').removeClass('active');
+
+            if (view === 'search') {
+                $searchView.addClass('active');
+            } else if (view === 'browse') {
+                $browseView.addClass('active');
+                // Load tree if not already loaded
+                if ($treeContainer.is(':empty')) {
+                    loadTree();
+                }
+                // Load recent assets by default
+                if ($browseAssets.is(':empty')) {
+                    performSearch('', $browseAssets, $browseLoading);
+                }
+            } else if (view === 'recent') {
+                $recentView.addClass('active');
+                // Always reload: other Canto fields may have added to the lists
+                loadUserAssets();
+            }
+        }
+
+        /**
+         * Switch between grid and list view modes
+         */
+        function switchViewMode(viewMode) {
+            currentViewMode = viewMode;
+
+            // Update toggle button states
+            $viewToggleBtns.removeClass('active').attr('aria-pressed', 'false');
+            $viewToggleBtns.filter('[data-view-mode="' + viewMode + '"]').addClass('active').attr('aria-pressed', 'true');
+
+            // Apply view mode to both search and browse asset grids
+            var $allGrids = $modal.find('.acf-canto-assets-grid');
+
+            if (viewMode === 'list') {
+                $allGrids.addClass('list-view');
+            } else {
+                $allGrids.removeClass('list-view');
+            }
+
+            console.log('ACF Canto: Switched to ' + viewMode + ' view');
+        }
+        
+        /**
+         * Load the folder/album tree
+         */
+        function loadTree(albumId) {
+            console.log('ACF Canto: Loading tree for album:', albumId);
+            
+            $treeLoading.show();
+            announce(acf_canto.l10n.loading);
+            
+            // The field's root albums limit the tree
+            var data = {
+                action: 'acf_canto_get_tree',
+                album_id: albumId || '',
+                field_key: fieldKey,
+                field_token: fieldToken
+            };
+            
+            var request = sendRequest(data);
+            
+            if (!albumId) {
+                trackTreeRequest(request);
+                treeFilter = '';
+            }
+            
+            return request
+                .done(function(response) {
+                    if (!albumId && request !== treeRequest) {
+                        return;
+                    }
+                    
+                    $treeLoading.hide();
+                    
+                    if (response.success && response.data) {
+                        if (albumId) {
+                            // This is for expanding a specific album
+                            var $item = $treeContainer.find('[data-album-id="' + albumId + '"]');
+                            displayTreeChildren($item, response.data);
+                        } else {
+                            // This is the root tree
+                            if (response.data.state && !browseStateLoaded) {
+                                applyBrowseState(response.data.state, response.data.default_album);
+                            }
+                            displayTree(response.data);
+                            filterLoadedTree($.trim($treeFilter.val()));
+                            openLastAlbum();
+                        }
+                    } else {
+                        console.error('ACF Canto: Tree loading error:', response.data);
+                        if (!albumId) {
+                            showTreeError(getError(response), loadTree);
+                        }
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    if (status === 'abort') {
+                        return;
+                    }
+                    console.error('ACF Canto: Tree AJAX failed:', status, error);
+                    $treeLoading.hide();
+                    if (!albumId) {
+                        showTreeError(getError(null), loadTree);
+                    }
+                });
+        }
+        
+        /**
+         * Show why the root tree could not be loaded
+         */
+        function showTreeError(error, retry) {
+            var $item = $('<li class="acf-canto-tree-item">');
+            $treeContainer.empty().append($item);
+            showError($item, error, retry);
+        }
+        
+        /**
+         * Display the tree structure
+         */
+        function displayTree(data) {
+            $treeContainer.empty();
+            
+            if (!data || !data.results || data.results.length === 0) {
+                $treeContainer.html('<li class="acf-canto-tree-item"><div class="acf-canto-tree-link">No albums found</div></li>');
+                return;
+            }
+            
+            $.each(data.results, function(index, item) {
+                var $item = createTreeItem(item);
+                $treeContainer.append($item);
+            });
+
+            // The first item is the tree's tab stop
+            $treeContainer.find('.acf-canto-tree-link').first().attr('tabindex', '0');
+
+            restoreExpanded($treeContainer);
+        }
+        
+        /**
+         * Create a tree item element
+         */
+        function createTreeItem(item) {
+            // Check if this item has children or could have children
+            var hasChildren = item.children && item.children.length > 0;
+            var isAlbum = item.scheme === 'album';
+            var couldHaveChildren = !isAlbum && (item.type === 'folder' || hasChildren);
+            
+            // Determine icon based on type
+            var iconClass = isAlbum ? '📁' : '📂'; // Different icons for albums vs folders
+            
+            var $item = $('<li class="acf-canto-tree-item" role="none" data-album-id="' + item.id + '" data-scheme="' + (item.scheme || 'folder') + '">');
+
+            if (item.matched) {
+                $item.addClass('acf-canto-tree-match');
+            }
+            
+            var $link = $('<div class="acf-canto-tree-link" role="treeitem" tabindex="-1">');
+            
+            if (couldHaveChildren) {
+                $link.attr('aria-expanded', 'false');
+                $link.append('<span class="acf-canto-tree-expand" aria-hidden="true">+</span>');
+            } else {
+                $link.append('<span class="acf-canto-tree-expand"></span>');
+            }
+            
+            $link.append('<span class="acf-canto-tree-icon" aria-hidden="true">' + iconClass + '</span>');
+            $link.append('<span class="acf-canto-tree-name">' + (item.name || 'Untitled') + '</span>');
+            
+            $item.append($link);
+            
+            // Only pre-populate immediate children if they exist
+            if (hasChildren) {
+                var $children = $('<ul class="acf-canto-tree-children" role="group">');
+                $.each(item.children, function(index, child) {
+                    $children.append(createTreeItem(child));
+                });
+                $item.append($children);
+                $item.addClass('expanded');
+                $link.attr('aria-expanded', 'true');
+                $link.find('.acf-canto-tree-expand').text('-');
+            }
+            
+            return $item;
+        }
+        
+        /**
+         * Display tree children for expanded item
+         */
+        function displayTreeChildren($item, data) {
+            var $children = $item.find('> .acf-canto-tree-children');
+            if ($children.length === 0) {
+                $children = $('<ul class="acf-canto-tree-children" role="group">');
+                $item.append($children);
+            }
+            
+            $children.empty();
+            
+            if (data && data.results) {
+                $.each(data.results, function(index, child) {
+                    $children.append(createTreeItem(child));
+                });
+            }
+
+            restoreExpanded($children);
+        }
+        
+        /**
+         * Toggle tree item expansion
+         *
+         * Resolves once the children are loaded. Restoring a remembered
+         * expansion doesn't save the state again.
+         */
+        function toggleTreeItem($item, restoring) {
+            var $link = $item.find('> .acf-canto-tree-link');
+            var albumId = $item.attr('data-album-id');
+
+            if ($item.hasClass('expanded')) {
+                $item.removeClass('expanded');
+                $link.filter('[aria-expanded]').attr('aria-expanded', 'false');
+                $link.find('.acf-canto-tree-expand').text('+');
+                rememberExpanded(albumId, false);
+            } else {
+                $item.addClass('expanded');
+                $link.filter('[aria-expanded]').attr('aria-expanded', 'true');
+                $link.find('.acf-canto-tree-expand').text('-');
+
+                if (!restoring) {
+                    rememberExpanded(albumId, true);
+                }
+                
+                // Load children if not already loaded
+                var $children = $item.find('> .acf-canto-tree-children');
+                if ($children.length === 0 || $children.is(':empty')) {
+                    return loadSubfolders(albumId, $item);
+                }
+            }
+
+            return $.Deferred().resolve().promise();
+        }
+        
+        /**
+         * Load subfolders for a specific item
+         */
+        function loadSubfolders(albumId, $parentItem) {
+            console.log('ACF Canto: Loading subfolders for:', albumId);
+            
+            var data = {
+                action: 'acf_canto_get_tree',
+                album_id: albumId,
+                field_key: fieldKey,
+                field_token: fieldToken
+            };
+            
+            var request = sendRequest(data);
+            
+            // Lets revealTreePath() wait for children that are still loading
+            $parentItem.data('children-request', request);
+            
+            return request
+                .done(function(response) {
+                    if (response.success && response.data) {
+                        displayTreeChildren($parentItem, response.data);
+                    } else {
+                        showSubfolderError(albumId, $parentItem, getError(response));
+                    }
+                })
+                .fail(function() {
+                    showSubfolderError(albumId, $parentItem, getError(null));
+                });
+        }
+        
+        /**
+         * Show why a folder's children could not be loaded, in place of them
+         */
+        function showSubfolderError(albumId, $parentItem, error) {
+            var $item = $('<li class="acf-canto-tree-item">');
+            
+            displayTreeChildren($parentItem, null);
+            $parentItem.find('> .acf-canto-tree-children').append($item);
+            showError($item, error, function() {
+                loadSubfolders(albumId, $parentItem);
+            });
+        }
+        
+        /**
+         * Select an album and load its assets
+         *
+         * The path lists the album's ancestor folders, each with 'id' and 'name'.
+         */
+        function selectAlbum(albumId, albumName, path) {
+            albumId = String(albumId);
+            path = path || [];
+
+            // Update active state
+            $treeContainer.find('.acf-canto-tree-link').removeClass('active');
+            findTreeItem(albumId).find('> .acf-canto-tree-link').addClass('active');
+            
+            // Update current path
+            currentAlbumName = albumName || 'Selected Album';
+            renderBreadcrumbs(path, { id: albumId, name: currentAlbumName });
+
+            if (!lastAlbum || lastAlbum.id !== albumId) {
+                lastAlbum = { id: albumId, name: currentAlbumName, path: path };
+                saveBrowseState();
+            }
+            
+            // Load album assets
+            currentAlbumId = albumId;
+            loadAlbumAssets(albumId);
+        }
+
+        /**
+         * Go back to the listing of all assets
+         */
+        function showAllAssets() {
+            currentAlbumId = null;
+            currentAlbumName = '';
+            lastAlbum = null;
+            saveBrowseState();
+
+            $treeContainer.find('.acf-canto-tree-link').removeClass('active');
+            renderBreadcrumbs([], null);
+            performSearch('', $browseAssets, $browseLoading);
+        }
+
+        /**
+         * Show the breadcrumb trail: All Assets, the folders leading to the album, the album
+         */
+        function renderBreadcrumbs(path, album) {
+            var crumbs = [{ id: '', name: acf_canto.l10n.all_assets }].concat(path);
+
+            if (album) {
+                crumbs.push(album);
+            }
+
+            $currentPath.empty();
+
+            $.each(crumbs, function(index, crumb) {
+                var $crumb = $('<li class="acf-canto-breadcrumb">');
+
+                if (index === crumbs.length - 1) {
+                    $crumb.attr('aria-current', 'location').text(crumb.name);
+                } else {
+                    $crumb.append($('<button type="button" class="button-link acf-canto-breadcrumb-link">')
+                        .text(crumb.name)
+                        .data('path', crumbs.slice(1, index + 1)));
+                }
+
+                $currentPath.append($crumb);
+            });
+        }
+
+        /**
+         * Ancestor folders of a tree item, outermost first
+         */
+        function getTreePath($item) {
+            return $.map($item.parents('.acf-canto-tree-item').get().reverse(), function(element) {
+                return {
+                    id: $(element).attr('data-album-id'),
+                    name: $(element).find('> .acf-canto-tree-link .acf-canto-tree-name').text()
+                };
+            });
+        }
+
+        /**
+         * Find a loaded tree item by album or folder ID
+         */
+        function findTreeItem(albumId) {
+            return $treeContainer.find('.acf-canto-tree-item').filter(function() {
+                return $(this).attr('data-album-id') === String(albumId);
+            }).first();
+        }
+
+        /**
+         * Expand the folders of a path one by one, loading each as needed
+         *
+         * Resolves with the item of the last node, or rejects when a node
+         * is no longer in the tree.
+         */
+        function revealTreePath(path) {
+            var chain = $.Deferred().resolve().promise();
+            var $target = $();
+
+            // Folders can't be shown inside filter results that leave them out
+            if (treeFilter) {
+                $treeFilter.val('');
+                clearTimeout(treeFilterTimer);
+                chain = loadTree();
+            }
+
+            $.each(path, function(index, node) {
+                chain = chain.then(function() {
+                    $target = findTreeItem(node.id);
+
+                    if (!$target.length) {
+                        return $.Deferred().reject().promise();
+                    }
+
+                    if (index < path.length - 1) {
+                        return $target.hasClass('expanded') ? $target.data('children-request') : toggleTreeItem($target);
+                    }
+                });
+            });
+
+            return chain.then(function() {
+                return $target;
+            });
+        }
+
+        /**
+         * Move the tree's tab stop to an item and focus it
+         */
+        function focusTreeItem($item) {
+            var $link = $item.find('> .acf-canto-tree-link');
+
+            $treeContainer.find('.acf-canto-tree-link').attr('tabindex', '-1');
+            $link.attr('tabindex', '0').focus();
+            $link[0].scrollIntoView({ block: 'nearest' });
+        }
+
+        /**
+         * Take over the expanded folders and last album saved for the user
+         *
+         * The field's default album, when there is one, opens instead of the last album.
+         */
+        function applyBrowseState(state, defaultAlbum) {
+            browseStateLoaded = true;
+            expandedIds = {};
+
+            $.each(state.expanded || [], function(index, albumId) {
+                expandedIds[albumId] = true;
+            });
+
+            lastAlbum = defaultAlbum || state.album || null;
+        }
+
+        /**
+         * Reopen the last album when the Browse tab first shows the listing of all assets
+         */
+        function openLastAlbum() {
+            if (!lastAlbum || currentAlbumId) {
+                return;
+            }
+
+            var album = lastAlbum;
+
+            selectAlbum(album.id, album.name, album.path || []);
+
+            revealTreePath((album.path || []).concat([album])).done(function($item) {
+                $item.find('> .acf-canto-tree-link').addClass('active');
+            });
+        }
+
+        /**
+         * Expand the remembered folders among newly shown tree items
+         */
+        function restoreExpanded($container) {
+            if (treeFilter) {
+                return;
+            }
+
+            $container.find('.acf-canto-tree-item').each(function() {
+                var $item = $(this);
+
+                if (expandedIds[$item.attr('data-album-id')] && !$item.hasClass('expanded') && $item.find('> .acf-canto-tree-link').is('[aria-expanded]')) {
+                    toggleTreeItem($item, true);
+                }
+            });
+        }
+
+        /**
+         * Record a folder being expanded or collapsed
+         *
+         * Folders opened inside filter results aren't remembered.
+         */
+        function rememberExpanded(albumId, expanded) {
+            if (treeFilter) {
+                return;
+            }
+
+            if (expanded) {
+                expandedIds[albumId] = true;
+            } else {
+                delete expandedIds[albumId];
+            }
+
+            saveBrowseState();
+        }
+
+        /**
+         * Save the Browse tab state for the user, once changes settle
+         */
+        function saveBrowseState() {
+            clearTimeout(saveBrowseTimer);
+
+            saveBrowseTimer = setTimeout(function() {
+                sendRequest({
+                    action: 'acf_canto_save_browse_state',
+                    expanded: $.map(expandedIds, function(value, albumId) {
+                        return albumId;
+                    }),
+                    album: lastAlbum
+                });
+            }, 1000);
+        }
+
+        /**
+         * Hide loaded tree items that don't match a filter, keeping their ancestors
+         */
+        function filterLoadedTree(filter) {
+            var $items = $treeContainer.find('.acf-canto-tree-item');
+            var needle = filter.toLowerCase();
+
+            if (!needle) {
+                $items.removeClass('acf-canto-tree-filtered-out');
+                return;
+            }
+
+            $items.addClass('acf-canto-tree-filtered-out');
+
+            $items.each(function() {
+                if ($(this).find('> .acf-canto-tree-link .acf-canto-tree-name').text().toLowerCase().indexOf(needle) !== -1) {
+                    $(this).parents('.acf-canto-tree-item').addBack().removeClass('acf-canto-tree-filtered-out');
+                }
+            });
+        }
+
+        /**
+         * Show the server's matches for a filter, or the full tree again once it is cleared
+         */
+        function applyTreeFilter(filter) {
+            if (filter === treeFilter || (filter !== '' && filter.length < MIN_QUERY_LENGTH)) {
+                return;
+            }
+
+            if (filter === '') {
+                loadTree();
+            } else {
+                loadTreeMatches(filter);
+            }
+        }
+
+        /**
+         * Load the albums and folders matching a filter from the whole tree
+         */
+        function loadTreeMatches(filter) {
+            treeFilter = filter;
+            $treeLoading.show();
+
+            var request = sendRequest({
+                action: 'acf_canto_get_tree',
+                filter: filter,
+                field_key: fieldKey,
+                field_token: fieldToken
+            });
+
+            trackTreeRequest(request);
+
+            return request
+                .done(function(response) {
+                    if (request !== treeRequest) {
+                        return;
+                    }
+
+                    $treeLoading.hide();
+
+                    if (!response.success || !response.data) {
+                        showTreeError(getError(response), function() {
+                            loadTreeMatches(filter);
+                        });
+                        return;
+                    }
+
+                    displayTreeMatches(response.data, filter);
+                })
+                .fail(function(xhr, status, error) {
+                    if (status === 'abort') {
+                        return;
+                    }
+                    $treeLoading.hide();
+                    showTreeError(getError(null), function() {
+                        loadTreeMatches(filter);
+                    });
+                });
+        }
+
+        /**
+         * Show filter matches nested under their folders, the filter highlighted
+         */
+        function displayTreeMatches(data, filter) {
+            if (!data.results || data.results.length === 0) {
+                $treeContainer.empty().append($('<li class="acf-canto-tree-item">').append(
+                    $('<div class="acf-canto-tree-link">').text(acf_canto.l10n.no_tree_matches)
+                ));
+                announce(acf_canto.l10n.no_tree_matches);
+                return;
+            }
+
+            displayTree(data);
+
+            $treeContainer.find('.acf-canto-tree-match > .acf-canto-tree-link .acf-canto-tree-name').each(function() {
+                var name = $(this).text();
+                var position = name.toLowerCase().indexOf(filter.toLowerCase());
+
+                if (position !== -1) {
+                    $(this).empty().append(
+                        document.createTextNode(name.slice(0, position)),
+                        $('<mark>').text(name.substr(position, filter.length)),
+                        document.createTextNode(name.slice(position + filter.length))
+                    );
+                }
+            });
+
+            if (currentAlbumId) {
+                findTreeItem(currentAlbumId).find('> .acf-canto-tree-link').addClass('active');
+            }
+
+            announce(acf_canto.l10n.tree_matches.replace('%d', data.found));
+        }
+
+        /**
+         * Make a root tree or filter request the one whose response is shown
+         */
+        function trackTreeRequest(request) {
+            if (treeRequest && treeRequest.abort) {
+                treeRequest.abort();
+            }
+
+            treeRequest = request;
+        }
+        
+        /**
+         * Load assets from a specific album
+         */
+        function loadAlbumAssets(albumId, start) {
+            start = start || 0;
+            var append = start > 0;
+            
+            console.log('ACF Canto: Loading assets for album:', albumId, 'start:', start);
+            
+            if (!append) {
+                $browseLoading.show();
+                $browseAssets.empty();
+                announce(acf_canto.l10n.loading);
+            }
+            
+            var data = $.extend({
+                action: 'acf_canto_get_album',
+                album_id: albumId,
+                start: start,
+                limit: PAGE_SIZE
+            }, getRestrictionData());
+            
+            var request = sendRequest(data);
+            
+            trackRequest($browseAssets, request, append);
+            
+            return request
+                .done(function(response) {
+                    // Ignore late pages for an album or listing that is no longer open
+                    if (!isCurrentRequest($browseAssets, request)) {
+                        return;
+                    }
+                    
+                    $browseLoading.hide();
+                    
+                    if (response.success && response.data) {
+                        displayAssets(response.data.assets, $browseAssets, append);
+                        updatePager($browseAssets, response.data, function(nextStart) {
+                            return loadAlbumAssets(albumId, nextStart);
+                        });
+                        announceResults(response.data);
+                    } else if (!append) {
+                        showError($browseAssets, getError(response), function() {
+                            loadAlbumAssets(albumId);
+                        });
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    if (status === 'abort') {
+                        return;
+                    }
+                    console.error('ACF Canto: Album assets AJAX failed:', status, error);
+                    $browseLoading.hide();
+                    if (!append) {
+                        showError($browseAssets, getError(null), function() {
+                            loadAlbumAssets(albumId);
+                        });
+                    }
+                });
+        }
+        
+        /**
+         * Load the current user's recent and favourite assets
+         */
+        function loadUserAssets() {
+            userAssetsLoaded = true;
+            $recentLoading.show();
+
+            sendRequest($.extend({
+                action: 'acf_canto_get_user_assets'
+            }, getRestrictionData()))
+                .done(function(response) {
+                    $recentLoading.hide();
+
+                    if (!response.success) {
+                        console.error('ACF Canto: Loading recent assets failed:', response.data);
+                        showUserAssetsError(getError(response));
+                        return;
+                    }
+
+                    setFavoriteIds(response.data.favorite_ids);
+                    displayUserAssets(response.data.favorites, $favoriteAssets, acf_canto.l10n.no_favorites);
+                    displayUserAssets(response.data.recent, $recentAssets, acf_canto.l10n.no_recent);
+                })
+                .fail(function(xhr, status, error) {
+                    console.error('ACF Canto: Recent assets AJAX failed:', status, error);
+                    $recentLoading.hide();
+                    showUserAssetsError(getError(null));
+                });
+        }
+
+        /**
+         * Show why the user's lists could not be loaded
+         */
+        function showUserAssetsError(error) {
+            // Try again next time the modal opens
+            userAssetsLoaded = false;
+            $favoriteAssets.empty();
+            showError($recentAssets, error, loadUserAssets);
+        }
+
+        /**
+         * Render one of the user's lists, with its own empty message
+         */
+        function displayUserAssets(assets, $target, emptyMessage) {
+            displayAssets(assets, $target);
+
+            if (!assets || assets.length === 0) {
+                $target.find('.acf-canto-no-results').text(emptyMessage);
+            }
+        }
+
+        /**
+         * Remember which assets are starred and update every tile's star
+         */
+        function setFavoriteIds(ids) {
+            favoriteIds = {};
+            $.each(ids || [], function(index, id) {
+                favoriteIds[id] = true;
+            });
+
+            $modal.find('.acf-canto-asset-item').each(function() {
+                updateFavoriteToggle($(this).find('.acf-canto-favorite-toggle'), !!favoriteIds[$(this).data('asset-id')]);
+            });
+        }
+
+        /**
+         * Build the star button shown on each tile
+         */
+        function createFavoriteToggle(assetId) {
+            var $toggle = $('<button type="button" class="acf-canto-favorite-toggle" tabindex="-1">');
+            $toggle.append('<span class="dashicons" aria-hidden="true"></span>');
+            updateFavoriteToggle($toggle, !!favoriteIds[assetId]);
+            return $toggle;
+        }
+
+        /**
+         * Reflect a favourite state on a star button
+         */
+        function updateFavoriteToggle($toggle, favorite) {
+            var label = favorite ? acf_canto.l10n.unfavorite : acf_canto.l10n.favorite;
+
+            $toggle.toggleClass('is-favorite', favorite)
+                .attr({ 'aria-pressed': favorite ? 'true' : 'false', 'aria-label': label, title: label });
+            $toggle.find('.dashicons')
+                .toggleClass('dashicons-star-filled', favorite)
+                .toggleClass('dashicons-star-empty', !favorite);
+        }
+
+        /**
+         * Star or unstar a tile's asset for the current user
+         */
+        function toggleFavorite($item) {
+            var assetId = $item.data('asset-id');
+            var favorite = !favoriteIds[assetId];
+            var $toggles = $modal.find('.acf-canto-asset-item').filter(function() {
+                return String($(this).data('asset-id')) === String(assetId);
+            }).find('.acf-canto-favorite-toggle');
+
+            // Update straight away and roll back if saving fails
+            updateFavoriteToggle($toggles, favorite);
+
+            sendRequest({
+                action: 'acf_canto_toggle_favorite',
+                asset_id: assetId,
+                favorite: favorite ? 1 : 0
+            })
+                .done(function(response) {
+                    if (!response.success) {
+                        console.error('ACF Canto: Saving favourite failed:', response.data);
+                        updateFavoriteToggle($toggles, !favorite);
+                        announce(getErrorMessage(getError(response)));
+                        return;
+                    }
+
+                    setFavoriteIds(response.data.favorite_ids);
+                    announce(favorite ? acf_canto.l10n.favorite_added : acf_canto.l10n.favorite_removed);
+
+                    if ($recentView.hasClass('active')) {
+                        loadUserAssets();
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    console.error('ACF Canto: Favourite AJAX failed:', status, error);
+                    updateFavoriteToggle($toggles, !favorite);
+                    announce(getErrorMessage(getError(null)));
+                });
+        }
+
+        /**
+         * Add confirmed assets to the current user's recent list
+         */
+        function recordRecentAssets(assets) {
+            sendRequest({
+                action: 'acf_canto_add_recent',
+                asset_ids: $.map(assets, function(asset) {
+                    return asset.id;
+                })
+            }).fail(function(xhr, status, error) {
+                console.error('ACF Canto: Recording recent assets failed:', status, error);
+            });
+        }
+
+        /**
+         * Check whether a drag event carries files (rather than text or a sorted gallery item)
+         */
+        function hasDraggedFiles(e) {
+            var dataTransfer = e.originalEvent && e.originalEvent.dataTransfer;
+            return !!dataTransfer && $.inArray('Files', $.makeArray(dataTransfer.types)) !== -1;
+        }
+
+        /**
+         * Highlight the area files are being dragged over
+         */
+        function showDropzone($target) {
+            if ($target.is($dialog)) {
+                var albumName = getUploadAlbumId() ? currentAlbumName : '';
+                $dropzone.find('.acf-canto-dropzone-label').text(albumName ?
+                    acf_canto.l10n.drop_to_upload_album.replace('%s', albumName) :
+                    acf_canto.l10n.drop_to_upload);
+                $dropzone.addClass('active');
+            } else {
+                settings.$dropTarget.addClass('acf-canto-drag-over');
+            }
+        }
+
+        /**
+         * Remove the drag highlight
+         */
+        function hideDropzone() {
+            dragDepth = 0;
+            $dropzone.removeClass('active');
+            settings.$dropTarget.removeClass('acf-canto-drag-over');
+        }
+
+        /**
+         * Album to upload into: the album open in the Browse tab, if any
+         *
+         * Without one the server falls back to the field's upload album.
+         */
+        function getUploadAlbumId() {
+            return ($modal.is(':visible') && $browseView.hasClass('active') && currentAlbumId) ? currentAlbumId : '';
+        }
+
+        /**
+         * The progress bar in the modal while it is open, otherwise the owner's
+         */
+        function getUploadProgress() {
+            return $modal.is(':visible') ?
+                $modal.find('.acf-canto-upload-progress') :
+                settings.$progress;
+        }
+
+        /**
+         * Show upload progress: a percentage, or null while Canto is processing
+         */
+        function setUploadProgress(message, percent, isError) {
+            var $progress = getUploadProgress();
+            var $bar = $progress.find('.acf-canto-upload-progress-bar');
+
+            $modal.find('.acf-canto-upload-progress').add(settings.$progress).not($progress).hide();
+            $progress.show().toggleClass('acf-canto-upload-error', !!isError);
+            $progress.find('.acf-canto-upload-progress-label').text(message);
+
+            if (percent === null) {
+                // A progress element without a value is indeterminate
+                $bar.removeAttr('value');
+            } else {
+                $bar.attr('value', percent);
+            }
+            $bar.toggle(!isError);
+            announce(message);
+        }
+
+        /**
+         * Upload files to Canto one by one, then select the new assets
+         */
+        function uploadFiles(fileList) {
+            var files = $.makeArray(fileList);
+
+            if (uploading || files.length === 0) {
+                return;
+            }
+
+            if (!isMultiple) {
+                files = files.slice(0, 1);
+            } else if (getRemainingCapacity() !== -1) {
+                files = files.slice(0, Math.max(0, getRemainingCapacity() - selectedAssets.length));
+                if (files.length === 0) {
+                    announce(acf_canto.l10n.max_reached.replace('%d', maxAssets));
+                    return;
+                }
+            }
+
+            var albumId = getUploadAlbumId();
+            var uploaded = [];
+            var failed = false;
+            var chain = $.Deferred().resolve().promise();
+
+            uploading = true;
+            $modal.find('.acf-canto-upload-btn').prop('disabled', true);
+
+            $.each(files, function(index, file) {
+                chain = chain.then(function() {
+                    return uploadFile(file, albumId).then(function(asset) {
+                        uploaded.push(asset);
+                    }, function() {
+                        // Keep going so one bad file doesn't stop the rest
+                        failed = true;
+                        return $.Deferred().resolve().promise();
+                    });
+                });
+            });
+
+            chain.always(function() {
+                uploading = false;
+                $modal.find('.acf-canto-upload-btn').prop('disabled', false);
+
+                if (!failed) {
+                    getUploadProgress().hide();
+                }
+
+                if (uploaded.length) {
+                    // New assets would be missing from cached searches
+                    searchCache = {};
+                    selectUploadedAssets(uploaded);
+                }
+            });
+        }
+
+        /**
+         * Upload a single file and wait for Canto to finish processing it
+         *
+         * Resolves with the formatted asset.
+         */
+        function uploadFile(file, albumId) {
+            var deferred = $.Deferred();
+            var data = new FormData();
+
+            data.append('action', 'acf_canto_upload');
+            data.append('field_key', fieldKey);
+            data.append('field_token', fieldToken);
+            data.append('album_id', albumId);
+            data.append('file', file);
+
+            setUploadProgress(acf_canto.l10n.uploading.replace('%s', file.name), 0);
+
+            sendRequest(data, {
+                processData: false,
+                contentType: false,
+                xhr: function() {
+                    var xhr = $.ajaxSettings.xhr();
+                    if (xhr.upload) {
+                        xhr.upload.addEventListener('progress', function(e) {
+                            if (e.lengthComputable) {
+                                getUploadProgress().find('.acf-canto-upload-progress-bar').attr('value', Math.round(e.loaded / e.total * 100));
+                            }
+                        });
+                    }
+                    return xhr;
+                }
+            })
+                .done(function(response) {
+                    if (response.success) {
+                        setUploadProgress(acf_canto.l10n.processing.replace('%s', file.name), null);
+                        pollUploadStatus(file, response.data, deferred, 0);
+                    } else {
+                        failUpload(file, getError(response), deferred);
+                    }
+                })
+                .fail(function(xhr, status, error) {
+                    console.error('ACF Canto: Upload failed:', status, error);
+                    failUpload(file, getError(null), deferred);
+                });
+
+            return deferred.promise();
+        }
+
+        /**
+         * Ask the server whether Canto has finished processing an upload
+         */
+        function pollUploadStatus(file, upload, deferred, attempt) {
+            if (attempt >= UPLOAD_POLL_LIMIT) {
+                setUploadProgress(acf_canto.l10n.upload_timeout.replace('%s', file.name), null, true);
+                deferred.reject();
+                return;
+            }
+
+            setTimeout(function() {
+                sendRequest({
+                    action: 'acf_canto_upload_status',
+                    file_name: upload.file_name,
+                    known_ids: upload.known_ids
+                })
+                    .done(function(response) {
+                        var error = response.success ? null : getError(response);
+
+                        // Canto being busy or down for a moment is waited out like a network hiccup
+                        if (error && (error.code === 'rate_limited' || error.code === 'canto_unavailable')) {
+                            pollUploadStatus(file, upload, deferred, attempt + 1);
+                        } else if (error) {
+                            failUpload(file, error, deferred);
+                        } else if (response.data.status === 'done') {
+                            var asset = response.data.asset;
+                            assetDetails[asset.id] = $.Deferred().resolve(asset).promise();
+                            setUploadProgress(acf_canto.l10n.upload_done.replace('%s', file.name), 100);
+                            deferred.resolve(asset);
+                        } else {
+                            pollUploadStatus(file, upload, deferred, attempt + 1);
+                        }
+                    })
+                    .fail(function() {
+                        // Network hiccups are retried until the poll limit
+                        pollUploadStatus(file, upload, deferred, attempt + 1);
+                    });
+            }, UPLOAD_POLL_INTERVAL);
+        }
+
+        /**
+         * Report a failed upload
+         */
+        function failUpload(file, error, deferred) {
+            console.error('ACF Canto: Upload of ' + file.name + ' failed:', error);
+            setUploadProgress(acf_canto.l10n.upload_failed.replace('%1$s', file.name).replace('%2$s', getErrorMessage(error)), null, true);
+            deferred.reject();
+        }
+
+        /**
+         * Select freshly uploaded assets through the normal confirm path
+         */
+        function selectUploadedAssets(assets) {
+            if (isMultiple) {
+                $.each(assets, function(index, asset) {
+                    if (findSelectedIndex(asset.id) === -1) {
+                        selectedAssets.push(asset);
+                    }
+                });
+            } else {
+                selectedAsset = assets[0];
+            }
+
+            confirmSelection();
+        }
+
+        /**
+         * Fetch full asset data, reusing any earlier lookup for the same asset
+         */
+        function getAssetDetails(asset) {
+            if (!assetDetails[asset.id]) {
+                var request = sendRequest({
+                    action: 'acf_canto_get_asset',
+                    asset_id: asset.id
+                }).then(function(response) {
+                    if (response.success && response.data) {
+                        return response.data;
+                    }
+                    return $.Deferred().reject(getError(response)).promise();
+                }, function() {
+                    return $.Deferred().reject(getError(null)).promise();
+                });
+
+                // Forget failed lookups so they are retried next time
+                request.fail(function() {
+                    delete assetDetails[asset.id];
+                });
+
+                assetDetails[asset.id] = request;
+            }
+
+            return assetDetails[asset.id];
+        }
+
+        /**
+         * Show an asset in the inspector pane and load its full details
+         */
+        function showInspector(asset) {
+            var $metadata = $inspector.find('.acf-canto-inspector-metadata');
+            var $metadataLoading = $inspector.find('.acf-canto-inspector-loading');
+
+            $inspector.data('asset-id', asset.id).show();
+            $inspector.find('.acf-canto-inspector-name').text(asset.name || '');
+            $inspectorUrl.val(resolveAssetUrl(asset));
+            renderInspectorPreview(asset);
+
+            $metadata.empty();
+            $metadataLoading.show();
+
+            getAssetDetails(asset)
+                .done(function(details) {
+                    // Ignore lookups for an asset that is no longer inspected
+                    if ($inspector.data('asset-id') !== asset.id) {
+                        return;
+                    }
+
+                    $inspectorUrl.val(resolveAssetUrl(details));
+                    renderInspectorPreview(details);
+                    displayMetadata(details.metadata_display || {}, $metadata);
+                })
+                .fail(function(error) {
+                    if ($inspector.data('asset-id') === asset.id) {
+                        showError($metadata, error, function() {
+                            showInspector(asset);
+                        });
+                    }
+                })
+                .always(function() {
+                    if ($inspector.data('asset-id') === asset.id) {
+                        $metadataLoading.hide();
+                    }
+                });
+        }
+
+        /**
+         * Render the large preview: image, playable video or document first page
+         */
+        function renderInspectorPreview(asset) {
+            var $preview = $inspector.find('.acf-canto-inspector-preview');
+            var imageUrl = asset.url || asset.thumbnail || getDefaultThumbnail(asset.scheme);
+            var playUrl = asset.scheme === 'video' ? asset.preview_play_url : '';
+            var source = playUrl || imageUrl;
+
+            // Don't restart a playing video when full details arrive
+            if ($preview.data('source') === source) {
+                return;
+            }
+            $preview.data('source', source).empty();
+            $cropTools.hide();
+
+            if (playUrl) {
+                $preview.append($('<video controls preload="metadata">').attr({ src: playUrl, poster: imageUrl }));
+                return;
+            }
+
+            var $img = $('<img>').attr({ src: imageUrl, alt: asset.name || '' }).on('error', function() {
+                // Fall back to the proxied thumbnail, then to the type icon
+                var fallback = (asset.thumbnail && $(this).attr('src') !== asset.thumbnail) ? asset.thumbnail : getDefaultThumbnail(asset.scheme);
+                if ($(this).attr('src') !== fallback) {
+                    $(this).attr('src', fallback);
+                }
+            });
+
+            if (!cropEnabled || asset.scheme !== 'image') {
+                $preview.append($img);
+                return;
+            }
+
+            // Overlays are positioned in percentages of the stage, which is sized by the image
+            var $stage = $('<div class="acf-canto-crop-stage" tabindex="0">');
+            $stage.append($img);
+            $stage.append('<div class="acf-canto-crop-box" style="display: none;"></div>');
+            $stage.append('<div class="acf-canto-focal-marker" style="display: none;"></div>');
+            $preview.append($stage);
+
+            $cropTools.show();
+            setCropMode(cropMode);
+            updateCropOverlay();
+        }
+
+        /**
+         * Switch the crop tool between placing the focal point and drawing a crop
+         */
+        function setCropMode(mode) {
+            cropMode = mode;
+            $cropTools.find('.acf-canto-crop-mode').each(function() {
+                var active = $(this).data('mode') === mode;
+                $(this).toggleClass('active', active).attr('aria-pressed', active ? 'true' : 'false');
+            });
+            $inspector.find('.acf-canto-crop-stage').toggleClass('is-cropping', mode === 'crop');
+        }
+
+        /**
+         * Draw the inspected asset's crop box and focal point
+         */
+        function updateCropOverlay() {
+            var $stage = $inspector.find('.acf-canto-crop-stage');
+            var edits = assetEdits[$inspector.data('asset-id')] || {};
+            var $box = $stage.find('.acf-canto-crop-box');
+            var $marker = $stage.find('.acf-canto-focal-marker');
+            var focal = edits.focal_point || { x: 0.5, y: 0.5 };
+
+            if (edits.crop) {
+                $box.css({
+                    left: (edits.crop.x * 100) + '%',
+                    top: (edits.crop.y * 100) + '%',
+                    width: (edits.crop.width * 100) + '%',
+                    height: (edits.crop.height * 100) + '%'
+                }).show();
+            } else {
+                $box.hide();
+            }
+
+            $marker.css({ left: (focal.x * 100) + '%', top: (focal.y * 100) + '%' }).toggle(!!edits.focal_point);
+            $stage.attr('aria-label', acf_canto.l10n.focal_point_label
+                .replace('%1$d', Math.round(focal.x * 100))
+                .replace('%2$d', Math.round(focal.y * 100))
+                .replace(/%%/g, '%'));
+        }
+
+        /**
+         * Get a pointer position as fractions of the stage
+         */
+        function getStagePoint($stage, e) {
+            var rect = $stage[0].getBoundingClientRect();
+            return {
+                x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+                y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+            };
+        }
+
+        /**
+         * Place the focal point, or drag out a crop box, from a mouse press
+         */
+        function startCropInteraction($stage, e) {
+            var assetId = $inspector.data('asset-id');
+            var edits = assetEdits[assetId] = assetEdits[assetId] || {};
+            var start = getStagePoint($stage, e);
+
+            $stage.focus();
+
+            if (cropMode === 'focal') {
+                edits.focal_point = roundPoint(start);
+                updateCropOverlay();
+                return;
+            }
+
+            $(document).on('mousemove.acfCantoCrop', function(moveEvent) {
+                var point = getStagePoint($stage, moveEvent);
+                edits.crop = {
+                    x: roundFraction(Math.min(start.x, point.x)),
+                    y: roundFraction(Math.min(start.y, point.y)),
+                    width: roundFraction(Math.abs(point.x - start.x)),
+                    height: roundFraction(Math.abs(point.y - start.y))
+                };
+                updateCropOverlay();
+            }).on('mouseup.acfCantoCrop', function() {
+                $(document).off('.acfCantoCrop');
+
+                // A click without a drag clears the crop
+                if (edits.crop && (edits.crop.width < 0.01 || edits.crop.height < 0.01)) {
+                    edits.crop = null;
+                    updateCropOverlay();
+                }
+            });
+        }
+
+        /**
+         * Move the focal point with the arrow keys (Shift for finer steps)
+         */
+        function handleFocalKeydown(e) {
+            var step = e.shiftKey ? 0.01 : 0.05;
+            var delta = { 37: [-step, 0], 38: [0, -step], 39: [step, 0], 40: [0, step] }[e.which];
+
+            if (!delta) {
+                return;
+            }
+            e.preventDefault();
+
+            var assetId = $inspector.data('asset-id');
+            var edits = assetEdits[assetId] = assetEdits[assetId] || {};
+            var focal = edits.focal_point || { x: 0.5, y: 0.5 };
+
+            edits.focal_point = roundPoint({
+                x: Math.min(Math.max(focal.x + delta[0], 0), 1),
+                y: Math.min(Math.max(focal.y + delta[1], 0), 1)
+            });
+            updateCropOverlay();
+        }
+
+        /**
+         * Round a fraction for storage
+         */
+        function roundFraction(value) {
+            return Math.round(value * 10000) / 10000;
+        }
+
+        /**
+         * Round both coordinates of a point for storage
+         */
+        function roundPoint(point) {
+            return { x: roundFraction(point.x), y: roundFraction(point.y) };
+        }
+
+        /**
+         * Hide and reset the inspector pane
+         */
+        function hideInspector() {
+            $inspector.hide().removeData('asset-id');
+            $cropTools.hide();
+            $inspector.find('.acf-canto-inspector-preview').removeData('source').empty();
+            $inspector.find('.acf-canto-inspector-metadata').empty();
+            $inspectorUrl.val('');
+        }
+
+        /**
+         * Copy the inspected asset's URL to the clipboard
+         */
+        function copyInspectorUrl($button) {
+            var url = $inspectorUrl.val();
+
+            if (!url) {
+                return;
+            }
+
+            var copied = function() {
+                announce(acf_canto.l10n.url_copied);
+                $button.text(acf_canto.l10n.copied);
+                setTimeout(function() {
+                    $button.text(acf_canto.l10n.copy_url);
+                }, 1500);
+            };
+
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText(url).then(copied, function() {
+                    announce(acf_canto.l10n.copy_failed);
+                });
+                return;
+            }
+
+            // Older browsers and plain-HTTP admin screens
+            $inspectorUrl.trigger('select');
+            try {
+                if (document.execCommand('copy')) {
+                    copied();
+                    return;
+                }
+            } catch (err) {
+                console.error('ACF Canto: Copy failed:', err);
+            }
+            announce(acf_canto.l10n.copy_failed);
+        }
+
+        return {
+            open: openModal,
+            close: closeModal,
+            uploadFiles: uploadFiles
+        };
+    }
+    
+    /**
+     * Pick the URL to store for an asset (preferring direct URLs)
+     */
+    function resolveAssetUrl(asset) {
+        // Priority 1: Use direct_url if available (new direct document format)
+        if (asset.direct_url) {
+            return asset.direct_url;
+        }
+        // Priority 2: Use download_url if available
+        if (asset.download_url) {
+            return asset.download_url;
+        }
+        // Priority 3: Construct direct URL from asset ID
+        if (asset.id && acf_canto.canto_domain) {
+            return 'https://' + acf_canto.canto_domain + '/direct/document/' + asset.id;
+        }
+        return '';
+    }
+
+    /**
+     * Read a stored value: a JSON asset record, or a legacy bare URL
+     */
+    function parseStoredValue(value) {
+        if (value && value.charAt(0) === '{') {
+            try {
+                var data = JSON.parse(value);
+                if (data && data.url) {
+                    return data;
+                }
+            } catch (err) {
+                console.error('ACF Canto: Could not parse stored value:', value);
+            }
+        }
+        return { url: value || '' };
+    }
+
+    /**
+     * Get default thumbnail URL based on asset type
+     */
+    function getDefaultThumbnail(scheme) {
+        var baseUrl = acf_canto.plugin_url;
+        switch (scheme) {
+            case 'video':
+                return baseUrl + 'assets/images/default-video.svg';
+            case 'document':
+                return baseUrl + 'assets/images/default-document.svg';
+            case 'image':
+            default:
+                return baseUrl + 'assets/images/default-image.svg';
+        }
+    }
+
+    /**
+     * Display formatted metadata
+     */
+    function displayMetadata(metadataDisplay, $container) {
+        var html = '';
+        
+        // Handle simplified metadata structure
+        if (metadataDisplay.metadata && metadataDisplay.metadata.length > 0) {
+            html += '<dl class="acf-canto-metadata-list">';
+            
+            metadataDisplay.metadata.forEach(function(item) {
+                html += '<dt>' + escapeHtml(item.label) + ':</dt>';
+                html += '<dd>' + escapeHtml(item.value) + '</dd>';
+            });
+            
+            html += '</dl>';
+        }
+        
+        if (!html) {
+            html = '<p>' + escapeHtml(acf_canto.l10n.no_metadata) + '</p>';
+        }
+        
+        if (metadataDisplay.usage) {
+            html += renderUsage(metadataDisplay.usage);
+        }
+        
+        $container.html(html);
+    }
+
+    /**
+     * Build the "Used in N places" line with links to the first few places
+     */
+    function renderUsage(usage) {
+        var total = parseInt(usage.total, 10) || 0;
+        var places = usage.places || [];
+        var summary;
+        
+        if (total === 0) {
+            summary = acf_canto.l10n.not_used;
+        } else if (total === 1) {
+            summary = acf_canto.l10n.used_in_one;
+        } else {
+            summary = acf_canto.l10n.used_in.replace('%d', total);
+        }
+        
+        var html = '<div class="acf-canto-usage">';
+        html += '<p class="acf-canto-usage-count">' + escapeHtml(summary) + '</p>';
+        
+        if (places.length) {
+            html += '<ul class="acf-canto-usage-list">';
+            
+            places.forEach(function(place) {
+                var title = escapeHtml(place.title);
+                
+                html += '<li>';
+                html += place.edit_url ? '<a href="' + escapeHtml(place.edit_url) + '" target="_blank" rel="noopener">' + title + '</a>' : title;
+                html += ' <span class="acf-canto-usage-field">' + escapeHtml(place.field_label) + '</span>';
+                html += '</li>';
+            });
+            
+            if (total > places.length) {
+                html += '<li>' + escapeHtml(acf_canto.l10n.usage_more.replace('%d', total - places.length)) + '</li>';
+            }
+            
+            html += '</ul>';
+        }
+        
+        html += '</div>';
+        
+        return html;
+    }
+
+    /**
+     * Escape a metadata string for insertion as HTML
+     */
+    function escapeHtml(value) {
+        return $('<div>').text(value === undefined || value === null ? '' : String(value)).html();
+    }
+
+    // Nonce refresh in flight, shared by every picker on the page
+    var nonceRequest = null;
+
+    /**
+     * Post an admin-ajax action with the current nonce
+     *
+     * Error responses arrive through done() whatever their HTTP status, with
+     * the 'code' and 'message' from ACF_Canto_AJAX_Handler::send_error() in
+     * their data. An expired nonce is refreshed once and the request sent
+     * again without the caller noticing. Only requests that got no answer
+     * (network errors, aborts) fail.
+     *
+     * Returns a promise with abort().
+     */
+    function sendRequest(data, ajaxOptions) {
+        var deferred = $.Deferred();
+        var promise = deferred.promise();
+        var refreshed = false;
+        var aborted = false;
+        var xhr;
+
+        function send() {
+            if (aborted) {
+                return;
+            }
+
+            if (data instanceof FormData) {
+                data.set('nonce', acf_canto.nonce);
+            } else {
+                data = $.extend({}, data, { nonce: acf_canto.nonce });
+            }
+
+            xhr = $.ajax($.extend({
+                url: acf_canto.ajax_url,
+                type: 'POST',
+                data: data,
+                dataType: 'json'
+            }, ajaxOptions))
+                .done(finish)
+                .fail(function(jqXHR, status, error) {
+                    // admin-ajax answers "0" once the user is logged out
+                    if (jqXHR.responseText === '0') {
+                        finish({ success: false, data: { code: 'invalid_nonce' } });
+                    } else if (jqXHR.responseJSON && jqXHR.responseJSON.success === false) {
+                        finish(jqXHR.responseJSON);
+                    } else {
+                        deferred.reject(jqXHR, status, error);
+                    }
+                });
+        }
+
+        function finish(response) {
+            if (!refreshed && response && response.success === false && getError(response).code === 'invalid_nonce') {
+                refreshed = true;
+                refreshNonce().done(send).fail(function() {
+                    deferred.resolve(response);
+                });
+                return;
+            }
+
+            deferred.resolve(response);
+        }
+
+        promise.abort = function() {
+            aborted = true;
+            if (xhr) {
+                xhr.abort();
+            }
+            if (deferred.state() === 'pending') {
+                deferred.reject(xhr, 'abort', 'abort');
+            }
+        };
+
+        send();
+
+        return promise;
+    }
+
+    /**
+     * Get a new nonce for the logged-in user
+     */
+    function refreshNonce() {
+        if (!nonceRequest) {
+            nonceRequest = $.post(acf_canto.ajax_url, { action: 'acf_canto_refresh_nonce' }).then(function(response) {
+                if (!response || !response.success || !response.data.nonce) {
+                    return $.Deferred().reject().promise();
+                }
+                acf_canto.nonce = response.data.nonce;
+            }).always(function() {
+                nonceRequest = null;
+            });
+        }
+
+        return nonceRequest;
+    }
+
+    /**
+     * Read the error of a failed response
+     *
+     * Returns the 'code', 'message' and, for administrators, 'details'. A
+     * missing response means the request never got an answer.
+     */
+    function getError(response) {
+        var data = response ? response.data : null;
+
+        if (data && data.code) {
+            return data;
+        }
+
+        if (typeof data === 'string' && data) {
+            return { code: 'error', message: data };
+        }
+
+        return { code: response ? 'error' : 'network' };
+    }
+
+    /**
+     * Localized message for an error code, or the server's own message for
+     * request problems such as a disallowed file type
+     */
+    function getErrorMessage(error) {
+        var errors = acf_canto.l10n.errors;
+
+        return errors[error.code] || error.message || errors.error;
+    }
+
+    /**
+     * Build an error notice with a Retry button and, for administrators,
+     * the details the server sent
+     */
+    function renderError(error, retry) {
+        var l10n = acf_canto.l10n;
+        var $error = $('<div class="acf-canto-error" role="alert">').attr('data-error-code', error.code);
+
+        $error.append($('<p class="acf-canto-error-message">').text(getErrorMessage(error)));
+
+        if (retry) {
+            $error.append($('<button type="button" class="button acf-canto-retry">').text(l10n.retry).on('click', function(e) {
+                e.preventDefault();
+                retry();
+            }));
+        }
+
+        if (error.details !== undefined) {
+            var $details = $('<pre class="acf-canto-error-details">').text(typeof error.details === 'string' ? error.details : JSON.stringify(error.details, null, 2)).hide();
+
+            $error.append($('<button type="button" class="button-link acf-canto-error-details-toggle" aria-expanded="false">').text(l10n.view_error_details).on('click', function(e) {
+                e.preventDefault();
+                var open = $details.is(':visible');
+                $details.toggle(!open);
+                $(this).attr('aria-expanded', open ? 'false' : 'true');
+            }), $details);
+        }
+
+        return $error;
+    }
+
+    window.acfCanto = $.extend(window.acfCanto || {}, {
+        createModal: createModal,
+        resolveAssetUrl: resolveAssetUrl,
+        parseStoredValue: parseStoredValue,
+        getDefaultThumbnail: getDefaultThumbnail,
+        displayMetadata: displayMetadata,
+        request: sendRequest,
+        getError: getError,
+        getErrorMessage: getErrorMessage,
+        renderError: renderError
+    });
+    
+})(jQuery);
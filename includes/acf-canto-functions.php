@@ -0,0 +1,107 @@
+<?php
+/**
+ * ACF Canto Helper Functions
+ *
+ * Public template functions for rendering Canto assets and looking up
+ * where they are used
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Get a responsive <img> tag for a Canto asset
+ *
+ * Videos are rendered as a <video> player and documents as a download link.
+ *
+ * @param array|string $asset Asset data from a Canto field (Object return format),
+ *                            or the name of a Canto field to read it from
+ * @param array $args {
+ *     Optional. See ACF_Canto_Markup::get_image_html().
+ *
+ *     @type int|string $post_id Post to read the field from when $asset is a field name.
+ * }
+ * @return string Empty string when there is no asset
+ */
+function acf_canto_get_image($asset, $args = array())
+{
+    $asset = acf_canto_resolve_template_asset($asset, $args);
+    $markup = new ACF_Canto_Markup();
+
+    return $markup->get_image_html($asset, $args);
+}
+
+/**
+ * Get a <picture> element with WebP and fallback sources for a Canto asset
+ *
+ * Videos are rendered as a <video> player and documents as a download link.
+ *
+ * @param array|string $asset Asset data from a Canto field (Object return format),
+ *                            or the name of a Canto field to read it from
+ * @param array $args {
+ *     Optional. See ACF_Canto_Markup::get_picture_html().
+ *
+ *     @type int|string $post_id Post to read the field from when $asset is a field name.
+ * }
+ * @return string Empty string when there is no asset
+ */
+function acf_canto_get_picture($asset, $args = array())
+{
+    $asset = acf_canto_resolve_template_asset($asset, $args);
+    $markup = new ACF_Canto_Markup();
+
+    return $markup->get_picture_html($asset, $args);
+}
+
+/**
+ * Turn the $asset argument of the template helpers into asset data
+ *
+ * Field names are read with get_field(); for multiple selection fields the
+ * first asset is used.
+ *
+ * @param array|string $asset
+ * @param array $args
+ * @return array|false
+ */
+function acf_canto_resolve_template_asset($asset, $args)
+{
+    if (is_string($asset) && $asset !== '' && function_exists('get_field')) {
+        $asset = get_field($asset, isset($args['post_id']) ? $args['post_id'] : false);
+    }
+
+    if (is_array($asset) && isset($asset[0]) && is_array($asset[0])) {
+        $asset = $asset[0];
+    }
+
+    return is_array($asset) && !empty($asset['id']) ? $asset : false;
+}
+
+/**
+ * Get the places a Canto asset is used in
+ *
+ * Reads the usage index kept up to date whenever a Canto field is saved.
+ * Rebuild it with `wp acf-canto reindex` after importing data directly into
+ * the database.
+ *
+ * @param string $asset_id Canto asset ID
+ * @param array $args {
+ *     Optional.
+ *
+ *     @type int  $limit        Maximum number of places. Default 20.
+ *     @type int  $offset       Default 0.
+ *     @type bool $visible_only Only places the current user can see.
+ *                              Default false.
+ * }
+ * @return array 'total' number of places and the 'places', each with
+ *               'object_type' (post, term, user, comment or option),
+ *               'object_id', 'meta_key', 'field_key', 'field_label',
+ *               'title' and 'edit_url'
+ */
+function acf_canto_get_asset_usage($asset_id, $args = array())
+{
+    $usage = new ACF_Canto_Usage_Index();
+
+    return $usage->get_usage((string) $asset_id, $args);
+}
@@ -0,0 +1,165 @@
+<?php
+/**
+ * ACF Canto Access Page
+ *
+ * Tools → Canto Access: the capability the picker requires and the albums
+ * and folders each role is limited to
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Access_Page
+{
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'acf-canto-access';
+
+    /**
+     * Access settings
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Access $access
+     */
+    public function __construct($access)
+    {
+        $this->access = $access;
+
+        add_action('admin_menu', array($this, 'add_page'));
+        add_action('admin_post_acf_canto_access_settings', array($this, 'handle_settings'));
+    }
+
+    /**
+     * Register the page under Tools
+     */
+    public function add_page()
+    {
+        add_management_page(
+            __('Canto Access', 'acf-canto-field'),
+            __('Canto Access', 'acf-canto-field'),
+            'manage_options',
+            self::PAGE_SLUG,
+            array($this, 'render_page')
+        );
+    }
+
+    /**
+     * Save the capability and role albums
+     */
+    public function handle_settings()
+    {
+        $this->check_request('acf_canto_access_settings');
+
+        $role_albums = isset($_POST['role_albums']) ? (array) wp_unslash($_POST['role_albums']) : array();
+
+        $this->access->update_settings(array(
+            'capability'  => isset($_POST['capability']) ? wp_unslash($_POST['capability']) : '',
+            'role_albums' => array_intersect_key($role_albums, wp_roles()->get_names()),
+        ));
+
+        $this->redirect_with_notice('success', __('Access settings saved.', 'acf-canto-field'));
+    }
+
+    /**
+     * Render the page
+     */
+    public function render_page()
+    {
+        $settings = $this->access->get_settings();
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Canto Access', 'acf-canto-field'); ?></h1>
+
+            <?php $this->render_notice(); ?>
+
+            <p><?php echo esc_html__('Choose who may use the Canto picker, in wp-admin and in front-end forms, and limit roles to approved albums. Every search, album and asset request is checked against these settings.', 'acf-canto-field'); ?></p>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="acf_canto_access_settings" />
+                <?php wp_nonce_field('acf_canto_access_settings'); ?>
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><label for="acf-canto-access-capability"><?php echo esc_html__('Required capability', 'acf-canto-field'); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text code" name="capability" id="acf-canto-access-capability" value="<?php echo esc_attr($settings['capability']); ?>" placeholder="<?php echo esc_attr(ACF_Canto_Access::DEFAULT_CAPABILITY); ?>" />
+                            <p class="description"><?php echo esc_html__('Users need this capability to search, browse and pick Canto assets. Fields can require a different one in their settings.', 'acf-canto-field'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+
+                <h2><?php echo esc_html__('Albums by role', 'acf-canto-field'); ?></h2>
+                <p><?php echo esc_html__('Limit a role to these albums and folders and everything inside them. Leave a role empty to let it use the whole library. Users with several roles are only limited when all of their roles are.', 'acf-canto-field'); ?></p>
+                <table class="form-table" role="presentation">
+                    <?php foreach (wp_roles()->get_names() as $role => $name): ?>
+                        <tr>
+                            <th scope="row"><label for="acf-canto-access-role-<?php echo esc_attr($role); ?>"><?php echo esc_html(translate_user_role($name)); ?></label></th>
+                            <td>
+                                <input type="text" class="regular-text code" name="role_albums[<?php echo esc_attr($role); ?>]" id="acf-canto-access-role-<?php echo esc_attr($role); ?>" value="<?php echo esc_attr(isset($settings['role_albums'][$role]) ? implode(',', $settings['role_albums'][$role]) : ''); ?>" placeholder="<?php echo esc_attr__('Comma separated album or folder IDs', 'acf-canto-field'); ?>" />
+                            </td>
+                        </tr>
+                    <?php endforeach; ?>
+                </table>
+                <?php submit_button(__('Save settings', 'acf-canto-field')); ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Stop requests from users who can't manage access
+     *
+     * @param string $action Nonce action
+     */
+    private function check_request($action)
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('You are not allowed to manage Canto access.', 'acf-canto-field'), 403);
+        }
+
+        check_admin_referer($action);
+    }
+
+    /**
+     * Show the notice left by the last action
+     */
+    private function render_notice()
+    {
+        $key = 'acf_canto_access_notice_' . get_current_user_id();
+        $notice = get_transient($key);
+
+        if (!$notice) {
+            return;
+        }
+
+        delete_transient($key);
+
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($notice['type']),
+            esc_html($notice['message'])
+        );
+    }
+
+    /**
+     * Return to the page with a notice
+     *
+     * @param string $type 'success' or 'error'
+     * @param string $message
+     */
+    private function redirect_with_notice($type, $message)
+    {
+        set_transient('acf_canto_access_notice_' . get_current_user_id(), array('type' => $type, 'message' => $message), MINUTE_IN_SECONDS);
+
+        wp_safe_redirect(admin_url('tools.php?page=' . self::PAGE_SLUG));
+        exit;
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+/**
+ * ACF Canto Access Class
+ *
+ * Who may use the Canto picker and which albums they see: the capability
+ * the picker requires, globally or per field, and the albums and folders
+ * each role is limited to
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Access
+{
+    /**
+     * Option holding the access settings
+     */
+    const SETTINGS_OPTION = 'acf_canto_access_settings';
+
+    /**
+     * Capability the picker requires when none is configured
+     */
+    const DEFAULT_CAPABILITY = 'edit_posts';
+
+    /**
+     * Get the access settings
+     *
+     * @return array 'capability', and 'role_albums' mapping role names to
+     *               the album and folder IDs the role is limited to
+     */
+    public function get_settings()
+    {
+        $settings = get_option(self::SETTINGS_OPTION, array());
+
+        return array(
+            'capability'  => !empty($settings['capability']) ? (string) $settings['capability'] : self::DEFAULT_CAPABILITY,
+            'role_albums' => !empty($settings['role_albums']) && is_array($settings['role_albums']) ? $settings['role_albums'] : array(),
+        );
+    }
+
+    /**
+     * Save the access settings
+     *
+     * Roles without albums are dropped, leaving them unrestricted.
+     *
+     * @param array $settings 'capability' and 'role_albums', whose album
+     *                        lists may be arrays or comma separated strings
+     */
+    public function update_settings($settings)
+    {
+        $role_albums = array();
+
+        foreach (isset($settings['role_albums']) ? (array) $settings['role_albums'] : array() as $role => $albums) {
+            $albums = $this->parse_ids($albums);
+
+            if ($albums) {
+                $role_albums[sanitize_key($role)] = $albums;
+            }
+        }
+
+        $capability = isset($settings['capability']) ? trim(sanitize_text_field($settings['capability'])) : '';
+
+        update_option(self::SETTINGS_OPTION, array(
+            'capability'  => $capability ?: self::DEFAULT_CAPABILITY,
+            'role_albums' => $role_albums,
+        ), false);
+    }
+
+    /**
+     * Get the capability needed to use the picker
+     *
+     * @param array|false $field Canto field whose 'capability' setting
+     *                           overrides the global one
+     * @return string
+     */
+    public function get_capability($field = false)
+    {
+        $settings = $this->get_settings();
+        $capability = !empty($field['capability']) ? (string) $field['capability'] : $settings['capability'];
+
+        return apply_filters('acf_canto_capability', $capability, $field);
+    }
+
+    /**
+     * Check whether the current user may use the picker
+     *
+     * @param array|false $field
+     * @return bool
+     */
+    public function can_use($field = false)
+    {
+        return current_user_can($this->get_capability($field));
+    }
+
+    /**
+     * Check whether the current user may use the picker for a request
+     *
+     * The client names the field, so its capability setting only replaces
+     * the global one when the request carries the token rendered with the
+     * field; otherwise anyone could name the field with the weakest
+     * capability. Without the token both capabilities are required.
+     *
+     * @param array|false $field Field named by the request
+     * @param string $token Token from get_field_token()
+     * @return bool
+     */
+    public function can_use_request($field, $token)
+    {
+        if ($field && $this->verify_field_token($field, $token)) {
+            return $this->can_use($field);
+        }
+
+        return $this->can_use() && (!$field || $this->can_use($field));
+    }
+
+    /**
+     * Get the token that shows a field was rendered for the current user
+     *
+     * @param array $field
+     * @return string
+     */
+    public function get_field_token($field)
+    {
+        return wp_hash('acf_canto_field|' . $field['key'] . '|' . get_current_user_id(), 'nonce');
+    }
+
+    /**
+     * Check a token from get_field_token()
+     *
+     * @param array $field
+     * @param string $token
+     * @return bool
+     */
+    public function verify_field_token($field, $token)
+    {
+        return is_string($token) && $token !== '' && hash_equals($this->get_field_token($field), $token);
+    }
+
+    /**
+     * Get the albums and folders the current user is limited to
+     *
+     * Users are only limited when every one of their roles is. A user with
+     * several limited roles sees the albums of all of them.
+     *
+     * @return array|null Album and folder IDs, or null for the whole library
+     */
+    public function get_allowed_albums()
+    {
+        $user = wp_get_current_user();
+        $role_albums = $this->get_settings()['role_albums'];
+        $albums = null;
+
+        if ($user->exists() && $user->roles) {
+            $albums = array();
+
+            foreach ($user->roles as $role) {
+                if (empty($role_albums[$role])) {
+                    $albums = null;
+                    break;
+                }
+
+                $albums = array_merge($albums, $role_albums[$role]);
+            }
+        }
+
+        // Null for the whole library
+        $albums = apply_filters('acf_canto_allowed_albums', $albums, $user);
+
+        return $albums === null ? null : $this->parse_ids($albums);
+    }
+
+    /**
+     * Split a list of album IDs
+     *
+     * @param array|string $ids Array or comma separated string
+     * @return array
+     */
+    private function parse_ids($ids)
+    {
+        $ids = is_array($ids) ? $ids : explode(',', (string) $ids);
+
+        return array_values(array_unique(array_filter(array_map('trim', array_map('sanitize_text_field', $ids)), 'strlen')));
+    }
+}
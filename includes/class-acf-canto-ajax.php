@@ -12,6 +12,19 @@ if (!defined('ABSPATH')) {
 
 class ACF_Canto_AJAX_Handler
 {
+    /**
+     * Error codes sent to the picker in the 'code' of the error data
+     */
+    const ERROR_INVALID_NONCE = 'invalid_nonce';
+    const ERROR_FORBIDDEN = 'forbidden';
+    const ERROR_NOT_CONFIGURED = 'not_configured';
+    const ERROR_RATE_LIMITED = 'rate_limited';
+    const ERROR_NOT_FOUND = 'not_found';
+    const ERROR_UNAVAILABLE = 'canto_unavailable';
+    const ERROR_OUT_OF_SCOPE = 'out_of_scope';
+    const ERROR_INVALID_REQUEST = 'invalid_request';
+    const ERROR_UNKNOWN = 'error';
+    
     /**
      * Logger instance
      *
@@ -33,6 +46,34 @@ class ACF_Canto_AJAX_Handler
      */
     private $formatter;
     
+    /**
+     * Recent and favourite asset storage
+     *
+     * @var ACF_Canto_User_Assets
+     */
+    private $user_assets;
+    
+    /**
+     * Asset usage index
+     *
+     * @var ACF_Canto_Usage_Index
+     */
+    private $usage;
+    
+    /**
+     * Search and result page helper
+     *
+     * @var ACF_Canto_Asset_Query
+     */
+    private $query;
+    
+    /**
+     * Picker capability settings
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+    
     /**
      * Constructor
      */
@@ -42,15 +83,28 @@ class ACF_Canto_AJAX_Handler
         $this->logger = new ACF_Canto_Logger();
         $this->api = new ACF_Canto_API($this->logger);
         $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->user_assets = new ACF_Canto_User_Assets();
+        $this->usage = new ACF_Canto_Usage_Index($this->formatter);
+        $this->query = new ACF_Canto_Asset_Query($this->logger, $this->api);
+        $this->access = new ACF_Canto_Access();
         
         $this->logger->debug('AJAX Handler initialized');
         
         // AJAX actions for logged in users
         add_action('wp_ajax_acf_canto_search', array($this, 'search_assets'));
+        add_action('wp_ajax_acf_canto_suggest', array($this, 'suggest'));
         add_action('wp_ajax_acf_canto_get_asset', array($this, 'get_asset'));
         add_action('wp_ajax_acf_canto_get_tree', array($this, 'get_tree'));
+        add_action('wp_ajax_acf_canto_save_browse_state', array($this, 'save_browse_state'));
         add_action('wp_ajax_acf_canto_get_album', array($this, 'get_album_assets'));
         add_action('wp_ajax_acf_canto_find_by_filename', array($this, 'find_by_filename'));
+        add_action('wp_ajax_acf_canto_get_user_assets', array($this, 'get_user_assets'));
+        add_action('wp_ajax_acf_canto_add_recent', array($this, 'add_recent_assets'));
+        add_action('wp_ajax_acf_canto_toggle_favorite', array($this, 'toggle_favorite'));
+        add_action('wp_ajax_acf_canto_upload', array($this, 'upload_asset'));
+        add_action('wp_ajax_acf_canto_upload_status', array($this, 'get_upload_status'));
+        add_action('wp_ajax_acf_canto_get_usage', array($this, 'get_usage'));
+        add_action('wp_ajax_acf_canto_refresh_nonce', array($this, 'refresh_nonce'));
     }
     
     /**
@@ -67,8 +121,7 @@ class ACF_Canto_AJAX_Handler
         
         // Check if API is configured
         if (!$this->api->is_configured()) {
-            $errors = $this->api->get_config_errors();
-            wp_send_json_error(implode(', ', $errors));
+            $this->send_config_error();
             return;
         }
         
@@ -80,35 +133,73 @@ class ACF_Canto_AJAX_Handler
             'selected_id' => $selected_id
         ));
         
-        $search_options = array(
-            'limit' => 50,
-            'start' => 0
-        );
+        $page = $this->query->search(wp_unslash($_POST));
+        
+        if (is_wp_error($page)) {
+            $this->logger->error('Search request failed: ' . $page->get_error_message());
+            $this->send_wp_error($page);
+            return;
+        }
         
-        $result = $this->api->search_assets($query, $search_options);
+        wp_send_json_success($page);
+    }
+    
+    /**
+     * AJAX handler for typeahead suggestions
+     *
+     * Responds with 'suggestions', each with a 'value' and a 'type'
+     * (filename or keyword).
+     */
+    public function suggest()
+    {
+        // Security and permission checks
+        if (!$this->verify_ajax_request()) {
+            return;
+        }
         
-        if (is_wp_error($result)) {
-            $this->logger->error('Search request failed: ' . $result->get_error_message());
-            wp_send_json_error($result->get_error_message());
+        if (!$this->api->is_configured()) {
+            $this->send_config_error();
             return;
         }
         
-        $assets = array();
-        if (isset($result['results']) && is_array($result['results'])) {
-            foreach ($result['results'] as $item) {
-                $asset_data = $this->formatter->format_from_search($item);
-                if ($asset_data) {
-                    $assets[] = $asset_data;
-                }
-            }
+        $suggestions = $this->query->suggest(wp_unslash($_POST));
+        
+        if (is_wp_error($suggestions)) {
+            $this->logger->warning('Suggestion request failed: ' . $suggestions->get_error_message());
+            $this->send_wp_error($suggestions);
+            return;
         }
         
-        wp_send_json_success($assets);
+        wp_send_json_success(array('suggestions' => $suggestions));
+    }
+    
+    /**
+     * Get the type restrictions of the field the request was made from
+     *
+     * @return array As returned by ACF_Canto_Asset_Formatter::get_field_restrictions()
+     */
+    private function get_request_restrictions()
+    {
+        return $this->query->get_restrictions(wp_unslash($_POST));
+    }
+    
+    /**
+     * Load the Canto field named by the request's field_key
+     *
+     * @return array|false
+     */
+    private function get_request_field()
+    {
+        return $this->query->get_field(isset($_POST['field_key']) ? wp_unslash($_POST['field_key']) : '');
     }
     
     /**
      * Verify AJAX request security and permissions
      *
+     * The capability is the one set under Tools → Canto Access, or the
+     * requesting field's when the request carries the field's token (see
+     * ACF_Canto_Access::can_use_request()).
+     *
      * @return bool
      */
     private function verify_ajax_request()
@@ -116,25 +207,171 @@ class ACF_Canto_AJAX_Handler
         // Verify nonce
         if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'acf_canto_nonce')) {
             $this->logger->warning('AJAX request failed nonce verification');
-            wp_die('Security check failed');
+            $this->send_error(self::ERROR_INVALID_NONCE, __('Your session has expired.', 'acf-canto-field'));
+            return false;
         }
         
         // Check if user has permission
-        if (!current_user_can('edit_posts')) {
-            $this->logger->warning('AJAX request from user without edit_posts capability');
-            wp_die('Insufficient permissions');
+        $token = isset($_POST['field_token']) ? wp_unslash($_POST['field_token']) : '';
+        
+        if (!$this->access->can_use_request($this->get_request_field(), $token)) {
+            $this->logger->warning('AJAX request from user without the picker capability');
+            $this->send_error(self::ERROR_FORBIDDEN, __('Insufficient permissions', 'acf-canto-field'));
+            return false;
         }
         
         // Check if Canto function exists (compatibility check)
         if (!function_exists('Canto')) {
             $this->logger->error('Canto plugin function not available');
-            wp_send_json_error('Canto plugin not found');
+            $this->send_error(self::ERROR_NOT_CONFIGURED, __('Canto plugin not found', 'acf-canto-field'));
             return false;
         }
         
         return true;
     }
     
+    /**
+     * Hand out a fresh nonce when the picker's one has expired
+     *
+     * Only reachable by logged-in users; logged-out requests get admin-ajax's
+     * usual "0", which tells the picker to ask the user to log in again.
+     */
+    public function refresh_nonce()
+    {
+        wp_send_json_success(array('nonce' => wp_create_nonce('acf_canto_nonce')));
+    }
+    
+    /**
+     * Send an error the picker can map to a message and a way to recover
+     *
+     * The response data holds the 'code' (one of the ERROR_* constants) and
+     * a 'message'. Users who can manage options also get the 'details'.
+     *
+     * @param string $code
+     * @param string $message
+     * @param mixed $details Underlying error code and data
+     */
+    private function send_error($code, $message, $details = null)
+    {
+        $data = array(
+            'code'    => $code,
+            'message' => $message,
+        );
+        
+        if ($details !== null && current_user_can('manage_options')) {
+            $data['details'] = $details;
+        }
+        
+        wp_send_json_error($data, $this->get_error_status($code));
+    }
+    
+    /**
+     * Send a WP_Error from the API or query helpers
+     *
+     * @param WP_Error $error
+     */
+    private function send_wp_error($error)
+    {
+        $this->send_error($this->get_error_code($error), $error->get_error_message(), array(
+            'code' => $error->get_error_code(),
+            'data' => $error->get_error_data(),
+        ));
+    }
+    
+    /**
+     * Send the error for a missing Canto domain or token
+     */
+    private function send_config_error()
+    {
+        $this->send_error(self::ERROR_NOT_CONFIGURED, __('Canto is not configured.', 'acf-canto-field'), $this->api->get_config_errors());
+    }
+    
+    /**
+     * Map a WP_Error to the picker's error code
+     *
+     * @param WP_Error $error
+     * @return string
+     */
+    private function get_error_code($error)
+    {
+        $data = $error->get_error_data();
+        
+        switch ($error->get_error_code()) {
+            case 'api_not_configured':
+                return self::ERROR_NOT_CONFIGURED;
+            
+            case 'api_unavailable':
+            case 'api_empty_response':
+            case 'api_invalid_json':
+            case 'api_exception':
+            case 'http_request_failed':
+                return self::ERROR_UNAVAILABLE;
+            
+            case 'asset_not_found':
+            case 'album_not_found':
+            case 'thumbnail_not_found':
+                return self::ERROR_NOT_FOUND;
+            
+            case 'album_out_of_scope':
+            case 'asset_out_of_scope':
+                return self::ERROR_OUT_OF_SCOPE;
+            
+            case 'invalid_asset_id':
+                return self::ERROR_INVALID_REQUEST;
+            
+            case 'api_http_error':
+            case 'upload_http_error':
+                $http_code = is_array($data) && isset($data['code']) ? (int) $data['code'] : 0;
+                
+                if ($http_code === 429) {
+                    return self::ERROR_RATE_LIMITED;
+                }
+                
+                if ($http_code === 404) {
+                    return self::ERROR_NOT_FOUND;
+                }
+                
+                if ($http_code === 401 || $http_code === 403) {
+                    return self::ERROR_NOT_CONFIGURED;
+                }
+                
+                return $http_code >= 500 ? self::ERROR_UNAVAILABLE : self::ERROR_UNKNOWN;
+        }
+        
+        return self::ERROR_UNKNOWN;
+    }
+    
+    /**
+     * Get the HTTP status to send with an error code
+     *
+     * @param string $code
+     * @return int
+     */
+    private function get_error_status($code)
+    {
+        switch ($code) {
+            case self::ERROR_INVALID_NONCE:
+            case self::ERROR_FORBIDDEN:
+            case self::ERROR_OUT_OF_SCOPE:
+                return 403;
+            
+            case self::ERROR_NOT_FOUND:
+                return 404;
+            
+            case self::ERROR_RATE_LIMITED:
+                return 429;
+            
+            case self::ERROR_NOT_CONFIGURED:
+            case self::ERROR_UNAVAILABLE:
+                return 503;
+            
+            case self::ERROR_INVALID_REQUEST:
+                return 400;
+        }
+        
+        return 500;
+    }
+    
     /**
      * Get specific asset by ID
      */
@@ -147,15 +384,14 @@ class ACF_Canto_AJAX_Handler
         
         // Check if API is configured
         if (!$this->api->is_configured()) {
-            $errors = $this->api->get_config_errors();
-            wp_send_json_error(implode(', ', $errors));
+            $this->send_config_error();
             return;
         }
         
         $asset_id = isset($_POST['asset_id']) ? sanitize_text_field($_POST['asset_id']) : '';
         
         if (empty($asset_id)) {
-            wp_send_json_error('Asset ID required');
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Asset ID required', 'acf-canto-field'));
             return;
         }
         
@@ -165,122 +401,417 @@ class ACF_Canto_AJAX_Handler
         
         if (is_wp_error($result)) {
             $this->logger->error('Get asset request failed: ' . $result->get_error_message(), array('asset_id' => $asset_id));
-            wp_send_json_error($result->get_error_message());
+            $this->send_wp_error($result);
+            return;
+        }
+        
+        $access = $this->query->check_asset_access($result);
+        
+        if (is_wp_error($access)) {
+            $this->send_wp_error($access);
             return;
         }
         
         $formatted_asset = $this->formatter->format_from_api($result, $asset_id);
 
         if (!$formatted_asset) {
-            wp_send_json_error('Failed to format asset data');
+            $this->send_error(self::ERROR_UNKNOWN, __('Failed to format asset data', 'acf-canto-field'));
             return;
         }
 
+        $formatted_asset['metadata_display']['usage'] = $this->usage->get_usage($asset_id, array('limit' => 5, 'visible_only' => true));
+
         wp_send_json_success($formatted_asset);
     }
     
     /**
-     * Get Canto tree/folder structure
+     * List the posts, terms, users and options pages that use an asset
+     *
+     * Accepts 'offset' and 'limit' (at most 100) for paging.
      */
-    public function get_tree()
+    public function get_usage()
     {
-        $this->logger->debug('get_tree called');
-
-        // Security and permission checks
         if (!$this->verify_ajax_request()) {
             return;
         }
         
-        $album_id = isset($_POST['album_id']) ? sanitize_text_field($_POST['album_id']) : '';
+        $asset_id = isset($_POST['asset_id']) ? sanitize_text_field($_POST['asset_id']) : '';
         
-        // Get Canto configuration
-        $domain = get_option('fbc_flight_domain');
-        $app_api = get_option('fbc_app_api') ?: 'canto.com';
-        $token = get_option('fbc_app_token');
+        if (empty($asset_id)) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Asset ID required', 'acf-canto-field'));
+            return;
+        }
         
-        if (!$domain || !$token) {
-            wp_send_json_error('Canto domain or token not configured');
+        wp_send_json_success($this->usage->get_usage($asset_id, array(
+            'offset'       => isset($_POST['offset']) ? absint($_POST['offset']) : 0,
+            'limit'        => isset($_POST['limit']) ? min(100, max(1, absint($_POST['limit']))) : 20,
+            'visible_only' => true,
+        )));
+    }
+    
+    /**
+     * Get the current user's recent and favourite assets
+     */
+    public function get_user_assets()
+    {
+        if (!$this->verify_ajax_request()) {
             return;
         }
         
-        // Build tree URL
-        if (!empty($album_id)) {
-            $tree_url = 'https://' . $domain . '.' . $app_api . '/api/v1/tree/' . $album_id . '?sortBy=name&sortDirection=ascending';
-        } else {
-            $tree_url = 'https://' . $domain . '.' . $app_api . '/api/v1/tree?sortBy=name&sortDirection=ascending&layer=1';
+        $user_id = get_current_user_id();
+        $restrictions = $this->get_request_restrictions();
+        $favorites = $this->filter_allowed_assets($this->user_assets->get_favorites($user_id), $restrictions);
+        
+        wp_send_json_success(array(
+            'recent'       => $this->filter_allowed_assets($this->user_assets->get_recent($user_id), $restrictions),
+            'favorites'    => $favorites,
+            'favorite_ids' => wp_list_pluck($favorites, 'id'),
+        ));
+    }
+    
+    /**
+     * Record assets the current user just confirmed in a field
+     */
+    public function add_recent_assets()
+    {
+        if (!$this->verify_ajax_request()) {
+            return;
         }
         
-        $this->logger->debug('Tree API URL', array('url' => $tree_url));
+        $asset_ids = isset($_POST['asset_ids']) ? array_map('sanitize_text_field', (array) wp_unslash($_POST['asset_ids'])) : array();
+        $asset_ids = array_slice(array_unique(array_filter($asset_ids)), 0, ACF_Canto_User_Assets::RECENT_LIMIT);
         
-        // Make API call
-        $headers = array(
-            'Authorization' => 'Bearer ' . $token,
-            'User-Agent' => 'WordPress Plugin',
-            'Content-Type' => 'application/json;charset=utf-8'
-        );
+        if (empty($asset_ids)) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Asset ID required', 'acf-canto-field'));
+            return;
+        }
         
-        $response = wp_remote_get($tree_url, array(
-            'headers' => $headers,
-            'timeout' => 30
+        $assets = array();
+        foreach ($asset_ids as $asset_id) {
+            $asset_data = $this->get_formatted_asset($asset_id);
+            if (!is_wp_error($asset_data)) {
+                $assets[] = $asset_data;
+            }
+        }
+        
+        // The newest entry goes on top, so record the selection last-to-first
+        $list = $this->user_assets->add_recent(get_current_user_id(), array_reverse($assets));
+        
+        wp_send_json_success(array('recent' => $list));
+    }
+    
+    /**
+     * Star or unstar an asset for the current user
+     */
+    public function toggle_favorite()
+    {
+        if (!$this->verify_ajax_request()) {
+            return;
+        }
+        
+        $asset_id = isset($_POST['asset_id']) ? sanitize_text_field($_POST['asset_id']) : '';
+        $favorite = !empty($_POST['favorite']);
+        
+        if (empty($asset_id)) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Asset ID required', 'acf-canto-field'));
+            return;
+        }
+        
+        $asset_data = $favorite ? $this->get_formatted_asset($asset_id) : array('id' => $asset_id);
+        
+        if (is_wp_error($asset_data)) {
+            $this->send_wp_error($asset_data);
+            return;
+        }
+        
+        $favorites = $this->user_assets->set_favorite(get_current_user_id(), $asset_data, $favorite);
+        
+        wp_send_json_success(array(
+            'favorite'     => $favorite,
+            'favorite_ids' => wp_list_pluck($favorites, 'id'),
         ));
+    }
+    
+    /**
+     * Upload a file dropped on a field to Canto
+     *
+     * The file is checked against the field's settings, then handed to
+     * Canto. The response identifies the upload for get_upload_status().
+     */
+    public function upload_asset()
+    {
+        if (!$this->verify_ajax_request()) {
+            return;
+        }
         
-        if (is_wp_error($response)) {
-            $this->logger->error('Tree API request failed', array('error' => $response->get_error_message()));
-            wp_send_json_error('API request failed: ' . $response->get_error_message());
+        if (!$this->api->is_configured()) {
+            $this->send_config_error();
             return;
         }
         
-        $body = wp_remote_retrieve_body($response);
-        $http_code = wp_remote_retrieve_response_code($response);
+        $field = $this->get_request_field();
         
-        if (empty($body)) {
-            wp_send_json_error('No response from Canto API');
+        if (!$field || empty($field['enable_upload'])) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Uploads are not enabled for this field.', 'acf-canto-field'));
             return;
         }
         
-        if ($http_code === 404) {
-            // Tree endpoint not available, return a fallback structure
-            $this->logger->info('Tree endpoint not available (404), using fallback');
-            
-            $fallback_data = array(
-                'results' => array(
-                    array(
-                        'id' => 'all',
-                        'name' => 'All Assets',
-                        'type' => 'folder',
-                        'children' => array()
-                    )
-                ),
-                'found' => 1,
-                'limit' => 1,
-                'start' => 0
-            );
-            
-            wp_send_json_success($fallback_data);
+        if (!current_user_can('upload_files')) {
+            $this->logger->warning('Upload request from user without upload_files capability');
+            $this->send_error(self::ERROR_FORBIDDEN, __('You are not allowed to upload files.', 'acf-canto-field'));
+            return;
+        }
+        
+        $file = isset($_FILES['file']) ? $_FILES['file'] : null;
+        
+        if (!$file || !empty($file['error']) || empty($file['tmp_name']) || !is_uploaded_file($file['tmp_name'])) {
+            $this->logger->warning('Upload request without a valid file', array('error' => $file ? $file['error'] : null));
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('The file could not be uploaded.', 'acf-canto-field'));
+            return;
+        }
+        
+        $file_name = sanitize_file_name(wp_unslash($file['name']));
+        $file_type = wp_check_filetype_and_ext($file['tmp_name'], $file_name);
+        
+        if (empty($file_type['ext'])) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('This file type is not allowed.', 'acf-canto-field'));
             return;
         }
         
-        if ($http_code !== 200) {
-            $this->logger->error('Tree API returned error', array('code' => $http_code, 'body' => substr($body, 0, 200)));
-            wp_send_json_error('API request failed with HTTP code: ' . $http_code);
+        if (!empty($file_type['proper_filename'])) {
+            $file_name = $file_type['proper_filename'];
+        }
+        
+        $asset_data = array(
+            'scheme'   => $this->get_upload_scheme($file_type['type']),
+            'name'     => $file_name,
+            'filename' => $file_name,
+        );
+        
+        if (!$this->formatter->is_asset_allowed($asset_data, $this->formatter->get_field_restrictions($field))) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('This file type is not allowed in this field.', 'acf-canto-field'));
+            return;
+        }
+        
+        $album_id = isset($_POST['album_id']) ? sanitize_text_field($_POST['album_id']) : '';
+        if ($album_id === '' && !empty($field['upload_album'])) {
+            $album_id = sanitize_text_field($field['upload_album']);
+        }
+        
+        $scope = $this->query->check_album_access($album_id);
+        
+        if (is_wp_error($scope)) {
+            $this->send_wp_error($scope);
             return;
         }
         
-        $data = json_decode($body, true);
+        $result = $this->api->upload_file($file['tmp_name'], $file_name, $album_id);
         
-        if (!$data) {
-            wp_send_json_error('Invalid JSON response from Canto API');
+        if (is_wp_error($result)) {
+            $this->send_wp_error($result);
             return;
         }
         
-        if (isset($data['error'])) {
-            wp_send_json_error('Error from Canto API: ' . $data['error']);
+        wp_send_json_success($result);
+    }
+    
+    /**
+     * Check whether Canto has finished processing an upload
+     *
+     * Responds with status 'processing', or 'done' and the formatted asset.
+     */
+    public function get_upload_status()
+    {
+        if (!$this->verify_ajax_request()) {
             return;
         }
         
+        $file_name = isset($_POST['file_name']) ? sanitize_file_name(wp_unslash($_POST['file_name'])) : '';
+        $known_ids = isset($_POST['known_ids']) ? array_map('sanitize_text_field', (array) wp_unslash($_POST['known_ids'])) : array();
+        
+        if (empty($file_name)) {
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('File name required', 'acf-canto-field'));
+            return;
+        }
+        
+        $result = $this->api->find_uploaded_asset($file_name, $known_ids);
+        
+        if (is_wp_error($result)) {
+            $this->send_wp_error($result);
+            return;
+        }
+        
+        if (!$result) {
+            wp_send_json_success(array('status' => 'processing'));
+            return;
+        }
+        
+        // Searches and album pages cached before the upload don't list the new asset
+        $cache = $this->api->get_cache();
+        $cache->purge_type('search');
+        $cache->purge_type('album');
+        
+        $asset_data = $this->get_formatted_asset($result['id']);
+        
+        if (is_wp_error($asset_data)) {
+            $this->send_wp_error($asset_data);
+            return;
+        }
+        
+        wp_send_json_success(array(
+            'status' => 'done',
+            'asset'  => $asset_data,
+        ));
+    }
+    
+    /**
+     * Guess the Canto scheme an uploaded file will get from its MIME type
+     *
+     * @param string $mime_type
+     * @return string
+     */
+    private function get_upload_scheme($mime_type)
+    {
+        if (strpos((string) $mime_type, 'image/') === 0) {
+            return 'image';
+        }
+        
+        if (strpos((string) $mime_type, 'video/') === 0) {
+            return 'video';
+        }
+        
+        return 'document';
+    }
+    
+    /**
+     * Load and format a single asset
+     *
+     * Assets outside the current user's role albums give an
+     * 'asset_out_of_scope' error.
+     *
+     * @param string $asset_id
+     * @return array|WP_Error
+     */
+    private function get_formatted_asset($asset_id)
+    {
+        $result = $this->api->get_asset($asset_id);
+        
+        if (is_wp_error($result)) {
+            $this->logger->error('Get asset request failed: ' . $result->get_error_message(), array('asset_id' => $asset_id));
+            return $result;
+        }
+        
+        $access = $this->query->check_asset_access($result);
+        
+        if (is_wp_error($access)) {
+            return $access;
+        }
+        
+        $asset_data = $this->formatter->format_from_api($result, $asset_id);
+        
+        if (!$asset_data) {
+            return new WP_Error('format_failed', 'Failed to format asset data');
+        }
+        
+        return $asset_data;
+    }
+    
+    /**
+     * Drop stored assets the requesting field doesn't accept
+     *
+     * Assets outside the current user's role albums are dropped too, since
+     * they may have been stored before the role was limited.
+     *
+     * @param array $assets
+     * @param array $restrictions
+     * @return array
+     */
+    private function filter_allowed_assets($assets, $restrictions)
+    {
+        return array_values(array_filter($assets, function ($asset_data) use ($restrictions) {
+            return $this->formatter->is_asset_allowed($asset_data, $restrictions)
+                && !is_wp_error($this->query->check_asset_access($asset_data['id']));
+        }));
+    }
+    
+    /**
+     * Get the album tree
+     *
+     * Lists the children of 'album_id', or the top level with the current
+     * user's Browse tab 'state' and the field's 'default_album'. A 'filter'
+     * finds albums and folders by name anywhere in the tree instead. A
+     * 'field_key' limits the tree to that field's root albums.
+     */
+    public function get_tree()
+    {
+        $this->logger->debug('get_tree called');
+
+        // Security and permission checks
+        if (!$this->verify_ajax_request()) {
+            return;
+        }
+        
+        $album_id = isset($_POST['album_id']) ? sanitize_text_field($_POST['album_id']) : '';
+        $filter = isset($_POST['filter']) ? sanitize_text_field(wp_unslash($_POST['filter'])) : '';
+        
+        if (!$this->api->is_configured()) {
+            $this->send_config_error();
+            return;
+        }
+        
+        $data = $this->query->get_tree(wp_unslash($_POST));
+        
+        if (is_wp_error($data)) {
+            $this->logger->error('Tree API request failed', array('error' => $data->get_error_message()));
+            $this->send_wp_error($data);
+            return;
+        }
+        
+        if ($album_id === '' && $filter === '') {
+            $data['state'] = $this->get_browse_state();
+            $data['default_album'] = $this->query->get_default_album(wp_unslash($_POST));
+        }
+        
         wp_send_json_success($data);
     }
     
+    /**
+     * Get the current user's Browse tab state for the requesting field
+     *
+     * The last album is dropped when the field or the user's role can't
+     * open it, and its path is looked up again when the tree starts lower.
+     *
+     * @return array As returned by ACF_Canto_User_Assets::get_browse_state()
+     */
+    private function get_browse_state()
+    {
+        $state = $this->user_assets->get_browse_state(get_current_user_id());
+        $params = wp_unslash($_POST);
+        
+        if ($state['album'] && $this->query->get_scope_roots($params) !== null) {
+            $state['album'] = $this->query->get_album_location($state['album']['id'], $params);
+        }
+        
+        return $state;
+    }
+    
+    /**
+     * Remember the current user's expanded folders and last opened album
+     */
+    public function save_browse_state()
+    {
+        if (!$this->verify_ajax_request()) {
+            return;
+        }
+        
+        $state = array(
+            'expanded' => isset($_POST['expanded']) ? (array) wp_unslash($_POST['expanded']) : array(),
+            'album'    => isset($_POST['album']) ? (array) wp_unslash($_POST['album']) : null,
+        );
+        
+        wp_send_json_success($this->user_assets->save_browse_state(get_current_user_id(), $state));
+    }
+    
     /**
      * Get assets from a specific album
      */
@@ -298,7 +829,7 @@ class ACF_Canto_AJAX_Handler
         $this->logger->debug('Album ID requested', array('album_id' => $album_id));
         
         if (empty($album_id)) {
-            wp_send_json_error('Album ID required');
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Album ID required', 'acf-canto-field'));
             return;
         }
         
@@ -309,87 +840,42 @@ class ACF_Canto_AJAX_Handler
             return;
         }
         
-        // Get Canto configuration
-        $domain = get_option('fbc_flight_domain');
-        $app_api = get_option('fbc_app_api') ?: 'canto.com';
-        $token = get_option('fbc_app_token');
-        
-        if (!$domain || !$token) {
-            wp_send_json_error('Canto domain or token not configured');
+        if (!$this->api->is_configured()) {
+            $this->send_config_error();
             return;
         }
         
-        // Build album URL - try multiple endpoints
-        $start = 0;
-        $limit = 50;
+        $scope = $this->query->check_album_scope($album_id, wp_unslash($_POST));
         
-        // File types as used in the Canto plugin
-        $fileType = 'GIF|JPG|PNG|SVG|WEBP|DOC|KEY|ODT|PDF|PPT|XLS|MPEG|M4A|OGG|WAV|AVI|MP4|MOV|OGG|VTT|WMV|3GP';
+        if (is_wp_error($scope)) {
+            $this->send_wp_error($scope);
+            return;
+        }
         
-        // Try different album/folder endpoints
-        $endpoints_to_try = array(
-            'album' => 'https://' . $domain . '.' . $app_api . '/api/v1/album/' . $album_id . '?limit=' . $limit . '&start=' . $start . '&fileType=' . urlencode($fileType),
-            'folder' => 'https://' . $domain . '.' . $app_api . '/api/v1/folder/' . $album_id . '?limit=' . $limit . '&start=' . $start . '&fileType=' . urlencode($fileType),
-            'search_in_album' => 'https://' . $domain . '.' . $app_api . '/api/v1/search?albumId=' . urlencode($album_id) . '&fileType=' . urlencode($fileType) . '&limit=' . $limit . '&start=' . $start
-        );
+        $pagination = $this->query->get_pagination(wp_unslash($_POST));
         
-        // Make API call
-        $headers = array(
-            'Authorization' => 'Bearer ' . $token,
-            'User-Agent' => 'WordPress Plugin',
-            'Content-Type' => 'application/json;charset=utf-8'
-        );
+        // File types allowed by the requesting field
+        $restrictions = $this->get_request_restrictions();
         
-        $assets = array();
+        $album_data = $this->api->get_album_assets($album_id, array_merge($pagination, array(
+            'file_types' => $this->api->get_file_types($restrictions),
+        )));
         
-        foreach ($endpoints_to_try as $endpoint_name => $album_url) {
-            $this->logger->debug('Trying album endpoint', array('endpoint' => $endpoint_name, 'url' => $album_url));
-            
-            $response = wp_remote_get($album_url, array(
-                'headers' => $headers,
-                'timeout' => 30
-            ));
-            
-            if (is_wp_error($response)) {
-                continue; // Try next endpoint
-            }
-            
-            $body = wp_remote_retrieve_body($response);
-            $http_code = wp_remote_retrieve_response_code($response);
-            
-            if ($http_code === 200 && !empty($body)) {
-                $data = json_decode($body, true);
-                
-                if ($data && !isset($data['error'])) {
-                    // Process results
-                    if (isset($data['results']) && is_array($data['results'])) {
-                        foreach ($data['results'] as $item) {
-                            $asset = $this->formatter->format_from_search($item);
-                            if ($asset) {
-                                $assets[] = $asset;
-                            }
-                        }
-                        
-                        $this->logger->debug('Found assets using endpoint', array('endpoint' => $endpoint_name, 'count' => count($assets), 'album_id' => $album_id));
-                        
-                        break; // Success, stop trying other endpoints
-                    }
-                }
-            }
-        }
-        
-        // If no assets found, it might be a folder with subfolders only
-        if (empty($assets)) {
-            $this->logger->info('No assets found for album/folder', array('album_id' => $album_id));
-            wp_send_json_success(array()); // Return empty array instead of error
+        if (is_wp_error($album_data)) {
+            $this->send_wp_error($album_data);
             return;
         }
-
-        wp_send_json_success($assets);
+        
+        wp_send_json_success($this->query->format_page($album_data, $pagination, $restrictions));
     }
     
     /**
-     * Find asset by filename via AJAX
+     * Rank the assets a filename could refer to via AJAX
+     *
+     * Responds with up to five 'candidates', best first, each with a 'score'
+     * from 0 to 100, the 'reason' it matched and the 'stored_value' to save,
+     * and whether the best ones are too close to call in 'ambiguous'. A
+     * 'field_key' applies that field's type restrictions and preferred album.
      */
     public function find_by_filename()
     {
@@ -400,27 +886,44 @@ class ACF_Canto_AJAX_Handler
             return;
         }
         
-        $filename = isset($_POST['filename']) ? sanitize_text_field($_POST['filename']) : '';
+        $filename = isset($_POST['filename']) ? sanitize_text_field(wp_unslash($_POST['filename'])) : '';
         
         if (empty($filename)) {
-            wp_send_json_error(__('Filename required', 'acf-canto-field'));
+            $this->send_error(self::ERROR_INVALID_REQUEST, __('Filename required', 'acf-canto-field'));
             return;
         }
         
         $this->logger->debug('AJAX find by filename request', array('filename' => $filename));
         
         // Use the field class method for consistency
-        if (class_exists('ACF_Field_Canto')) {
-            $field = new ACF_Field_Canto();
-            $asset = $field->find_asset_by_filename($filename);
-            
-            if ($asset) {
-                wp_send_json_success($asset);
-            } else {
-                wp_send_json_error(__('Asset not found with filename: ', 'acf-canto-field') . $filename);
+        if (!class_exists('ACF_Field_Canto')) {
+            $this->send_error(self::ERROR_UNKNOWN, __('ACF Canto Field class not available', 'acf-canto-field'));
+            return;
+        }
+        
+        $field_type = new ACF_Field_Canto();
+        $field = $this->query->get_field(isset($_POST['field_key']) ? wp_unslash($_POST['field_key']) : '');
+        $match = $field_type->match_asset_by_filename($filename, $field ?: null);
+        
+        $candidates = array();
+        foreach ($match['candidates'] as $candidate) {
+            // Leave out assets outside the user's role albums
+            if (is_wp_error($this->query->check_asset_access($candidate['id']))) {
+                continue;
             }
-        } else {
-            wp_send_json_error(__('ACF Canto Field class not available', 'acf-canto-field'));
+            
+            $candidate['stored_value'] = $this->formatter->build_stored_item($candidate);
+            $candidates[] = $candidate;
         }
+        
+        if (empty($candidates)) {
+            $this->send_error(self::ERROR_NOT_FOUND, __('Asset not found with filename: ', 'acf-canto-field') . $filename);
+            return;
+        }
+        
+        wp_send_json_success(array(
+            'candidates' => $candidates,
+            'ambiguous'  => $match['ambiguous'] && count($candidates) > 1,
+        ));
     }
 }
\ No newline at end of file
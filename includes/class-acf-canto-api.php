@@ -17,7 +17,16 @@ class ACF_Canto_API
     const DEFAULT_TIMEOUT = 30;
     const DEFAULT_SEARCH_LIMIT = 50;
     const MAX_SEARCH_LIMIT = 100;
-    const CACHE_DURATION = HOUR_IN_SECONDS;
+    const UPLOAD_TIMEOUT = 300;
+    
+    // Retry and circuit breaker constants
+    const MAX_RETRIES = 2;
+    const RETRY_BASE_DELAY = 1;
+    const MAX_RETRY_DELAY = 10; // Longest single wait before a retry
+    const MAX_RETRY_WAIT = self::MAX_RETRY_DELAY; // Longest total wait across all retries of a request
+    const CIRCUIT_THRESHOLD = 5;
+    const CIRCUIT_COOLDOWN = 60;
+    const CIRCUIT_OPTION = 'acf_canto_circuit';
     
     // File type constants
     const FILETYPE_IMAGES = 'GIF|JPG|PNG|SVG|WEBP';
@@ -35,13 +44,63 @@ class ACF_Canto_API
      */
     private $config;
     
+    /**
+     * Response cache
+     *
+     * @var ACF_Canto_Cache
+     */
+    private $cache;
+    
+    /**
+     * HTTP transport
+     *
+     * @var ACF_Canto_Transport
+     */
+    private $transport;
+    
     /**
      * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_Cache $cache
      */
-    public function __construct($logger = null)
+    public function __construct($logger = null, $cache = null)
     {
         $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->cache = $cache ?: new ACF_Canto_Cache($this->logger);
         $this->config = $this->load_api_config();
+        $this->transport = $this->load_transport();
+    }
+    
+    /**
+     * Load the HTTP transport
+     *
+     * The acf_canto_http_transport filter can return any ACF_Canto_Transport,
+     * for example one that talks to a local fake Canto server in tests.
+     *
+     * @return ACF_Canto_Transport
+     */
+    private function load_transport()
+    {
+        $default = new ACF_Canto_WP_Transport();
+        $transport = apply_filters('acf_canto_http_transport', $default);
+        
+        if (!$transport instanceof ACF_Canto_Transport) {
+            $this->logger->warning('acf_canto_http_transport did not return an ACF_Canto_Transport, using the default');
+            return $default;
+        }
+        
+        return $transport;
+    }
+    
+    /**
+     * Get the response cache
+     *
+     * @return ACF_Canto_Cache
+     */
+    public function get_cache()
+    {
+        return $this->cache;
     }
     
     /**
@@ -107,7 +166,7 @@ class ACF_Canto_API
         $this->logger->debug('Making API request to: ' . $url);
         
         try {
-            $response = wp_remote_get($url, $request_args);
+            $response = $this->send($url, $request_args);
             
             if (is_wp_error($response)) {
                 $this->logger->error('API request failed: ' . $response->get_error_message());
@@ -120,7 +179,11 @@ class ACF_Canto_API
             if ($http_code !== 200) {
                 $error_msg = sprintf('API returned HTTP %d', $http_code);
                 $this->logger->error($error_msg . ': ' . $body);
-                return new WP_Error('api_http_error', $error_msg, array('code' => $http_code, 'body' => $body));
+                return new WP_Error('api_http_error', $error_msg, array(
+                    'code' => $http_code,
+                    'body' => $body,
+                    'retry_after' => $this->get_retry_after($response),
+                ));
             }
             
             if (empty($body)) {
@@ -154,7 +217,8 @@ class ACF_Canto_API
      * Search for assets
      *
      * @param string $query Search query
-     * @param array $options Search options
+     * @param array $options Search options; 'album_ids' limits the search
+     *                       to those albums
      * @return array|WP_Error
      */
     public function search_assets($query = '', $options = array())
@@ -166,20 +230,13 @@ class ACF_Canto_API
             'operator' => 'and',
             'sortBy' => 'time',
             'sortDirection' => 'descending',
-            'searchInField' => 'filename'
+            'searchInField' => 'filename',
+            'album_ids' => array()
         );
         
         $options = array_merge($defaults, $options);
         $options['limit'] = min($options['limit'], self::MAX_SEARCH_LIMIT);
         
-        $cache_key = $this->get_search_cache_key($query, $options);
-        $cached_result = get_transient($cache_key);
-        
-        if ($cached_result !== false) {
-            $this->logger->debug('Using cached search results for: ' . $query);
-            return $cached_result;
-        }
-        
         $endpoint = 'search';
         $params = array(
             'keyword' => $query,
@@ -192,12 +249,150 @@ class ACF_Canto_API
             'searchInField' => $options['searchInField']
         );
         
+        // An empty field searches all fields
+        if ($params['searchInField'] === '') {
+            unset($params['searchInField']);
+        }
+        
+        if (!empty($options['album_ids'])) {
+            $params['albumId'] = implode(',', (array) $options['album_ids']);
+        }
+        
         $endpoint_with_params = add_query_arg($params, $endpoint);
-        $result = $this->request($endpoint_with_params);
         
-        if (!is_wp_error($result)) {
-            set_transient($cache_key, $result, self::CACHE_DURATION);
-            $this->logger->debug('Cached search results for: ' . $query);
+        return $this->cache->remember('search', $params, function () use ($endpoint_with_params) {
+            return $this->request($endpoint_with_params);
+        }, function ($result) {
+            return $this->get_result_tags($result);
+        });
+    }
+    
+    /**
+     * Get the album and folder tree
+     *
+     * @param string $album_id Folder to list the children of; the top level when empty
+     * @return array|WP_Error Canto tree response with 'results'
+     */
+    public function get_tree($album_id = '')
+    {
+        $params = array('sortBy' => 'name', 'sortDirection' => 'ascending');
+        
+        if ($album_id === '') {
+            $params['layer'] = 1;
+        }
+        
+        $endpoint = $album_id === '' ? 'tree' : 'tree/' . rawurlencode($album_id);
+        
+        return $this->cache->remember('tree', $album_id, function () use ($params, $endpoint) {
+            $result = $this->request(add_query_arg($params, $endpoint));
+            
+            // Accounts without the tree endpoint get one folder holding every asset
+            if (is_wp_error($result) && $result->get_error_code() === 'api_http_error') {
+                $data = $result->get_error_data();
+                
+                if (isset($data['code']) && (int) $data['code'] === 404) {
+                    $this->logger->info('Tree endpoint not available (404), using fallback');
+                    
+                    return array(
+                        'results' => array(
+                            array(
+                                'id' => 'all',
+                                'name' => 'All Assets',
+                                'type' => 'folder',
+                                'children' => array()
+                            )
+                        ),
+                        'found' => 1,
+                        'limit' => 1,
+                        'start' => 0
+                    );
+                }
+            }
+            
+            return $result;
+        }, $album_id === '' ? array() : array('album:' . $album_id));
+    }
+    
+    /**
+     * Get the whole album and folder tree, every level nested in 'children'
+     *
+     * Used to find albums and folders by name without expanding the tree.
+     *
+     * @return array|WP_Error Canto tree response with 'results'
+     */
+    public function get_full_tree()
+    {
+        $endpoint = add_query_arg(array('sortBy' => 'name', 'sortDirection' => 'ascending'), 'tree');
+        
+        return $this->cache->remember('tree', '*', function () use ($endpoint) {
+            return $this->request($endpoint);
+        });
+    }
+    
+    /**
+     * Get a page of the assets in an album or folder
+     *
+     * Canto serves albums and folders from different endpoints, and some
+     * accounts only through search, so each is tried in turn.
+     *
+     * @param string $album_id
+     * @param array $options 'start', 'limit' and 'file_types'
+     * @return array|WP_Error Canto response with 'results'; an empty page
+     *                        when every endpoint reported the album as not
+     *                        found, or the error when Canto failed otherwise
+     */
+    public function get_album_assets($album_id, $options = array())
+    {
+        $options = array_merge(array(
+            'start' => 0,
+            'limit' => self::DEFAULT_SEARCH_LIMIT,
+            'file_types' => $this->get_all_file_types(),
+        ), $options);
+        
+        $params = array(
+            'limit' => min((int) $options['limit'], self::MAX_SEARCH_LIMIT),
+            'start' => (int) $options['start'],
+            'fileType' => $options['file_types'],
+        );
+        
+        $endpoints = array(
+            'album' => add_query_arg($params, 'album/' . rawurlencode($album_id)),
+            'folder' => add_query_arg($params, 'folder/' . rawurlencode($album_id)),
+            'search_in_album' => add_query_arg(array_merge($params, array('albumId' => $album_id)), 'search'),
+        );
+        
+        $result = $this->cache->remember('album', array($album_id, $params), function () use ($endpoints, $album_id) {
+            $failure = new WP_Error('album_not_found', 'No album or folder endpoint returned assets', array('album_id' => $album_id));
+            
+            foreach ($endpoints as $endpoint_name => $endpoint) {
+                $this->logger->debug('Trying album endpoint', array('endpoint' => $endpoint_name, 'album_id' => $album_id));
+                
+                $data = $this->request($endpoint);
+                
+                if (!is_wp_error($data) && isset($data['results']) && is_array($data['results'])) {
+                    $this->logger->debug('Found assets using endpoint', array('endpoint' => $endpoint_name, 'count' => count($data['results']), 'album_id' => $album_id));
+                    return $data;
+                }
+                
+                // A 404 only means the ID belongs to another endpoint
+                if (is_wp_error($data) && !$this->is_not_found_error($data)) {
+                    $failure = $data;
+                }
+            }
+            
+            return $failure;
+        }, function ($result) use ($album_id) {
+            return array_merge(array('album:' . $album_id), $this->get_result_tags($result));
+        });
+        
+        // It might be a folder with subfolders only; failures aren't cached
+        if (is_wp_error($result) && $result->get_error_code() === 'album_not_found') {
+            $this->logger->info('No assets found for album/folder', array('album_id' => $album_id));
+            return array('results' => array(), 'found' => 0);
+        }
+        
+        if (is_wp_error($result)) {
+            $this->logger->error('Album request failed', array('album_id' => $album_id, 'error' => $result->get_error_message()));
         }
         
         return $result;
@@ -206,35 +401,87 @@ class ACF_Canto_API
     /**
      * Get asset by ID
      *
+     * Returns an 'asset_not_found' error only when Canto reported that the
+     * asset doesn't exist; failed connections, server and authentication
+     * errors are returned as they are.
+     *
      * @param string $asset_id Asset ID
      * @param string $scheme Asset scheme (image, video, document)
+     * @param bool $fresh Ask Canto even when the asset is cached, e.g. to
+     *                    check that it still exists
      * @return array|WP_Error
      */
-    public function get_asset($asset_id, $scheme = null)
+    public function get_asset($asset_id, $scheme = null, $fresh = false)
     {
         if (empty($asset_id)) {
             return new WP_Error('invalid_asset_id', 'Asset ID is required');
         }
         
-        $cache_key = $this->get_asset_cache_key($asset_id);
-        $cached_result = get_transient($cache_key);
+        $callback = function () use ($asset_id, $scheme) {
+            return $this->fetch_asset($asset_id, $scheme);
+        };
+        $tags = array('asset:' . $asset_id);
         
-        if ($cached_result !== false) {
-            $this->logger->debug('Using cached asset data for: ' . $asset_id);
-            return $cached_result;
+        if ($fresh) {
+            return $this->cache->refresh('asset', $asset_id, $callback, $tags);
         }
         
+        return $this->cache->remember('asset', $asset_id, $callback, $tags);
+    }
+    
+    /**
+     * Get the thumbnail preview URL of an asset
+     *
+     * @param string $asset_id
+     * @param string $scheme
+     * @return string|WP_Error
+     */
+    public function get_thumbnail_url($asset_id, $scheme)
+    {
+        return $this->cache->remember('thumbnail', array($asset_id, $scheme), function () use ($asset_id, $scheme) {
+            $result = $this->get_asset($asset_id, $scheme);
+            
+            if (is_wp_error($result)) {
+                return $result;
+            }
+            
+            if (empty($result['url']['directUrlPreview'])) {
+                return new WP_Error('thumbnail_not_found', 'Asset has no preview URL', array('asset_id' => $asset_id));
+            }
+            
+            return $result['url']['directUrlPreview'];
+        }, array('asset:' . $asset_id));
+    }
+    
+    /**
+     * Look up an asset in Canto, trying each scheme when none is given
+     *
+     * @param string $asset_id
+     * @param string|null $scheme
+     * @return array|WP_Error
+     */
+    private function fetch_asset($asset_id, $scheme)
+    {
         $schemes = $scheme ? array($scheme) : array('image', 'video', 'document');
+        $failure = null;
         
         foreach ($schemes as $current_scheme) {
             $endpoint = $current_scheme . '/' . $asset_id;
             $result = $this->request($endpoint);
             
             if (!is_wp_error($result)) {
-                set_transient($cache_key, $result, self::CACHE_DURATION);
-                $this->logger->debug('Cached asset data for: ' . $asset_id);
                 return $result;
             }
+            
+            if (!$this->is_not_found_error($result)) {
+                $failure = $result;
+            }
+        }
+        
+        // Without a definite answer for every scheme the asset may still exist
+        if ($failure) {
+            $this->logger->warning('Asset lookup failed: ' . $asset_id, array('error' => $failure->get_error_message()));
+            return $failure;
         }
         
         $this->logger->warning('Asset not found: ' . $asset_id);
@@ -242,20 +489,399 @@ class ACF_Canto_API
     }
     
     /**
-     * Build API URL
+     * Upload a file to Canto
      *
-     * @param string $endpoint
+     * Follows Canto's upload flow: fetch the signed upload settings, then post
+     * the file to the storage URL they point to. Canto processes the file
+     * afterwards, so use find_uploaded_asset() to wait for the new asset.
+     *
+     * @param string $file_path Local path of the file
+     * @param string $file_name File name to use in Canto
+     * @param string $album_id Album to add the asset to, or '' for none
+     * @return array|WP_Error 'file_name' and 'known_ids', the finished uploads
+     *                        that already had this name, for find_uploaded_asset()
+     */
+    public function upload_file($file_path, $file_name, $album_id = '')
+    {
+        $settings = $this->request('upload/setting');
+        
+        if (is_wp_error($settings)) {
+            return $settings;
+        }
+        
+        if (empty($settings['url'])) {
+            $this->logger->error('Upload settings did not include an upload URL');
+            return new WP_Error('upload_settings_invalid', 'Canto did not return upload settings');
+        }
+        
+        // Earlier uploads with the same name must not be mistaken for this one
+        $known_ids = array();
+        foreach ($this->get_upload_entries($file_name) as $entry) {
+            if (!empty($entry['id'])) {
+                $known_ids[] = (string) $entry['id'];
+            }
+        }
+        
+        $contents = file_get_contents($file_path);
+        if ($contents === false) {
+            return new WP_Error('upload_file_unreadable', 'Uploaded file could not be read');
+        }
+        
+        $upload_url = $settings['url'];
+        unset($settings['url']);
+        
+        $fields = array_merge($settings, array(
+            'x-amz-meta-file_name' => $file_name,
+            'x-amz-meta-tag'       => '',
+            'x-amz-meta-scheme'    => '',
+            'x-amz-meta-id'        => '',
+            'x-amz-meta-album_id'  => $album_id,
+        ));
+        
+        if (isset($fields['key'])) {
+            $fields['key'] = str_replace('${filename}', $file_name, $fields['key']);
+        }
+        
+        $fields = apply_filters('acf_canto_upload_fields', $fields, $file_name, $album_id);
+        
+        $boundary = wp_generate_password(24, false);
+        
+        $this->logger->info('Uploading file to Canto', array('file_name' => $file_name, 'album_id' => $album_id));
+        
+        // The storage URL is pre-signed, so the API token must not be sent along.
+        // It isn't Canto's API either, so its failures don't trip the circuit breaker.
+        $response = $this->send($upload_url, array(
+            'method'  => 'POST',
+            'headers' => array(
+                'Content-Type' => 'multipart/form-data; boundary=' . $boundary,
+                'User-Agent'   => 'WordPress ACF Canto Field Plugin',
+            ),
+            'body'    => $this->build_multipart_body($fields, $file_name, $contents, $boundary),
+            'timeout' => self::UPLOAD_TIMEOUT,
+        ), array('retry' => false, 'circuit' => false));
+        
+        if (is_wp_error($response)) {
+            $this->logger->error('Upload failed: ' . $response->get_error_message());
+            return $response;
+        }
+        
+        $http_code = wp_remote_retrieve_response_code($response);
+        
+        if ($http_code < 200 || $http_code >= 300) {
+            $error_msg = sprintf('Upload returned HTTP %d', $http_code);
+            $this->logger->error($error_msg . ': ' . wp_remote_retrieve_body($response));
+            return new WP_Error('upload_http_error', $error_msg, array('code' => $http_code));
+        }
+        
+        return array(
+            'file_name' => $file_name,
+            'known_ids' => $known_ids,
+        );
+    }
+    
+    /**
+     * Look up a file uploaded with upload_file() in Canto's upload status
+     *
+     * @param string $file_name File name passed to upload_file()
+     * @param array $known_ids The 'known_ids' returned by upload_file()
+     * @return array|null|WP_Error 'id' and 'scheme' of the new asset, or null while Canto is still processing it
+     */
+    public function find_uploaded_asset($file_name, $known_ids = array())
+    {
+        $entries = $this->get_upload_entries($file_name, true);
+        
+        if (is_wp_error($entries)) {
+            return $entries;
+        }
+        
+        foreach ($entries as $entry) {
+            if (!empty($entry['id']) && in_array((string) $entry['id'], $known_ids, true)) {
+                continue;
+            }
+            
+            $entry_status = isset($entry['status']) ? strtolower($entry['status']) : '';
+            
+            if (in_array($entry_status, array('error', 'failed', 'failure'), true)) {
+                $this->logger->error('Canto could not process upload', array('file_name' => $file_name, 'entry' => $entry));
+                return new WP_Error('upload_processing_failed', 'Canto could not process the uploaded file');
+            }
+            
+            if (in_array($entry_status, array('done', 'success', 'complete', 'completed'), true) && !empty($entry['id'])) {
+                return array(
+                    'id'     => (string) $entry['id'],
+                    'scheme' => isset($entry['scheme']) ? $entry['scheme'] : null,
+                );
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get Canto's upload status entries for a file name, newest first
+     *
+     * @param string $file_name
+     * @param bool $return_errors Return request errors instead of an empty list
+     * @return array|WP_Error
+     */
+    private function get_upload_entries($file_name, $return_errors = false)
+    {
+        $status = $this->request('upload/status');
+        
+        if (is_wp_error($status)) {
+            return $return_errors ? $status : array();
+        }
+        
+        $entries = isset($status['results']) && is_array($status['results']) ? $status['results'] : $status;
+        
+        return array_values(array_filter((array) $entries, function ($entry) use ($file_name) {
+            return is_array($entry) && isset($entry['name']) && $entry['name'] === $file_name;
+        }));
+    }
+    
+    /**
+     * Check whether the circuit breaker is stopping requests to Canto
+     *
+     * The circuit opens after CIRCUIT_THRESHOLD requests in a row failed
+     * with connection errors, rate limits or server errors, and stays open
+     * for CIRCUIT_COOLDOWN seconds. The first request after that is let
+     * through; it closes the circuit if it succeeds and reopens it if not.
+     *
+     * @return bool
+     */
+    public function is_circuit_open()
+    {
+        return $this->get_circuit_retry_after() > 0;
+    }
+    
+    /**
+     * Send a request through the transport, retrying transient failures
+     *
+     * Connection errors, 429 and 5xx responses are retried with exponential
+     * backoff, waiting at least as long as a Retry-After header asks. Each
+     * wait is capped at MAX_RETRY_DELAY seconds by get_retry_delay(); all the
+     * waits of a request together are capped at MAX_RETRY_WAIT seconds, so a
+     * struggling Canto can't hold up a page for long.
+     *
+     * @param string $url
+     * @param array $args Request arguments
+     * @param array $options 'retry' and 'circuit' (whether the request
+     *                       counts towards the circuit breaker), both true
+     *                       by default
+     * @return array|WP_Error Response, or an 'api_unavailable' error while
+     *                        the circuit is open
+     */
+    private function send($url, $args, $options = array())
+    {
+        $options = array_merge(array('retry' => true, 'circuit' => true), $options);
+        
+        if ($options['circuit']) {
+            $retry_after = $this->get_circuit_retry_after();
+            
+            if ($retry_after > 0) {
+                $this->logger->debug('Circuit open, skipping request to: ' . $url);
+                return $this->get_unavailable_error($retry_after);
+            }
+        }
+        
+        $max_retries = $options['retry'] ? (int) apply_filters('acf_canto_max_retries', self::MAX_RETRIES) : 0;
+        $max_wait = (float) apply_filters('acf_canto_max_retry_wait', self::MAX_RETRY_WAIT);
+        $attempt = 0;
+        $waited = 0;
+        
+        while (true) {
+            $response = $this->transport->request($url, $args);
+            $this->logger->api_request($url, $args, $response);
+            
+            if ($attempt >= $max_retries || !$this->is_retryable($response)) {
+                break;
+            }
+            
+            $delay = $this->get_retry_delay($response, $attempt);
+            
+            // Don't hold the request for a rate limit that lasts longer than we would wait
+            if ($delay === false || $waited + $delay > $max_wait) {
+                break;
+            }
+            
+            $waited += $delay;
+            $attempt++;
+            $this->logger->warning(sprintf('Canto request failed, retry %d of %d in %.1f seconds', $attempt, $max_retries, $delay), array('url' => $url));
+            
+            if ($delay > 0) {
+                usleep((int) round($delay * 1000000));
+            }
+        }
+        
+        if ($options['circuit']) {
+            $this->record_circuit_result($this->is_retryable($response));
+        }
+        
+        return $response;
+    }
+    
+    /**
+     * Check whether a response is a failure worth retrying
+     *
+     * @param array|WP_Error $response
+     * @return bool
+     */
+    private function is_retryable($response)
+    {
+        if (is_wp_error($response)) {
+            return true;
+        }
+        
+        return in_array((int) wp_remote_retrieve_response_code($response), array(429, 500, 502, 503, 504), true);
+    }
+    
+    /**
+     * Get how long to wait before the next attempt
+     *
+     * Caps this one wait; send() caps the total across retries.
+     *
+     * @param array|WP_Error $response
+     * @param int $attempt Retries made so far
+     * @return float|false Seconds, or false when Retry-After asks for longer than MAX_RETRY_DELAY
+     */
+    private function get_retry_delay($response, $attempt)
+    {
+        $retry_after = $this->get_retry_after($response);
+        
+        if ($retry_after > self::MAX_RETRY_DELAY) {
+            return false;
+        }
+        
+        // Exponential backoff with a little jitter so parallel requests spread out
+        $backoff = min(self::RETRY_BASE_DELAY * pow(2, $attempt), self::MAX_RETRY_DELAY) + mt_rand(0, 250) / 1000;
+        
+        return (float) apply_filters('acf_canto_retry_delay', max($backoff, $retry_after), $attempt, $response);
+    }
+    
+    /**
+     * Read the Retry-After header of a response
+     *
+     * @param array|WP_Error $response
+     * @return int Seconds; 0 when the header is missing
+     */
+    private function get_retry_after($response)
+    {
+        if (is_wp_error($response)) {
+            return 0;
+        }
+        
+        $header = trim((string) wp_remote_retrieve_header($response, 'retry-after'));
+        
+        if ($header === '') {
+            return 0;
+        }
+        
+        // Either delay-seconds or an HTTP date
+        if (ctype_digit($header)) {
+            return (int) $header;
+        }
+        
+        $time = strtotime($header);
+        
+        return $time ? max(0, $time - time()) : 0;
+    }
+    
+    /**
+     * Get the seconds until the circuit breaker lets requests through again
+     *
+     * @return int 0 when the circuit is closed
+     */
+    private function get_circuit_retry_after()
+    {
+        $state = get_option(self::CIRCUIT_OPTION);
+        
+        if (!is_array($state) || empty($state['open_until'])) {
+            return 0;
+        }
+        
+        return max(0, (int) $state['open_until'] - time());
+    }
+    
+    /**
+     * Count a failed request towards the circuit breaker, or reset it
+     *
+     * @param bool $failed
+     */
+    private function record_circuit_result($failed)
+    {
+        $state = get_option(self::CIRCUIT_OPTION);
+        $failures = is_array($state) && isset($state['failures']) ? (int) $state['failures'] : 0;
+        
+        if (!$failed) {
+            if ($failures > 0) {
+                delete_option(self::CIRCUIT_OPTION);
+                
+                if ($failures >= self::CIRCUIT_THRESHOLD) {
+                    $this->logger->info('Canto is responding again, circuit closed');
+                }
+            }
+            return;
+        }
+        
+        $failures++;
+        $open_until = 0;
+        
+        if ($failures >= self::CIRCUIT_THRESHOLD) {
+            $cooldown = (int) apply_filters('acf_canto_circuit_cooldown', self::CIRCUIT_COOLDOWN);
+            $open_until = time() + $cooldown;
+            $this->logger->error(sprintf('Canto failed %d requests in a row, pausing requests for %d seconds', $failures, $cooldown));
+        }
+        
+        update_option(self::CIRCUIT_OPTION, array('failures' => $failures, 'open_until' => $open_until), false);
+    }
+    
+    /**
+     * Build the error returned while the circuit is open
+     *
+     * The message is shown to editors in the picker.
+     *
+     * @param int $retry_after Seconds until requests are tried again
+     * @return WP_Error
+     */
+    private function get_unavailable_error($retry_after)
+    {
+        return new WP_Error(
+            'api_unavailable',
+            __('Canto is not responding right now. Please try again in a minute.', 'acf-canto-field'),
+            array('retry_after' => $retry_after)
+        );
+    }
+    
+    /**
+     * Get the base URL of a Canto API
+     *
+     * The acf_canto_api_base_url filter can point requests elsewhere, for
+     * example to a local fake Canto server.
+     *
+     * @param string $api 'api' or 'api_binary'
      * @return string
      */
-    private function build_api_url($endpoint)
+    private function get_base_url($api)
     {
         $base_url = sprintf(
-            'https://%s.%s/api/v1/',
+            'https://%s.%s/%s/v1/',
             $this->config['domain'],
-            $this->config['api_domain']
+            $this->config['api_domain'],
+            $api
         );
         
-        return $base_url . ltrim($endpoint, '/');
+        return apply_filters('acf_canto_api_base_url', $base_url, $api);
+    }
+    
+    /**
+     * Build API URL
+     *
+     * @param string $endpoint
+     * @return string
+     */
+    private function build_api_url($endpoint)
+    {
+        return $this->get_base_url('api') . ltrim($endpoint, '/');
     }
     
     /**
@@ -278,6 +904,58 @@ class ACF_Canto_API
         return array_merge_recursive($defaults, $args);
     }
     
+    /**
+     * Check whether a request error means Canto has no such resource
+     *
+     * @param WP_Error $error
+     * @return bool
+     */
+    private function is_not_found_error($error)
+    {
+        switch ($error->get_error_code()) {
+            case 'api_http_error':
+                $data = $error->get_error_data();
+                return isset($data['code']) && in_array((int) $data['code'], array(400, 404, 410), true);
+                
+            case 'api_error':
+            case 'api_empty_response':
+                return true;
+                
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Build a multipart/form-data body with the file as the last part
+     *
+     * @param array $fields Form fields
+     * @param string $file_name
+     * @param string $contents File contents
+     * @param string $boundary
+     * @return string
+     */
+    private function build_multipart_body($fields, $file_name, $contents, $boundary)
+    {
+        $body = '';
+        
+        foreach ($fields as $name => $value) {
+            $body .= '--' . $boundary . "\r\n";
+            $body .= 'Content-Disposition: form-data; name="' . $name . '"' . "\r\n\r\n";
+            $body .= $value . "\r\n";
+        }
+        
+        $file_type = wp_check_filetype($file_name);
+        
+        $body .= '--' . $boundary . "\r\n";
+        $body .= 'Content-Disposition: form-data; name="file"; filename="' . str_replace('"', '', $file_name) . '"' . "\r\n";
+        $body .= 'Content-Type: ' . ($file_type['type'] ?: 'application/octet-stream') . "\r\n\r\n";
+        $body .= $contents . "\r\n";
+        $body .= '--' . $boundary . "--\r\n";
+        
+        return $body;
+    }
+    
     /**
      * Get all supported file types
      *
@@ -294,34 +972,56 @@ class ACF_Canto_API
     }
     
     /**
-     * Generate cache key for search
+     * Get the fileType filter for a set of restrictions
      *
-     * @param string $query
-     * @param array $options
-     * @return string
+     * Explicit extensions win over schemes; with neither, every supported
+     * type is requested.
+     *
+     * @param array $restrictions 'schemes' and 'extensions' lists, as returned
+     *                            by ACF_Canto_Asset_Formatter::get_field_restrictions()
+     * @return string Pipe-separated list of upper-case extensions
      */
-    private function get_search_cache_key($query, $options)
+    public function get_file_types($restrictions = array())
     {
-        $key_data = array(
-            'query' => $query,
-            'limit' => $options['limit'],
-            'start' => $options['start'],
-            'file_types' => $options['file_types'],
-            'operator' => $options['operator']
-        );
+        if (!empty($restrictions['extensions'])) {
+            return strtoupper(implode('|', $restrictions['extensions']));
+        }
+        
+        if (!empty($restrictions['schemes'])) {
+            $scheme_types = array(
+                'image'    => self::FILETYPE_IMAGES,
+                'video'    => self::FILETYPE_VIDEO,
+                'document' => self::FILETYPE_DOCUMENTS,
+            );
+            
+            $types = array_intersect_key($scheme_types, array_flip($restrictions['schemes']));
+            if (!empty($types)) {
+                return implode('|', $types);
+            }
+        }
         
-        return 'acf_canto_search_' . md5(serialize($key_data));
+        return $this->get_all_file_types();
     }
     
     /**
-     * Generate cache key for asset
+     * Get cache tags for the assets in a search or album response
      *
-     * @param string $asset_id
-     * @return string
+     * @param array $result Canto response with 'results'
+     * @return array
      */
-    private function get_asset_cache_key($asset_id)
+    private function get_result_tags($result)
     {
-        return 'acf_canto_asset_' . $asset_id;
+        $tags = array();
+        
+        if (isset($result['results']) && is_array($result['results'])) {
+            foreach ($result['results'] as $item) {
+                if (!empty($item['id'])) {
+                    $tags[] = 'asset:' . $item['id'];
+                }
+            }
+        }
+        
+        return $tags;
     }
     
     /**
@@ -331,16 +1031,7 @@ class ACF_Canto_API
      */
     public function clear_cache()
     {
-        global $wpdb;
-        
-        $result = $wpdb->query(
-            "DELETE FROM {$wpdb->options} 
-             WHERE option_name LIKE '_transient_acf_canto_%' 
-             OR option_name LIKE '_transient_timeout_acf_canto_%'"
-        );
-        
-        $this->logger->info('Cleared Canto API cache');
-        return $result !== false;
+        return $this->cache->purge_all();
     }
     
     /**
@@ -353,11 +1044,7 @@ class ACF_Canto_API
      */
     public function build_download_url($asset_id, $scheme, $options = array())
     {
-        $base_url = sprintf(
-            'https://%s.%s/api_binary/v1/',
-            $this->config['domain'],
-            $this->config['api_domain']
-        );
+        $base_url = $this->get_base_url('api_binary');
         
         switch ($scheme) {
             case 'image':
@@ -392,4 +1079,233 @@ class ACF_Canto_API
             'asset_id'        => $asset_id,
         ), home_url('/'));
     }
+    
+    /**
+     * Build a signed local URL that redirects to an image rendition
+     *
+     * The canto_rendition route resolves the rendition through the
+     * authenticated advance download API, so browsers never need a token.
+     *
+     * @param string $asset_id
+     * @param array $params Rendition parameters: type, dpi, width, height, crop
+     * @return string
+     */
+    public function build_rendition_url($asset_id, $params)
+    {
+        $query = $this->get_rendition_query($asset_id, $params);
+        $query['sig'] = $this->sign_rendition_query($query);
+        
+        return add_query_arg(array_merge(array('canto_rendition' => '1'), $query), home_url('/'));
+    }
+    
+    /**
+     * Check the signature of a canto_rendition request
+     *
+     * @param array $query The request's asset_id, rendition parameters and sig
+     * @return bool
+     */
+    public function verify_rendition_query($query)
+    {
+        if (empty($query['sig']) || empty($query['asset_id'])) {
+            return false;
+        }
+        
+        $params = $this->parse_rendition_query($query);
+        $expected = $this->sign_rendition_query($this->get_rendition_query($query['asset_id'], $params));
+        
+        return hash_equals($expected, (string) $query['sig']);
+    }
+    
+    /**
+     * Read rendition parameters back from a canto_rendition query
+     *
+     * @param array $query
+     * @return array
+     */
+    public function parse_rendition_query($query)
+    {
+        $params = array();
+        
+        if (!empty($query['type'])) {
+            $params['type'] = sanitize_key($query['type']);
+        }
+        
+        foreach (array('dpi' => 'dpi', 'w' => 'width', 'h' => 'height') as $key => $param) {
+            if (!empty($query[$key])) {
+                $params[$param] = absint($query[$key]);
+            }
+        }
+        
+        if (!empty($query['crop'])) {
+            $crop = array_map('floatval', explode(',', (string) $query['crop']));
+            if (count($crop) === 4) {
+                $params['crop'] = array_combine(array('x', 'y', 'width', 'height'), $crop);
+            }
+        }
+        
+        return $params;
+    }
+    
+    /**
+     * Resolve a rendition to a direct, unauthenticated file URL
+     *
+     * @param string $asset_id
+     * @param array $params Rendition parameters: type, dpi, width, height, crop
+     * @return string|WP_Error
+     */
+    public function get_rendition_direct_url($asset_id, $params)
+    {
+        if (!$this->is_configured()) {
+            return new WP_Error('api_not_configured', 'Canto API is not properly configured');
+        }
+        
+        return $this->cache->remember('rendition', array($asset_id, $params), function () use ($asset_id, $params) {
+            return $this->fetch_rendition_direct_url($asset_id, $params);
+        }, array('asset:' . $asset_id));
+    }
+    
+    /**
+     * Ask Canto for the direct URL of a rendition
+     *
+     * @param string $asset_id
+     * @param array $params
+     * @return string|WP_Error
+     */
+    private function fetch_rendition_direct_url($asset_id, $params)
+    {
+        $url = $this->build_download_url($asset_id, 'image', $this->get_rendition_api_args($asset_id, $params));
+        $response = $this->send($url, $this->prepare_request_args(array('redirection' => 0)));
+        
+        if (is_wp_error($response)) {
+            $this->logger->error('Rendition request failed: ' . $response->get_error_message(), array('asset_id' => $asset_id));
+            return $response;
+        }
+        
+        $direct_url = $this->extract_direct_uri($response);
+        
+        if (!$direct_url) {
+            $http_code = wp_remote_retrieve_response_code($response);
+            $this->logger->error(sprintf('Rendition request returned HTTP %d without a direct URI', $http_code), array('asset_id' => $asset_id));
+            return new WP_Error('rendition_failed', 'Could not resolve rendition', array('code' => $http_code));
+        }
+        
+        return $direct_url;
+    }
+    
+    /**
+     * Normalize rendition parameters into the canto_rendition query
+     *
+     * @param string $asset_id
+     * @param array $params
+     * @return array
+     */
+    private function get_rendition_query($asset_id, $params)
+    {
+        $query = array('asset_id' => $asset_id);
+        
+        if (!empty($params['type'])) {
+            $query['type'] = $params['type'];
+        }
+        
+        foreach (array('dpi' => 'dpi', 'width' => 'w', 'height' => 'h') as $param => $key) {
+            if (!empty($params[$param])) {
+                $query[$key] = (int) $params[$param];
+            }
+        }
+        
+        if (!empty($params['crop'])) {
+            $query['crop'] = implode(',', array_map(function ($value) {
+                return round((float) $value, 4);
+            }, array($params['crop']['x'], $params['crop']['y'], $params['crop']['width'], $params['crop']['height'])));
+        }
+        
+        return $query;
+    }
+    
+    /**
+     * Sign a canto_rendition query so only URLs built by the site are served
+     *
+     * @param array $query
+     * @return string
+     */
+    private function sign_rendition_query($query)
+    {
+        unset($query['sig']);
+        
+        return substr(wp_hash(http_build_query($query), 'nonce'), 0, 16);
+    }
+    
+    /**
+     * Map rendition parameters to advance download query arguments
+     *
+     * Crop fractions are converted to pixels using the asset's dimensions.
+     *
+     * @param string $asset_id
+     * @param array $params
+     * @return array
+     */
+    private function get_rendition_api_args($asset_id, $params)
+    {
+        $args = array();
+        
+        if (!empty($params['type'])) {
+            $args['type'] = $params['type'];
+        }
+        
+        foreach (array('dpi', 'width', 'height') as $param) {
+            if (!empty($params[$param])) {
+                $args[$param] = (int) $params[$param];
+            }
+        }
+        
+        if (!empty($params['crop'])) {
+            $asset = $this->get_asset($asset_id, 'image');
+            
+            if (!is_wp_error($asset) && !empty($asset['width']) && !empty($asset['height'])) {
+                $args['cropX'] = (int) round($params['crop']['x'] * $asset['width']);
+                $args['cropY'] = (int) round($params['crop']['y'] * $asset['height']);
+                $args['cropWidth'] = (int) round($params['crop']['width'] * $asset['width']);
+                $args['cropHeight'] = (int) round($params['crop']['height'] * $asset['height']);
+            } else {
+                $this->logger->warning('Asset dimensions unknown, rendition will not be cropped', array('asset_id' => $asset_id));
+            }
+        }
+        
+        return apply_filters('acf_canto_rendition_api_args', $args, $asset_id, $params);
+    }
+    
+    /**
+     * Find the direct URI in an advance download response
+     *
+     * Depending on the account the URI comes back as a redirect, a JSON
+     * object or the plain response body.
+     *
+     * @param array $response
+     * @return string|false
+     */
+    private function extract_direct_uri($response)
+    {
+        $location = wp_remote_retrieve_header($response, 'location');
+        if ($location) {
+            return $location;
+        }
+        
+        if (wp_remote_retrieve_response_code($response) !== 200) {
+            return false;
+        }
+        
+        $body = trim(wp_remote_retrieve_body($response));
+        $data = json_decode($body, true);
+        
+        if (is_array($data)) {
+            foreach (array('directUri', 'directUrl', 'url', 'uri') as $key) {
+                if (!empty($data[$key]) && is_string($data[$key])) {
+                    return $data[$key];
+                }
+            }
+            return false;
+        }
+        
+        return filter_var($body, FILTER_VALIDATE_URL) ? $body : false;
+    }
 }
\ No newline at end of file
@@ -22,6 +22,18 @@ class ACF_Canto_Asset_Formatter
      */
     private $api;
     
+    /**
+     * Markup builder for the html return format, created when first needed
+     */
+    private $markup;
+    
+    /**
+     * Asset keys stored in a value record, in storage order
+     *
+     * @var array
+     */
+    private $record_keys = array('id', 'scheme', 'name', 'mime_type', 'dimensions');
+    
     /**
      * Constructor
      *
@@ -84,6 +96,7 @@ class ACF_Canto_Asset_Formatter
             $this->populate_metadata($formatted_data, $raw_data);
             $this->populate_urls($formatted_data, $raw_data, $scheme);
             $this->populate_filename($formatted_data, $raw_data, $scheme);
+            $this->populate_metadata_display($formatted_data, $raw_data);
             
             return $formatted_data;
             
@@ -113,17 +126,543 @@ class ACF_Canto_Asset_Formatter
                 return isset($asset_data['id']) ? $asset_data['id'] : false;
                 
             case 'url':
+                if (!empty($asset_data['rendition_url'])) {
+                    return $asset_data['rendition_url'];
+                }
                 return isset($asset_data['url']) ? $asset_data['url'] : false;
                 
             case 'download_url':
                 return isset($asset_data['download_url']) ? $asset_data['download_url'] : false;
                 
+            case 'html':
+                if (!$this->markup) {
+                    $this->markup = new ACF_Canto_Markup($this->logger, $this->api);
+                }
+                return $this->markup->get_html($asset_data, apply_filters('acf_canto_html_args', array(), $field));
+                
             case 'object':
             default:
                 return $asset_data;
         }
     }
     
+    /**
+     * Parse a stored field value item
+     *
+     * Items are a JSON record describing the asset (ID, scheme, name, MIME
+     * type, dimensions, direct URL and when it was picked) next to the
+     * editor's crop and focal point. Legacy items are a bare asset URL, or a
+     * JSON object with only the URL, crop and focal point.
+     *
+     * @param mixed $item Stored item (string or decoded array)
+     * @return array 'url', the record keys ('' when unknown), 'rendition'
+     *               and 'focal_point' (null when unset)
+     */
+    public function parse_value_item($item)
+    {
+        $reference = array(
+            'id'          => '',
+            'scheme'      => '',
+            'name'        => '',
+            'mime_type'   => '',
+            'dimensions'  => '',
+            'url'         => '',
+            'selected_at' => '',
+            'rendition'   => array(),
+            'focal_point' => null,
+        );
+        
+        if (is_string($item) && strpos(ltrim($item), '{') === 0) {
+            $data = json_decode($item, true);
+            
+            // Values straight from $_POST are still slashed
+            if (!is_array($data)) {
+                $data = json_decode(wp_unslash($item), true);
+            }
+            
+            $item = is_array($data) ? $data : '';
+        }
+        
+        if (!is_array($item)) {
+            $reference['url'] = trim((string) $item);
+            return $reference;
+        }
+        
+        $reference['url'] = isset($item['url']) && is_string($item['url']) ? trim($item['url']) : '';
+        $reference['rendition'] = $this->normalize_rendition(isset($item['rendition']) ? $item['rendition'] : array());
+        
+        if (isset($item['focal_point'])) {
+            $reference['focal_point'] = $this->normalize_focal_point($item['focal_point']);
+        }
+        
+        return array_merge($reference, $this->normalize_record($item));
+    }
+    
+    /**
+     * Encode a parsed value item for storage
+     *
+     * Items that identify their asset are stored as a JSON record. Legacy
+     * items that don't are kept as the bare URL unless they have a crop or
+     * focal point.
+     *
+     * @param array $reference As returned by parse_value_item()
+     * @return string
+     */
+    public function encode_value_item($reference)
+    {
+        $data = array();
+        
+        if (!empty($reference['id'])) {
+            foreach ($this->record_keys as $key) {
+                if (isset($reference[$key]) && $reference[$key] !== '') {
+                    $data[$key] = $reference[$key];
+                }
+            }
+        }
+        
+        $data['url'] = $reference['url'];
+        
+        if (!empty($reference['selected_at'])) {
+            $data['selected_at'] = $reference['selected_at'];
+        }
+        
+        if (!empty($reference['rendition'])) {
+            $data['rendition'] = $reference['rendition'];
+        }
+        
+        if (!empty($reference['focal_point'])) {
+            $data['focal_point'] = $reference['focal_point'];
+        }
+        
+        if (empty($data['id']) && empty($data['rendition']) && empty($data['focal_point'])) {
+            return $reference['url'];
+        }
+        
+        return wp_json_encode($data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    }
+    
+    /**
+     * Check whether a parsed value item is a structured record
+     *
+     * @param array $reference As returned by parse_value_item()
+     * @return bool
+     */
+    public function is_record($reference)
+    {
+        return !empty($reference['id']) && !empty($reference['scheme']) && !empty($reference['url']);
+    }
+    
+    /**
+     * Get the asset ID a parsed value item points to
+     *
+     * Records carry it; for legacy items it is read from the URL or the
+     * CANTO_{id}_ test format.
+     *
+     * @param array $reference As returned by parse_value_item()
+     * @return string|false
+     */
+    public function get_reference_asset_id($reference)
+    {
+        if ($reference['id'] !== '') {
+            return $reference['id'];
+        }
+        
+        if (preg_match('/^CANTO_([^_]+)_/', $reference['url'], $matches)) {
+            return $matches[1];
+        }
+        
+        return $this->extract_asset_id_from_url($reference['url']);
+    }
+    
+    /**
+     * Fill a value item's record keys from formatted asset data
+     *
+     * The crop, focal point and pick time already on the item are kept.
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $reference As returned by parse_value_item()
+     * @return array The updated reference
+     */
+    public function build_value_record($asset_data, $reference)
+    {
+        $url = !empty($asset_data['direct_url']) ? $asset_data['direct_url'] : $asset_data['download_url'];
+        
+        return array_merge($reference, $this->normalize_record(array(
+            'id'          => $asset_data['id'],
+            'scheme'      => $asset_data['scheme'],
+            'name'        => $asset_data['name'],
+            'mime_type'   => $asset_data['mime_type'],
+            'dimensions'  => $asset_data['dimensions'],
+            'selected_at' => $reference['selected_at'],
+        )), array(
+            'url' => $url ?: $reference['url'],
+        ));
+    }
+    
+    /**
+     * Build the value a Canto field stores for a newly picked asset
+     *
+     * @param array $asset_data Formatted asset data
+     * @return string Encoded record
+     */
+    public function build_stored_item($asset_data)
+    {
+        $reference = $this->build_value_record($asset_data, $this->parse_value_item(''));
+        $reference['selected_at'] = gmdate('c');
+        
+        return $this->encode_value_item($reference);
+    }
+    
+    /**
+     * Build asset data from a structured value record without calling the API
+     *
+     * Returns the same structure as format_from_api(); the thumbnail points
+     * to the local canto-thumbnail proxy route.
+     *
+     * @param array $reference As returned by parse_value_item()
+     * @return array|false False for items that aren't records
+     */
+    public function format_from_reference($reference)
+    {
+        if (!$this->is_record($reference)) {
+            return false;
+        }
+        
+        $filename = $reference['name'] ?: $this->extract_name_from_url($reference['url']);
+        
+        return array(
+            'id'           => $reference['id'],
+            'scheme'       => $reference['scheme'],
+            'name'         => $reference['name'] ?: ($filename ?: __('Untitled', 'acf-canto-field')),
+            'filename'     => $filename,
+            'url'          => $reference['url'],
+            'thumbnail'    => $this->api->build_thumbnail_url($reference['id'], $reference['scheme']),
+            'download_url' => $reference['url'],
+            'dimensions'   => $reference['dimensions'],
+            'mime_type'    => $reference['mime_type'],
+            'size'         => '',
+            'uploaded'     => '',
+            'selected_at'  => $reference['selected_at'],
+            'metadata'     => array(),
+        );
+    }
+    
+    /**
+     * Extract the asset scheme (image, video, document) from a URL.
+     *
+     * @param string $url
+     * @return string One of 'image', 'video', 'document'
+     */
+    public function extract_scheme_from_url($url)
+    {
+        if (preg_match('/\/(image)\//', $url)) {
+            return 'image';
+        }
+        if (preg_match('/\/(video)\//', $url)) {
+            return 'video';
+        }
+        // Default to document (most assets are PDFs)
+        return 'document';
+    }
+    
+    /**
+     * Extract the asset name from a Canto download URL.
+     *
+     * Checks the 'name' query parameter first (present in direct URLs),
+     * then falls back to the URL path basename. Returns empty string
+     * for generic basenames like 'original' or 'download'.
+     *
+     * @param string $url
+     * @return string
+     */
+    public function extract_name_from_url($url)
+    {
+        // Try query string 'name' parameter first
+        $query = parse_url($url, PHP_URL_QUERY);
+        if ($query) {
+            parse_str($query, $params);
+            if (!empty($params['name'])) {
+                return $params['name'];
+            }
+        }
+        
+        // Fall back to URL path basename
+        $path = parse_url($url, PHP_URL_PATH);
+        $basename = $path ? basename($path) : '';
+        
+        // Skip generic basenames that aren't real filenames
+        if (in_array(strtolower($basename), array('original', 'download', 'directuri', 'preview'), true)) {
+            return '';
+        }
+        
+        return $basename;
+    }
+    
+    /**
+     * Extract asset ID from various URL formats
+     *
+     * @param string $url The URL to extract asset ID from
+     * @return string|false Asset ID if found, false otherwise
+     */
+    public function extract_asset_id_from_url($url)
+    {
+        if (empty($url)) {
+            return false;
+        }
+        
+        // Pattern 1: Direct URL - /direct/(document|image|video)/ASSET_ID/TOKEN/original
+        if (preg_match('/\/direct\/(?:document|image|video)\/([^\/\?]+)\/[^\/]+\/original/', $url, $matches)) {
+            return $matches[1];
+        }
+        
+        // Pattern 2: Direct URL without /original - /direct/(document|image|video)/ASSET_ID
+        if (preg_match('/\/direct\/(?:document|image|video)\/([^\/\?]+)/', $url, $matches)) {
+            return $matches[1];
+        }
+        
+        // Pattern 3: API binary URL - /api_binary/v1/(advance/)?(image|video|document)/ASSET_ID
+        if (preg_match('/\/api_binary\/v1\/(?:advance\/)?(?:image|video|document)\/([a-zA-Z0-9]+)/', $url, $matches)) {
+            return $matches[1];
+        }
+        
+        // Pattern 4: Any other asset URL with recognizable ID pattern
+        if (preg_match('/\/(?:document|image|video)\/([a-zA-Z0-9_-]{15,})/', $url, $matches)) {
+            return $matches[1];
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Get the default image rendition configured on a field
+     *
+     * @param array $field
+     * @return array Rendition parameters: type, dpi, width, height
+     */
+    public function get_field_rendition($field)
+    {
+        return $this->normalize_rendition(array(
+            'type'   => isset($field['rendition_type']) ? $field['rendition_type'] : '',
+            'dpi'    => isset($field['rendition_dpi']) ? $field['rendition_dpi'] : '',
+            'width'  => isset($field['rendition_max_width']) ? $field['rendition_max_width'] : '',
+            'height' => isset($field['rendition_max_height']) ? $field['rendition_max_height'] : '',
+        ));
+    }
+    
+    /**
+     * Add rendition URL and focal point data to an image asset
+     *
+     * The field's default rendition is combined with the crop stored in the
+     * value item, and the focal point is made relative to that rendition.
+     * Non-image assets are returned unchanged.
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $reference As returned by parse_value_item()
+     * @param array $field
+     * @return array
+     */
+    public function apply_rendition($asset_data, $reference, $field)
+    {
+        if (!is_array($asset_data) || $asset_data['scheme'] !== 'image') {
+            return $asset_data;
+        }
+        
+        $params = array_merge($this->get_field_rendition($field), $reference['rendition']);
+        $focal_point = $reference['focal_point'] ?: array('x' => 0.5, 'y' => 0.5);
+        
+        // The focal point is picked on the full image; make it relative to the crop
+        if (!empty($params['crop'])) {
+            $crop = $params['crop'];
+            $focal_point = array(
+                'x' => round(min(max(($focal_point['x'] - $crop['x']) / $crop['width'], 0), 1), 4),
+                'y' => round(min(max(($focal_point['y'] - $crop['y']) / $crop['height'], 0), 1), 4),
+            );
+        }
+        
+        $asset_data['rendition'] = $params;
+        $asset_data['rendition_url'] = $params ? $this->api->build_rendition_url($asset_data['id'], $params) : '';
+        $asset_data['focal_point'] = $focal_point;
+        $asset_data['object_position'] = sprintf('%s%% %s%%', round($focal_point['x'] * 100, 2), round($focal_point['y'] * 100, 2));
+        
+        return $asset_data;
+    }
+    
+    /**
+     * Keep only valid record keys of a stored value item
+     *
+     * @param array $item Decoded value item
+     * @return array Record keys, '' when missing or invalid
+     */
+    private function normalize_record($item)
+    {
+        $record = array_fill_keys(array_merge($this->record_keys, array('selected_at')), '');
+        
+        if (isset($item['id']) && is_scalar($item['id']) && preg_match('/^[A-Za-z0-9_-]+$/', (string) $item['id'])) {
+            $record['id'] = (string) $item['id'];
+        }
+        
+        if (isset($item['scheme']) && in_array($item['scheme'], array('image', 'video', 'document'), true)) {
+            $record['scheme'] = $item['scheme'];
+        }
+        
+        if (isset($item['name']) && is_scalar($item['name'])) {
+            $record['name'] = sanitize_text_field((string) $item['name']);
+        }
+        
+        if (isset($item['mime_type']) && is_string($item['mime_type']) && preg_match('#^[\w.+-]+/[\w.+-]+$#', $item['mime_type'])) {
+            $record['mime_type'] = strtolower($item['mime_type']);
+        }
+        
+        if (isset($item['dimensions']) && is_scalar($item['dimensions'])) {
+            $record['dimensions'] = sanitize_text_field((string) $item['dimensions']);
+        }
+        
+        if (!empty($item['selected_at']) && is_string($item['selected_at'])) {
+            $timestamp = strtotime($item['selected_at']);
+            $record['selected_at'] = $timestamp ? gmdate('c', $timestamp) : '';
+        }
+        
+        return $record;
+    }
+    
+    /**
+     * Keep only valid rendition parameters
+     *
+     * @param mixed $rendition
+     * @return array
+     */
+    private function normalize_rendition($rendition)
+    {
+        if (!is_array($rendition)) {
+            return array();
+        }
+        
+        $normalized = array();
+        
+        if (!empty($rendition['type']) && in_array($rendition['type'], array('jpg', 'png', 'webp'), true)) {
+            $normalized['type'] = $rendition['type'];
+        }
+        
+        foreach (array('dpi', 'width', 'height') as $key) {
+            if (!empty($rendition[$key]) && absint($rendition[$key]) > 0) {
+                $normalized[$key] = absint($rendition[$key]);
+            }
+        }
+        
+        if (!empty($rendition['crop']) && is_array($rendition['crop'])) {
+            $crop = $this->normalize_crop($rendition['crop']);
+            if ($crop) {
+                $normalized['crop'] = $crop;
+            }
+        }
+        
+        return $normalized;
+    }
+    
+    /**
+     * Clamp a crop rectangle, given as fractions of the image, to the image
+     *
+     * @param array $crop 'x', 'y', 'width' and 'height' between 0 and 1
+     * @return array|false False when the rectangle is empty or covers the whole image
+     */
+    private function normalize_crop($crop)
+    {
+        $x = isset($crop['x']) ? min(max((float) $crop['x'], 0), 1) : 0;
+        $y = isset($crop['y']) ? min(max((float) $crop['y'], 0), 1) : 0;
+        $width = isset($crop['width']) ? min(max((float) $crop['width'], 0), 1 - $x) : 0;
+        $height = isset($crop['height']) ? min(max((float) $crop['height'], 0), 1 - $y) : 0;
+        
+        if ($width < 0.01 || $height < 0.01 || ($width >= 1 && $height >= 1)) {
+            return false;
+        }
+        
+        return array(
+            'x'      => round($x, 4),
+            'y'      => round($y, 4),
+            'width'  => round($width, 4),
+            'height' => round($height, 4),
+        );
+    }
+    
+    /**
+     * Clamp a focal point, given as fractions of the image, to the image
+     *
+     * @param mixed $point 'x' and 'y' between 0 and 1
+     * @return array|null
+     */
+    private function normalize_focal_point($point)
+    {
+        if (!is_array($point) || !isset($point['x'], $point['y'])) {
+            return null;
+        }
+        
+        return array(
+            'x' => round(min(max((float) $point['x'], 0), 1), 4),
+            'y' => round(min(max((float) $point['y'], 0), 1), 4),
+        );
+    }
+    
+    /**
+     * Get the scheme and extension restrictions configured on a field
+     *
+     * @param array|false $field The field configuration
+     * @return array 'schemes' and 'extensions' lists; empty lists allow everything
+     */
+    public function get_field_restrictions($field)
+    {
+        $restrictions = array(
+            'schemes'    => array(),
+            'extensions' => array(),
+        );
+        
+        if (!is_array($field)) {
+            return $restrictions;
+        }
+        
+        if (!empty($field['allowed_schemes']) && is_array($field['allowed_schemes'])) {
+            $restrictions['schemes'] = array_values(array_intersect(
+                $field['allowed_schemes'],
+                array('image', 'video', 'document')
+            ));
+        }
+        
+        if (!empty($field['allowed_extensions'])) {
+            $extensions = preg_split('/[\s,|]+/', strtolower((string) $field['allowed_extensions']));
+            $extensions = array_map(function ($extension) {
+                return ltrim($extension, '.');
+            }, $extensions);
+            $restrictions['extensions'] = array_values(array_unique(array_filter($extensions, function ($extension) {
+                return preg_match('/^[a-z0-9]{1,10}$/', $extension);
+            })));
+        }
+        
+        return $restrictions;
+    }
+    
+    /**
+     * Check whether formatted asset data satisfies a field's restrictions
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $restrictions As returned by get_field_restrictions()
+     * @return bool
+     */
+    public function is_asset_allowed($asset_data, $restrictions)
+    {
+        if (!empty($restrictions['schemes']) && !in_array($asset_data['scheme'], $restrictions['schemes'], true)) {
+            return false;
+        }
+        
+        if (!empty($restrictions['extensions'])) {
+            $extension = strtolower(pathinfo($asset_data['filename'] ?: $asset_data['name'], PATHINFO_EXTENSION));
+            
+            if (!in_array($extension, $restrictions['extensions'], true)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
     /**
      * Validate asset data structure
      *
@@ -196,6 +735,7 @@ class ACF_Canto_Asset_Formatter
             'mime_type' => '',
             'size' => '',
             'uploaded' => isset($data['lastUploaded']) ? $data['lastUploaded'] : '',
+            'preview_play_url' => '',
             'metadata' => array(),
         );
     }
@@ -218,6 +758,44 @@ class ACF_Canto_Asset_Formatter
         }
     }
     
+    /**
+     * Build the label/value list shown in the modal inspector
+     *
+     * @param array &$formatted_data
+     * @param array $raw_data
+     */
+    private function populate_metadata_display(&$formatted_data, $raw_data)
+    {
+        $items = array();
+        
+        if ($formatted_data['filename']) {
+            $items[] = array('label' => __('Filename', 'acf-canto-field'), 'value' => $formatted_data['filename']);
+        }
+        
+        if ($formatted_data['size']) {
+            $items[] = array('label' => __('File size', 'acf-canto-field'), 'value' => $formatted_data['size']);
+        }
+        
+        foreach ($formatted_data['metadata'] as $label => $value) {
+            if (is_scalar($value) && (string) $value !== '') {
+                $items[] = array('label' => (string) $label, 'value' => (string) $value);
+            }
+        }
+        
+        $lists = array(
+            'tag' => __('Tags', 'acf-canto-field'),
+            'keyword' => __('Keywords', 'acf-canto-field'),
+        );
+        
+        foreach ($lists as $key => $label) {
+            if (!empty($raw_data[$key]) && is_array($raw_data[$key])) {
+                $items[] = array('label' => $label, 'value' => implode(', ', array_filter($raw_data[$key], 'is_scalar')));
+            }
+        }
+        
+        $formatted_data['metadata_display'] = array('metadata' => $items);
+    }
+    
     /**
      * Extract dimensions from metadata
      *
@@ -303,6 +881,11 @@ class ACF_Canto_Asset_Formatter
             $formatted_data['url'] = $url_data['preview'];
         }
         
+        // Playable rendition for videos (the preview URL is a poster frame)
+        if (isset($url_data['directUrlPreviewPlay'])) {
+            $formatted_data['preview_play_url'] = $url_data['directUrlPreviewPlay'];
+        }
+        
         // Priority 1: Use directUrlOriginal for download URL (the actual file)
         if (isset($url_data['directUrlOriginal'])) {
             $formatted_data['download_url'] = $url_data['directUrlOriginal'];
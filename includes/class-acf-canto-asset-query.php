@@ -0,0 +1,899 @@
+<?php
+/**
+ * ACF Canto Asset Query Class
+ *
+ * Turns picker request parameters (search terms, filters, paging and the
+ * requesting field) into Canto searches and formatted result pages. Shared
+ * by the admin-ajax actions and the REST routes.
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Asset_Query
+{
+    /**
+     * Number of typeahead suggestions returned
+     */
+    const MAX_SUGGESTIONS = 8;
+
+    /**
+     * Number of albums and folders a tree filter matches at most
+     */
+    const MAX_TREE_MATCHES = 100;
+
+    /**
+     * Canto pages a search reads at most to fill one filtered page
+     */
+    const MAX_FILTERED_PAGES = 5;
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * Role album limits
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->access = new ACF_Canto_Access();
+    }
+
+    /**
+     * Search Canto and format a page of results
+     *
+     * A field with root albums, or a user whose role is limited to some
+     * albums, only searches the albums inside them. The upload date range
+     * and extension restrictions are applied after Canto answers, so when
+     * they leave a page empty the following pages are read until one has
+     * matches or the results run out.
+     *
+     * @param array $params Unslashed request parameters: 'query', 'field_key',
+     *                      'start', 'limit', 'schemes', 'sort_by',
+     *                      'sort_direction', 'operator', 'search_in',
+     *                      'date_from' and 'date_to'
+     * @return array|WP_Error As returned by format_page()
+     */
+    public function search($params)
+    {
+        $query = isset($params['query']) ? sanitize_text_field($params['query']) : '';
+        $pagination = $this->get_pagination($params);
+        $restrictions = $this->get_restrictions($params);
+        $scope = $this->get_search_scope($params);
+
+        if ($scope === array()) {
+            return $this->format_page(array('results' => array(), 'found' => 0), $pagination);
+        }
+
+        $search_options = array_merge($pagination, $this->get_search_options($params), array(
+            'file_types' => $this->api->get_file_types($restrictions),
+            'album_ids'  => $scope,
+        ));
+
+        $date_range = $this->get_date_range($params);
+        $page = null;
+
+        for ($fetched = 0; $fetched < self::MAX_FILTERED_PAGES; $fetched++) {
+            $start = $page ? $page['next_start'] : $pagination['start'];
+            $result = $this->api->search_assets($query, array_merge($search_options, array('start' => $start)));
+
+            if (is_wp_error($result)) {
+                return $result;
+            }
+
+            $next = $this->format_page($result, array('start' => $start, 'limit' => $pagination['limit']), $restrictions, $date_range);
+            $page = array_merge($next, array('start' => $pagination['start']));
+
+            if ($page['assets'] || !$page['has_more']) {
+                break;
+            }
+        }
+
+        return $page;
+    }
+
+    /**
+     * Suggest filenames and keywords for a partial search term
+     *
+     * Canto is searched across all fields; the names, tags and keywords of
+     * the results that contain the term become suggestions, those starting
+     * with it first.
+     *
+     * @param array $params Unslashed request parameters: 'query', 'field_key'
+     *                      and 'schemes'
+     * @return array|WP_Error Suggestions with 'value' and 'type' (filename
+     *                        or keyword)
+     */
+    public function suggest($params)
+    {
+        $query = isset($params['query']) ? trim(sanitize_text_field($params['query'])) : '';
+
+        $scope = $this->get_search_scope($params);
+
+        if ($query === '' || $scope === array()) {
+            return array();
+        }
+
+        $restrictions = $this->get_restrictions($params);
+        $result = $this->api->search_assets($query, array(
+            'limit'         => 30,
+            'searchInField' => '',
+            'file_types'    => $this->api->get_file_types($restrictions),
+            'album_ids'     => $scope,
+        ));
+
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        $suggestions = array();
+
+        foreach (isset($result['results']) ? $result['results'] : array() as $item) {
+            if (isset($item['name']) && is_scalar($item['name'])) {
+                $this->add_suggestion($suggestions, $query, (string) $item['name'], 'filename');
+            }
+
+            foreach (array('tag', 'keyword') as $key) {
+                if (!empty($item[$key]) && is_array($item[$key])) {
+                    foreach (array_filter($item[$key], 'is_scalar') as $keyword) {
+                        $this->add_suggestion($suggestions, $query, (string) $keyword, 'keyword');
+                    }
+                }
+            }
+        }
+
+        uasort($suggestions, function ($a, $b) {
+            if ($a['rank'] !== $b['rank']) {
+                return $a['rank'] - $b['rank'];
+            }
+
+            return strcasecmp($a['value'], $b['value']);
+        });
+
+        return array_map(function ($suggestion) {
+            return array('value' => $suggestion['value'], 'type' => $suggestion['type']);
+        }, array_values(array_slice($suggestions, 0, self::MAX_SUGGESTIONS)));
+    }
+
+    /**
+     * Add a suggestion when it contains the search term
+     *
+     * @param array &$suggestions Keyed by lowercase value
+     * @param string $query
+     * @param string $value
+     * @param string $type
+     */
+    private function add_suggestion(&$suggestions, $query, $value, $type)
+    {
+        $value = sanitize_text_field($value);
+        $key = strtolower($value);
+        $position = stripos($value, $query);
+
+        if ($value === '' || $position === false || isset($suggestions[$key]) || strcasecmp($value, $query) === 0) {
+            return;
+        }
+
+        // Matches at the start come first, then at a word boundary
+        $rank = $position === 0 ? 0 : (preg_match('/[\s_.\-]/', $value[$position - 1]) ? 1 : 2);
+
+        $suggestions[$key] = array('value' => $value, 'type' => $type, 'rank' => $rank);
+    }
+
+    /**
+     * Get the album tree a request may see
+     *
+     * Fields with root albums, and users whose role is limited to some
+     * albums, only see those albums and folders and what they contain; the
+     * top level lists them.
+     *
+     * @param array $params Unslashed request parameters: 'album_id' (folder
+     *                      to list, the top level when empty), 'filter'
+     *                      and 'field_key'
+     * @return array|WP_Error Canto tree response with 'results', as returned
+     *                        by filter_tree() when filtering, or an
+     *                        'album_out_of_scope' error
+     */
+    public function get_tree($params)
+    {
+        $album_id = isset($params['album_id']) ? sanitize_text_field($params['album_id']) : '';
+        $filter = isset($params['filter']) ? trim(sanitize_text_field($params['filter'])) : '';
+        $roots = $this->get_scope_roots($params);
+
+        if ($filter !== '') {
+            return $this->filter_tree($filter, $roots);
+        }
+
+        if ($roots === null) {
+            return $this->api->get_tree($album_id);
+        }
+
+        $nodes = $this->get_root_nodes($roots);
+
+        if (is_wp_error($nodes)) {
+            return $nodes;
+        }
+
+        if ($album_id === '') {
+            return array(
+                'results' => array_map(array($this, 'to_tree_entry'), $nodes),
+                'found'   => count($nodes),
+            );
+        }
+
+        if (!$this->find_tree_path($nodes, $album_id)) {
+            return $this->out_of_scope_error($album_id);
+        }
+
+        return $this->api->get_tree($album_id);
+    }
+
+    /**
+     * Find albums and folders by name anywhere in the tree
+     *
+     * @param string $filter Part of an album or folder name
+     * @param array|null $roots Root album IDs to search within; null for the whole tree
+     * @return array|WP_Error Tree response whose 'results' hold the matches
+     *                        nested under their ancestors, each match
+     *                        flagged with 'matched', and the number of
+     *                        matches in 'found'
+     */
+    public function filter_tree($filter, $roots = null)
+    {
+        $filter = trim(sanitize_text_field($filter));
+        $nodes = $this->get_root_nodes($roots);
+
+        if (is_wp_error($nodes)) {
+            return $nodes;
+        }
+
+        $found = 0;
+        $results = $this->filter_tree_nodes($nodes, $filter, $found);
+
+        return array(
+            'results' => $results,
+            'found'   => $found,
+            'filter'  => $filter,
+        );
+    }
+
+    /**
+     * Get the root album IDs of a field
+     *
+     * @param array|false $field
+     * @return array Album and folder IDs; empty when the field may use the whole library
+     */
+    public function get_root_albums($field)
+    {
+        if (empty($field['root_albums'])) {
+            return array();
+        }
+
+        $ids = is_array($field['root_albums']) ? $field['root_albums'] : explode(',', (string) $field['root_albums']);
+
+        return array_values(array_unique(array_filter(array_map('sanitize_text_field', $ids), 'strlen')));
+    }
+
+    /**
+     * Check that a request may open an album or folder
+     *
+     * @param string $album_id
+     * @param array $params Request parameters holding 'field_key'
+     * @return true|WP_Error An 'album_out_of_scope' error outside the field's
+     *                       root albums or the user's role albums
+     */
+    public function check_album_scope($album_id, $params)
+    {
+        $roots = $this->get_scope_roots($params);
+
+        if ($roots === null) {
+            return true;
+        }
+
+        $nodes = $this->get_root_nodes($roots);
+
+        if (is_wp_error($nodes)) {
+            return $nodes;
+        }
+
+        return $this->find_tree_path($nodes, $album_id) ? true : $this->out_of_scope_error($album_id);
+    }
+
+    /**
+     * Get the albums a field's searches are limited to
+     *
+     * Folders stand for every album inside them.
+     *
+     * @param array $params Request parameters holding 'field_key'
+     * @return array|null Album IDs, empty when nothing may be searched; null
+     *                    when searches cover the whole library
+     */
+    public function get_search_scope($params)
+    {
+        $roots = $this->get_scope_roots($params);
+
+        if ($roots === null) {
+            return null;
+        }
+
+        $nodes = $this->get_root_nodes($roots);
+        $album_ids = array();
+
+        if (!is_wp_error($nodes)) {
+            $this->collect_album_ids($nodes, $album_ids);
+        }
+
+        // Never fall back to the whole library
+        return $album_ids ?: $roots;
+    }
+
+    /**
+     * Find where an album sits in the tree a request may see
+     *
+     * @param string $album_id
+     * @param array $params Request parameters holding 'field_key'
+     * @return array|null 'id', 'name' and the 'path' of folders leading to
+     *                    it (each with 'id' and 'name'), or null when the
+     *                    album isn't in the tree or out of scope
+     */
+    public function get_album_location($album_id, $params)
+    {
+        $roots = $this->get_scope_roots($params);
+        $nodes = $this->get_root_nodes($roots);
+        $path = is_wp_error($nodes) ? false : $this->find_tree_path($nodes, (string) $album_id);
+
+        if (!$path) {
+            return null;
+        }
+
+        $path = array_map(function ($node) {
+            return array('id' => (string) $node['id'], 'name' => isset($node['name']) ? (string) $node['name'] : '');
+        }, $path);
+        $album = array_pop($path);
+
+        return array_merge($album, array('path' => $path));
+    }
+
+    /**
+     * Get the album a field's picker opens in
+     *
+     * @param array $params Request parameters holding 'field_key'
+     * @return array|null As returned by get_album_location()
+     */
+    public function get_default_album($params)
+    {
+        $field = $this->get_field(isset($params['field_key']) ? $params['field_key'] : '');
+
+        if (empty($field['default_album'])) {
+            return null;
+        }
+
+        return $this->get_album_location(sanitize_text_field($field['default_album']), $params);
+    }
+
+    /**
+     * Get the albums and folders a request is limited to
+     *
+     * Combines the field's root albums with the current user's role albums:
+     * roots inside a role album are kept, as are role albums inside a root.
+     *
+     * @param array $params Request parameters holding 'field_key'
+     * @return array|null Album and folder IDs, empty when nothing is
+     *                    available; null for the whole library
+     */
+    public function get_scope_roots($params)
+    {
+        $roots = $this->get_root_albums($this->get_field(isset($params['field_key']) ? $params['field_key'] : ''));
+        $allowed = $this->access->get_allowed_albums();
+
+        if ($allowed === null) {
+            return $roots ?: null;
+        }
+
+        if (empty($roots)) {
+            return $allowed;
+        }
+
+        $root_nodes = $this->get_root_nodes($roots);
+        $allowed_nodes = $this->get_root_nodes($allowed);
+
+        if (is_wp_error($root_nodes) || is_wp_error($allowed_nodes)) {
+            return array_values(array_intersect($roots, $allowed));
+        }
+
+        $scope = array();
+
+        foreach ($roots as $root) {
+            if ($this->find_tree_path($allowed_nodes, $root)) {
+                $scope[] = $root;
+            }
+        }
+
+        foreach ($allowed as $album_id) {
+            if ($this->find_tree_path($root_nodes, $album_id)) {
+                $scope[] = $album_id;
+            }
+        }
+
+        return array_values(array_unique($scope));
+    }
+
+    /**
+     * Check that the current user's role may use an album
+     *
+     * Unlike check_album_scope() this ignores the field's root albums, so
+     * uploads can still go to a field's upload album outside them.
+     *
+     * @param string $album_id Empty for the library root
+     * @return true|WP_Error An 'album_out_of_scope' error outside the role albums
+     */
+    public function check_album_access($album_id)
+    {
+        $allowed = $this->access->get_allowed_albums();
+
+        if ($allowed === null) {
+            return true;
+        }
+
+        $nodes = $this->get_root_nodes($allowed);
+
+        if (is_wp_error($nodes)) {
+            return $nodes;
+        }
+
+        return $album_id !== '' && $this->find_tree_path($nodes, $album_id) ? true : $this->out_of_scope_error($album_id);
+    }
+
+    /**
+     * Check that the current user's role may use an asset
+     *
+     * The asset must be in one of the albums inside the role albums, going
+     * by the 'relatedAlbums' Canto lists for it.
+     *
+     * @param array|string $asset Raw Canto asset, or its ID to load it
+     * @return true|WP_Error An 'asset_out_of_scope' error outside the role albums
+     */
+    public function check_asset_access($asset)
+    {
+        $allowed = $this->access->get_allowed_albums();
+
+        if ($allowed === null) {
+            return true;
+        }
+
+        $asset_id = is_array($asset) ? (isset($asset['id']) ? (string) $asset['id'] : '') : (string) $asset;
+
+        if (!is_array($asset) || !isset($asset['relatedAlbums'])) {
+            $asset = $this->api->get_asset($asset_id);
+
+            if (is_wp_error($asset)) {
+                return $asset;
+            }
+        }
+
+        $nodes = $this->get_root_nodes($allowed);
+
+        if (is_wp_error($nodes)) {
+            return $nodes;
+        }
+
+        $album_ids = array();
+        $this->collect_album_ids($nodes, $album_ids);
+
+        $related = isset($asset['relatedAlbums']) && is_array($asset['relatedAlbums']) ? $asset['relatedAlbums'] : array();
+
+        foreach ($related as $album) {
+            if (isset($album['id']) && in_array((string) $album['id'], $album_ids, true)) {
+                return true;
+            }
+        }
+
+        return new WP_Error('asset_out_of_scope', __('This asset is not available to you.', 'acf-canto-field'), array('asset_id' => $asset_id));
+    }
+
+    /**
+     * Get the top-level tree nodes a request may see, with everything below them
+     *
+     * @param array|null $roots Root album IDs; null for the whole tree
+     * @return array|WP_Error Tree nodes, in the order of the roots
+     */
+    private function get_root_nodes($roots)
+    {
+        $tree = $this->api->get_full_tree();
+
+        if (is_wp_error($tree)) {
+            return $tree;
+        }
+
+        $nodes = isset($tree['results']) && is_array($tree['results']) ? $tree['results'] : array();
+
+        if ($roots === null) {
+            return $nodes;
+        }
+
+        $found = array();
+        $this->collect_nodes($nodes, $roots, $found);
+
+        $ordered = array();
+        foreach ($roots as $root) {
+            if (isset($found[$root])) {
+                $ordered[] = $found[$root];
+            }
+        }
+
+        return $ordered;
+    }
+
+    /**
+     * Collect the tree nodes with the given IDs
+     *
+     * @param array $nodes
+     * @param array $ids
+     * @param array &$found Nodes keyed by ID
+     */
+    private function collect_nodes($nodes, $ids, &$found)
+    {
+        foreach ($nodes as $node) {
+            if (!is_array($node) || empty($node['id'])) {
+                continue;
+            }
+
+            if (in_array((string) $node['id'], $ids, true)) {
+                $found[(string) $node['id']] = $node;
+            } elseif (!empty($node['children']) && is_array($node['children'])) {
+                $this->collect_nodes($node['children'], $ids, $found);
+            }
+        }
+    }
+
+    /**
+     * Collect the IDs of the albums in a set of tree nodes
+     *
+     * @param array $nodes
+     * @param array &$album_ids
+     */
+    private function collect_album_ids($nodes, &$album_ids)
+    {
+        foreach ($nodes as $node) {
+            if (!is_array($node) || empty($node['id'])) {
+                continue;
+            }
+
+            if (isset($node['scheme']) && $node['scheme'] === 'album') {
+                $album_ids[] = (string) $node['id'];
+            }
+
+            if (!empty($node['children']) && is_array($node['children'])) {
+                $this->collect_album_ids($node['children'], $album_ids);
+            }
+        }
+    }
+
+    /**
+     * Find the path from a set of tree nodes down to a node
+     *
+     * @param array $nodes
+     * @param string $id
+     * @return array|false The nodes from the top down to the one with the ID
+     */
+    private function find_tree_path($nodes, $id)
+    {
+        foreach ($nodes as $node) {
+            if (!is_array($node) || empty($node['id'])) {
+                continue;
+            }
+
+            if ((string) $node['id'] === (string) $id) {
+                return array($node);
+            }
+
+            if (!empty($node['children']) && is_array($node['children'])) {
+                $path = $this->find_tree_path($node['children'], $id);
+
+                if ($path) {
+                    array_unshift($path, $node);
+                    return $path;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Reduce a tree node to what the picker shows, without its children
+     *
+     * The picker loads the children when the node is expanded.
+     *
+     * @param array $node
+     * @return array
+     */
+    private function to_tree_entry($node)
+    {
+        $entry = array_intersect_key($node, array_flip(array('id', 'name', 'scheme', 'type')));
+
+        // Still expandable once its children are dropped
+        if (!empty($node['children'])) {
+            $entry['type'] = 'folder';
+        }
+
+        return $entry;
+    }
+
+    /**
+     * Keep the tree nodes that match a filter or lead to a match
+     *
+     * Ancestors keep only the branches that lead to a match.
+     *
+     * @param array $nodes
+     * @param string $filter
+     * @param int &$found Number of matches so far
+     * @return array
+     */
+    private function filter_tree_nodes($nodes, $filter, &$found)
+    {
+        $kept = array();
+
+        foreach ($nodes as $node) {
+            if ($found >= self::MAX_TREE_MATCHES || !is_array($node) || empty($node['id'])) {
+                continue;
+            }
+
+            $name = isset($node['name']) ? (string) $node['name'] : '';
+
+            if ($filter === '' || stripos($name, $filter) !== false) {
+                $found++;
+                $kept[] = array_merge($this->to_tree_entry($node), array('matched' => true));
+                continue;
+            }
+
+            $children = !empty($node['children']) && is_array($node['children']) ? $this->filter_tree_nodes($node['children'], $filter, $found) : array();
+
+            if ($children) {
+                $kept[] = array_merge($this->to_tree_entry($node), array('children' => $children));
+            }
+        }
+
+        return $kept;
+    }
+
+    /**
+     * Error for an album outside a field's root albums or the user's role albums
+     *
+     * @param string $album_id
+     * @return WP_Error
+     */
+    private function out_of_scope_error($album_id)
+    {
+        return new WP_Error('album_out_of_scope', __('This album is not available in this field.', 'acf-canto-field'), array('album_id' => $album_id));
+    }
+
+    /**
+     * Load a Canto field by key
+     *
+     * @param string $field_key
+     * @return array|false False for unknown keys and fields of other types
+     */
+    public function get_field($field_key)
+    {
+        $field_key = sanitize_text_field((string) $field_key);
+        $field = ($field_key && function_exists('acf_get_field')) ? acf_get_field($field_key) : false;
+
+        if ($field && (!isset($field['type']) || $field['type'] !== 'canto')) {
+            $field = false;
+        }
+
+        return $field;
+    }
+
+    /**
+     * Get the type restrictions of the field a request was made from
+     *
+     * Restrictions are read from the saved field settings rather than the
+     * request so they can't be bypassed from the browser. The 'schemes'
+     * parameter can only narrow them, which is how the filters panel and
+     * the block editor's image, video and file pickers limit results.
+     *
+     * @param array $params Request parameters holding 'field_key' and 'schemes'
+     * @return array As returned by ACF_Canto_Asset_Formatter::get_field_restrictions()
+     */
+    public function get_restrictions($params)
+    {
+        $restrictions = $this->formatter->get_field_restrictions($this->get_field(isset($params['field_key']) ? $params['field_key'] : ''));
+
+        return $this->apply_scheme_filter($restrictions, $params);
+    }
+
+    /**
+     * Read paging parameters
+     *
+     * @param array $params
+     * @return array 'start' and 'limit', clamped to what the Canto API accepts
+     */
+    public function get_pagination($params)
+    {
+        $start = isset($params['start']) ? absint($params['start']) : 0;
+        $limit = isset($params['limit']) ? absint($params['limit']) : ACF_Canto_API::DEFAULT_SEARCH_LIMIT;
+
+        return array(
+            'start' => $start,
+            'limit' => max(1, min($limit, ACF_Canto_API::MAX_SEARCH_LIMIT)),
+        );
+    }
+
+    /**
+     * Format a page of Canto results with paging information
+     *
+     * @param array $data Raw API response containing 'results' and usually 'found'
+     * @param array $pagination The 'start' and 'limit' used for the request
+     * @param array $restrictions Field type restrictions to filter the page by
+     * @param array $date_range Optional upload date range to filter the page by
+     * @return array 'assets', 'found', 'start', 'limit', 'next_start' and 'has_more'
+     */
+    public function format_page($data, $pagination, $restrictions = array(), $date_range = array())
+    {
+        $results = isset($data['results']) && is_array($data['results']) ? $data['results'] : array();
+
+        $assets = array();
+        foreach ($results as $item) {
+            $asset_data = $this->formatter->format_from_search($item);
+            if ($asset_data
+                && $this->formatter->is_asset_allowed($asset_data, $restrictions)
+                && $this->is_in_date_range($asset_data, $date_range)) {
+                $assets[] = $asset_data;
+            }
+        }
+
+        $next_start = $pagination['start'] + count($results);
+        $found = isset($data['found']) ? (int) $data['found'] : $next_start;
+
+        return array(
+            'assets'     => $assets,
+            'found'      => $found,
+            'start'      => $pagination['start'],
+            'limit'      => $pagination['limit'],
+            'next_start' => $next_start,
+            'has_more'   => !empty($results) && $next_start < $found,
+        );
+    }
+
+    /**
+     * Read whitelisted search options from the filters panel
+     *
+     * @param array $params
+     * @return array Options for ACF_Canto_API::search_assets()
+     */
+    private function get_search_options($params)
+    {
+        $whitelist = array(
+            'sort_by'        => array('option' => 'sortBy', 'values' => array('time', 'name', 'size')),
+            'sort_direction' => array('option' => 'sortDirection', 'values' => array('ascending', 'descending')),
+            'operator'       => array('option' => 'operator', 'values' => array('and', 'or')),
+            'search_in'      => array('option' => 'searchInField', 'values' => array('filename', 'keyword', 'tag', 'all')),
+        );
+
+        $options = array();
+
+        foreach ($whitelist as $param => $rule) {
+            if (!isset($params[$param]) || !is_scalar($params[$param])) {
+                continue;
+            }
+
+            $value = sanitize_key($params[$param]);
+            if (in_array($value, $rule['values'], true)) {
+                $options[$rule['option']] = $value === 'all' ? '' : $value;
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Narrow the field's scheme restriction to the schemes picked in the filters panel
+     *
+     * @param array $restrictions Field restrictions
+     * @param array $params
+     * @return array
+     */
+    private function apply_scheme_filter($restrictions, $params)
+    {
+        if (empty($params['schemes']) || !is_array($params['schemes'])) {
+            return $restrictions;
+        }
+
+        $schemes = array_intersect(array_map('sanitize_key', $params['schemes']), array('image', 'video', 'document'));
+
+        if (!empty($restrictions['schemes'])) {
+            $schemes = array_intersect($schemes, $restrictions['schemes']);
+        }
+
+        // Ignore filters the field doesn't allow rather than returning nothing
+        if (!empty($schemes)) {
+            $restrictions['schemes'] = array_values($schemes);
+        }
+
+        return $restrictions;
+    }
+
+    /**
+     * Read the upload date range from the filters panel
+     *
+     * @param array $params
+     * @return array 'from' and 'to' as Y-m-d strings, empty when not set
+     */
+    private function get_date_range($params)
+    {
+        $range = array('from' => '', 'to' => '');
+
+        foreach (array('from' => 'date_from', 'to' => 'date_to') as $key => $param) {
+            $value = isset($params[$param]) && is_scalar($params[$param]) ? sanitize_text_field($params[$param]) : '';
+            if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)) {
+                $range[$key] = $value;
+            }
+        }
+
+        return $range;
+    }
+
+    /**
+     * Check whether an asset was uploaded within a date range
+     *
+     * Canto reports lastUploaded as a yyyyMMddHHmmssSSS timestamp.
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $date_range As returned by get_date_range()
+     * @return bool
+     */
+    private function is_in_date_range($asset_data, $date_range)
+    {
+        if (empty($date_range['from']) && empty($date_range['to'])) {
+            return true;
+        }
+
+        $uploaded = (string) $asset_data['uploaded'];
+        if (preg_match('/^(\d{4})(\d{2})(\d{2})/', $uploaded, $matches)) {
+            $date = $matches[1] . '-' . $matches[2] . '-' . $matches[3];
+        } elseif ($uploaded !== '' && strtotime($uploaded)) {
+            $date = gmdate('Y-m-d', strtotime($uploaded));
+        } else {
+            return false;
+        }
+
+        if (!empty($date_range['from']) && $date < $date_range['from']) {
+            return false;
+        }
+
+        return empty($date_range['to']) || $date <= $date_range['to'];
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+/**
+ * ACF Canto Blocks Class
+ *
+ * Registers the Canto Asset block and loads the Canto picker in the block
+ * editor, where it also adds "Replace from Canto" to the core Image, Video
+ * and File blocks
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Blocks
+{
+    /**
+     * Block name
+     */
+    const BLOCK_NAME = 'acf-canto/asset';
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * Markup helper instance
+     *
+     * @var ACF_Canto_Markup
+     */
+    private $markup;
+
+    /**
+     * Modal markup and assets
+     *
+     * @var ACF_Canto_Picker
+     */
+    private $picker;
+
+    /**
+     * Picker capability settings
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->markup = new ACF_Canto_Markup($this->logger, $this->api);
+        $this->picker = new ACF_Canto_Picker($this->logger, $this->api);
+        $this->access = new ACF_Canto_Access();
+    }
+
+    /**
+     * Register the block and hook into the block editor
+     *
+     * Called during init, so the block is registered straight away.
+     */
+    public function register_hooks()
+    {
+        if (!function_exists('register_block_type')) {
+            return;
+        }
+
+        $this->register_block();
+
+        add_action('enqueue_block_editor_assets', array($this, 'enqueue_editor_assets'));
+    }
+
+    /**
+     * Register the Canto Asset block, rendered on the server
+     */
+    public function register_block()
+    {
+        register_block_type(self::BLOCK_NAME, array(
+            'api_version'     => 2,
+            'title'           => __('Canto Asset', 'acf-canto-field'),
+            'category'        => 'media',
+            'attributes'      => array(
+                'value'   => array('type' => 'string', 'default' => ''),
+                'variant' => array('type' => 'string', 'enum' => array('image', 'video', 'file'), 'default' => 'image'),
+                'alt'     => array('type' => 'string', 'default' => ''),
+                'caption' => array('type' => 'string', 'default' => ''),
+            ),
+            'supports'        => array(
+                'align' => array('wide', 'full', 'left', 'center', 'right'),
+                'html'  => false,
+            ),
+            'render_callback' => array($this, 'render_block'),
+        ));
+    }
+
+    /**
+     * Load the picker and block scripts in the block editor
+     */
+    public function enqueue_editor_assets()
+    {
+        if (!$this->access->can_use()) {
+            return;
+        }
+
+        $this->picker->register_assets();
+
+        wp_enqueue_script(
+            'acf-canto-blocks',
+            ACF_CANTO_FIELD_PLUGIN_URL . 'assets/js/blocks.js',
+            array('acf-canto-modal', 'wp-blocks', 'wp-block-editor', 'wp-components', 'wp-compose', 'wp-element', 'wp-hooks'),
+            ACF_CANTO_FIELD_VERSION
+        );
+        wp_enqueue_style('acf-input-canto');
+
+        // The modal is rendered once here and cloned for each asset type the editor picks
+        wp_localize_script('acf-canto-blocks', 'acf_canto_blocks', array(
+            'modal' => $this->get_modal_html(),
+            'thumbnail_url' => home_url('/'),
+        ));
+    }
+
+    /**
+     * Render the block on the front end
+     *
+     * @param array $attributes
+     * @return string
+     */
+    public function render_block($attributes)
+    {
+        $reference = $this->formatter->parse_value_item(isset($attributes['value']) ? $attributes['value'] : '');
+        $asset_data = $this->formatter->format_from_reference($reference);
+
+        if (!$asset_data) {
+            return '';
+        }
+
+        // Blocks have no field settings; only the editor's crop and focal point apply
+        $asset_data = $this->formatter->apply_rendition($asset_data, $reference, array());
+
+        $html = $this->markup->get_html($asset_data, array(
+            'alt' => !empty($attributes['alt']) ? $attributes['alt'] : null,
+        ));
+
+        if ($html === '') {
+            return '';
+        }
+
+        $caption = !empty($attributes['caption']) ? '<figcaption>' . wp_kses_post($attributes['caption']) . '</figcaption>' : '';
+        $wrapper = get_block_wrapper_attributes(array('class' => 'acf-canto-block acf-canto-block-' . sanitize_html_class($asset_data['scheme'])));
+
+        return '<figure ' . $wrapper . '>' . $html . $caption . '</figure>';
+    }
+
+    /**
+     * Get the modal markup used by the block editor pickers
+     *
+     * @return string
+     */
+    private function get_modal_html()
+    {
+        ob_start();
+        $this->picker->render_modal(array(
+            'enable_crop'   => 1,
+            'enable_upload' => 0,
+        ));
+
+        return ob_get_clean();
+    }
+}
@@ -0,0 +1,349 @@
+<?php
+/**
+ * ACF Canto Cache Page
+ *
+ * Tools → Canto Cache: hit and miss statistics of ACF_Canto_Cache, its TTL
+ * settings, and purging everything or a single asset or album
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Cache_Page
+{
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'acf-canto-cache';
+
+    /**
+     * Response cache
+     *
+     * @var ACF_Canto_Cache
+     */
+    private $cache;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Cache $cache
+     */
+    public function __construct($cache)
+    {
+        $this->cache = $cache;
+
+        add_action('admin_menu', array($this, 'add_page'));
+        add_action('admin_post_acf_canto_cache_purge', array($this, 'handle_purge'));
+        add_action('admin_post_acf_canto_cache_settings', array($this, 'handle_settings'));
+        add_action('admin_post_acf_canto_cache_reset_stats', array($this, 'handle_reset_stats'));
+    }
+
+    /**
+     * Register the page under Tools
+     */
+    public function add_page()
+    {
+        add_management_page(
+            __('Canto Cache', 'acf-canto-field'),
+            __('Canto Cache', 'acf-canto-field'),
+            'manage_options',
+            self::PAGE_SLUG,
+            array($this, 'render_page')
+        );
+    }
+
+    /**
+     * Purge everything, or the entries of one asset or album
+     */
+    public function handle_purge()
+    {
+        $this->check_request('acf_canto_cache_purge');
+
+        $scope = isset($_POST['scope']) ? sanitize_key(wp_unslash($_POST['scope'])) : 'all';
+        $id = isset($_POST['id']) ? sanitize_text_field(wp_unslash($_POST['id'])) : '';
+
+        if ($scope === 'all') {
+            $this->cache->purge_all();
+            $this->redirect_with_notice('success', __('The Canto cache was cleared.', 'acf-canto-field'));
+        }
+
+        if ($id === '' || !in_array($scope, array('asset', 'album'), true)) {
+            $this->redirect_with_notice('error', __('Enter the ID of the asset or album to purge.', 'acf-canto-field'));
+        }
+
+        if ($scope === 'asset') {
+            $this->cache->purge_asset($id);
+            /* translators: %s: Canto asset ID */
+            $this->redirect_with_notice('success', sprintf(__('Cached data of asset %s was purged.', 'acf-canto-field'), $id));
+        }
+
+        $this->cache->purge_album($id);
+        /* translators: %s: Canto album ID */
+        $this->redirect_with_notice('success', sprintf(__('Cached data of album %s was purged.', 'acf-canto-field'), $id));
+    }
+
+    /**
+     * Save the TTL settings
+     */
+    public function handle_settings()
+    {
+        $this->check_request('acf_canto_cache_settings');
+
+        $input = isset($_POST['acf_canto_cache']) ? (array) wp_unslash($_POST['acf_canto_cache']) : array();
+        $settings = array('ttl' => array());
+
+        // The form is in minutes, the settings in seconds
+        foreach (array_keys($this->cache->get_types()) as $type) {
+            if (isset($input['ttl'][$type])) {
+                $settings['ttl'][$type] = absint($input['ttl'][$type]) * MINUTE_IN_SECONDS;
+            }
+        }
+
+        if (isset($input['stale'])) {
+            $settings['stale'] = absint($input['stale']) * MINUTE_IN_SECONDS;
+        }
+
+        $this->cache->update_settings($settings);
+
+        $this->redirect_with_notice('success', __('Cache settings saved.', 'acf-canto-field'));
+    }
+
+    /**
+     * Reset the hit and miss counters
+     */
+    public function handle_reset_stats()
+    {
+        $this->check_request('acf_canto_cache_reset_stats');
+
+        $this->cache->reset_stats();
+
+        $this->redirect_with_notice('success', __('Cache statistics were reset.', 'acf-canto-field'));
+    }
+
+    /**
+     * Render the page
+     */
+    public function render_page()
+    {
+        $stats = $this->cache->get_stats();
+        $settings = $this->cache->get_settings();
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Canto Cache', 'acf-canto-field'); ?></h1>
+
+            <?php $this->render_notice(); ?>
+
+            <p><?php echo esc_html__('Responses from Canto are cached so the picker, thumbnails and renditions don\'t call Canto on every request. Expired entries are still served during the stale window while a fresh copy is fetched in the background.', 'acf-canto-field'); ?></p>
+
+            <?php if (!wp_using_ext_object_cache()): ?>
+                <p class="description"><?php echo esc_html__('No persistent object cache is installed, so entries are stored as transients in the options table.', 'acf-canto-field'); ?></p>
+            <?php endif; ?>
+
+            <h2><?php echo esc_html__('Statistics', 'acf-canto-field'); ?></h2>
+            <?php $this->render_stats($stats); ?>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="margin-top: 1em;">
+                <input type="hidden" name="action" value="acf_canto_cache_reset_stats" />
+                <?php wp_nonce_field('acf_canto_cache_reset_stats'); ?>
+                <?php submit_button(__('Reset statistics', 'acf-canto-field'), 'secondary', 'submit', false); ?>
+            </form>
+
+            <h2><?php echo esc_html__('Purge', 'acf-canto-field'); ?></h2>
+            <?php $this->render_purge_forms(); ?>
+
+            <h2><?php echo esc_html__('Settings', 'acf-canto-field'); ?></h2>
+            <?php $this->render_settings_form($settings); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the hit and miss table
+     *
+     * @param array $stats As returned by ACF_Canto_Cache::get_stats()
+     */
+    private function render_stats($stats)
+    {
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        $totals = array('hits' => 0, 'stale' => 0, 'misses' => 0);
+
+        /* translators: %s: date the statistics were last reset */
+        $since = sprintf(__('Counting since %s.', 'acf-canto-field'), wp_date($date_format, $stats['since']));
+
+        if ($stats['purged']) {
+            /* translators: 1: number of purges, 2: date of the last purge */
+            $since .= ' ' . sprintf(__('%1$d purges, the last on %2$s.', 'acf-canto-field'), $stats['purges'], wp_date($date_format, $stats['purged']));
+        }
+        ?>
+        <p><?php echo esc_html($since); ?></p>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th scope="col"><?php echo esc_html__('Resource', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Hits', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Stale hits', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Misses', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Hit rate', 'acf-canto-field'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($this->cache->get_types() as $type => $label): ?>
+                    <?php
+                    $counts = $stats['types'][$type];
+                    foreach ($totals as $event => $total) {
+                        $totals[$event] += $counts[$event];
+                    }
+                    ?>
+                    <tr>
+                        <td><?php echo esc_html($label); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($counts['hits'])); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($counts['stale'])); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($counts['misses'])); ?></td>
+                        <td><?php echo esc_html($this->format_hit_rate($counts)); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row"><?php echo esc_html__('Total', 'acf-canto-field'); ?></th>
+                    <th><?php echo esc_html(number_format_i18n($totals['hits'])); ?></th>
+                    <th><?php echo esc_html(number_format_i18n($totals['stale'])); ?></th>
+                    <th><?php echo esc_html(number_format_i18n($totals['misses'])); ?></th>
+                    <th><?php echo esc_html($this->format_hit_rate($totals)); ?></th>
+                </tr>
+            </tfoot>
+        </table>
+        <?php
+    }
+
+    /**
+     * Render the purge forms
+     */
+    private function render_purge_forms()
+    {
+        ?>
+        <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+            <input type="hidden" name="action" value="acf_canto_cache_purge" />
+            <?php wp_nonce_field('acf_canto_cache_purge'); ?>
+            <label for="acf-canto-cache-purge-scope" class="screen-reader-text"><?php echo esc_html__('Purge', 'acf-canto-field'); ?></label>
+            <select name="scope" id="acf-canto-cache-purge-scope">
+                <option value="asset"><?php echo esc_html__('Asset ID', 'acf-canto-field'); ?></option>
+                <option value="album"><?php echo esc_html__('Album ID', 'acf-canto-field'); ?></option>
+            </select>
+            <label for="acf-canto-cache-purge-id" class="screen-reader-text"><?php echo esc_html__('ID', 'acf-canto-field'); ?></label>
+            <input type="text" name="id" id="acf-canto-cache-purge-id" class="regular-text" />
+            <?php submit_button(__('Purge', 'acf-canto-field'), 'secondary', 'submit', false); ?>
+        </form>
+
+        <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="margin-top: 1em;">
+            <input type="hidden" name="action" value="acf_canto_cache_purge" />
+            <input type="hidden" name="scope" value="all" />
+            <?php wp_nonce_field('acf_canto_cache_purge'); ?>
+            <?php submit_button(__('Clear the whole cache', 'acf-canto-field'), 'delete', 'submit', false); ?>
+        </form>
+        <?php
+    }
+
+    /**
+     * Render the TTL settings form
+     *
+     * @param array $settings As returned by ACF_Canto_Cache::get_settings()
+     */
+    private function render_settings_form($settings)
+    {
+        ?>
+        <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+            <input type="hidden" name="action" value="acf_canto_cache_settings" />
+            <?php wp_nonce_field('acf_canto_cache_settings'); ?>
+            <table class="form-table" role="presentation">
+                <?php foreach ($this->cache->get_types() as $type => $label): ?>
+                    <tr>
+                        <th scope="row"><label for="acf-canto-cache-ttl-<?php echo esc_attr($type); ?>"><?php echo esc_html($label); ?></label></th>
+                        <td>
+                            <input type="number" min="0" step="1" class="small-text" id="acf-canto-cache-ttl-<?php echo esc_attr($type); ?>" name="acf_canto_cache[ttl][<?php echo esc_attr($type); ?>]" value="<?php echo esc_attr((int) floor($settings['ttl'][$type] / MINUTE_IN_SECONDS)); ?>" />
+                            <?php echo esc_html__('minutes', 'acf-canto-field'); ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+                <tr>
+                    <th scope="row"><label for="acf-canto-cache-stale"><?php echo esc_html__('Stale window', 'acf-canto-field'); ?></label></th>
+                    <td>
+                        <input type="number" min="0" step="1" class="small-text" id="acf-canto-cache-stale" name="acf_canto_cache[stale]" value="<?php echo esc_attr((int) floor($settings['stale'] / MINUTE_IN_SECONDS)); ?>" />
+                        <?php echo esc_html__('minutes', 'acf-canto-field'); ?>
+                        <p class="description"><?php echo esc_html__('How long an expired entry is still served while it refreshes. A TTL of 0 turns caching off for that resource.', 'acf-canto-field'); ?></p>
+                    </td>
+                </tr>
+            </table>
+            <?php submit_button(__('Save settings', 'acf-canto-field')); ?>
+        </form>
+        <?php
+    }
+
+    /**
+     * Format the share of lookups served from the cache
+     *
+     * @param array $counts 'hits', 'stale' and 'misses'
+     * @return string
+     */
+    private function format_hit_rate($counts)
+    {
+        $lookups = $counts['hits'] + $counts['stale'] + $counts['misses'];
+
+        if (!$lookups) {
+            return '—';
+        }
+
+        return number_format_i18n(($counts['hits'] + $counts['stale']) / $lookups * 100, 1) . '%';
+    }
+
+    /**
+     * Stop requests from users who can't manage the cache
+     *
+     * @param string $action Nonce action
+     */
+    private function check_request($action)
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('You are not allowed to manage the Canto cache.', 'acf-canto-field'), 403);
+        }
+
+        check_admin_referer($action);
+    }
+
+    /**
+     * Show the notice left by the last action
+     */
+    private function render_notice()
+    {
+        $key = 'acf_canto_cache_notice_' . get_current_user_id();
+        $notice = get_transient($key);
+
+        if (!$notice) {
+            return;
+        }
+
+        delete_transient($key);
+
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($notice['type']),
+            esc_html($notice['message'])
+        );
+    }
+
+    /**
+     * Return to the page with a notice
+     *
+     * @param string $type 'success' or 'error'
+     * @param string $message
+     */
+    private function redirect_with_notice($type, $message)
+    {
+        set_transient('acf_canto_cache_notice_' . get_current_user_id(), array('type' => $type, 'message' => $message), MINUTE_IN_SECONDS);
+
+        wp_safe_redirect(admin_url('tools.php?page=' . self::PAGE_SLUG));
+        exit;
+    }
+}
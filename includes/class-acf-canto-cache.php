@@ -0,0 +1,818 @@
+<?php
+/**
+ * ACF Canto Cache Class
+ *
+ * The cache behind every Canto API response: searches, assets, the album
+ * tree, album pages, thumbnails and renditions. Entries are transients, so
+ * they live in the persistent object cache when one is installed.
+ *
+ * Each resource type has its own TTL. Expired entries are kept for a stale
+ * window during which they are still served while a fresh copy is fetched
+ * at the end of the request (stale-while-revalidate). Entries are tagged
+ * with the assets and albums they hold, so purging an asset or album drops
+ * every entry that mentions it.
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Cache
+{
+    /**
+     * Option holding the TTL settings
+     */
+    const SETTINGS_OPTION = 'acf_canto_cache_settings';
+
+    /**
+     * Option holding the tag versions and the cache generation
+     */
+    const TAGS_OPTION = 'acf_canto_cache_tags';
+
+    /**
+     * Option holding the hit and miss counters
+     */
+    const STATS_OPTION = 'acf_canto_cache_stats';
+
+    /**
+     * Object cache group holding counters not yet added to the stats option
+     */
+    const STATS_GROUP = 'acf_canto_stats';
+
+    /**
+     * Seconds between writes of the object cache counters to the stats option
+     */
+    const STATS_FLUSH_INTERVAL = 900;
+
+    /**
+     * Prefix of every cache transient
+     */
+    const KEY_PREFIX = 'acf_canto_';
+
+    /**
+     * Seconds a refresh lock is held, so only one request refreshes an entry
+     */
+    const LOCK_TTL = 30;
+
+    /**
+     * Default TTL in seconds of each resource type
+     *
+     * @var array
+     */
+    private static $default_ttls = array(
+        'search'    => 900,
+        'album'     => 900,
+        'tree'      => 3600,
+        'asset'     => 3600,
+        'thumbnail' => 21600,
+        'rendition' => 3600,
+    );
+
+    /**
+     * Default stale window in seconds
+     *
+     * @var int
+     */
+    private static $default_stale_ttl = 86400;
+
+    /**
+     * Counters not yet written to the stats option, shared by all instances
+     *
+     * @var array
+     */
+    private static $pending_stats = array();
+
+    /**
+     * Whether the stats are written at shutdown
+     *
+     * @var bool
+     */
+    private static $stats_hooked = false;
+
+    /**
+     * Tag versions, loaded on first use
+     *
+     * @var array|null
+     */
+    private static $tag_versions;
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * Stale entries to refresh at shutdown
+     *
+     * @var array
+     */
+    private $refresh_queue = array();
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     */
+    public function __construct($logger = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+    }
+
+    /**
+     * Get the cached resource types and their labels
+     *
+     * @return array
+     */
+    public function get_types()
+    {
+        return array(
+            'search'    => __('Searches', 'acf-canto-field'),
+            'album'     => __('Album pages', 'acf-canto-field'),
+            'tree'      => __('Album tree', 'acf-canto-field'),
+            'asset'     => __('Asset details', 'acf-canto-field'),
+            'thumbnail' => __('Thumbnails', 'acf-canto-field'),
+            'rendition' => __('Renditions', 'acf-canto-field'),
+        );
+    }
+
+    /**
+     * Get the TTL settings
+     *
+     * @return array 'ttl' keyed by type and 'stale', all in seconds
+     */
+    public function get_settings()
+    {
+        $saved = get_option(self::SETTINGS_OPTION, array());
+        $settings = array(
+            'ttl'   => self::$default_ttls,
+            'stale' => self::$default_stale_ttl,
+        );
+
+        if (!empty($saved['ttl']) && is_array($saved['ttl'])) {
+            foreach (array_intersect_key($saved['ttl'], self::$default_ttls) as $type => $ttl) {
+                $settings['ttl'][$type] = absint($ttl);
+            }
+        }
+
+        if (isset($saved['stale'])) {
+            $settings['stale'] = absint($saved['stale']);
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Save the TTL settings
+     *
+     * @param array $settings 'ttl' keyed by type and 'stale', in seconds
+     */
+    public function update_settings($settings)
+    {
+        $ttls = array();
+
+        foreach (self::$default_ttls as $type => $default) {
+            $ttls[$type] = isset($settings['ttl'][$type]) ? absint($settings['ttl'][$type]) : $default;
+        }
+
+        update_option(self::SETTINGS_OPTION, array(
+            'ttl'   => $ttls,
+            'stale' => isset($settings['stale']) ? absint($settings['stale']) : self::$default_stale_ttl,
+        ), false);
+    }
+
+    /**
+     * Get the TTL of a resource type
+     *
+     * @param string $type
+     * @return int Seconds; 0 turns caching off for the type
+     */
+    public function get_ttl($type)
+    {
+        $settings = $this->get_settings();
+        $ttl = isset($settings['ttl'][$type]) ? $settings['ttl'][$type] : HOUR_IN_SECONDS;
+
+        return (int) apply_filters('acf_canto_cache_ttl', $ttl, $type);
+    }
+
+    /**
+     * Get how long expired entries may still be served while they refresh
+     *
+     * @param string $type
+     * @return int Seconds
+     */
+    public function get_stale_ttl($type)
+    {
+        $settings = $this->get_settings();
+
+        return (int) apply_filters('acf_canto_cache_stale_ttl', $settings['stale'], $type);
+    }
+
+    /**
+     * Get a cached value, fetching it on a miss
+     *
+     * Fresh entries are returned as they are. Stale entries are returned too,
+     * and refreshed once the response has been sent. Errors returned by the
+     * callback are passed through and never cached.
+     *
+     * @param string $type Resource type, see get_types()
+     * @param mixed $key Anything identifying the resource within its type
+     * @param callable $callback Fetches the value; may return a WP_Error
+     * @param array|callable $tags Tags such as 'asset:ID' and 'album:ID', or
+     *                             a callable deriving them from the value
+     * @return mixed|WP_Error
+     */
+    public function remember($type, $key, $callback, $tags = array())
+    {
+        $cache_key = $this->build_key($type, $key);
+        $entry = get_transient($cache_key);
+
+        if ($this->is_valid_entry($entry)) {
+            if ($entry['expires'] > time()) {
+                $this->record($type, 'hits');
+                return $entry['value'];
+            }
+
+            $this->record($type, 'stale');
+            $this->queue_refresh($type, $cache_key, $callback, $tags);
+            return $entry['value'];
+        }
+
+        $this->record($type, 'misses');
+
+        return $this->fetch($type, $cache_key, $callback, $tags);
+    }
+
+    /**
+     * Fetch a value and cache it, skipping any cached copy
+     *
+     * @param string $type
+     * @param mixed $key
+     * @param callable $callback
+     * @param array|callable $tags
+     * @return mixed|WP_Error
+     */
+    public function refresh($type, $key, $callback, $tags = array())
+    {
+        return $this->fetch($type, $this->build_key($type, $key), $callback, $tags);
+    }
+
+    /**
+     * Drop every entry carrying a tag
+     *
+     * A tag's version is the time it was last purged. Tags purged longer ago
+     * than any entry lives are forgotten, so the option doesn't grow with
+     * every asset and album ever purged.
+     *
+     * @param string $tag
+     */
+    public function purge_tag($tag)
+    {
+        $now = microtime(true);
+        $versions = $this->get_tag_versions();
+        $versions[$tag] = $now;
+
+        $expired = $now - $this->get_max_lifetime();
+
+        foreach ($versions as $name => $version) {
+            if ($name !== '*' && $version < $expired) {
+                unset($versions[$name]);
+            }
+        }
+
+        $this->save_tag_versions($versions);
+        $this->record_purge();
+
+        $this->logger->info('Purged Canto cache tag: ' . $tag);
+    }
+
+    /**
+     * Drop every entry holding an asset
+     *
+     * @param string $asset_id
+     */
+    public function purge_asset($asset_id)
+    {
+        $this->purge_tag('asset:' . $asset_id);
+    }
+
+    /**
+     * Drop every entry holding an album's contents or folders
+     *
+     * @param string $album_id
+     */
+    public function purge_album($album_id)
+    {
+        $this->purge_tag('album:' . $album_id);
+    }
+
+    /**
+     * Drop every entry of a resource type
+     *
+     * @param string $type
+     */
+    public function purge_type($type)
+    {
+        $this->purge_tag('type:' . $type);
+    }
+
+    /**
+     * Drop every entry
+     *
+     * Moving to a new generation orphans entries in the object cache, which
+     * can't be listed; those in the options table are deleted right away.
+     *
+     * @return bool
+     */
+    public function purge_all()
+    {
+        global $wpdb;
+
+        $versions = $this->get_tag_versions();
+        $this->save_tag_versions(array('*' => (isset($versions['*']) ? $versions['*'] : 0) + 1));
+
+        $result = $wpdb->query(
+            "DELETE FROM {$wpdb->options}
+             WHERE option_name LIKE '_transient_acf_canto_%'
+             OR option_name LIKE '_transient_timeout_acf_canto_%'"
+        );
+
+        $this->record_purge();
+        $this->logger->info('Cleared Canto API cache');
+
+        return $result !== false;
+    }
+
+    /**
+     * Get the hit and miss counters
+     *
+     * Counters of the current request are included.
+     *
+     * @return array 'since', 'purged', 'purges' and 'types', the 'hits',
+     *               'stale' and 'misses' of each resource type
+     */
+    public function get_stats()
+    {
+        $stats = self::merge_stats(get_option(self::STATS_OPTION, array()), self::get_cached_stats());
+        $stats = self::merge_stats($stats, self::$pending_stats);
+
+        foreach (array_keys(self::$default_ttls) as $type) {
+            if (!isset($stats['types'][$type])) {
+                $stats['types'][$type] = array('hits' => 0, 'stale' => 0, 'misses' => 0);
+            }
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Reset the hit and miss counters
+     */
+    public function reset_stats()
+    {
+        self::$pending_stats = array();
+        self::take_cached_stats();
+
+        update_option(self::STATS_OPTION, array('since' => time()), false);
+    }
+
+    /**
+     * Refresh the stale entries found during the request
+     *
+     * Runs on shutdown. Where PHP-FPM allows it the response is sent first,
+     * so visitors don't wait for Canto.
+     */
+    public function run_refresh_queue()
+    {
+        if (empty($this->refresh_queue)) {
+            return;
+        }
+
+        if (function_exists('fastcgi_finish_request') && apply_filters('acf_canto_cache_finish_request', true)) {
+            fastcgi_finish_request();
+        }
+
+        foreach ($this->refresh_queue as $cache_key => $item) {
+            $this->fetch($item['type'], $cache_key, $item['callback'], $item['tags']);
+            delete_transient($cache_key . '_lock');
+        }
+
+        $this->refresh_queue = array();
+    }
+
+    /**
+     * Write the counters collected during the request
+     *
+     * Runs once per request on shutdown rather than on every lookup. With a
+     * persistent object cache the counters are added up there, which is
+     * atomic and needs no database write, and moved to the stats option at
+     * most every STATS_FLUSH_INTERVAL seconds. Without one only admin
+     * requests are counted (see collects_stats()), so front-end page views
+     * and thumbnails never write the option.
+     */
+    public static function save_stats()
+    {
+        if (empty(self::$pending_stats)) {
+            return;
+        }
+
+        if (!wp_using_ext_object_cache()) {
+            $stats = get_option(self::STATS_OPTION, array());
+            update_option(self::STATS_OPTION, self::merge_stats($stats, self::$pending_stats), false);
+
+            self::$pending_stats = array();
+            return;
+        }
+
+        foreach (self::flatten_stats(self::$pending_stats) as $key => $count) {
+            wp_cache_add($key, 0, self::STATS_GROUP);
+            wp_cache_incr($key, $count, self::STATS_GROUP);
+        }
+
+        if (!empty(self::$pending_stats['purged'])) {
+            wp_cache_set('purged', self::$pending_stats['purged'], self::STATS_GROUP);
+        }
+
+        self::$pending_stats = array();
+
+        // Only the request that adds the flag writes the option
+        if (wp_cache_add('flushed', 1, self::STATS_GROUP, self::STATS_FLUSH_INTERVAL)) {
+            $stats = get_option(self::STATS_OPTION, array());
+            update_option(self::STATS_OPTION, self::merge_stats($stats, self::take_cached_stats()), false);
+        }
+    }
+
+    /**
+     * Check whether lookups in this request are counted
+     *
+     * Always with a persistent object cache, otherwise only in wp-admin and
+     * admin-ajax requests.
+     *
+     * @return bool
+     */
+    private static function collects_stats()
+    {
+        return (bool) apply_filters('acf_canto_cache_collect_stats', wp_using_ext_object_cache() || is_admin());
+    }
+
+    /**
+     * Get the counters waiting in the object cache
+     *
+     * @return array Counters in the format of the pending stats
+     */
+    private static function get_cached_stats()
+    {
+        if (!wp_using_ext_object_cache()) {
+            return array();
+        }
+
+        $stats = array();
+
+        foreach (self::get_stats_keys() as $key) {
+            $count = (int) wp_cache_get($key, self::STATS_GROUP);
+
+            if ($count > 0) {
+                self::add_stat($stats, $key, $count);
+            }
+        }
+
+        if (!empty($stats['purges'])) {
+            $stats['purged'] = (int) wp_cache_get('purged', self::STATS_GROUP) ?: time();
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Take the counters out of the object cache
+     *
+     * Counters are decremented by what was read rather than deleted, so
+     * increments from concurrent requests aren't lost.
+     *
+     * @return array Counters in the format of the pending stats
+     */
+    private static function take_cached_stats()
+    {
+        $stats = self::get_cached_stats();
+
+        foreach (self::flatten_stats($stats) as $key => $count) {
+            wp_cache_decr($key, $count, self::STATS_GROUP);
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Object cache keys of the counters
+     *
+     * @return array
+     */
+    private static function get_stats_keys()
+    {
+        $keys = array('purges');
+
+        foreach (array_keys(self::$default_ttls) as $type) {
+            foreach (array('hits', 'stale', 'misses') as $event) {
+                $keys[] = $type . ':' . $event;
+            }
+        }
+
+        return $keys;
+    }
+
+    /**
+     * Turn counters into object cache keys and counts
+     *
+     * @param array $stats Counters in the format of the pending stats
+     * @return array
+     */
+    private static function flatten_stats($stats)
+    {
+        $flat = array();
+
+        if (!empty($stats['types'])) {
+            foreach ($stats['types'] as $type => $counts) {
+                foreach ($counts as $event => $count) {
+                    $flat[$type . ':' . $event] = $count;
+                }
+            }
+        }
+
+        if (!empty($stats['purges'])) {
+            $flat['purges'] = $stats['purges'];
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Add a count read from the object cache to a set of counters
+     *
+     * @param array &$stats
+     * @param string $key Key from get_stats_keys()
+     * @param int $count
+     */
+    private static function add_stat(&$stats, $key, $count)
+    {
+        if ($key === 'purges') {
+            $stats['purges'] = $count;
+            return;
+        }
+
+        list($type, $event) = explode(':', $key);
+        $stats['types'][$type][$event] = $count;
+    }
+
+    /**
+     * Fetch a value and store it under a cache key
+     *
+     * @param string $type
+     * @param string $cache_key
+     * @param callable $callback
+     * @param array|callable $tags
+     * @return mixed|WP_Error
+     */
+    private function fetch($type, $cache_key, $callback, $tags)
+    {
+        $value = call_user_func($callback);
+
+        if (is_wp_error($value)) {
+            return $value;
+        }
+
+        $ttl = $this->get_ttl($type);
+
+        if ($ttl <= 0) {
+            return $value;
+        }
+
+        $tags = is_callable($tags) ? (array) call_user_func($tags, $value) : (array) $tags;
+        $tags[] = 'type:' . $type;
+
+        $entry = array(
+            'value'   => $value,
+            'expires' => time() + $ttl,
+            'tags'    => $this->get_current_versions(array_unique($tags)),
+        );
+
+        set_transient($cache_key, $entry, $ttl + $this->get_stale_ttl($type));
+
+        return $value;
+    }
+
+    /**
+     * Queue a stale entry for refreshing at shutdown
+     *
+     * A short lock keeps concurrent requests from refreshing the same entry.
+     *
+     * @param string $type
+     * @param string $cache_key
+     * @param callable $callback
+     * @param array|callable $tags
+     */
+    private function queue_refresh($type, $cache_key, $callback, $tags)
+    {
+        if (isset($this->refresh_queue[$cache_key]) || get_transient($cache_key . '_lock')) {
+            return;
+        }
+
+        set_transient($cache_key . '_lock', 1, self::LOCK_TTL);
+
+        if (empty($this->refresh_queue)) {
+            add_action('shutdown', array($this, 'run_refresh_queue'), 100);
+        }
+
+        $this->refresh_queue[$cache_key] = array(
+            'type'     => $type,
+            'callback' => $callback,
+            'tags'     => $tags,
+        );
+    }
+
+    /**
+     * Check that an entry has the expected shape and none of its tags were purged
+     *
+     * Entries keep the tag versions they were saved with; a tag purged since
+     * has a newer one. A forgotten tag is back at 0, older than any entry.
+     *
+     * @param mixed $entry
+     * @return bool
+     */
+    private function is_valid_entry($entry)
+    {
+        if (!is_array($entry) || !array_key_exists('value', $entry) || !isset($entry['expires'], $entry['tags'])) {
+            return false;
+        }
+
+        $versions = $this->get_tag_versions();
+
+        foreach ($entry['tags'] as $tag => $version) {
+            if ((isset($versions[$tag]) ? $versions[$tag] : 0) > $version) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the longest time an entry can stay in the cache
+     *
+     * @return int Seconds
+     */
+    private function get_max_lifetime()
+    {
+        $lifetime = 0;
+
+        foreach (array_keys($this->get_types()) as $type) {
+            $lifetime = max($lifetime, $this->get_ttl($type) + $this->get_stale_ttl($type));
+        }
+
+        return $lifetime;
+    }
+
+    /**
+     * Build the transient name of an entry
+     *
+     * @param string $type
+     * @param mixed $key
+     * @return string
+     */
+    private function build_key($type, $key)
+    {
+        $versions = $this->get_tag_versions();
+        $generation = isset($versions['*']) ? $versions['*'] : 0;
+
+        return self::KEY_PREFIX . $type . '_' . md5($generation . '|' . serialize($key));
+    }
+
+    /**
+     * Get the current version of each tag
+     *
+     * @param array $tags
+     * @return array Versions keyed by tag
+     */
+    private function get_current_versions($tags)
+    {
+        $versions = $this->get_tag_versions();
+        $current = array();
+
+        foreach ($tags as $tag) {
+            $current[$tag] = isset($versions[$tag]) ? $versions[$tag] : 0;
+        }
+
+        return $current;
+    }
+
+    /**
+     * Get the tag versions; tags never purged are at version 0 and not stored
+     *
+     * '*' counts the purge_all() generations; other tags hold their last
+     * purge time.
+     *
+     * @return array
+     */
+    private function get_tag_versions()
+    {
+        if (self::$tag_versions === null) {
+            $versions = get_option(self::TAGS_OPTION, array());
+            self::$tag_versions = is_array($versions) ? $versions : array();
+        }
+
+        return self::$tag_versions;
+    }
+
+    /**
+     * Save the tag versions
+     *
+     * @param array $versions
+     */
+    private function save_tag_versions($versions)
+    {
+        self::$tag_versions = $versions;
+
+        update_option(self::TAGS_OPTION, $versions, false);
+    }
+
+    /**
+     * Count a lookup
+     *
+     * @param string $type
+     * @param string $event 'hits', 'stale' or 'misses'
+     */
+    private function record($type, $event)
+    {
+        if (!self::collects_stats()) {
+            return;
+        }
+
+        if (!isset(self::$pending_stats['types'][$type][$event])) {
+            self::$pending_stats['types'][$type][$event] = 0;
+        }
+
+        self::$pending_stats['types'][$type][$event]++;
+
+        $this->hook_stats();
+    }
+
+    /**
+     * Count a purge
+     */
+    private function record_purge()
+    {
+        self::$pending_stats['purges'] = (isset(self::$pending_stats['purges']) ? self::$pending_stats['purges'] : 0) + 1;
+        self::$pending_stats['purged'] = time();
+
+        $this->hook_stats();
+    }
+
+    /**
+     * Write the counters at shutdown
+     */
+    private function hook_stats()
+    {
+        if (!self::$stats_hooked) {
+            self::$stats_hooked = true;
+            add_action('shutdown', array(__CLASS__, 'save_stats'), 110);
+        }
+    }
+
+    /**
+     * Add counters collected during a request to the saved ones
+     *
+     * @param array $stats Saved stats
+     * @param array $pending Counters of the request
+     * @return array
+     */
+    private static function merge_stats($stats, $pending)
+    {
+        $stats = wp_parse_args(is_array($stats) ? $stats : array(), array(
+            'since'  => time(),
+            'purged' => 0,
+            'purges' => 0,
+            'types'  => array(),
+        ));
+
+        if (!empty($pending['types'])) {
+            foreach ($pending['types'] as $type => $counts) {
+                foreach ($counts as $event => $count) {
+                    $saved = isset($stats['types'][$type][$event]) ? $stats['types'][$type][$event] : 0;
+                    $stats['types'][$type][$event] = $saved + $count;
+                }
+            }
+        }
+
+        if (!empty($pending['purges'])) {
+            $stats['purges'] += $pending['purges'];
+            $stats['purged'] = $pending['purged'];
+        }
+
+        foreach ($stats['types'] as $type => $counts) {
+            $stats['types'][$type] = wp_parse_args($counts, array('hits' => 0, 'stale' => 0, 'misses' => 0));
+        }
+
+        return $stats;
+    }
+}
@@ -0,0 +1,880 @@
+<?php
+/**
+ * ACF Canto WP-CLI Commands
+ *
+ * Registered as `wp acf-canto`
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Manage ACF Canto Field data.
+ */
+class ACF_Canto_CLI
+{
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * API instance
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     */
+    private $formatter;
+
+    /**
+     * Stored field value access
+     */
+    private $values;
+
+    /**
+     * Import resolver
+     */
+    private $import;
+
+    /**
+     * Constructor
+     */
+    public function __construct()
+    {
+        $this->logger = new ACF_Canto_Logger();
+        $this->api = new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->values = new ACF_Canto_Field_Values();
+        $this->import = new ACF_Canto_Import($this->logger, $this->api);
+    }
+
+    /**
+     * Search the Canto library.
+     *
+     * ## OPTIONS
+     *
+     * [<query>]
+     * : Keywords to search for. Leave out to list the newest assets.
+     *
+     * [--type=<type>]
+     * : Only return assets of this type.
+     * ---
+     * options:
+     *   - image
+     *   - video
+     *   - document
+     * ---
+     *
+     * [--in=<field>]
+     * : Where to look for the keywords.
+     * ---
+     * default: filename
+     * options:
+     *   - filename
+     *   - keyword
+     *   - tag
+     *   - all
+     * ---
+     *
+     * [--limit=<number>]
+     * : Number of results, at most 100.
+     * ---
+     * default: 20
+     * ---
+     *
+     * [--start=<number>]
+     * : Offset of the first result, for paging.
+     * ---
+     * default: 0
+     * ---
+     *
+     * [--fields=<fields>]
+     * : Comma-separated asset fields to show.
+     * ---
+     * default: id,scheme,name,dimensions,size
+     * ---
+     *
+     * [--format=<format>]
+     * : Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     *   - ids
+     *   - count
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto search "hero banner" --type=image
+     *
+     *     # IDs of the 100 newest documents
+     *     $ wp acf-canto search --type=document --limit=100 --format=ids
+     *
+     * @when after_wp_load
+     */
+    public function search($args, $assoc_args)
+    {
+        $this->require_api();
+
+        $type = \WP_CLI\Utils\get_flag_value($assoc_args, 'type', '');
+        $in = \WP_CLI\Utils\get_flag_value($assoc_args, 'in', 'filename');
+        $format = \WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+
+        $result = $this->api->search_assets(isset($args[0]) ? $args[0] : '', array(
+            'limit'         => max(1, (int) \WP_CLI\Utils\get_flag_value($assoc_args, 'limit', 20)),
+            'start'         => max(0, (int) \WP_CLI\Utils\get_flag_value($assoc_args, 'start', 0)),
+            'file_types'    => $this->api->get_file_types($type ? array('schemes' => array($type)) : array()),
+            'searchInField' => $in === 'all' ? '' : $in,
+        ));
+
+        if (is_wp_error($result)) {
+            WP_CLI::error($result->get_error_message());
+        }
+
+        $assets = array();
+        foreach (isset($result['results']) ? $result['results'] : array() as $item) {
+            $asset_data = $this->formatter->format_from_search($item);
+            if ($asset_data) {
+                $assets[] = $asset_data;
+            }
+        }
+
+        if ($format === 'ids') {
+            WP_CLI::line(implode(' ', wp_list_pluck($assets, 'id')));
+            return;
+        }
+
+        if ($format === 'count') {
+            WP_CLI::line(isset($result['found']) ? (int) $result['found'] : count($assets));
+            return;
+        }
+
+        $fields = \WP_CLI\Utils\get_flag_value($assoc_args, 'fields', 'id,scheme,name,dimensions,size');
+        \WP_CLI\Utils\format_items($format, $assets, explode(',', $fields));
+    }
+
+    /**
+     * Get a Canto asset by ID as JSON.
+     *
+     * ## OPTIONS
+     *
+     * <id>
+     * : Canto asset ID.
+     *
+     * [--scheme=<scheme>]
+     * : Asset type, when known. Otherwise every type is tried.
+     * ---
+     * options:
+     *   - image
+     *   - video
+     *   - document
+     * ---
+     *
+     * [--raw]
+     * : Print the unformatted Canto API response.
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto get abc123def456
+     *
+     *     $ wp acf-canto get abc123def456 --raw | jq .url
+     *
+     * @when after_wp_load
+     */
+    public function get($args, $assoc_args)
+    {
+        $this->require_api();
+
+        $scheme = \WP_CLI\Utils\get_flag_value($assoc_args, 'scheme', null);
+        $result = $this->api->get_asset($args[0], $scheme);
+
+        if (is_wp_error($result)) {
+            WP_CLI::error($result->get_error_message());
+        }
+
+        if (!\WP_CLI\Utils\get_flag_value($assoc_args, 'raw', false)) {
+            $result = $this->formatter->format_from_api($result, $args[0]);
+        }
+
+        if (!$result) {
+            WP_CLI::error('Failed to format asset data.');
+        }
+
+        WP_CLI::line(wp_json_encode($result, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+    }
+
+    /**
+     * Find the Canto asset a URL, asset ID or filename refers to.
+     *
+     * URLs are resolved with find_asset_by_download_url() and filenames with
+     * match_asset_by_filename(), which scores near-duplicates and falls back
+     * to the best candidate unless --exact is given. A warning lists the
+     * candidates when they are too close to call.
+     *
+     * ## OPTIONS
+     *
+     * <value>
+     * : Direct or download URL, asset ID or filename.
+     *
+     * [--exact]
+     * : Only accept an exact filename or name match.
+     *
+     * [--format=<format>]
+     * : What to print: the asset data, just its ID, or the value a Canto
+     * field would store for it.
+     * ---
+     * default: json
+     * options:
+     *   - json
+     *   - id
+     *   - record
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto resolve https://example.canto.com/direct/image/abc123def456/TOKEN/original
+     *
+     *     $ wp acf-canto resolve company-logo.png --exact --format=id
+     *
+     * @when after_wp_load
+     */
+    public function resolve($args, $assoc_args)
+    {
+        $this->require_api();
+
+        $asset_data = $this->resolve_asset($args[0], \WP_CLI\Utils\get_flag_value($assoc_args, 'exact', false));
+
+        if (!$asset_data) {
+            WP_CLI::error(sprintf('No Canto asset found for "%s".', $args[0]));
+        }
+
+        switch (\WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'json')) {
+            case 'id':
+                WP_CLI::line($asset_data['id']);
+                break;
+
+            case 'record':
+                WP_CLI::line($this->formatter->build_stored_item($asset_data));
+                break;
+
+            default:
+                WP_CLI::line(wp_json_encode($asset_data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE));
+        }
+    }
+
+    /**
+     * Manage the cached Canto API responses.
+     *
+     * ## OPTIONS
+     *
+     * <action>
+     * : What to do with the cache.
+     * ---
+     * options:
+     *   - clear
+     *   - stats
+     * ---
+     *
+     * [--asset=<id>]
+     * : Only clear cached data holding this asset.
+     *
+     * [--album=<id>]
+     * : Only clear cached data of this album or folder.
+     *
+     * [--format=<format>]
+     * : Output format of the stats.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - json
+     *   - csv
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto cache clear
+     *
+     *     $ wp acf-canto cache clear --asset=abc123def456
+     *
+     *     $ wp acf-canto cache stats
+     *
+     * @when after_wp_load
+     */
+    public function cache($args, $assoc_args)
+    {
+        $cache = $this->api->get_cache();
+
+        if ($args[0] === 'stats') {
+            $stats = $cache->get_stats();
+            $rows = array();
+
+            foreach ($cache->get_types() as $type => $label) {
+                $counts = $stats['types'][$type];
+                $rows[] = array(
+                    'type'   => $type,
+                    'ttl'    => $cache->get_ttl($type),
+                    'hits'   => $counts['hits'],
+                    'stale'  => $counts['stale'],
+                    'misses' => $counts['misses'],
+                );
+            }
+
+            \WP_CLI\Utils\format_items(\WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table'), $rows, array('type', 'ttl', 'hits', 'stale', 'misses'));
+            return;
+        }
+
+        if (!empty($assoc_args['asset'])) {
+            $cache->purge_asset($assoc_args['asset']);
+            WP_CLI::success(sprintf('Cached data of asset %s purged.', $assoc_args['asset']));
+            return;
+        }
+
+        if (!empty($assoc_args['album'])) {
+            $cache->purge_album($assoc_args['album']);
+            WP_CLI::success(sprintf('Cached data of album %s purged.', $assoc_args['album']));
+            return;
+        }
+
+        if (!$cache->purge_all()) {
+            WP_CLI::error('Could not clear the Canto cache.');
+        }
+
+        WP_CLI::success('Canto cache cleared.');
+    }
+
+    /**
+     * Check the Canto connection settings.
+     *
+     * ## OPTIONS
+     *
+     * <action>
+     * : What to do with the configuration.
+     * ---
+     * options:
+     *   - test
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto config test
+     *
+     * @when after_wp_load
+     */
+    public function config($args, $assoc_args)
+    {
+        if (!function_exists('Canto')) {
+            WP_CLI::warning('The Canto plugin is not active.');
+        }
+
+        $errors = $this->api->get_config_errors();
+
+        if ($errors) {
+            WP_CLI::error(implode(', ', $errors));
+        }
+
+        // The album tree is small and never cached, so it shows whether the token works
+        $result = $this->api->request('tree?sortBy=name&sortDirection=ascending&layer=1');
+
+        if (is_wp_error($result)) {
+            WP_CLI::error(sprintf('Canto is configured but the API request failed: %s', $result->get_error_message()));
+        }
+
+        WP_CLI::success(sprintf('Connected to %s.', get_option('fbc_flight_domain') . '.' . get_option('fbc_app_api', ACF_Canto_API::DEFAULT_API_DOMAIN)));
+    }
+
+    /**
+     * Fill a Canto field on many posts from a CSV file.
+     *
+     * The CSV needs a header row with a `post_id` and an `asset` column.
+     * `post_id` is a post ID or an ACF post ID such as term_12, user_3 or
+     * options. `asset` is an asset ID, URL or filename; separate several
+     * assets with "|" for fields that allow multiple assets. Rows with an
+     * empty `asset` column are skipped.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : Path to the CSV file.
+     *
+     * --field=<field>
+     * : Name or key of the Canto field to fill.
+     *
+     * [--exact]
+     * : Only accept exact filename or name matches.
+     *
+     * [--dry-run]
+     * : Resolve the assets and report what would be saved without saving.
+     *
+     * [--format=<format>]
+     * : Format of the report.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto bulk-assign hero-images.csv --field=hero_image --dry-run
+     *
+     *     $ wp acf-canto bulk-assign galleries.csv --field=field_5f1a2b3c4d5e6 --exact
+     *
+     * @subcommand bulk-assign
+     * @when after_wp_load
+     */
+    public function bulk_assign($args, $assoc_args)
+    {
+        $this->require_api();
+
+        $file = $args[0];
+        $dry_run = \WP_CLI\Utils\get_flag_value($assoc_args, 'dry-run', false);
+        $exact = \WP_CLI\Utils\get_flag_value($assoc_args, 'exact', false);
+        $format = \WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+        $field = function_exists('acf_get_field') ? acf_get_field($assoc_args['field']) : false;
+
+        if (!$field || $field['type'] !== 'canto') {
+            WP_CLI::error(sprintf('"%s" is not a Canto field.', $assoc_args['field']));
+        }
+
+        if (!is_readable($file)) {
+            WP_CLI::error(sprintf('Cannot read %s.', $file));
+        }
+
+        $handle = fopen($file, 'r');
+        $header = $handle ? fgetcsv($handle) : false;
+
+        if (!$header) {
+            WP_CLI::error('The CSV file is empty.');
+        }
+
+        // Spreadsheet exports often start with a byte order mark
+        $header[0] = preg_replace('/^\xEF\xBB\xBF/', '', $header[0]);
+        $header = array_map('trim', $header);
+        $post_column = array_search('post_id', $header, true);
+        $asset_column = array_search('asset', $header, true);
+
+        if ($post_column === false || $asset_column === false) {
+            WP_CLI::error('The CSV needs a post_id and an asset column.');
+        }
+
+        $counts = array_fill_keys(array('assigned', 'unresolved', 'error', 'skipped'), 0);
+        $report = array();
+        $line = 1;
+
+        while (($row = fgetcsv($handle)) !== false) {
+            $line++;
+
+            if ($row === array(null)) {
+                continue;
+            }
+
+            $post_id = isset($row[$post_column]) ? trim($row[$post_column]) : '';
+            $assets = isset($row[$asset_column]) ? array_values(array_filter(array_map('trim', explode('|', $row[$asset_column])), 'strlen')) : array();
+            $result = $this->assign_row($field, $post_id, $assets, $exact, $dry_run);
+
+            $counts[$result['status']]++;
+            $report[] = array(
+                'line'    => $line,
+                'post_id' => $post_id,
+                'status'  => $dry_run && $result['status'] === 'assigned' ? 'would assign' : $result['status'],
+                'assets'  => implode(', ', $result['assets']),
+                'message' => $result['message'],
+            );
+        }
+
+        fclose($handle);
+
+        \WP_CLI\Utils\format_items($format, $report, array('line', 'post_id', 'status', 'assets', 'message'));
+
+        $summary = sprintf(
+            '%s %d rows; %d unresolved, %d errors, %d skipped.',
+            $dry_run ? 'Would assign' : 'Assigned',
+            $counts['assigned'],
+            $counts['unresolved'],
+            $counts['error'],
+            $counts['skipped']
+        );
+
+        if ($counts['unresolved'] || $counts['error']) {
+            WP_CLI::warning($summary);
+        } else {
+            WP_CLI::success($summary);
+        }
+    }
+
+    /**
+     * Convert legacy Canto field values to structured asset records.
+     *
+     * Legacy values store only a download URL (or a filename). Each one is
+     * looked up in Canto and replaced by a record with the asset ID, scheme,
+     * name, MIME type, dimensions and direct URL. Values that are already
+     * records are skipped and values that can't be resolved are left as they
+     * are, so the command can be run again safely.
+     *
+     * ## OPTIONS
+     *
+     * [--dry-run]
+     * : Report what would change without saving anything.
+     *
+     * [--batch-size=<number>]
+     * : Number of field values loaded per batch.
+     * ---
+     * default: 100
+     * ---
+     *
+     * [--field=<key>]
+     * : Only migrate the Canto field with this key.
+     *
+     * [--format=<format>]
+     * : Format of the dry-run report.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     # See which values would be converted
+     *     $ wp acf-canto migrate --dry-run
+     *
+     *     # Convert one field in batches of 50
+     *     $ wp acf-canto migrate --field=field_5f1a2b3c4d5e6 --batch-size=50
+     *
+     * @when after_wp_load
+     */
+    public function migrate($args, $assoc_args)
+    {
+        $dry_run = \WP_CLI\Utils\get_flag_value($assoc_args, 'dry-run', false);
+        $batch_size = max(1, (int) \WP_CLI\Utils\get_flag_value($assoc_args, 'batch-size', ACF_Canto_Field_Values::DEFAULT_BATCH_SIZE));
+        $format = \WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+
+        if (!$this->api->is_configured()) {
+            WP_CLI::error(implode(', ', $this->api->get_config_errors()));
+        }
+
+        $migrator = new ACF_Canto_Value_Migrator($this->logger, $this->api);
+        $field_keys = $this->values->get_field_keys();
+
+        if (!empty($assoc_args['field'])) {
+            if (!in_array($assoc_args['field'], $field_keys, true)) {
+                WP_CLI::error(sprintf('"%s" is not a Canto field key.', $assoc_args['field']));
+            }
+            $field_keys = array($assoc_args['field']);
+        }
+
+        if (empty($field_keys)) {
+            WP_CLI::warning('No Canto fields found.');
+            return;
+        }
+
+        $counts = array_fill_keys(array('migrated', 'partial', 'current', 'unresolved', 'empty'), 0);
+        $report = array();
+        $after = 0;
+
+        do {
+            $rows = $this->values->get_batch($field_keys, $after, $batch_size);
+
+            foreach ($rows as $row) {
+                $result = $migrator->migrate_row($row, $dry_run);
+                $counts[$result['status']]++;
+
+                if (!in_array($result['status'], array('current', 'empty'), true)) {
+                    $report[] = array(
+                        'post_id'    => $row['post_id'],
+                        'meta_key'   => $row['meta_key'],
+                        'status'     => $result['status'],
+                        'unresolved' => implode(', ', $result['unresolved']),
+                    );
+                }
+
+                $after = $row['meta_id'];
+            }
+
+            if ($rows) {
+                WP_CLI::log(sprintf('Processed %d values...', array_sum($counts)));
+            }
+
+            // Keep memory flat on large sites
+            if (function_exists('wp_cache_flush_runtime')) {
+                wp_cache_flush_runtime();
+            }
+        } while (count($rows) === $batch_size);
+
+        if ($dry_run && $report) {
+            \WP_CLI\Utils\format_items($format, $report, array('post_id', 'meta_key', 'status', 'unresolved'));
+        }
+
+        $summary = sprintf(
+            '%s %d values, %d partially; %d already structured, %d unresolved, %d empty.',
+            $dry_run ? 'Would migrate' : 'Migrated',
+            $counts['migrated'],
+            $counts['partial'],
+            $counts['current'],
+            $counts['unresolved'],
+            $counts['empty']
+        );
+
+        if ($counts['unresolved'] || $counts['partial']) {
+            WP_CLI::warning($summary);
+        } else {
+            WP_CLI::success($summary);
+        }
+    }
+
+    /**
+     * Check every stored Canto reference against Canto.
+     *
+     * Runs the same scan as the daily cron job to completion and saves its
+     * report, shown under Tools → Canto Asset Health. Lists references whose
+     * asset is missing, whose direct URL changed, that don't identify an
+     * asset or that could not be checked.
+     *
+     * ## OPTIONS
+     *
+     * [--batch-size=<number>]
+     * : Number of field values checked per batch.
+     * ---
+     * default: 50
+     * ---
+     *
+     * [--format=<format>]
+     * : Format of the problem list.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto scan
+     *
+     *     # Export the problems for a spreadsheet
+     *     $ wp acf-canto scan --format=csv > canto-health.csv
+     *
+     * @when after_wp_load
+     */
+    public function scan($args, $assoc_args)
+    {
+        $batch_size = max(1, (int) \WP_CLI\Utils\get_flag_value($assoc_args, 'batch-size', ACF_Canto_Health::BATCH_SIZE));
+        $format = \WP_CLI\Utils\get_flag_value($assoc_args, 'format', 'table');
+
+        if (!$this->api->is_configured()) {
+            WP_CLI::error(implode(', ', $this->api->get_config_errors()));
+        }
+
+        $health = new ACF_Canto_Health($this->logger, $this->api);
+        $health->start_scan();
+
+        do {
+            $done = $health->process_batch($batch_size);
+            $state = $health->get_state();
+
+            WP_CLI::log(sprintf('Checked %d references...', array_sum($state['counts'])));
+
+            if (function_exists('wp_cache_flush_runtime')) {
+                wp_cache_flush_runtime();
+            }
+        } while (!$done);
+
+        $report = $health->get_report();
+        $counts = $state['counts'];
+
+        if ($report) {
+            \WP_CLI\Utils\format_items($format, array_values($report), array('post_id', 'meta_key', 'asset_id', 'name', 'status', 'message'));
+        }
+
+        $summary = sprintf(
+            'Checked %d references: %d missing, %d changed, %d unlinked, %d could not be checked.',
+            array_sum($counts),
+            $counts[ACF_Canto_Health::STATUS_MISSING],
+            $counts[ACF_Canto_Health::STATUS_CHANGED],
+            $counts[ACF_Canto_Health::STATUS_UNLINKED],
+            $counts[ACF_Canto_Health::STATUS_ERROR]
+        );
+
+        if ($report) {
+            WP_CLI::warning($summary);
+        } else {
+            WP_CLI::success($summary);
+        }
+    }
+
+    /**
+     * Rebuild the asset usage index from scratch.
+     *
+     * The index maps each Canto asset to the posts, terms, users, comments
+     * and options pages whose Canto fields use it. It is kept up to date when
+     * fields are saved; rebuild it after importing or editing values directly
+     * in the database.
+     *
+     * ## OPTIONS
+     *
+     * [--batch-size=<number>]
+     * : Number of field values loaded per batch.
+     * ---
+     * default: 100
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     $ wp acf-canto reindex
+     *
+     * @when after_wp_load
+     */
+    public function reindex($args, $assoc_args)
+    {
+        $batch_size = max(1, (int) \WP_CLI\Utils\get_flag_value($assoc_args, 'batch-size', ACF_Canto_Field_Values::DEFAULT_BATCH_SIZE));
+        $field_keys = $this->values->get_field_keys();
+
+        ACF_Canto_Usage_Index::install();
+
+        $usage = new ACF_Canto_Usage_Index();
+        $usage->truncate();
+
+        if (empty($field_keys)) {
+            WP_CLI::warning('No Canto fields found.');
+            return;
+        }
+
+        $option_prefixes = $usage->get_option_prefixes();
+        $total = 0;
+
+        foreach (array('post', 'term', 'user', 'comment', 'option') as $meta_type) {
+            $after = 0;
+
+            do {
+                $rows = $this->values->get_batch($field_keys, $after, $batch_size, $meta_type);
+
+                foreach ($rows as $row) {
+                    $usage->index_row($row, $this->values->get_value($row), $option_prefixes);
+                    $after = $row['meta_id'];
+                    $total++;
+                }
+
+                if ($rows) {
+                    WP_CLI::log(sprintf('Indexed %d values...', $total));
+                }
+
+                if (function_exists('wp_cache_flush_runtime')) {
+                    wp_cache_flush_runtime();
+                }
+            } while (count($rows) === $batch_size);
+        }
+
+        WP_CLI::success(sprintf('Indexed %d Canto field values.', $total));
+    }
+
+    /**
+     * Resolve the assets of one CSV row and save them to the field
+     *
+     * @param array $field
+     * @param string $post_id
+     * @param array $assets Asset IDs, URLs or filenames
+     * @param bool $exact
+     * @param bool $dry_run
+     * @return array 'status' (assigned, unresolved, error or skipped), the
+     *               resolved 'assets' IDs and a 'message'
+     */
+    private function assign_row($field, $post_id, $assets, $exact, $dry_run)
+    {
+        $result = array('status' => 'error', 'assets' => array(), 'message' => '');
+
+        if ($post_id === '' || (is_numeric($post_id) && !get_post((int) $post_id))) {
+            $result['message'] = 'Post not found.';
+            return $result;
+        }
+
+        if (empty($assets)) {
+            $result['status'] = 'skipped';
+            $result['message'] = 'No asset given.';
+            return $result;
+        }
+
+        if (empty($field['multiple']) && count($assets) > 1) {
+            $result['message'] = 'The field takes a single asset.';
+            return $result;
+        }
+
+        if (!empty($field['multiple']) && !empty($field['max']) && count($assets) > (int) $field['max']) {
+            $result['message'] = sprintf('The field takes at most %d assets.', $field['max']);
+            return $result;
+        }
+
+        $items = array();
+        $unresolved = array();
+
+        foreach ($assets as $asset) {
+            $asset_data = $this->resolve_asset($asset, $exact, $field);
+
+            if ($asset_data) {
+                $items[] = $this->formatter->build_stored_item($asset_data);
+                $result['assets'][] = $asset_data['id'];
+            } else {
+                $unresolved[] = $asset;
+            }
+        }
+
+        if ($unresolved) {
+            $result['status'] = 'unresolved';
+            $result['message'] = 'Not found in Canto: ' . implode(', ', $unresolved);
+            return $result;
+        }
+
+        if (!$dry_run) {
+            update_field($field['key'], empty($field['multiple']) ? $items[0] : $items, is_numeric($post_id) ? (int) $post_id : $post_id);
+        }
+
+        $result['status'] = 'assigned';
+
+        return $result;
+    }
+
+    /**
+     * Find the asset an asset ID, URL or filename refers to
+     *
+     * @param string $value
+     * @param bool $exact Reject the fuzzy filename fallback
+     * @param array $field Optional field whose restrictions and preferred album apply
+     * @return array|false Formatted asset data
+     */
+    private function resolve_asset($value, $exact = false, $field = null)
+    {
+        $result = $this->import->resolve($value, $field);
+
+        if ($exact && $result['match'] === 'fuzzy') {
+            return false;
+        }
+
+        if ($result['status'] === ACF_Canto_Import::STATUS_AMBIGUOUS) {
+            WP_CLI::warning(sprintf('"%s": %s', $value, $result['message']));
+        }
+
+        return $result['asset'];
+    }
+
+    /**
+     * Stop with an error when the Canto API isn't configured
+     */
+    private function require_api()
+    {
+        if (!$this->api->is_configured()) {
+            WP_CLI::error(implode(', ', $this->api->get_config_errors()));
+        }
+    }
+}
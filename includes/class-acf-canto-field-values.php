@@ -0,0 +1,194 @@
+<?php
+/**
+ * ACF Canto Field Values Class
+ *
+ * Finds Canto field values stored in post, term, user and comment meta and
+ * in options, in batches
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Field_Values
+{
+    /**
+     * Default number of field values loaded per batch
+     */
+    const DEFAULT_BATCH_SIZE = 100;
+
+    /**
+     * Get the keys of every registered Canto field, including nested sub fields
+     *
+     * @return array
+     */
+    public function get_field_keys()
+    {
+        $keys = array();
+
+        if (!function_exists('acf_get_field_groups')) {
+            return $keys;
+        }
+
+        foreach (acf_get_field_groups() as $group) {
+            $this->collect_field_keys(acf_get_fields($group), $keys);
+        }
+
+        return array_values(array_unique($keys));
+    }
+
+    /**
+     * Get the next batch of stored Canto field values
+     *
+     * ACF stores a "_{meta_key}" reference row holding the field key next to
+     * every value, which also covers repeater, group and flexible content
+     * sub fields.
+     *
+     * @param array $field_keys Canto field keys
+     * @param int $after_meta_id Only rows after this reference meta ID
+     * @param int $limit
+     * @param string $meta_type 'post', 'term', 'user', 'comment' or 'option'
+     * @return array Rows with 'meta_id', 'meta_type', 'object_id', 'meta_key'
+     *               (of the value) and 'field_key'; post rows also have 'post_id'
+     */
+    public function get_batch($field_keys, $after_meta_id = 0, $limit = self::DEFAULT_BATCH_SIZE, $meta_type = 'post')
+    {
+        global $wpdb;
+
+        if (empty($field_keys)) {
+            return array();
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($field_keys), '%s'));
+        $params = array_merge(array($wpdb->esc_like('_') . '%'), $field_keys, array((int) $after_meta_id, (int) $limit));
+
+        if ($meta_type === 'option') {
+            $sql = "SELECT option_id AS meta_id, 0 AS object_id, option_name AS meta_key, option_value AS field_key
+                    FROM {$wpdb->options}
+                    WHERE option_name LIKE %s AND option_value IN ($placeholders) AND option_id > %d
+                    ORDER BY option_id ASC
+                    LIMIT %d";
+        } else {
+            $table = _get_meta_table($meta_type);
+            $id_column = $meta_type === 'user' ? 'umeta_id' : 'meta_id';
+
+            if (!$table) {
+                return array();
+            }
+
+            $sql = "SELECT {$id_column} AS meta_id, {$meta_type}_id AS object_id, meta_key, meta_value AS field_key
+                    FROM {$table}
+                    WHERE meta_key LIKE %s AND meta_value IN ($placeholders) AND {$id_column} > %d
+                    ORDER BY {$id_column} ASC
+                    LIMIT %d";
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare($sql, $params), ARRAY_A);
+
+        return array_map(function ($row) use ($meta_type) {
+            $batch_row = array(
+                'meta_id'   => (int) $row['meta_id'],
+                'meta_type' => $meta_type,
+                'object_id' => (int) $row['object_id'],
+                'meta_key'  => substr($row['meta_key'], 1),
+                'field_key' => $row['field_key'],
+            );
+
+            if ($meta_type === 'post') {
+                $batch_row['post_id'] = $batch_row['object_id'];
+            }
+
+            return $batch_row;
+        }, $rows ?: array());
+    }
+
+    /**
+     * Read the stored value behind a batch row
+     *
+     * @param array $row As returned by get_batch()
+     * @return mixed
+     */
+    public function get_value($row)
+    {
+        $meta_type = isset($row['meta_type']) ? $row['meta_type'] : 'post';
+
+        if ($meta_type === 'option') {
+            return get_option($row['meta_key']);
+        }
+
+        return get_metadata($meta_type, $this->get_object_id($row), $row['meta_key'], true);
+    }
+
+    /**
+     * Save a value behind a batch row
+     *
+     * @param array $row As returned by get_batch()
+     * @param mixed $value Single item string or list of items
+     * @return bool
+     */
+    public function update_value($row, $value)
+    {
+        $meta_type = isset($row['meta_type']) ? $row['meta_type'] : 'post';
+
+        if ($meta_type === 'option') {
+            return update_option($row['meta_key'], $value);
+        }
+
+        // update_metadata() unslashes, and records contain escaped JSON
+        return (bool) update_metadata($meta_type, $this->get_object_id($row), $row['meta_key'], wp_slash($value));
+    }
+
+    /**
+     * Split a stored value into its individual items
+     *
+     * @param mixed $value
+     * @return array
+     */
+    public function get_items($value)
+    {
+        $items = is_array($value) ? $value : array($value);
+
+        return array_values(array_filter(array_map('strval', $items), 'strlen'));
+    }
+
+    /**
+     * Get the object a batch row belongs to
+     *
+     * @param array $row
+     * @return int
+     */
+    private function get_object_id($row)
+    {
+        return isset($row['object_id']) ? (int) $row['object_id'] : (int) $row['post_id'];
+    }
+
+    /**
+     * Walk a field list and collect Canto field keys
+     *
+     * @param array|false $fields
+     * @param array &$keys
+     */
+    private function collect_field_keys($fields, &$keys)
+    {
+        if (empty($fields)) {
+            return;
+        }
+
+        foreach ($fields as $field) {
+            if (isset($field['type']) && $field['type'] === 'canto') {
+                $keys[] = $field['key'];
+            }
+
+            if (!empty($field['sub_fields'])) {
+                $this->collect_field_keys($field['sub_fields'], $keys);
+            }
+
+            if (!empty($field['layouts'])) {
+                foreach ($field['layouts'] as $layout) {
+                    $this->collect_field_keys(isset($layout['sub_fields']) ? $layout['sub_fields'] : array(), $keys);
+                }
+            }
+        }
+    }
+}
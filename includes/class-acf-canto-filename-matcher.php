@@ -0,0 +1,391 @@
+<?php
+/**
+ * ACF Canto Filename Matcher Class
+ *
+ * Ranks the Canto assets a filename could refer to, so near-duplicates such
+ * as logo.png, Logo.jpg and logo_v2-final.png aren't confused
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Filename_Matcher
+{
+    /**
+     * Lowest score of a match that needs no confirmation
+     */
+    const CONFIDENT_SCORE = 90;
+
+    /**
+     * Candidates scoring within this many points of the best are too close to call
+     */
+    const CLOSE_MARGIN = 5;
+
+    /**
+     * Candidates scoring below this are dropped
+     */
+    const MIN_SCORE = 30;
+
+    /**
+     * Number of candidates returned
+     */
+    const MAX_CANDIDATES = 5;
+
+    /**
+     * Scores of each kind of match
+     */
+    const SCORE_EXACT = 100;
+    const SCORE_CASE = 97;
+    const SCORE_EXTENSION = 92;
+    const SCORE_SEPARATORS = 88;
+    const SCORE_VERSION = 75;
+    const SCORE_SIMILAR = 70;
+
+    /**
+     * Suffixes that mark a version of the same file, after normalize()
+     *
+     * @var array
+     */
+    private $version_patterns = array(
+        '/\s+(v|ver|version|rev)\s?\d+$/',
+        '/\s+(final|copy|new|latest|old|draft|edit|edited|approved)$/',
+        '/\s+copy\s\d+$/',
+        '/\s*\(\d+\)$/',
+    );
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+    }
+
+    /**
+     * Rank the Canto assets a filename could refer to
+     *
+     * Canto is searched for the filename and for its base name without
+     * extension and version suffix. Candidates are ordered by score, then
+     * those in the preferred album, then the most recently uploaded.
+     *
+     * @param string $filename
+     * @param array $args {
+     *     Optional.
+     *
+     *     @type string $album_id     Preferred album; its assets win ties.
+     *     @type array  $restrictions Field type restrictions, as returned by
+     *                                ACF_Canto_Asset_Formatter::get_field_restrictions().
+     * }
+     * @return array 'candidates' (asset data with 'score', 'reason',
+     *               'matched_on' and 'in_album', best first) and whether
+     *               the best candidates are too close to call in 'ambiguous'
+     */
+    public function match($filename, $args = array())
+    {
+        $args = wp_parse_args($args, array('album_id' => '', 'restrictions' => array()));
+        $filename = trim((string) $filename);
+        $candidates = array();
+
+        if ($filename === '') {
+            return array('candidates' => array(), 'ambiguous' => false);
+        }
+
+        foreach ($this->search($filename, $args['restrictions']) as $asset_data) {
+            $candidate = array_merge($asset_data, $this->score($filename, $asset_data));
+
+            if ($candidate['score'] >= self::MIN_SCORE) {
+                $candidates[] = $candidate;
+            }
+        }
+
+        $album_ids = $args['album_id'] !== '' ? $this->get_album_asset_ids($args['album_id']) : array();
+
+        foreach ($candidates as &$candidate) {
+            $candidate['in_album'] = isset($album_ids[$candidate['id']]);
+        }
+        unset($candidate);
+
+        usort($candidates, array($this, 'compare_candidates'));
+        $candidates = array_slice($candidates, 0, self::MAX_CANDIDATES);
+
+        return array(
+            'candidates' => $this->load_candidates($candidates),
+            'ambiguous'  => $this->is_ambiguous($candidates),
+        );
+    }
+
+    /**
+     * Score how well an asset matches a filename
+     *
+     * Both the asset's filename and its name are compared; the better one counts.
+     *
+     * @param string $filename
+     * @param array $asset_data
+     * @return array 'score' (0-100), 'reason' (exact, case, extension,
+     *               separators, version or similar) and 'matched_on'
+     *               (filename or name)
+     */
+    public function score($filename, $asset_data)
+    {
+        $best = array('score' => 0, 'reason' => 'similar', 'matched_on' => 'filename');
+
+        foreach (array('filename', 'name') as $key) {
+            if (empty($asset_data[$key])) {
+                continue;
+            }
+
+            $result = $this->compare($filename, (string) $asset_data[$key]);
+
+            if ($result['score'] > $best['score']) {
+                $best = array_merge($result, array('matched_on' => $key));
+            }
+        }
+
+        return $best;
+    }
+
+    /**
+     * Compare a filename with an asset's filename or name
+     *
+     * @param string $filename
+     * @param string $candidate
+     * @return array 'score' and 'reason'
+     */
+    private function compare($filename, $candidate)
+    {
+        if ($filename === $candidate) {
+            return array('score' => self::SCORE_EXACT, 'reason' => 'exact');
+        }
+
+        if (strcasecmp($filename, $candidate) === 0) {
+            return array('score' => self::SCORE_CASE, 'reason' => 'case');
+        }
+
+        if (strcasecmp($this->strip_extension($filename), $this->strip_extension($candidate)) === 0) {
+            return array('score' => self::SCORE_EXTENSION, 'reason' => 'extension');
+        }
+
+        $normalized = $this->normalize($filename);
+        $candidate_normalized = $this->normalize($candidate);
+
+        if ($normalized === $candidate_normalized) {
+            return array('score' => self::SCORE_SEPARATORS, 'reason' => 'separators');
+        }
+
+        $base = $this->strip_version($normalized);
+        $candidate_base = $this->strip_version($candidate_normalized);
+
+        if ($base === $candidate_base) {
+            return array('score' => self::SCORE_VERSION, 'reason' => 'version');
+        }
+
+        similar_text($base, $candidate_base, $percent);
+
+        return array('score' => (int) round($percent * self::SCORE_SIMILAR / 100), 'reason' => 'similar');
+    }
+
+    /**
+     * Search Canto for a filename and its base name
+     *
+     * @param string $filename
+     * @param array $restrictions
+     * @return array Formatted assets keyed by ID
+     */
+    private function search($filename, $restrictions)
+    {
+        $queries = array_unique(array($filename, $this->strip_version($this->normalize($filename))));
+        $assets = array();
+
+        foreach ($queries as $query) {
+            if ($query === '') {
+                continue;
+            }
+
+            $result = $this->api->search_assets($query, array(
+                'limit'      => 50,
+                'file_types' => $this->api->get_file_types($restrictions),
+            ));
+
+            if (is_wp_error($result)) {
+                $this->logger->warning('Filename search failed: ' . $result->get_error_message(), array('query' => $query));
+                continue;
+            }
+
+            foreach (isset($result['results']) ? $result['results'] : array() as $item) {
+                $asset_data = $this->formatter->format_from_search($item);
+
+                if ($asset_data && !isset($assets[$asset_data['id']]) && $this->formatter->is_asset_allowed($asset_data, $restrictions)) {
+                    $assets[$asset_data['id']] = $asset_data;
+                }
+            }
+        }
+
+        return $assets;
+    }
+
+    /**
+     * Replace the search data of the candidates with the full asset data
+     *
+     * Search results lack the direct URL needed to store an asset.
+     *
+     * @param array $candidates
+     * @return array
+     */
+    private function load_candidates($candidates)
+    {
+        foreach ($candidates as &$candidate) {
+            $result = $this->api->get_asset($candidate['id'], $candidate['scheme']);
+            $asset_data = is_wp_error($result) ? false : $this->formatter->format_from_api($result, $candidate['id']);
+
+            if ($asset_data) {
+                $candidate = array_merge($asset_data, array_intersect_key($candidate, array_flip(array('score', 'reason', 'matched_on', 'in_album'))));
+            }
+        }
+        unset($candidate);
+
+        return $candidates;
+    }
+
+    /**
+     * Get the IDs of the assets in an album
+     *
+     * @param string $album_id
+     * @return array IDs as keys
+     */
+    private function get_album_asset_ids($album_id)
+    {
+        $page = $this->api->get_album_assets($album_id, array('limit' => ACF_Canto_API::MAX_SEARCH_LIMIT));
+        $ids = array();
+
+        if (is_wp_error($page) || empty($page['results'])) {
+            return $ids;
+        }
+
+        foreach ($page['results'] as $item) {
+            if (isset($item['id'])) {
+                $ids[$item['id']] = true;
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Order candidates by score, preferred album, then newest upload
+     *
+     * @param array $a
+     * @param array $b
+     * @return int
+     */
+    private function compare_candidates($a, $b)
+    {
+        if ($a['score'] !== $b['score']) {
+            return $b['score'] - $a['score'];
+        }
+
+        if ($a['in_album'] !== $b['in_album']) {
+            return $a['in_album'] ? -1 : 1;
+        }
+
+        // Canto reports lastUploaded as a yyyyMMddHHmmssSSS timestamp
+        return strcmp((string) $b['uploaded'], (string) $a['uploaded']);
+    }
+
+    /**
+     * Check whether the best candidates are too close to call
+     *
+     * The best candidate needs a confident score and a clear lead over the
+     * runner-up; being in the preferred album while the runner-up isn't
+     * also settles it. The newest upload only orders the candidates.
+     *
+     * @param array $candidates Sorted candidates
+     * @return bool
+     */
+    private function is_ambiguous($candidates)
+    {
+        if (empty($candidates)) {
+            return false;
+        }
+
+        if ($candidates[0]['score'] < self::CONFIDENT_SCORE) {
+            return true;
+        }
+
+        if (!isset($candidates[1]) || $candidates[0]['score'] - $candidates[1]['score'] >= self::CLOSE_MARGIN) {
+            return false;
+        }
+
+        return !($candidates[0]['in_album'] && !$candidates[1]['in_album']);
+    }
+
+    /**
+     * Lowercase a filename and drop its extension and separators
+     *
+     * @param string $filename
+     * @return string
+     */
+    private function normalize($filename)
+    {
+        $name = strtolower($this->strip_extension($filename));
+
+        return trim(preg_replace('/[\s_.\-]+/', ' ', $name));
+    }
+
+    /**
+     * Drop the file extension
+     *
+     * @param string $filename
+     * @return string
+     */
+    private function strip_extension($filename)
+    {
+        return preg_replace('/\.[a-z0-9]{2,5}$/i', '', $filename);
+    }
+
+    /**
+     * Drop version suffixes such as " v2", " final" or " (1)"
+     *
+     * @param string $name A normalized name
+     * @return string
+     */
+    private function strip_version($name)
+    {
+        do {
+            $previous = $name;
+
+            foreach ($this->version_patterns as $pattern) {
+                $name = preg_replace($pattern, '', $name);
+            }
+        } while ($name !== $previous && $name !== '');
+
+        return $name !== '' ? $name : $previous;
+    }
+}
@@ -0,0 +1,242 @@
+<?php
+/**
+ * ACF Canto GraphQL Class
+ *
+ * Registers a CantoAsset type with WPGraphQL and maps Canto fields to it
+ * when WPGraphQL for ACF is active
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_GraphQL
+{
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+    }
+
+    /**
+     * Hook into WPGraphQL and WPGraphQL for ACF
+     */
+    public function register_hooks()
+    {
+        add_action('graphql_register_types', array($this, 'register_types'));
+        add_action('wpgraphql/acf/registry_init', array($this, 'register_field_type'));
+    }
+
+    /**
+     * Register the CantoAsset type and the types it uses
+     */
+    public function register_types()
+    {
+        register_graphql_object_type('CantoFocalPoint', array(
+            'description' => __('Focal point of an image, as fractions of its width and height', 'acf-canto-field'),
+            'fields'      => array(
+                'x' => array('type' => 'Float'),
+                'y' => array('type' => 'Float'),
+            ),
+        ));
+
+        register_graphql_object_type('CantoMetadataItem', array(
+            'description' => __('A Canto metadata field', 'acf-canto-field'),
+            'fields'      => array(
+                'label' => array('type' => 'String'),
+                'value' => array('type' => 'String'),
+            ),
+        ));
+
+        register_graphql_object_type('CantoAsset', array(
+            'description' => __('An asset picked from Canto', 'acf-canto-field'),
+            'fields'      => array(
+                'id'             => array('type' => array('non_null' => 'String'), 'description' => __('Canto asset ID', 'acf-canto-field')),
+                'scheme'         => array('type' => 'String', 'description' => __('image, video or document', 'acf-canto-field')),
+                'name'           => array('type' => 'String'),
+                'filename'       => array('type' => 'String'),
+                'url'            => array('type' => 'String', 'description' => __('Direct URL of the original file', 'acf-canto-field')),
+                'thumbnail'      => array('type' => 'String'),
+                'downloadUrl'    => array('type' => 'String', 'resolve' => $this->key_resolver('download_url')),
+                'dimensions'     => array('type' => 'String', 'description' => __('Dimensions as reported by Canto', 'acf-canto-field')),
+                'width'          => array('type' => 'Int', 'resolve' => $this->dimension_resolver(0)),
+                'height'         => array('type' => 'Int', 'resolve' => $this->dimension_resolver(1)),
+                'mimeType'       => array('type' => 'String', 'resolve' => $this->key_resolver('mime_type')),
+                'size'           => array('type' => 'String'),
+                'uploaded'       => array('type' => 'String'),
+                'selectedAt'     => array('type' => 'String', 'resolve' => $this->key_resolver('selected_at')),
+                'renditionUrl'   => array('type' => 'String', 'description' => __('Images only: the field\'s rendition with the editor\'s crop', 'acf-canto-field'), 'resolve' => $this->key_resolver('rendition_url')),
+                'objectPosition' => array('type' => 'String', 'description' => __('Images only: the focal point as a CSS object-position', 'acf-canto-field'), 'resolve' => $this->key_resolver('object_position')),
+                'focalPoint'     => array('type' => 'CantoFocalPoint', 'resolve' => $this->key_resolver('focal_point')),
+                'metadata'       => array(
+                    'type'    => array('list_of' => 'CantoMetadataItem'),
+                    'resolve' => array($this, 'resolve_metadata'),
+                ),
+                'rendition'      => array(
+                    'type'        => 'String',
+                    'description' => __('URL of an image rendition of the asset', 'acf-canto-field'),
+                    'args'        => array(
+                        'width'  => array('type' => 'Int'),
+                        'height' => array('type' => 'Int'),
+                        'type'   => array('type' => 'String', 'description' => __('jpg, png or webp', 'acf-canto-field')),
+                        'dpi'    => array('type' => 'Int'),
+                    ),
+                    'resolve'     => array($this, 'resolve_rendition'),
+                ),
+            ),
+        ));
+    }
+
+    /**
+     * Map the canto field type to CantoAsset in WPGraphQL for ACF
+     */
+    public function register_field_type()
+    {
+        if (!function_exists('register_graphql_acf_field_type')) {
+            return;
+        }
+
+        register_graphql_acf_field_type('canto', array(
+            'graphql_type' => function ($field_config) {
+                $field = $field_config->get_acf_field();
+
+                return !empty($field['multiple']) ? array('list_of' => 'CantoAsset') : 'CantoAsset';
+            },
+            'resolve'      => function ($root, $args, $context, $info, $field_type, $field_config) {
+                return $this->format_value($field_config->resolve_field($root, $args, $context, $info), $field_config->get_acf_field());
+            },
+        ));
+    }
+
+    /**
+     * Resolve metadata as label/value pairs
+     *
+     * @param array $asset
+     * @return array
+     */
+    public function resolve_metadata($asset)
+    {
+        $items = array();
+
+        if (empty($asset['metadata']) || !is_array($asset['metadata'])) {
+            return $items;
+        }
+
+        foreach ($asset['metadata'] as $label => $value) {
+            if (is_scalar($value) && $value !== '') {
+                $items[] = array('label' => (string) $label, 'value' => (string) $value);
+            }
+        }
+
+        return $items;
+    }
+
+    /**
+     * Resolve a rendition URL for the requested size and type
+     *
+     * @param array $asset
+     * @param array $args 'width', 'height', 'type' and 'dpi'
+     * @return string|null Null for assets that aren't images
+     */
+    public function resolve_rendition($asset, $args)
+    {
+        if (empty($asset['id']) || (isset($asset['scheme']) && $asset['scheme'] !== 'image')) {
+            return null;
+        }
+
+        $params = array();
+
+        if (!empty($args['type']) && in_array($args['type'], array('jpg', 'png', 'webp'), true)) {
+            $params['type'] = $args['type'];
+        }
+
+        foreach (array('width', 'height', 'dpi') as $key) {
+            if (!empty($args[$key])) {
+                $params[$key] = absint($args[$key]);
+            }
+        }
+
+        return $this->api->build_rendition_url($asset['id'], $params);
+    }
+
+    /**
+     * Format a field value as CantoAsset data
+     *
+     * @param mixed $value Stored value, or data ACF has already formatted
+     * @param array $field
+     * @return array|null A list for multiple selection fields
+     */
+    private function format_value($value, $field)
+    {
+        $multiple = !empty($field['multiple']);
+
+        // Already formatted with the Object return format
+        if (is_array($value) && (isset($value['id']) || ($multiple && isset($value[0]['id'])))) {
+            return $value;
+        }
+
+        $field['return_format'] = 'object';
+        $field['resolve_legacy'] = false;
+        $formatted = acf_get_field_type('canto')->format_value($value, null, $field);
+
+        if ($multiple) {
+            return $formatted ?: array();
+        }
+
+        return $formatted ?: null;
+    }
+
+    /**
+     * Build a resolver reading a snake_case key of the asset data
+     *
+     * @param string $key
+     * @return callable
+     */
+    private function key_resolver($key)
+    {
+        return function ($asset) use ($key) {
+            return isset($asset[$key]) && $asset[$key] !== '' ? $asset[$key] : null;
+        };
+    }
+
+    /**
+     * Build a resolver reading one side of the dimensions
+     *
+     * Canto reports dimensions as free text such as "1920x1080" or
+     * "1920 × 1080 px".
+     *
+     * @param int $index 0 for the width, 1 for the height
+     * @return callable
+     */
+    private function dimension_resolver($index)
+    {
+        return function ($asset) use ($index) {
+            if (empty($asset['dimensions']) || !preg_match('/(\d+)\s*(?:x|×)\s*(\d+)/iu', (string) $asset['dimensions'], $matches)) {
+                return null;
+            }
+
+            return (int) $matches[$index + 1];
+        };
+    }
+}
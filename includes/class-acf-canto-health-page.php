@@ -0,0 +1,301 @@
+<?php
+/**
+ * ACF Canto Health Page
+ *
+ * Tools → Canto Asset Health: the report of broken Canto references found
+ * by ACF_Canto_Health, with actions to rescan and relink
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Health_Page
+{
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'acf-canto-health';
+
+    /**
+     * Health scanner instance
+     *
+     * @var ACF_Canto_Health
+     */
+    private $health;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Health $health
+     */
+    public function __construct($health)
+    {
+        $this->health = $health;
+
+        add_action('admin_menu', array($this, 'add_page'));
+        add_action('admin_post_acf_canto_health_scan', array($this, 'handle_scan'));
+        add_action('admin_post_acf_canto_health_relink', array($this, 'handle_relink'));
+    }
+
+    /**
+     * Register the page under Tools
+     */
+    public function add_page()
+    {
+        add_management_page(
+            __('Canto Asset Health', 'acf-canto-field'),
+            __('Canto Asset Health', 'acf-canto-field'),
+            'manage_options',
+            self::PAGE_SLUG,
+            array($this, 'render_page')
+        );
+    }
+
+    /**
+     * Start a scan and let cron work through it
+     */
+    public function handle_scan()
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('You are not allowed to run the Canto asset scan.', 'acf-canto-field'), 403);
+        }
+
+        check_admin_referer('acf_canto_health_scan');
+
+        $this->health->start_scan();
+
+        if (!wp_next_scheduled(ACF_Canto_Health::CONTINUE_HOOK)) {
+            wp_schedule_single_event(time(), ACF_Canto_Health::CONTINUE_HOOK);
+        }
+
+        $this->redirect_with_notice('success', __('Scan started. It runs in the background; reload this page to see its progress.', 'acf-canto-field'));
+    }
+
+    /**
+     * Relink one report entry
+     */
+    public function handle_relink()
+    {
+        $entry_id = isset($_POST['entry']) ? sanitize_key(wp_unslash($_POST['entry'])) : '';
+
+        check_admin_referer('acf_canto_health_relink_' . $entry_id);
+
+        $report = $this->health->get_report();
+
+        if (!current_user_can('manage_options') || !isset($report[$entry_id]) || !current_user_can('edit_post', $report[$entry_id]['post_id'])) {
+            wp_die(__('You are not allowed to relink this asset.', 'acf-canto-field'), 403);
+        }
+
+        $result = $this->health->relink($entry_id);
+
+        if (is_wp_error($result)) {
+            $this->redirect_with_notice('error', $result->get_error_message());
+        }
+
+        /* translators: %s: asset name */
+        $this->redirect_with_notice('success', sprintf(__('Relinked to "%s".', 'acf-canto-field'), $result['name']));
+    }
+
+    /**
+     * Render the report page
+     */
+    public function render_page()
+    {
+        $state = $this->health->get_state();
+        $report = $this->health->get_report();
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Canto Asset Health', 'acf-canto-field'); ?></h1>
+
+            <?php $this->render_notice(); ?>
+
+            <p><?php echo esc_html__('Canto field values are checked against Canto once a day. Assets that were deleted, whose direct URL changed or that can no longer be identified are listed here.', 'acf-canto-field'); ?></p>
+
+            <?php $this->render_summary($state); ?>
+
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="acf_canto_health_scan" />
+                <?php wp_nonce_field('acf_canto_health_scan'); ?>
+                <?php submit_button($state['running'] ? __('Restart scan', 'acf-canto-field') : __('Scan now', 'acf-canto-field'), 'secondary', 'submit', false); ?>
+            </form>
+
+            <?php if ($report): ?>
+                <?php $this->render_report($report); ?>
+            <?php elseif ($state['finished']): ?>
+                <p><?php echo esc_html__('No broken Canto references were found.', 'acf-canto-field'); ?></p>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the scan status line
+     *
+     * @param array $state
+     */
+    private function render_summary($state)
+    {
+        $counts = $state['counts'];
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+
+        if ($state['running']) {
+            /* translators: 1: scan start time, 2: number of references checked so far */
+            $summary = sprintf(__('Scan running since %1$s, %2$d references checked so far.', 'acf-canto-field'), wp_date($date_format, $state['started']), array_sum($counts));
+        } elseif ($state['finished']) {
+            /* translators: 1: scan end time, 2: references checked, 3: missing, 4: changed, 5: unlinked, 6: could not be checked */
+            $summary = sprintf(
+                __('Last scan finished %1$s: %2$d references checked, %3$d missing, %4$d changed, %5$d unlinked, %6$d could not be checked.', 'acf-canto-field'),
+                wp_date($date_format, $state['finished']),
+                array_sum($counts),
+                $counts[ACF_Canto_Health::STATUS_MISSING],
+                $counts[ACF_Canto_Health::STATUS_CHANGED],
+                $counts[ACF_Canto_Health::STATUS_UNLINKED],
+                $counts[ACF_Canto_Health::STATUS_ERROR]
+            );
+        } else {
+            $summary = __('No scan has run yet.', 'acf-canto-field');
+        }
+
+        echo '<p><strong>' . esc_html($summary) . '</strong></p>';
+    }
+
+    /**
+     * Render the table of problem references
+     *
+     * @param array $report
+     */
+    private function render_report($report)
+    {
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        ?>
+        <table class="widefat striped" style="margin-top: 1em;">
+            <thead>
+                <tr>
+                    <th scope="col"><?php echo esc_html__('Post', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Field', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Asset', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Status', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Checked', 'acf-canto-field'); ?></th>
+                    <th scope="col"><span class="screen-reader-text"><?php echo esc_html__('Actions', 'acf-canto-field'); ?></span></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($report as $entry): ?>
+                    <tr>
+                        <td><?php $this->render_post_link($entry['post_id']); ?></td>
+                        <td><?php echo esc_html($this->get_field_label($entry)); ?></td>
+                        <td>
+                            <?php echo esc_html($entry['name'] ?: $entry['url']); ?>
+                            <?php if ($entry['asset_id']): ?>
+                                <br /><code><?php echo esc_html($entry['asset_id']); ?></code>
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <strong><?php echo esc_html($this->get_status_label($entry['status'])); ?></strong>
+                            <br /><?php echo esc_html($entry['message']); ?>
+                        </td>
+                        <td><?php echo esc_html(wp_date($date_format, $entry['checked'])); ?></td>
+                        <td>
+                            <?php if ($entry['status'] !== ACF_Canto_Health::STATUS_ERROR && current_user_can('edit_post', $entry['post_id'])): ?>
+                                <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                                    <input type="hidden" name="action" value="acf_canto_health_relink" />
+                                    <input type="hidden" name="entry" value="<?php echo esc_attr($entry['id']); ?>" />
+                                    <?php wp_nonce_field('acf_canto_health_relink_' . $entry['id']); ?>
+                                    <?php submit_button(__('Relink', 'acf-canto-field'), 'small', 'submit', false); ?>
+                                </form>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
+    /**
+     * Render a link to edit the post holding a reference
+     *
+     * @param int $post_id
+     */
+    private function render_post_link($post_id)
+    {
+        $title = get_the_title($post_id) ?: sprintf('#%d', $post_id);
+        $edit_link = get_edit_post_link($post_id);
+
+        if ($edit_link) {
+            echo '<a href="' . esc_url($edit_link) . '">' . esc_html($title) . '</a>';
+        } else {
+            echo esc_html($title);
+        }
+    }
+
+    /**
+     * Get a readable label for the field a reference is stored in
+     *
+     * @param array $entry
+     * @return string
+     */
+    private function get_field_label($entry)
+    {
+        $field = function_exists('acf_get_field') ? acf_get_field($entry['field_key']) : false;
+        $label = $field && !empty($field['label']) ? $field['label'] : $entry['field_key'];
+
+        // Sub fields are stored under their full meta key, e.g. gallery_0_image
+        return $field && $field['name'] !== $entry['meta_key'] ? $label . ' (' . $entry['meta_key'] . ')' : $label;
+    }
+
+    /**
+     * Get the label for a reference status
+     *
+     * @param string $status
+     * @return string
+     */
+    private function get_status_label($status)
+    {
+        $labels = array(
+            ACF_Canto_Health::STATUS_MISSING  => __('Missing', 'acf-canto-field'),
+            ACF_Canto_Health::STATUS_CHANGED  => __('URL changed', 'acf-canto-field'),
+            ACF_Canto_Health::STATUS_UNLINKED => __('Unlinked', 'acf-canto-field'),
+            ACF_Canto_Health::STATUS_ERROR    => __('Not checked', 'acf-canto-field'),
+        );
+
+        return isset($labels[$status]) ? $labels[$status] : $status;
+    }
+
+    /**
+     * Show the notice left by the last action
+     */
+    private function render_notice()
+    {
+        $key = 'acf_canto_health_notice_' . get_current_user_id();
+        $notice = get_transient($key);
+
+        if (!$notice) {
+            return;
+        }
+
+        delete_transient($key);
+
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($notice['type']),
+            esc_html($notice['message'])
+        );
+    }
+
+    /**
+     * Return to the report page with a notice
+     *
+     * @param string $type 'success' or 'error'
+     * @param string $message
+     */
+    private function redirect_with_notice($type, $message)
+    {
+        set_transient('acf_canto_health_notice_' . get_current_user_id(), array('type' => $type, 'message' => $message), MINUTE_IN_SECONDS);
+
+        wp_safe_redirect(admin_url('tools.php?page=' . self::PAGE_SLUG));
+        exit;
+    }
+}
@@ -0,0 +1,514 @@
+<?php
+/**
+ * ACF Canto Health Class
+ *
+ * Scans stored Canto field values for assets that were deleted or whose
+ * direct URL changed in Canto, keeps a report of the problems found and
+ * relinks broken references
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Health
+{
+    /**
+     * Daily cron hook that starts a scan
+     */
+    const CRON_HOOK = 'acf_canto_health_scan';
+
+    /**
+     * Cron hook that continues a scan in progress
+     */
+    const CONTINUE_HOOK = 'acf_canto_health_scan_continue';
+
+    /**
+     * Option holding the problems found by the last finished scan
+     */
+    const REPORT_OPTION = 'acf_canto_health_report';
+
+    /**
+     * Option holding the progress of the current scan
+     */
+    const STATE_OPTION = 'acf_canto_health_scan_state';
+
+    /**
+     * Field values checked per batch
+     */
+    const BATCH_SIZE = 50;
+
+    /**
+     * Seconds a cron run may spend scanning before handing over to the next run
+     */
+    const TIME_LIMIT = 20;
+
+    // Reference statuses
+    const STATUS_OK = 'ok';
+    const STATUS_MISSING = 'missing';
+    const STATUS_CHANGED = 'changed';
+    const STATUS_UNLINKED = 'unlinked';
+    const STATUS_ERROR = 'error';
+
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * API instance
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     */
+    private $formatter;
+
+    /**
+     * Stored field value access
+     */
+    private $values;
+
+    /**
+     * Asset checks made during this request, keyed by asset ID
+     *
+     * @var array
+     */
+    private $checked = array();
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->values = new ACF_Canto_Field_Values();
+    }
+
+    /**
+     * Hook the scanner into WP-Cron
+     */
+    public function register_hooks()
+    {
+        add_action(self::CRON_HOOK, array($this, 'run_scheduled_scan'));
+        add_action(self::CONTINUE_HOOK, array($this, 'continue_scan'));
+
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Start the daily scan, unless one is still running
+     */
+    public function run_scheduled_scan()
+    {
+        if (!$this->is_scanning()) {
+            $this->start_scan();
+        }
+
+        $this->continue_scan();
+    }
+
+    /**
+     * Scan for a while, then schedule the rest of the scan
+     */
+    public function continue_scan()
+    {
+        $deadline = time() + self::TIME_LIMIT;
+
+        while ($this->is_scanning() && time() < $deadline) {
+            $this->process_batch();
+        }
+
+        if ($this->is_scanning() && !wp_next_scheduled(self::CONTINUE_HOOK)) {
+            wp_schedule_single_event(time() + MINUTE_IN_SECONDS, self::CONTINUE_HOOK);
+        }
+    }
+
+    /**
+     * Start a new scan from the first stored value
+     *
+     * A scan that is already running is restarted.
+     */
+    public function start_scan()
+    {
+        $this->save_state(array(
+            'running'  => true,
+            'cursor'   => 0,
+            'started'  => time(),
+            'finished' => 0,
+            'counts'   => $this->empty_counts(),
+            'problems' => array(),
+        ));
+
+        $this->logger->info('Canto health scan started');
+    }
+
+    /**
+     * Check the next batch of stored values
+     *
+     * @param int $batch_size
+     * @return bool True once the scan has finished
+     */
+    public function process_batch($batch_size = self::BATCH_SIZE)
+    {
+        $state = $this->get_state();
+
+        if (empty($state['running'])) {
+            return true;
+        }
+
+        $rows = $this->values->get_batch($this->values->get_field_keys(), $state['cursor'], $batch_size);
+
+        foreach ($rows as $row) {
+            foreach ($this->values->get_items($this->values->get_value($row)) as $index => $item) {
+                $check = $this->check_item($item);
+                $state['counts'][$check['status']]++;
+
+                if ($check['status'] !== self::STATUS_OK) {
+                    $state['problems'][] = $this->build_entry($row, $index, $item, $check);
+                }
+            }
+
+            $state['cursor'] = $row['meta_id'];
+        }
+
+        if (count($rows) < $batch_size) {
+            $this->finish_scan($state);
+            return true;
+        }
+
+        $this->save_state($state);
+
+        return false;
+    }
+
+    /**
+     * Check one stored item against Canto
+     *
+     * @param string $item Stored value item
+     * @return array 'status', 'asset_id', 'message' and, for changed URLs, 'current_url'
+     */
+    public function check_item($item)
+    {
+        $reference = $this->formatter->parse_value_item($item);
+        $asset_id = $this->formatter->get_reference_asset_id($reference);
+
+        if (!$asset_id) {
+            return array(
+                'status'   => self::STATUS_UNLINKED,
+                'asset_id' => '',
+                'message'  => __('The stored value does not identify a Canto asset.', 'acf-canto-field'),
+            );
+        }
+
+        if (!isset($this->checked[$asset_id])) {
+            $this->checked[$asset_id] = $this->check_asset($asset_id);
+        }
+
+        $check = $this->checked[$asset_id];
+
+        // A direct URL carries an access token that stops working when Canto rotates it
+        if ($check['status'] === self::STATUS_OK && $this->is_direct_url($reference['url']) && $this->is_direct_url($check['current_url'])
+            && parse_url($reference['url'], PHP_URL_PATH) !== parse_url($check['current_url'], PHP_URL_PATH)) {
+            $check['status'] = self::STATUS_CHANGED;
+            $check['message'] = __('The direct URL changed in Canto.', 'acf-canto-field');
+        }
+
+        return $check;
+    }
+
+    /**
+     * Check whether the current scan is still running
+     *
+     * @return bool
+     */
+    public function is_scanning()
+    {
+        $state = $this->get_state();
+
+        return !empty($state['running']);
+    }
+
+    /**
+     * Get the progress of the current or last scan
+     *
+     * @return array 'running', 'started', 'finished' and 'counts'
+     */
+    public function get_state()
+    {
+        $state = get_option(self::STATE_OPTION, array());
+
+        return wp_parse_args(is_array($state) ? $state : array(), array(
+            'running'  => false,
+            'cursor'   => 0,
+            'started'  => 0,
+            'finished' => 0,
+            'counts'   => $this->empty_counts(),
+            'problems' => array(),
+        ));
+    }
+
+    /**
+     * Get the problems found by the last finished scan
+     *
+     * @return array Entries keyed by entry ID
+     */
+    public function get_report()
+    {
+        $report = get_option(self::REPORT_OPTION, array());
+
+        return is_array($report) ? $report : array();
+    }
+
+    /**
+     * Point a broken reference at a Canto asset again
+     *
+     * Changed URLs are refreshed from the same asset; missing and unlinked
+     * references are matched by filename with match_asset_by_filename().
+     *
+     * @param string $entry_id Report entry ID
+     * @return array|WP_Error The asset the reference now points to
+     */
+    public function relink($entry_id)
+    {
+        $report = $this->get_report();
+
+        if (!isset($report[$entry_id])) {
+            return new WP_Error('entry_not_found', __('This report entry no longer exists.', 'acf-canto-field'));
+        }
+
+        $entry = $report[$entry_id];
+        $row = array('post_id' => $entry['post_id'], 'meta_key' => $entry['meta_key']);
+        $value = $this->values->get_value($row);
+        $items = $this->values->get_items($value);
+
+        // The value was edited since the scan
+        if (!isset($items[$entry['index']]) || md5($items[$entry['index']]) !== $entry['item_hash']) {
+            $this->remove_entry($entry_id);
+            return new WP_Error('entry_outdated', __('The field value changed since the last scan. Run a new scan to check it.', 'acf-canto-field'));
+        }
+
+        $reference = $this->formatter->parse_value_item($items[$entry['index']]);
+        $asset_data = $this->find_replacement($entry, $reference);
+
+        if (is_wp_error($asset_data)) {
+            return $asset_data;
+        }
+
+        $items[$entry['index']] = $this->formatter->encode_value_item($this->formatter->build_value_record($asset_data, $reference));
+        $this->values->update_value($row, is_array($value) ? $items : $items[0]);
+        $this->remove_entry($entry_id);
+
+        $this->logger->info('Relinked Canto reference', array(
+            'post_id'  => $entry['post_id'],
+            'meta_key' => $entry['meta_key'],
+            'asset_id' => $asset_data['id'],
+        ));
+
+        return $asset_data;
+    }
+
+    /**
+     * Remove the scanner's cron events
+     */
+    public static function unschedule()
+    {
+        wp_clear_scheduled_hook(self::CRON_HOOK);
+        wp_clear_scheduled_hook(self::CONTINUE_HOOK);
+    }
+
+    /**
+     * Look up an asset and classify the result
+     *
+     * @param string $asset_id
+     * @return array 'status', 'asset_id', 'message' and 'current_url'
+     */
+    private function check_asset($asset_id)
+    {
+        // A cached copy could hide an asset deleted since
+        $result = $this->api->get_asset($asset_id, null, true);
+        $check = array(
+            'status'      => self::STATUS_OK,
+            'asset_id'    => $asset_id,
+            'message'     => '',
+            'current_url' => '',
+        );
+
+        if (is_wp_error($result)) {
+            $missing = $result->get_error_code() === 'asset_not_found';
+            $check['status'] = $missing ? self::STATUS_MISSING : self::STATUS_ERROR;
+            $check['message'] = $missing ? __('The asset no longer exists in Canto.', 'acf-canto-field') : $result->get_error_message();
+            return $check;
+        }
+
+        $asset_data = $this->formatter->format_from_api($result, $asset_id);
+        $check['current_url'] = $asset_data ? $asset_data['download_url'] : '';
+
+        return $check;
+    }
+
+    /**
+     * Find the asset a broken reference should point to
+     *
+     * @param array $entry Report entry
+     * @param array $reference Parsed value item
+     * @return array|WP_Error Formatted asset data
+     */
+    private function find_replacement($entry, $reference)
+    {
+        if ($entry['status'] === self::STATUS_CHANGED) {
+            $result = $this->api->get_asset($entry['asset_id']);
+            return is_wp_error($result) ? $result : $this->formatter->format_from_api($result, $entry['asset_id']);
+        }
+
+        $filename = $this->get_filename($reference);
+        $field_type = function_exists('acf_get_field_type') ? acf_get_field_type('canto') : null;
+
+        if ($filename === '' || !$field_type) {
+            return new WP_Error('relink_no_filename', __('There is no filename to look the asset up by.', 'acf-canto-field'));
+        }
+
+        $match = $field_type->match_asset_by_filename($filename);
+
+        if (!$match['asset']) {
+            /* translators: %s: filename */
+            return new WP_Error('relink_not_found', sprintf(__('No Canto asset matches "%s".', 'acf-canto-field'), $filename));
+        }
+
+        if ($match['ambiguous']) {
+            /* translators: %s: filename */
+            return new WP_Error('relink_ambiguous', sprintf(__('Several Canto assets could be "%s". Edit the field to pick the right one.', 'acf-canto-field'), $filename));
+        }
+
+        return $match['asset'];
+    }
+
+    /**
+     * Get the filename a reference was stored with
+     *
+     * @param array $reference Parsed value item
+     * @return string
+     */
+    private function get_filename($reference)
+    {
+        if ($reference['name'] !== '') {
+            return $reference['name'];
+        }
+
+        if (filter_var($reference['url'], FILTER_VALIDATE_URL)) {
+            return $this->formatter->extract_name_from_url($reference['url']);
+        }
+
+        // Legacy values sometimes hold just the filename
+        return $reference['url'];
+    }
+
+    /**
+     * Check whether a URL is a Canto direct URL
+     *
+     * @param string $url
+     * @return bool
+     */
+    private function is_direct_url($url)
+    {
+        return is_string($url) && strpos($url, '/direct/') !== false;
+    }
+
+    /**
+     * Build a report entry for a problem reference
+     *
+     * @param array $row Batch row
+     * @param int $index Item position in the field value
+     * @param string $item Stored value item
+     * @param array $check As returned by check_item()
+     * @return array
+     */
+    private function build_entry($row, $index, $item, $check)
+    {
+        $reference = $this->formatter->parse_value_item($item);
+
+        return array(
+            'id'          => md5($row['post_id'] . '|' . $row['meta_key'] . '|' . $index),
+            'post_id'     => $row['post_id'],
+            'meta_key'    => $row['meta_key'],
+            'field_key'   => $row['field_key'],
+            'index'       => $index,
+            'item_hash'   => md5($item),
+            'asset_id'    => $check['asset_id'],
+            'name'        => $this->get_filename($reference),
+            'url'         => $reference['url'],
+            'status'      => $check['status'],
+            'message'     => $check['message'],
+            'checked'     => time(),
+        );
+    }
+
+    /**
+     * Publish the problems of a finished scan as the report
+     *
+     * @param array $state
+     */
+    private function finish_scan($state)
+    {
+        $report = array();
+        foreach ($state['problems'] as $entry) {
+            $report[$entry['id']] = $entry;
+        }
+
+        update_option(self::REPORT_OPTION, $report, false);
+
+        $state['running'] = false;
+        $state['finished'] = time();
+        $state['problems'] = array();
+        $this->save_state($state);
+
+        $this->logger->info('Canto health scan finished', $state['counts']);
+    }
+
+    /**
+     * Drop an entry from the report
+     *
+     * @param string $entry_id
+     */
+    private function remove_entry($entry_id)
+    {
+        $report = $this->get_report();
+        unset($report[$entry_id]);
+        update_option(self::REPORT_OPTION, $report, false);
+    }
+
+    /**
+     * Save the scan progress
+     *
+     * @param array $state
+     */
+    private function save_state($state)
+    {
+        update_option(self::STATE_OPTION, $state, false);
+    }
+
+    /**
+     * Zeroed counters for every status
+     *
+     * @return array
+     */
+    private function empty_counts()
+    {
+        return array_fill_keys(array(
+            self::STATUS_OK,
+            self::STATUS_MISSING,
+            self::STATUS_CHANGED,
+            self::STATUS_UNLINKED,
+            self::STATUS_ERROR,
+        ), 0);
+    }
+}
@@ -0,0 +1,241 @@
+<?php
+/**
+ * ACF Canto Import Page
+ *
+ * Tools → Canto Import Log: imported Canto values that were ambiguous,
+ * unmatched or rejected, and the strict mode setting
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Import_Page
+{
+    /**
+     * Admin page slug
+     */
+    const PAGE_SLUG = 'acf-canto-import';
+
+    /**
+     * Import resolver
+     *
+     * @var ACF_Canto_Import
+     */
+    private $import;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Import $import
+     */
+    public function __construct($import)
+    {
+        $this->import = $import;
+
+        add_action('admin_menu', array($this, 'add_page'));
+        add_action('admin_post_acf_canto_import_settings', array($this, 'handle_settings'));
+        add_action('admin_post_acf_canto_import_clear_log', array($this, 'handle_clear_log'));
+    }
+
+    /**
+     * Register the page under Tools
+     */
+    public function add_page()
+    {
+        add_management_page(
+            __('Canto Import Log', 'acf-canto-field'),
+            __('Canto Import Log', 'acf-canto-field'),
+            'manage_options',
+            self::PAGE_SLUG,
+            array($this, 'render_page')
+        );
+    }
+
+    /**
+     * Save the strict mode setting
+     */
+    public function handle_settings()
+    {
+        $this->check_request('acf_canto_import_settings');
+
+        $this->import->update_settings(array('strict' => !empty($_POST['strict'])));
+
+        $this->redirect_with_notice('success', __('Import settings saved.', 'acf-canto-field'));
+    }
+
+    /**
+     * Empty the log
+     */
+    public function handle_clear_log()
+    {
+        $this->check_request('acf_canto_import_clear_log');
+
+        $this->import->clear_log();
+
+        $this->redirect_with_notice('success', __('The import log was cleared.', 'acf-canto-field'));
+    }
+
+    /**
+     * Render the page
+     */
+    public function render_page()
+    {
+        $settings = $this->import->get_settings();
+        $log = $this->import->get_log();
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html__('Canto Import Log', 'acf-canto-field'); ?></h1>
+
+            <?php $this->render_notice(); ?>
+
+            <p><?php echo esc_html__('While WP All Import runs, asset IDs, URLs and filenames imported into Canto fields are looked up in Canto and saved as asset records. Values that matched more than one asset, only matched the closest search result, or matched nothing are listed here.', 'acf-canto-field'); ?></p>
+
+            <h2><?php echo esc_html__('Settings', 'acf-canto-field'); ?></h2>
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="acf_canto_import_settings" />
+                <?php wp_nonce_field('acf_canto_import_settings'); ?>
+                <table class="form-table" role="presentation">
+                    <tr>
+                        <th scope="row"><?php echo esc_html__('Strict mode', 'acf-canto-field'); ?></th>
+                        <td>
+                            <label for="acf-canto-import-strict">
+                                <input type="checkbox" name="strict" id="acf-canto-import-strict" value="1" <?php checked($settings['strict']); ?> />
+                                <?php echo esc_html__('Only accept exact matches', 'acf-canto-field'); ?>
+                            </label>
+                            <p class="description"><?php echo esc_html__('An ambiguous or unmatched value leaves the field unchanged instead of saving the closest search result or the value as given.', 'acf-canto-field'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+                <?php submit_button(__('Save settings', 'acf-canto-field')); ?>
+            </form>
+
+            <h2><?php echo esc_html__('Log', 'acf-canto-field'); ?></h2>
+            <?php $this->render_log($log); ?>
+
+            <?php if ($log): ?>
+                <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="margin-top: 1em;">
+                    <input type="hidden" name="action" value="acf_canto_import_clear_log" />
+                    <?php wp_nonce_field('acf_canto_import_clear_log'); ?>
+                    <?php submit_button(__('Clear log', 'acf-canto-field'), 'delete', 'submit', false); ?>
+                </form>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the log table
+     *
+     * @param array $log As returned by ACF_Canto_Import::get_log()
+     */
+    private function render_log($log)
+    {
+        if (empty($log)) {
+            echo '<p>' . esc_html__('No problems have been logged.', 'acf-canto-field') . '</p>';
+            return;
+        }
+
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        $labels = array(
+            ACF_Canto_Import::STATUS_AMBIGUOUS => __('Ambiguous', 'acf-canto-field'),
+            ACF_Canto_Import::STATUS_UNMATCHED => __('Unmatched', 'acf-canto-field'),
+            ACF_Canto_Import::STATUS_FAILED    => __('Failed', 'acf-canto-field'),
+        );
+        ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th scope="col"><?php echo esc_html__('Date', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Import', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Post', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Field', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Value', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Status', 'acf-canto-field'); ?></th>
+                    <th scope="col"><?php echo esc_html__('Details', 'acf-canto-field'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($log as $entry): ?>
+                    <tr>
+                        <td><?php echo esc_html(wp_date($date_format, $entry['time'])); ?></td>
+                        <td><?php echo esc_html($entry['source']); ?></td>
+                        <td><?php $this->render_post_link($entry['post_id']); ?></td>
+                        <td><code><?php echo esc_html($entry['field']); ?></code></td>
+                        <td><code><?php echo esc_html($entry['value']); ?></code></td>
+                        <td><?php echo esc_html(isset($labels[$entry['status']]) ? $labels[$entry['status']] : $entry['status']); ?></td>
+                        <td><?php echo esc_html($entry['message']); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+
+    /**
+     * Render a link to the edit screen of a logged post
+     *
+     * @param int|string $post_id Post ID or ACF post ID
+     */
+    private function render_post_link($post_id)
+    {
+        $edit_url = is_numeric($post_id) ? get_edit_post_link((int) $post_id) : '';
+
+        if (!$edit_url) {
+            echo esc_html($post_id);
+            return;
+        }
+
+        printf('<a href="%s">%s</a>', esc_url($edit_url), esc_html(get_the_title((int) $post_id) ?: '#' . $post_id));
+    }
+
+    /**
+     * Stop requests from users who can't manage imports
+     *
+     * @param string $action Nonce action
+     */
+    private function check_request($action)
+    {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('You are not allowed to manage Canto imports.', 'acf-canto-field'), 403);
+        }
+
+        check_admin_referer($action);
+    }
+
+    /**
+     * Show the notice left by the last action
+     */
+    private function render_notice()
+    {
+        $key = 'acf_canto_import_notice_' . get_current_user_id();
+        $notice = get_transient($key);
+
+        if (!$notice) {
+            return;
+        }
+
+        delete_transient($key);
+
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($notice['type']),
+            esc_html($notice['message'])
+        );
+    }
+
+    /**
+     * Return to the page with a notice
+     *
+     * @param string $type 'success' or 'error'
+     * @param string $message
+     */
+    private function redirect_with_notice($type, $message)
+    {
+        set_transient('acf_canto_import_notice_' . get_current_user_id(), array('type' => $type, 'message' => $message), MINUTE_IN_SECONDS);
+
+        wp_safe_redirect(admin_url('tools.php?page=' . self::PAGE_SLUG));
+        exit;
+    }
+}
@@ -0,0 +1,451 @@
+<?php
+/**
+ * ACF Canto Import Class
+ *
+ * Resolves the asset IDs, URLs and filenames of imported Canto field values
+ * to asset records while WP All Import (or another importer announcing
+ * itself) runs, and keeps a log of the values that were ambiguous or could
+ * not be matched
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Import
+{
+    /**
+     * Option holding the import log
+     */
+    const LOG_OPTION = 'acf_canto_import_log';
+
+    /**
+     * Option holding the import settings
+     */
+    const SETTINGS_OPTION = 'acf_canto_import_settings';
+
+    /**
+     * Number of log entries kept
+     */
+    const MAX_LOG_ENTRIES = 500;
+
+    /**
+     * Resolution statuses
+     */
+    const STATUS_MATCHED = 'matched';
+    const STATUS_AMBIGUOUS = 'ambiguous';
+    const STATUS_UNMATCHED = 'unmatched';
+    const STATUS_FAILED = 'failed';
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * Name of the running import shown in the log, empty when none runs
+     *
+     * @var string
+     */
+    private $source = '';
+
+    /**
+     * Values already resolved during this run
+     *
+     * @var array
+     */
+    private $resolved = array();
+
+    /**
+     * Log entries not saved yet
+     *
+     * @var array
+     */
+    private $entries = array();
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+    }
+
+    /**
+     * Hook into WP All Import and the import actions of this plugin
+     *
+     * Other importers can wrap their run in
+     * do_action('acf_canto_import_start', $name) and
+     * do_action('acf_canto_import_finish').
+     */
+    public function register_hooks()
+    {
+        add_action('pmxi_before_xml_import', array($this, 'start_wp_all_import'));
+        add_action('pmxi_after_xml_import', array($this, 'finish'));
+        add_filter('pmxi_acf_custom_field', array($this, 'filter_wp_all_import_value'), 10, 3);
+
+        add_action('acf_canto_import_start', array($this, 'start'));
+        add_action('acf_canto_import_finish', array($this, 'finish'));
+    }
+
+    /**
+     * Start resolving Canto field values
+     *
+     * @param string $source Name of the import shown in the log
+     */
+    public function start($source = '')
+    {
+        $this->source = $source !== '' ? (string) $source : __('Import', 'acf-canto-field');
+
+        // Before the field's own update_value(), which stores the record
+        add_filter('acf/update_value/type=canto', array($this, 'filter_field_value'), 5, 3);
+        add_action('shutdown', array($this, 'save_log'));
+    }
+
+    /**
+     * Start resolving values for a WP All Import run
+     *
+     * WP All Import processes large files in several requests; each one
+     * starts and finishes the import again.
+     *
+     * @param int $import_id
+     */
+    public function start_wp_all_import($import_id)
+    {
+        /* translators: %d: WP All Import import ID */
+        $this->start(sprintf(__('WP All Import #%d', 'acf-canto-field'), $import_id));
+    }
+
+    /**
+     * Stop resolving values and save the log
+     */
+    public function finish()
+    {
+        remove_filter('acf/update_value/type=canto', array($this, 'filter_field_value'), 5);
+
+        $this->save_log();
+        $this->source = '';
+        $this->resolved = array();
+    }
+
+    /**
+     * Resolve a Canto field value saved through ACF during an import
+     *
+     * @param mixed $value
+     * @param int|string $post_id
+     * @param array $field
+     * @return mixed The value with records in place of resolved items, or
+     *               the stored value when strict mode rejects it
+     */
+    public function filter_field_value($value, $post_id, $field)
+    {
+        $new_value = $this->import_value($value, $post_id, $field);
+
+        if ($new_value === false) {
+            return acf_get_value($post_id, $field);
+        }
+
+        return $new_value;
+    }
+
+    /**
+     * Resolve a Canto field value written by the WP All Import ACF add-on
+     *
+     * The add-on writes values of third-party field types straight to post
+     * meta, so the value has to be ready for update_post_meta().
+     *
+     * @param mixed $value
+     * @param int $post_id
+     * @param string $name Meta key of the field
+     * @return mixed
+     */
+    public function filter_wp_all_import_value($value, $post_id, $name)
+    {
+        $field = $this->source !== '' && function_exists('acf_get_field') ? acf_get_field($name) : false;
+
+        if (!$field || $field['type'] !== 'canto') {
+            return $value;
+        }
+
+        $new_value = $this->import_value($value, $post_id, $field);
+
+        if ($new_value === false) {
+            return wp_slash(acf_get_value($post_id, $field));
+        }
+
+        return wp_slash($new_value);
+    }
+
+    /**
+     * Resolve the items of an imported value to records
+     *
+     * Records are kept as they are. Several assets for a multiple selection
+     * field can be given as an array or separated with "|".
+     *
+     * @param mixed $value
+     * @param int|string $post_id
+     * @param array $field
+     * @return mixed The new value, or false when strict mode rejects it
+     */
+    public function import_value($value, $post_id, $field)
+    {
+        $multiple = !empty($field['multiple']);
+
+        if (is_array($value)) {
+            $items = $value;
+        } else {
+            $items = $multiple ? explode('|', (string) $value) : array((string) $value);
+        }
+
+        $items = array_values(array_filter(array_map('trim', array_filter($items, 'is_string')), 'strlen'));
+
+        if (empty($items)) {
+            return $value;
+        }
+
+        $strict = $this->is_strict($field);
+        $new_items = array();
+        $rejected = false;
+
+        foreach ($items as $item) {
+            if ($this->formatter->is_record($this->formatter->parse_value_item($item))) {
+                $new_items[] = $item;
+                continue;
+            }
+
+            $result = $this->resolve($item, $field);
+
+            if ($result['status'] === self::STATUS_MATCHED || ($result['status'] === self::STATUS_AMBIGUOUS && !$strict)) {
+                $new_items[] = $this->formatter->build_stored_item($result['asset']);
+            } elseif (!$strict) {
+                // Stored as given, like values saved outside an import
+                $new_items[] = $item;
+            } else {
+                $rejected = true;
+            }
+
+            if ($result['status'] !== self::STATUS_MATCHED) {
+                $this->add_log_entry($post_id, $field, $item, $strict ? self::STATUS_FAILED : $result['status'], $result);
+            }
+        }
+
+        if ($rejected) {
+            $this->logger->warning('Strict mode rejected an imported Canto value', array('post_id' => $post_id, 'field' => $field['name']));
+            return false;
+        }
+
+        return $multiple ? $new_items : $new_items[0];
+    }
+
+    /**
+     * Find the asset an asset ID, URL or filename refers to
+     *
+     * Filenames go through the scored match of
+     * ACF_Field_Canto::match_asset_by_filename(). A result is ambiguous when
+     * the best candidates are too close to call.
+     *
+     * @param string $value
+     * @param array $field Optional field whose type restrictions and
+     *                     preferred album apply to filename matches
+     * @return array 'status' (matched, ambiguous or unmatched), the 'asset'
+     *               data or false, the 'match' tier (id, url, filename, name,
+     *               fuzzy or none) and a 'message' for the log
+     */
+    public function resolve($value, $field = null)
+    {
+        $value = trim((string) $value);
+        $key = (isset($field['key']) ? $field['key'] : '') . '|' . $value;
+
+        if (isset($this->resolved[$key])) {
+            return $this->resolved[$key];
+        }
+
+        $field_type = acf_get_field_type('canto');
+        $result = array('status' => self::STATUS_UNMATCHED, 'asset' => false, 'match' => 'none', 'message' => '');
+
+        if ($value === '') {
+            return $result;
+        }
+
+        if (filter_var($value, FILTER_VALIDATE_URL)) {
+            $result['asset'] = $field_type->find_asset_by_download_url($value);
+            $result['match'] = 'url';
+        } else {
+            // Canto IDs are alphanumeric; filenames almost always have an extension
+            if (preg_match('/^[a-zA-Z0-9]+$/', $value)) {
+                $result['asset'] = $field_type->get_canto_asset_data($value);
+                $result['match'] = 'id';
+            }
+
+            if (!$result['asset']) {
+                $result = array_merge($result, $this->match_filename($field_type, $value, $field));
+            }
+        }
+
+        if (!$result['asset']) {
+            $result['match'] = 'none';
+            $result['message'] = __('No Canto asset matches this value.', 'acf-canto-field');
+        } elseif ($result['status'] !== self::STATUS_AMBIGUOUS) {
+            $result['status'] = self::STATUS_MATCHED;
+        }
+
+        $this->resolved[$key] = $result;
+
+        return $result;
+    }
+
+    /**
+     * Match a filename, noting why the match is ambiguous
+     *
+     * @param ACF_Field_Canto $field_type
+     * @param string $filename
+     * @param array|null $field
+     * @return array 'status', 'asset', 'match' and 'message'
+     */
+    private function match_filename($field_type, $filename, $field)
+    {
+        $match = $field_type->match_asset_by_filename($filename, $field);
+        $result = array('status' => self::STATUS_MATCHED, 'asset' => $match['asset'], 'match' => $match['match'], 'message' => '');
+
+        if (!$match['asset'] || !$match['ambiguous']) {
+            return $result;
+        }
+
+        $result['status'] = self::STATUS_AMBIGUOUS;
+
+        if ($match['count'] > 1) {
+            /* translators: 1: number of assets, 2: asset name, 3: asset ID, 4: match score */
+            $result['message'] = sprintf(__('%1$d assets match about equally well; "%2$s" (%3$s, score %4$d) was used.', 'acf-canto-field'), $match['count'], $match['asset']['name'], $match['asset']['id'], $match['asset']['score']);
+        } else {
+            /* translators: 1: asset name, 2: asset ID, 3: match score */
+            $result['message'] = sprintf(__('No close match; the best candidate "%1$s" (%2$s, score %3$d) was used.', 'acf-canto-field'), $match['asset']['name'], $match['asset']['id'], $match['asset']['score']);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Whether values that don't match exactly fail instead of being accepted
+     *
+     * @param array $field
+     * @return bool
+     */
+    public function is_strict($field)
+    {
+        $settings = $this->get_settings();
+
+        return (bool) apply_filters('acf_canto_import_strict', $settings['strict'], $field);
+    }
+
+    /**
+     * Get the import settings
+     *
+     * @return array 'strict'
+     */
+    public function get_settings()
+    {
+        $settings = get_option(self::SETTINGS_OPTION, array());
+
+        return array(
+            'strict' => !empty($settings['strict']),
+        );
+    }
+
+    /**
+     * Save the import settings
+     *
+     * @param array $settings
+     */
+    public function update_settings($settings)
+    {
+        update_option(self::SETTINGS_OPTION, array('strict' => !empty($settings['strict'])), false);
+    }
+
+    /**
+     * Get the import log, newest first
+     *
+     * @return array Entries with 'time', 'source', 'post_id', 'field',
+     *               'value', 'status', 'asset_id' and 'message'
+     */
+    public function get_log()
+    {
+        $log = get_option(self::LOG_OPTION, array());
+
+        return is_array($log) ? $log : array();
+    }
+
+    /**
+     * Empty the import log
+     */
+    public function clear_log()
+    {
+        delete_option(self::LOG_OPTION);
+    }
+
+    /**
+     * Write the buffered log entries
+     */
+    public function save_log()
+    {
+        if (empty($this->entries)) {
+            return;
+        }
+
+        $log = array_slice(array_merge(array_reverse($this->entries), $this->get_log()), 0, self::MAX_LOG_ENTRIES);
+        $this->entries = array();
+
+        update_option(self::LOG_OPTION, $log, false);
+    }
+
+    /**
+     * Buffer a log entry for a value that didn't match exactly
+     *
+     * @param int|string $post_id
+     * @param array $field
+     * @param string $value
+     * @param string $status
+     * @param array $result As returned by resolve()
+     */
+    private function add_log_entry($post_id, $field, $value, $status, $result)
+    {
+        $message = $result['message'];
+
+        if ($status === self::STATUS_FAILED) {
+            /* translators: %s: why the value didn't match */
+            $message = sprintf(__('Rejected by strict mode: %s', 'acf-canto-field'), $message);
+        }
+
+        $this->entries[] = array(
+            'time'     => time(),
+            'source'   => $this->source,
+            'post_id'  => $post_id,
+            'field'    => isset($field['name']) ? $field['name'] : '',
+            'value'    => $value,
+            'status'   => $status,
+            'asset_id' => $result['asset'] ? $result['asset']['id'] : '',
+            'message'  => $message,
+        );
+    }
+}
@@ -0,0 +1,434 @@
+<?php
+/**
+ * ACF Canto Markup Class
+ *
+ * Builds responsive image, picture, video and document markup for Canto assets
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Markup
+{
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * API instance
+     */
+    private $api;
+
+    /**
+     * Default args for the image and picture helpers
+     *
+     * @var array
+     */
+    private $defaults = array(
+        'sizes'   => '100vw',
+        'widths'  => array(320, 640, 960, 1280, 1920),
+        'class'   => '',
+        'alt'     => null,
+        'loading' => 'lazy',
+        'formats' => array('webp'),
+        'attr'    => array(),
+    );
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+    }
+
+    /**
+     * Get markup for any asset: an image for images, a player or link otherwise
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $args See get_image_html()
+     * @return string
+     */
+    public function get_html($asset_data, $args = array())
+    {
+        if (!$this->is_valid_asset($asset_data)) {
+            return '';
+        }
+
+        switch ($asset_data['scheme']) {
+            case 'video':
+                return $this->get_video_html($asset_data, $args);
+
+            case 'document':
+                return $this->get_document_html($asset_data, $args);
+
+            case 'image':
+            default:
+                return $this->get_image_html($asset_data, $args);
+        }
+    }
+
+    /**
+     * Get a responsive <img> tag for an image asset
+     *
+     * Non-image assets fall back to get_html().
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $args {
+     *     @type string $sizes   The sizes attribute. Default '100vw'.
+     *     @type int[]  $widths  Rendition widths for the srcset.
+     *     @type string $class   Class attribute.
+     *     @type string $alt     Alt text. Defaults to the Canto metadata.
+     *     @type string $loading Loading attribute, or '' to omit it. Default 'lazy'.
+     *     @type array  $attr    Extra attributes.
+     * }
+     * @return string
+     */
+    public function get_image_html($asset_data, $args = array())
+    {
+        if (!$this->is_valid_asset($asset_data)) {
+            return '';
+        }
+
+        if ($asset_data['scheme'] !== 'image') {
+            return $this->get_html($asset_data, $args);
+        }
+
+        $args = $this->parse_args($args);
+        $candidates = $this->get_srcset_candidates($asset_data, $args['widths']);
+
+        $attributes = array(
+            'src'     => $this->get_fallback_src($asset_data, $candidates),
+            'srcset'  => $this->build_srcset($candidates),
+            'sizes'   => $candidates ? $args['sizes'] : '',
+            'alt'     => $args['alt'] !== null ? $args['alt'] : $this->get_alt_text($asset_data),
+            'class'   => $args['class'],
+            'loading' => $args['loading'],
+        );
+
+        $size = $this->get_rendered_size($asset_data);
+        if ($size) {
+            $attributes['width'] = $size['width'];
+            $attributes['height'] = $size['height'];
+        }
+
+        if (!empty($asset_data['object_position'])) {
+            $attributes['style'] = 'object-position: ' . $asset_data['object_position'] . ';';
+        }
+
+        $attributes = apply_filters('acf_canto_image_attributes', array_merge($attributes, $args['attr']), $asset_data, $args);
+
+        return '<img' . $this->build_attributes($attributes) . ' />';
+    }
+
+    /**
+     * Get a <picture> element with modern format sources for an image asset
+     *
+     * Non-image assets fall back to get_html().
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $args See get_image_html(), plus 'formats': rendition
+     *                    types offered as <source> elements. Default array('webp').
+     * @return string
+     */
+    public function get_picture_html($asset_data, $args = array())
+    {
+        if (!$this->is_valid_asset($asset_data)) {
+            return '';
+        }
+
+        if ($asset_data['scheme'] !== 'image') {
+            return $this->get_html($asset_data, $args);
+        }
+
+        $args = $this->parse_args($args);
+        $html = '<picture>';
+
+        foreach ((array) $args['formats'] as $type) {
+            $candidates = $this->get_srcset_candidates($asset_data, $args['widths'], $type);
+
+            if ($candidates) {
+                $html .= '<source' . $this->build_attributes(array(
+                    'type'   => 'image/' . $type,
+                    'srcset' => $this->build_srcset($candidates),
+                    'sizes'  => $args['sizes'],
+                )) . ' />';
+            }
+        }
+
+        $html .= $this->get_image_html($asset_data, $args);
+        $html .= '</picture>';
+
+        return $html;
+    }
+
+    /**
+     * Get a <video> player for a video asset
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $args 'class' and 'attr' are supported
+     * @return string
+     */
+    public function get_video_html($asset_data, $args = array())
+    {
+        $args = $this->parse_args($args);
+        $src = !empty($asset_data['preview_play_url']) ? $asset_data['preview_play_url'] : $asset_data['download_url'];
+
+        $attributes = array_merge(array(
+            'src'      => $src,
+            'poster'   => isset($asset_data['thumbnail']) ? $asset_data['thumbnail'] : '',
+            'class'    => $args['class'],
+            'controls' => true,
+            'preload'  => 'metadata',
+        ), $args['attr']);
+
+        $size = $this->get_rendered_size($asset_data);
+        if ($size) {
+            $attributes['width'] = $size['width'];
+            $attributes['height'] = $size['height'];
+        }
+
+        $attributes = apply_filters('acf_canto_video_attributes', $attributes, $asset_data, $args);
+
+        return '<video' . $this->build_attributes($attributes) . '>'
+            . '<a href="' . esc_url($asset_data['download_url']) . '">' . esc_html($asset_data['name']) . '</a>'
+            . '</video>';
+    }
+
+    /**
+     * Get a download link for a document asset
+     *
+     * @param array $asset_data Formatted asset data
+     * @param array $args 'class' and 'attr' are supported
+     * @return string
+     */
+    public function get_document_html($asset_data, $args = array())
+    {
+        $args = $this->parse_args($args);
+
+        $attributes = array_merge(array(
+            'href'  => $asset_data['download_url'],
+            'class' => trim('acf-canto-document-link ' . $args['class']),
+        ), $args['attr']);
+
+        $attributes = apply_filters('acf_canto_document_attributes', $attributes, $asset_data, $args);
+
+        return '<a' . $this->build_attributes($attributes) . '>' . esc_html($asset_data['name']) . '</a>';
+    }
+
+    /**
+     * Get alt text for an asset from its Canto metadata
+     *
+     * @param array $asset_data Formatted asset data
+     * @return string
+     */
+    public function get_alt_text($asset_data)
+    {
+        $alt = '';
+        $alt_fields = array('Alt Text', 'Alternative Text', 'Alt', 'Description', 'Caption', 'Title');
+
+        if (!empty($asset_data['metadata']) && is_array($asset_data['metadata'])) {
+            foreach ($alt_fields as $field) {
+                if (!empty($asset_data['metadata'][$field]) && is_scalar($asset_data['metadata'][$field])) {
+                    $alt = (string) $asset_data['metadata'][$field];
+                    break;
+                }
+            }
+        }
+
+        // Fall back to the asset name without its extension
+        if ($alt === '' && !empty($asset_data['name'])) {
+            $alt = preg_replace('/\.[a-zA-Z0-9]{2,5}$/', '', $asset_data['name']);
+        }
+
+        return apply_filters('acf_canto_image_alt', wp_strip_all_tags($alt), $asset_data);
+    }
+
+    /**
+     * Check that asset data can be rendered
+     *
+     * @param mixed $asset_data
+     * @return bool
+     */
+    private function is_valid_asset($asset_data)
+    {
+        return is_array($asset_data) && !empty($asset_data['id']) && !empty($asset_data['scheme']);
+    }
+
+    /**
+     * Merge helper args with the defaults
+     *
+     * @param array $args
+     * @return array
+     */
+    private function parse_args($args)
+    {
+        $args = wp_parse_args($args, $this->defaults);
+        $args['widths'] = apply_filters('acf_canto_srcset_widths', array_filter(array_map('absint', (array) $args['widths'])));
+        $args['attr'] = (array) $args['attr'];
+
+        return $args;
+    }
+
+    /**
+     * Get rendition URLs keyed by width for the srcset
+     *
+     * Widths beyond the field's maximum width or the original image are
+     * dropped, and the largest allowed width is always offered.
+     *
+     * @param array $asset_data Formatted asset data
+     * @param int[] $widths
+     * @param string $type Rendition type, or '' for the field's output format
+     * @return array
+     */
+    private function get_srcset_candidates($asset_data, $widths, $type = '')
+    {
+        $params = isset($asset_data['rendition']) && is_array($asset_data['rendition']) ? $asset_data['rendition'] : array();
+        $max_width = $this->get_max_width($asset_data);
+
+        if ($type) {
+            $params['type'] = $type;
+        }
+
+        // The srcset keeps the aspect ratio, so only the width is constrained
+        unset($params['height']);
+
+        $candidates = array();
+        foreach ($widths as $width) {
+            if ($max_width && $width > $max_width) {
+                continue;
+            }
+            $candidates[$width] = $this->api->build_rendition_url($asset_data['id'], array_merge($params, array('width' => $width)));
+        }
+
+        if ($max_width && !isset($candidates[$max_width])) {
+            $candidates[$max_width] = $this->api->build_rendition_url($asset_data['id'], array_merge($params, array('width' => $max_width)));
+        }
+
+        ksort($candidates);
+
+        return $candidates;
+    }
+
+    /**
+     * Build a srcset attribute value
+     *
+     * @param array $candidates URLs keyed by width
+     * @return string
+     */
+    private function build_srcset($candidates)
+    {
+        $srcset = array();
+        foreach ($candidates as $width => $url) {
+            $srcset[] = esc_url($url) . ' ' . $width . 'w';
+        }
+
+        return implode(', ', $srcset);
+    }
+
+    /**
+     * Pick the src used by browsers without srcset support
+     *
+     * @param array $asset_data
+     * @param array $candidates
+     * @return string
+     */
+    private function get_fallback_src($asset_data, $candidates)
+    {
+        if ($candidates) {
+            return end($candidates);
+        }
+
+        return !empty($asset_data['rendition_url']) ? $asset_data['rendition_url'] : $asset_data['url'];
+    }
+
+    /**
+     * Get the widest rendition worth offering
+     *
+     * @param array $asset_data
+     * @return int 0 when unknown
+     */
+    private function get_max_width($asset_data)
+    {
+        $size = $this->get_rendered_size($asset_data);
+
+        if ($size) {
+            return $size['width'];
+        }
+
+        return !empty($asset_data['rendition']['width']) ? (int) $asset_data['rendition']['width'] : 0;
+    }
+
+    /**
+     * Work out the pixel size of the returned rendition
+     *
+     * Starts from the original dimensions, applies the crop, then scales
+     * down to the field's maximum width and height.
+     *
+     * @param array $asset_data
+     * @return array|false 'width' and 'height', or false when the dimensions are unknown
+     */
+    private function get_rendered_size($asset_data)
+    {
+        if (empty($asset_data['dimensions']) || !preg_match('/(\d+)\s*(?:x|×|by)\s*(\d+)/i', $asset_data['dimensions'], $matches)) {
+            return false;
+        }
+
+        $width = (float) $matches[1];
+        $height = (float) $matches[2];
+        $params = isset($asset_data['rendition']) && is_array($asset_data['rendition']) ? $asset_data['rendition'] : array();
+
+        if (!empty($params['crop'])) {
+            $width *= $params['crop']['width'];
+            $height *= $params['crop']['height'];
+        }
+
+        $scale = 1;
+        if (!empty($params['width']) && $width > $params['width']) {
+            $scale = min($scale, $params['width'] / $width);
+        }
+        if (!empty($params['height']) && $height > $params['height']) {
+            $scale = min($scale, $params['height'] / $height);
+        }
+
+        if ($width < 1 || $height < 1) {
+            return false;
+        }
+
+        return array(
+            'width'  => (int) round($width * $scale),
+            'height' => (int) round($height * $scale),
+        );
+    }
+
+    /**
+     * Build an HTML attribute string, skipping empty values
+     *
+     * An empty alt is kept, as it marks the image as decorative.
+     *
+     * @param array $attributes
+     * @return string
+     */
+    private function build_attributes($attributes)
+    {
+        $html = '';
+
+        foreach ($attributes as $name => $value) {
+            if ($value === true) {
+                $html .= ' ' . esc_attr($name);
+            } elseif ($value !== false && $value !== null && ($value !== '' || $name === 'alt')) {
+                $value = in_array($name, array('src', 'href', 'poster'), true) ? esc_url($value) : esc_attr($value);
+                $html .= ' ' . esc_attr($name) . '="' . $value . '"';
+            }
+        }
+
+        return $html;
+    }
+}
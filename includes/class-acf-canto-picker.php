@@ -0,0 +1,493 @@
+<?php
+/**
+ * ACF Canto Picker Class
+ *
+ * The asset picker shared by Canto fields and the block editor: the modal
+ * markup, its scripts and styles, and the strings they use
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Picker
+{
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * JavaScript and modal strings
+     *
+     * @var array
+     */
+    private $l10n;
+
+    /**
+     * Field settings the modal reads, for pickers without a field
+     *
+     * @var array
+     */
+    private $field_defaults = array(
+        'key'                => '',
+        'multiple'           => 0,
+        'allowed_schemes'    => array(),
+        'allowed_extensions' => '',
+        'enable_crop'        => 0,
+        'enable_upload'      => 0,
+    );
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->l10n = $this->get_l10n();
+    }
+
+    /**
+     * Get the strings used by the picker scripts and markup
+     *
+     * @return array
+     */
+    public function get_l10n()
+    {
+        return array(
+            'error' => __('Error! Please select a Canto asset.', 'acf-canto-field'),
+            'select' => __('Select Canto Asset', 'acf-canto-field'),
+            'edit' => __('Edit Asset', 'acf-canto-field'),
+            'remove' => __('Remove Asset', 'acf-canto-field'),
+            'loading' => __('Loading...', 'acf-canto-field'),
+            'no_assets' => __('No assets found.', 'acf-canto-field'),
+            'tree_error' => __('Albums could not be loaded.', 'acf-canto-field'),
+            'errors' => array(
+                'invalid_nonce' => __('Your session has expired. Log in again in another tab, then retry.', 'acf-canto-field'),
+                'forbidden' => __('You are not allowed to use the Canto picker here.', 'acf-canto-field'),
+                'not_configured' => __('Canto is not connected. Ask an administrator to check the Canto settings.', 'acf-canto-field'),
+                'rate_limited' => __('Canto is busy right now. Wait a moment, then retry.', 'acf-canto-field'),
+                'not_found' => __('Canto could not find this item. It may have been moved or deleted.', 'acf-canto-field'),
+                'canto_unavailable' => __('Canto is not responding right now. Please try again in a minute.', 'acf-canto-field'),
+                'out_of_scope' => __('This album or asset is not available to you.', 'acf-canto-field'),
+                'network' => __('The request did not reach the server. Check your connection, then retry.', 'acf-canto-field'),
+                'error' => __('Something went wrong while talking to Canto.', 'acf-canto-field'),
+            ),
+            'retry' => __('Retry', 'acf-canto-field'),
+            'view_error_details' => __('View details', 'acf-canto-field'),
+            'tree_filter' => __('Filter albums & folders', 'acf-canto-field'),
+            'choose_albums' => __('Choose from Canto', 'acf-canto-field'),
+            'no_albums' => __('No albums found.', 'acf-canto-field'),
+            'no_tree_matches' => __('No albums or folders match.', 'acf-canto-field'),
+            'tree_matches' => __('%d albums and folders found.', 'acf-canto-field'),
+            'all_assets' => __('All Assets', 'acf-canto-field'),
+            'breadcrumb' => __('Album path', 'acf-canto-field'),
+            'find_match' => __('Find matching asset', 'acf-canto-field'),
+            'finding_match' => __('Looking for matching assets...', 'acf-canto-field'),
+            'no_match' => __('No Canto asset matches this filename.', 'acf-canto-field'),
+            'choose_match' => __('Several assets match about equally well. Choose the right one:', 'acf-canto-field'),
+            'use_asset' => __('Use this asset', 'acf-canto-field'),
+            /* translators: %d: how well an asset matches a filename, in percent */
+            'match_score' => __('%d%% match', 'acf-canto-field'),
+            'in_preferred_album' => __('In preferred album', 'acf-canto-field'),
+            'match_reasons' => array(
+                'exact' => __('Exact filename', 'acf-canto-field'),
+                'case' => __('Different letter case', 'acf-canto-field'),
+                'extension' => __('Different file extension', 'acf-canto-field'),
+                'separators' => __('Different separators', 'acf-canto-field'),
+                'version' => __('Another version', 'acf-canto-field'),
+                'similar' => __('Similar name', 'acf-canto-field'),
+            ),
+            'search_placeholder' => __('Search assets...', 'acf-canto-field'),
+            'suggestions' => __('Suggestions', 'acf-canto-field'),
+            'suggestion_types' => array(
+                'filename' => __('Filename', 'acf-canto-field'),
+                'keyword' => __('Keyword', 'acf-canto-field'),
+            ),
+            'select_asset_button' => __('Select Asset', 'acf-canto-field'),
+            'cancel' => __('Cancel', 'acf-canto-field'),
+            'show_details' => __('Show Details', 'acf-canto-field'),
+            'hide_details' => __('Hide Details', 'acf-canto-field'),
+            'add' => __('Add Assets', 'acf-canto-field'),
+            'select_assets_button' => __('Select Assets', 'acf-canto-field'),
+            'selected_count' => __('%d selected', 'acf-canto-field'),
+            'max_reached' => __('Maximum number of assets reached (%d).', 'acf-canto-field'),
+            'load_more' => __('Load more', 'acf-canto-field'),
+            /* translators: 1: number of assets shown, 2: total number of assets */
+            'showing_count' => __('Showing %1$d of %2$d', 'acf-canto-field'),
+            'close' => __('Close', 'acf-canto-field'),
+            'assets_label' => __('Assets', 'acf-canto-field'),
+            'results_found' => __('%d assets found.', 'acf-canto-field'),
+            'copy_url' => __('Copy URL', 'acf-canto-field'),
+            'url_copied' => __('URL copied to clipboard.', 'acf-canto-field'),
+            'copy_failed' => __('Could not copy the URL.', 'acf-canto-field'),
+            'copied' => __('Copied!', 'acf-canto-field'),
+            'favorite' => __('Add to favourites', 'acf-canto-field'),
+            'unfavorite' => __('Remove from favourites', 'acf-canto-field'),
+            'no_recent' => __('Assets you select will appear here.', 'acf-canto-field'),
+            'no_favorites' => __('Star an asset to keep it here.', 'acf-canto-field'),
+            'favorite_added' => __('Added to favourites.', 'acf-canto-field'),
+            'favorite_removed' => __('Removed from favourites.', 'acf-canto-field'),
+            /* translators: 1: horizontal focal point position, 2: vertical position, both in percent */
+            'focal_point_label' => __('Image preview. Focal point at %1$d%% across, %2$d%% down. Use the arrow keys to move it.', 'acf-canto-field'),
+            'no_metadata' => __('No detailed metadata available', 'acf-canto-field'),
+            'details' => __('Asset details', 'acf-canto-field'),
+            'drop_to_upload' => __('Drop files to upload them to Canto', 'acf-canto-field'),
+            /* translators: %s: album name */
+            'drop_to_upload_album' => __('Drop files to upload them to %s', 'acf-canto-field'),
+            /* translators: %s: file name */
+            'uploading' => __('Uploading %s…', 'acf-canto-field'),
+            /* translators: %s: file name */
+            'processing' => __('Canto is processing %s…', 'acf-canto-field'),
+            /* translators: %s: file name */
+            'upload_done' => __('%s uploaded.', 'acf-canto-field'),
+            /* translators: 1: file name, 2: error message */
+            'upload_failed' => __('%1$s could not be uploaded: %2$s', 'acf-canto-field'),
+            /* translators: %s: file name */
+            'upload_timeout' => __('Canto is still processing %s. Search for it again in a moment.', 'acf-canto-field'),
+            'missing' => __('Missing in Canto', 'acf-canto-field'),
+            'used_in_one' => __('Used in 1 place', 'acf-canto-field'),
+            /* translators: %d: number of posts, terms, users and options pages */
+            'used_in' => __('Used in %d places', 'acf-canto-field'),
+            'not_used' => __('Not used in any Canto field yet', 'acf-canto-field'),
+            /* translators: %d: number of places not listed */
+            'usage_more' => __('and %d more', 'acf-canto-field'),
+            'missing_description' => __('This asset was deleted from Canto or is no longer shared. Select a replacement.', 'acf-canto-field'),
+            'select_from_canto' => __('Select from Canto', 'acf-canto-field'),
+            'replace_from_canto' => __('Replace from Canto', 'acf-canto-field'),
+            'block_title' => __('Canto Asset', 'acf-canto-field'),
+            'block_description' => __('Show an image, video or file from your Canto library.', 'acf-canto-field'),
+            'block_image' => __('Canto Image', 'acf-canto-field'),
+            'block_video' => __('Canto Video', 'acf-canto-field'),
+            'block_file' => __('Canto File', 'acf-canto-field'),
+            'block_instructions' => __('Pick an asset from your Canto library.', 'acf-canto-field'),
+            'replace' => __('Replace', 'acf-canto-field'),
+            'alt_text' => __('Alternative text', 'acf-canto-field'),
+            'caption_placeholder' => __('Add caption', 'acf-canto-field'),
+        );
+    }
+
+    /**
+     * Register the modal script and the stylesheet, with the acf_canto settings
+     */
+    public function register_assets()
+    {
+        $url = ACF_CANTO_FIELD_PLUGIN_URL;
+        $version = ACF_CANTO_FIELD_VERSION;
+
+        wp_register_script(
+            'acf-canto-modal',
+            "{$url}assets/js/modal.js",
+            array('jquery'),
+            $version
+        );
+
+        wp_register_style(
+            'acf-input-canto',
+            "{$url}assets/css/input.css",
+            array('dashicons', 'buttons'),
+            $version
+        );
+
+        wp_localize_script('acf-canto-modal', 'acf_canto', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('acf_canto_nonce'),
+            'plugin_url' => ACF_CANTO_FIELD_PLUGIN_URL,
+            'l10n' => $this->l10n,
+            'canto_domain' => get_option('fbc_flight_domain'),
+            'canto_available' => function_exists('Canto') && get_option('fbc_app_token')
+        ));
+    }
+
+    /**
+     * Render the asset selection modal
+     *
+     * @param array $field Canto field, or the settings a block picker uses:
+     *                     'multiple', 'enable_crop', 'enable_upload' and the
+     *                     type restrictions
+     */
+    public function render_modal($field)
+    {
+        $field = wp_parse_args($field, $this->field_defaults);
+        ?>
+        <!-- Modal for asset selection -->
+        <div class="acf-canto-modal" style="display: none;">
+            <div class="acf-canto-modal-content" role="dialog" aria-modal="true">
+                <div class="acf-canto-modal-header">
+                    <h3 class="acf-canto-modal-title"><?php echo esc_html($this->l10n['select']); ?></h3>
+                    <button type="button" class="acf-canto-modal-close" aria-label="<?php echo esc_attr($this->l10n['close']); ?>">&times;</button>
+                </div>
+                <div class="acf-canto-live-region screen-reader-text" role="status" aria-live="polite"></div>
+                <div class="acf-canto-modal-body">
+                    <div class="acf-canto-navigation">
+                        <div class="acf-canto-nav-tabs" role="tablist">
+                            <button type="button" class="acf-canto-nav-tab active" data-view="search" role="tab" aria-selected="true"><?php _e('Search', 'acf-canto-field'); ?></button>
+                            <button type="button" class="acf-canto-nav-tab" data-view="browse" role="tab" aria-selected="false" tabindex="-1"><?php _e('Browse', 'acf-canto-field'); ?></button>
+                            <button type="button" class="acf-canto-nav-tab" data-view="recent" role="tab" aria-selected="false" tabindex="-1"><?php _e('Recent', 'acf-canto-field'); ?></button>
+                        </div>
+                        <?php if ($this->can_upload($field)): ?>
+                            <button type="button" class="button acf-canto-upload-btn">
+                                <span class="dashicons dashicons-upload"></span> <?php _e('Upload', 'acf-canto-field'); ?>
+                            </button>
+                            <input type="file" class="acf-canto-upload-input" tabindex="-1" aria-hidden="true" style="display: none;"<?php echo $this->is_multiple($field) ? ' multiple' : ''; ?> />
+                        <?php endif; ?>
+                        <div class="acf-canto-view-toggle">
+                            <button type="button" class="acf-canto-view-toggle-btn active" data-view-mode="grid" title="<?php _e('Grid View', 'acf-canto-field'); ?>" aria-label="<?php _e('Grid View', 'acf-canto-field'); ?>" aria-pressed="true">
+                                <span class="dashicons dashicons-grid-view"></span>
+                            </button>
+                            <button type="button" class="acf-canto-view-toggle-btn" data-view-mode="list" title="<?php _e('List View', 'acf-canto-field'); ?>" aria-label="<?php _e('List View', 'acf-canto-field'); ?>" aria-pressed="false">
+                                <span class="dashicons dashicons-list-view"></span>
+                            </button>
+                        </div>
+                    </div>
+                    
+                    <div class="acf-canto-modal-main">
+                        <div class="acf-canto-content">
+                            <!-- Search View -->
+                            <div class="acf-canto-view acf-canto-search-view active">
+                                <div class="acf-canto-search">
+                                    <div class="acf-canto-search-input-wrapper">
+                                        <input type="text" class="acf-canto-search-input" placeholder="<?php echo esc_attr($this->l10n['search_placeholder']); ?>" aria-label="<?php echo esc_attr($this->l10n['search_placeholder']); ?>" role="combobox" aria-autocomplete="list" aria-expanded="false" autocomplete="off" />
+                                        <button type="button" class="acf-canto-search-clear" title="<?php _e('Clear search', 'acf-canto-field'); ?>" aria-label="<?php _e('Clear search', 'acf-canto-field'); ?>" style="display: none;">&times;</button>
+                                        <ul class="acf-canto-suggestions" role="listbox" aria-label="<?php echo esc_attr($this->l10n['suggestions']); ?>" style="display: none;"></ul>
+                                    </div>
+                                    <button type="button" class="button acf-canto-filters-toggle" aria-expanded="false">
+                                        <span class="dashicons dashicons-filter"></span> <?php _e('Filters', 'acf-canto-field'); ?>
+                                    </button>
+                                    <button type="button" class="button acf-canto-search-btn"><?php _e('Search', 'acf-canto-field'); ?></button>
+                                </div>
+                                <?php $this->render_search_filters($field); ?>
+                                <div class="acf-canto-results">
+                                    <div class="acf-canto-loading" style="display: none;">
+                                        <?php echo esc_html($this->l10n['loading']); ?>
+                                    </div>
+                                    <div class="acf-canto-assets-grid" role="listbox" aria-label="<?php echo esc_attr($this->l10n['assets_label']); ?>"<?php echo $this->is_multiple($field) ? ' aria-multiselectable="true"' : ''; ?>></div>
+                                </div>
+                            </div>
+                        
+                            <!-- Browse View -->
+                            <div class="acf-canto-view acf-canto-browse-view">
+                                <div class="acf-canto-browse-layout">
+                                    <div class="acf-canto-tree-sidebar">
+                                        <div class="acf-canto-tree-header">
+                                            <h4><?php _e('Albums & Folders', 'acf-canto-field'); ?></h4>
+                                            <button type="button" class="button-link acf-canto-tree-refresh" title="<?php _e('Refresh', 'acf-canto-field'); ?>" aria-label="<?php _e('Refresh', 'acf-canto-field'); ?>">↻</button>
+                                        </div>
+                                        <div class="acf-canto-tree-filter-wrapper">
+                                            <input type="search" class="acf-canto-tree-filter" placeholder="<?php echo esc_attr($this->l10n['tree_filter']); ?>" aria-label="<?php echo esc_attr($this->l10n['tree_filter']); ?>" autocomplete="off" />
+                                        </div>
+                                        <div class="acf-canto-tree-loading" style="display: none;">
+                                            <?php echo esc_html($this->l10n['loading']); ?>
+                                        </div>
+                                        <div class="acf-canto-tree-container">
+                                            <ul class="acf-canto-tree-list" role="tree" aria-label="<?php _e('Albums & Folders', 'acf-canto-field'); ?>"></ul>
+                                        </div>
+                                    </div>
+                                    <div class="acf-canto-browse-content">
+                                        <div class="acf-canto-browse-header">
+                                            <nav class="acf-canto-breadcrumbs" aria-label="<?php echo esc_attr($this->l10n['breadcrumb']); ?>">
+                                                <ol class="acf-canto-current-path">
+                                                    <li class="acf-canto-breadcrumb" aria-current="location"><?php echo esc_html($this->l10n['all_assets']); ?></li>
+                                                </ol>
+                                            </nav>
+                                            <button type="button" class="button-link acf-canto-browse-refresh" title="<?php _e('Refresh', 'acf-canto-field'); ?>" aria-label="<?php _e('Refresh', 'acf-canto-field'); ?>">↻</button>
+                                        </div>
+                                        <div class="acf-canto-browse-loading" style="display: none;">
+                                            <?php echo esc_html($this->l10n['loading']); ?>
+                                        </div>
+                                        <div class="acf-canto-browse-assets"></div>
+                                    </div>
+                                </div>
+                            </div>
+                        
+                            <!-- Recent View -->
+                            <div class="acf-canto-view acf-canto-recent-view">
+                                <div class="acf-canto-recent-loading" style="display: none;">
+                                    <?php echo esc_html($this->l10n['loading']); ?>
+                                </div>
+                                <div class="acf-canto-recent-section">
+                                    <h4><?php _e('Favourites', 'acf-canto-field'); ?></h4>
+                                    <div class="acf-canto-favorite-assets"></div>
+                                </div>
+                                <div class="acf-canto-recent-section">
+                                    <h4><?php _e('Recently used', 'acf-canto-field'); ?></h4>
+                                    <div class="acf-canto-recent-assets"></div>
+                                </div>
+                            </div>
+                        </div>
+                        <aside class="acf-canto-inspector" aria-label="<?php echo esc_attr($this->l10n['details']); ?>" style="display: none;">
+                            <div class="acf-canto-inspector-preview"></div>
+                            <?php if ($field['enable_crop']): ?>
+                                <div class="acf-canto-crop-tools" style="display: none;">
+                                    <button type="button" class="button button-small acf-canto-crop-mode active" data-mode="focal" aria-pressed="true"><?php _e('Focal point', 'acf-canto-field'); ?></button>
+                                    <button type="button" class="button button-small acf-canto-crop-mode" data-mode="crop" aria-pressed="false"><?php _e('Crop', 'acf-canto-field'); ?></button>
+                                    <button type="button" class="button-link acf-canto-crop-reset"><?php _e('Reset', 'acf-canto-field'); ?></button>
+                                </div>
+                            <?php endif; ?>
+                            <h4 class="acf-canto-inspector-name"></h4>
+                            <div class="acf-canto-inspector-url">
+                                <input type="text" class="acf-canto-inspector-url-input" readonly aria-label="<?php _e('Direct URL', 'acf-canto-field'); ?>" />
+                                <button type="button" class="button acf-canto-copy-url"><?php echo esc_html($this->l10n['copy_url']); ?></button>
+                            </div>
+                            <div class="acf-canto-inspector-loading" style="display: none;">
+                                <?php echo esc_html($this->l10n['loading']); ?>
+                            </div>
+                            <div class="acf-canto-inspector-metadata"></div>
+                        </aside>
+                        <?php if ($this->can_upload($field)): ?>
+                            <div class="acf-canto-dropzone" aria-hidden="true">
+                                <span class="acf-canto-dropzone-label"><?php echo esc_html($this->l10n['drop_to_upload']); ?></span>
+                            </div>
+                        <?php endif; ?>
+                    </div>
+                </div>
+                <div class="acf-canto-modal-footer">
+                    <?php $this->render_upload_progress($field); ?>
+                    <button type="button" class="button button-primary acf-canto-confirm-selection" disabled><?php echo esc_html($this->l10n['select_asset_button']); ?></button>
+                    <button type="button" class="button acf-canto-cancel"><?php echo esc_html($this->l10n['cancel']); ?></button>
+                </div>
+            </div>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the upload progress bar shown while a dropped file is uploaded
+     *
+     * @param array $field
+     */
+    public function render_upload_progress($field)
+    {
+        if (!$this->can_upload($field)) {
+            return;
+        }
+        ?>
+        <div class="acf-canto-upload-progress" role="status" style="display: none;">
+            <span class="acf-canto-upload-progress-label"></span>
+            <progress class="acf-canto-upload-progress-bar" max="100" value="0"></progress>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Check whether the current user may upload to Canto from a field
+     *
+     * @param array $field
+     * @return bool
+     */
+    public function can_upload($field)
+    {
+        return !empty($field['enable_upload']) && current_user_can('upload_files');
+    }
+    
+    /**
+     * Render the collapsible advanced search filters panel
+     *
+     * The first option of each select is the default sent by the API helper,
+     * so the panel is "clean" when every select is on its first option.
+     *
+     * @param array $field
+     */
+    private function render_search_filters($field)
+    {
+        $scheme_labels = array(
+            'image'    => __('Images', 'acf-canto-field'),
+            'video'    => __('Videos', 'acf-canto-field'),
+            'document' => __('Documents', 'acf-canto-field'),
+        );
+
+        // Only offer the schemes this field accepts
+        $restrictions = $this->formatter->get_field_restrictions($field);
+        if (!empty($restrictions['schemes'])) {
+            $scheme_labels = array_intersect_key($scheme_labels, array_flip($restrictions['schemes']));
+        }
+        ?>
+        <div class="acf-canto-search-filters" style="display: none;">
+            <div class="acf-canto-filter-row">
+                <label>
+                    <span><?php _e('Sort by', 'acf-canto-field'); ?></span>
+                    <select data-filter="sort_by">
+                        <option value="time"><?php _e('Date uploaded', 'acf-canto-field'); ?></option>
+                        <option value="name"><?php _e('Name', 'acf-canto-field'); ?></option>
+                        <option value="size"><?php _e('File size', 'acf-canto-field'); ?></option>
+                    </select>
+                </label>
+                <label>
+                    <span><?php _e('Order', 'acf-canto-field'); ?></span>
+                    <select data-filter="sort_direction">
+                        <option value="descending"><?php _e('Descending', 'acf-canto-field'); ?></option>
+                        <option value="ascending"><?php _e('Ascending', 'acf-canto-field'); ?></option>
+                    </select>
+                </label>
+                <label>
+                    <span><?php _e('Match', 'acf-canto-field'); ?></span>
+                    <select data-filter="operator">
+                        <option value="and"><?php _e('All words', 'acf-canto-field'); ?></option>
+                        <option value="or"><?php _e('Any word', 'acf-canto-field'); ?></option>
+                    </select>
+                </label>
+                <label>
+                    <span><?php _e('Search in', 'acf-canto-field'); ?></span>
+                    <select data-filter="search_in">
+                        <option value="filename"><?php _e('Filename', 'acf-canto-field'); ?></option>
+                        <option value="keyword"><?php _e('Keywords', 'acf-canto-field'); ?></option>
+                        <option value="tag"><?php _e('Tags', 'acf-canto-field'); ?></option>
+                        <option value="all"><?php _e('All fields', 'acf-canto-field'); ?></option>
+                    </select>
+                </label>
+            </div>
+            <div class="acf-canto-filter-row">
+                <?php if (count($scheme_labels) > 1): ?>
+                    <div class="acf-canto-filter-chips">
+                        <?php foreach ($scheme_labels as $scheme => $label): ?>
+                            <button type="button" class="acf-canto-filter-chip" data-scheme="<?php echo esc_attr($scheme); ?>" aria-pressed="false"><?php echo esc_html($label); ?></button>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endif; ?>
+                <label>
+                    <span><?php _e('Uploaded from', 'acf-canto-field'); ?></span>
+                    <input type="date" data-filter="date_from" />
+                </label>
+                <label>
+                    <span><?php _e('to', 'acf-canto-field'); ?></span>
+                    <input type="date" data-filter="date_to" />
+                </label>
+                <button type="button" class="button-link acf-canto-filters-reset"><?php _e('Reset filters', 'acf-canto-field'); ?></button>
+            </div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Check whether a field allows multiple assets
+     *
+     * @param array $field
+     * @return bool
+     */
+    private function is_multiple($field)
+    {
+        return !empty($field['multiple']);
+    }
+}
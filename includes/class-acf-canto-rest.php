@@ -0,0 +1,432 @@
+<?php
+/**
+ * ACF Canto REST Class
+ *
+ * Adds an "acf_canto" field with the formatted Canto values to REST API
+ * responses, and authenticated routes that mirror the picker's admin-ajax
+ * actions for decoupled editors
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_REST
+{
+    /**
+     * Route namespace
+     */
+    const REST_NAMESPACE = 'acf-canto/v1';
+
+    /**
+     * Name of the field added to post, term and user responses
+     */
+    const FIELD_NAME = 'acf_canto';
+
+    /**
+     * Logger instance
+     *
+     * @var ACF_Canto_Logger
+     */
+    private $logger;
+
+    /**
+     * API helper instance
+     *
+     * @var ACF_Canto_API
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     *
+     * @var ACF_Canto_Asset_Formatter
+     */
+    private $formatter;
+
+    /**
+     * Search and result page helper
+     *
+     * @var ACF_Canto_Asset_Query
+     */
+    private $query;
+
+    /**
+     * Picker capability settings
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+
+    /**
+     * Canto field keys, loaded on first use
+     *
+     * @var array|null
+     */
+    private $field_keys;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->query = new ACF_Canto_Asset_Query($this->logger, $this->api);
+        $this->access = new ACF_Canto_Access();
+    }
+
+    /**
+     * Hook into the REST API
+     */
+    public function register_hooks()
+    {
+        add_action('rest_api_init', array($this, 'register_fields'));
+        add_action('rest_api_init', array($this, 'register_routes'));
+    }
+
+    /**
+     * Add the acf_canto field to every post type, taxonomy and user response
+     */
+    public function register_fields()
+    {
+        $object_types = array_merge(
+            array_values(get_post_types(array('show_in_rest' => true))),
+            array_values(get_taxonomies(array('show_in_rest' => true))),
+            array('user')
+        );
+
+        register_rest_field($object_types, self::FIELD_NAME, array(
+            'get_callback' => array($this, 'get_field_values'),
+            'schema'       => array(
+                'description'          => __('Canto field values keyed by meta key, formatted like the Object return format. Multiple selection fields hold a list.', 'acf-canto-field'),
+                'type'                 => 'object',
+                'context'              => array('view', 'edit'),
+                'readonly'             => true,
+                'additionalProperties' => array(
+                    'type'       => array('object', 'array', 'null'),
+                    'properties' => $this->get_asset_properties(),
+                    'items'      => $this->get_asset_schema(),
+                ),
+            ),
+        ));
+    }
+
+    /**
+     * Register the search, tree and asset routes
+     */
+    public function register_routes()
+    {
+        register_rest_route(self::REST_NAMESPACE, '/search', array(
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => array($this, 'search'),
+            'permission_callback' => array($this, 'can_use_picker'),
+            'args'                => array(
+                'query'          => array('type' => 'string', 'default' => ''),
+                'field_key'      => array('type' => 'string', 'description' => __('Canto field whose type restrictions apply.', 'acf-canto-field')),
+                'field_token'    => array('type' => 'string', 'description' => __('Token rendered with the field, needed for its capability setting to apply.', 'acf-canto-field')),
+                'start'          => array('type' => 'integer', 'minimum' => 0, 'default' => 0),
+                'limit'          => array('type' => 'integer', 'minimum' => 1, 'maximum' => ACF_Canto_API::MAX_SEARCH_LIMIT, 'default' => ACF_Canto_API::DEFAULT_SEARCH_LIMIT),
+                'schemes'        => array('type' => 'array', 'items' => array('type' => 'string', 'enum' => array('image', 'video', 'document'))),
+                'sort_by'        => array('type' => 'string', 'enum' => array('time', 'name', 'size')),
+                'sort_direction' => array('type' => 'string', 'enum' => array('ascending', 'descending')),
+                'operator'       => array('type' => 'string', 'enum' => array('and', 'or')),
+                'search_in'      => array('type' => 'string', 'enum' => array('filename', 'keyword', 'tag', 'all')),
+                'date_from'      => array('type' => 'string', 'format' => 'date'),
+                'date_to'        => array('type' => 'string', 'format' => 'date'),
+            ),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/tree', array(
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => array($this, 'get_tree'),
+            'permission_callback' => array($this, 'can_use_picker'),
+            'args'                => array(
+                'album_id'    => array('type' => 'string', 'default' => '', 'description' => __('Folder to list; the top level when empty.', 'acf-canto-field')),
+                'filter'      => array('type' => 'string', 'default' => '', 'description' => __('Find albums and folders whose name contains this, anywhere in the tree.', 'acf-canto-field')),
+                'field_key'   => array('type' => 'string', 'description' => __('Canto field whose root albums limit the tree.', 'acf-canto-field')),
+                'field_token' => array('type' => 'string', 'description' => __('Token rendered with the field, needed for its capability setting to apply.', 'acf-canto-field')),
+            ),
+        ));
+
+        register_rest_route(self::REST_NAMESPACE, '/assets/(?P<id>[A-Za-z0-9_-]+)', array(
+            'methods'             => WP_REST_Server::READABLE,
+            'callback'            => array($this, 'get_asset'),
+            'permission_callback' => array($this, 'can_use_picker'),
+            'schema'              => array($this, 'get_asset_schema'),
+        ));
+    }
+
+    /**
+     * Only users with the picker capability may browse the Canto library
+     *
+     * A 'field_key' parameter applies that field's capability setting when
+     * 'field_token' holds the token rendered with the field.
+     *
+     * @param WP_REST_Request $request
+     * @return bool|WP_Error
+     */
+    public function can_use_picker($request)
+    {
+        if ($this->access->can_use_request($this->query->get_field($request->get_param('field_key')), (string) $request->get_param('field_token'))) {
+            return true;
+        }
+
+        return new WP_Error('rest_forbidden', __('Sorry, you are not allowed to browse Canto assets.', 'acf-canto-field'), array('status' => rest_authorization_required_code()));
+    }
+
+    /**
+     * Search Canto, like the acf_canto_search action
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function search($request)
+    {
+        $error = $this->get_config_error();
+        if ($error) {
+            return $error;
+        }
+
+        $page = $this->query->search($request->get_params());
+
+        return is_wp_error($page) ? $this->to_rest_error($page) : rest_ensure_response($page);
+    }
+
+    /**
+     * Get the album tree, like the acf_canto_get_tree action
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_tree($request)
+    {
+        $error = $this->get_config_error();
+        if ($error) {
+            return $error;
+        }
+
+        $tree = $this->query->get_tree($request->get_params());
+
+        return is_wp_error($tree) ? $this->to_rest_error($tree) : rest_ensure_response($tree);
+    }
+
+    /**
+     * Get one asset, like the acf_canto_get_asset action
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_asset($request)
+    {
+        $error = $this->get_config_error();
+        if ($error) {
+            return $error;
+        }
+
+        $result = $this->api->get_asset($request['id']);
+
+        if (is_wp_error($result)) {
+            return $this->to_rest_error($result);
+        }
+
+        $access = $this->query->check_asset_access($result);
+
+        if (is_wp_error($access)) {
+            return $this->to_rest_error($access);
+        }
+
+        $asset_data = $this->formatter->format_from_api($result, $request['id']);
+
+        if (!$asset_data) {
+            return new WP_Error('acf_canto_invalid_asset', __('Failed to format asset data.', 'acf-canto-field'), array('status' => 502));
+        }
+
+        return rest_ensure_response($asset_data);
+    }
+
+    /**
+     * Get the formatted Canto values of a post, term or user
+     *
+     * Values are read from the "_{meta_key}" field references, so sub fields
+     * of repeaters, groups and flexible content are included under their full
+     * meta key. Only stored data is used, so a collection response doesn't
+     * send a Canto request per object.
+     *
+     * @param array $object Prepared response data
+     * @param string $field_name
+     * @param WP_REST_Request $request
+     * @param string $object_type Post type, taxonomy or 'user'
+     * @return object
+     */
+    public function get_field_values($object, $field_name, $request, $object_type)
+    {
+        $values = array();
+
+        if (empty($object['id']) || !function_exists('acf_get_field')) {
+            return (object) $values;
+        }
+
+        if ($object_type === 'user') {
+            $meta_type = 'user';
+        } elseif (taxonomy_exists($object_type)) {
+            $meta_type = 'term';
+        } else {
+            $meta_type = 'post';
+        }
+
+        $object_id = (int) $object['id'];
+        $acf_post_id = $meta_type === 'post' ? $object_id : $meta_type . '_' . $object_id;
+        $meta = get_metadata($meta_type, $object_id);
+        $field_keys = $this->get_field_keys();
+
+        foreach ((array) $meta as $key => $stored) {
+            if (strpos($key, '_') !== 0 || !in_array($stored[0], $field_keys, true)) {
+                continue;
+            }
+
+            $name = substr($key, 1);
+            $field = acf_get_field($stored[0]);
+
+            if ($field && isset($meta[$name])) {
+                $values[$name] = $this->format_value(maybe_unserialize($meta[$name][0]), $acf_post_id, $field);
+            }
+        }
+
+        return (object) $values;
+    }
+
+    /**
+     * Get the JSON schema of a formatted asset
+     *
+     * @return array
+     */
+    public function get_asset_schema()
+    {
+        return array(
+            '$schema'    => 'http://json-schema.org/draft-04/schema#',
+            'title'      => 'canto-asset',
+            'type'       => 'object',
+            'properties' => $this->get_asset_properties(),
+        );
+    }
+
+    /**
+     * Format a stored value like the Object return format
+     *
+     * @param mixed $value
+     * @param int|string $post_id ACF post ID
+     * @param array $field
+     * @return array|null A list for multiple selection fields
+     */
+    private function format_value($value, $post_id, $field)
+    {
+        $field['return_format'] = 'object';
+        $field['resolve_legacy'] = false;
+        $formatted = acf_get_field_type('canto')->format_value($value, $post_id, $field);
+
+        if (!empty($field['multiple'])) {
+            return $formatted ?: array();
+        }
+
+        return $formatted ?: null;
+    }
+
+    /**
+     * Get the keys of every Canto field
+     *
+     * @return array
+     */
+    private function get_field_keys()
+    {
+        if ($this->field_keys === null) {
+            $values = new ACF_Canto_Field_Values();
+            $this->field_keys = $values->get_field_keys();
+        }
+
+        return $this->field_keys;
+    }
+
+    /**
+     * Describe the keys of a formatted asset
+     *
+     * @return array
+     */
+    private function get_asset_properties()
+    {
+        $string = array('type' => 'string');
+
+        return array(
+            'id'              => array('type' => 'string', 'description' => __('Canto asset ID.', 'acf-canto-field')),
+            'scheme'          => array('type' => 'string', 'enum' => array('image', 'video', 'document')),
+            'name'            => $string,
+            'filename'        => $string,
+            'url'             => array('type' => 'string', 'format' => 'uri'),
+            'thumbnail'       => array('type' => 'string', 'format' => 'uri'),
+            'download_url'    => array('type' => 'string', 'format' => 'uri'),
+            'dimensions'      => array('type' => 'string', 'description' => __('Dimensions as reported by Canto, e.g. 1920x1080.', 'acf-canto-field')),
+            'mime_type'       => $string,
+            'size'            => $string,
+            'uploaded'        => $string,
+            'selected_at'     => array('type' => 'string', 'format' => 'date-time'),
+            'metadata'        => array('type' => 'object', 'description' => __('Canto metadata fields.', 'acf-canto-field')),
+            'rendition_url'   => array('type' => 'string', 'format' => 'uri', 'description' => __('Images only: the field\'s rendition with the editor\'s crop.', 'acf-canto-field')),
+            'focal_point'     => array(
+                'type'       => 'object',
+                'properties' => array(
+                    'x' => array('type' => 'number'),
+                    'y' => array('type' => 'number'),
+                ),
+            ),
+            'object_position' => array('type' => 'string', 'description' => __('Images only: the focal point as a CSS object-position.', 'acf-canto-field')),
+        );
+    }
+
+    /**
+     * Stop requests when the Canto connection isn't set up
+     *
+     * @return WP_Error|null
+     */
+    private function get_config_error()
+    {
+        if ($this->api->is_configured()) {
+            return null;
+        }
+
+        return new WP_Error('acf_canto_not_configured', implode(', ', $this->api->get_config_errors()), array('status' => 503));
+    }
+
+    /**
+     * Give an API error the HTTP status a REST client expects
+     *
+     * @param WP_Error $error
+     * @return WP_Error
+     */
+    private function to_rest_error($error)
+    {
+        switch ($error->get_error_code()) {
+            case 'asset_not_found':
+                $status = 404;
+                break;
+
+            case 'api_unavailable':
+                $status = 503;
+                break;
+
+            case 'album_out_of_scope':
+            case 'asset_out_of_scope':
+                $status = 403;
+                break;
+
+            default:
+                $status = 502;
+        }
+
+        return new WP_Error('acf_canto_' . $error->get_error_code(), $error->get_error_message(), array('status' => $status));
+    }
+}
@@ -4,6 +4,9 @@
  *
  * Resolves ?canto_thumbnail=1&asset_type=TYPE&asset_id=ID to the high-res
  * directUrlPreview from the Canto API and redirects the browser to it.
+ *
+ * Also resolves signed ?canto_rendition=1 URLs (built by
+ * ACF_Canto_API::build_rendition_url()) to a direct image rendition.
  */
 
 // Exit if accessed directly
@@ -17,6 +20,7 @@ class ACF_Canto_Thumbnail_Proxy
     {
         // Priority 1 so this runs before SAML/SSO plugins can intercept.
         add_action('init', array($this, 'handle_thumbnail_request'), 1);
+        add_action('init', array($this, 'handle_rendition_request'), 1);
     }
 
     /**
@@ -40,47 +44,90 @@ class ACF_Canto_Thumbnail_Proxy
     }
 
     /**
-     * Look up the directUrlPreview from the Canto API and redirect to it.
+     * Handle image rendition requests
+     */
+    public function handle_rendition_request()
+    {
+        if (empty($_GET['canto_rendition'])) {
+            return;
+        }
+
+        $api   = $this->get_api();
+        $query = wp_unslash($_GET);
+
+        if (!$api->verify_rendition_query($query)) {
+            status_header(403);
+            exit('Forbidden');
+        }
+
+        $asset_id   = sanitize_text_field($query['asset_id']);
+        $direct_url = $api->get_rendition_direct_url($asset_id, $api->parse_rendition_query($query));
+
+        if (is_wp_error($direct_url)) {
+            status_header(404);
+            exit('Not Found');
+        }
+
+        $this->redirect($direct_url);
+    }
+
+    /**
+     * Redirect the browser to a resolved Canto URL
+     *
+     * @param string $url
+     */
+    private function redirect($url)
+    {
+        // Clean any output that may have been sent by other plugins
+        while (ob_get_level()) {
+            ob_end_clean();
+        }
+
+        header('Location: ' . $url, true, 302);
+        header('Cache-Control: public, max-age=3600');
+        exit;
+    }
+
+    /**
+     * Look up the directUrlPreview and redirect to it
+     *
+     * The preview URL is cached, so a grid of thumbnails only reaches Canto
+     * for assets it hasn't seen recently.
      */
     private function serve_thumbnail($asset_type, $asset_id)
     {
-        $token   = get_option('fbc_app_token');
-        $domain  = get_option('fbc_flight_domain');
-        $app_api = get_option('fbc_app_api') ?: 'canto.com';
+        $api = $this->get_api();
 
-        if (!$token || !$domain) {
+        if (!$api->is_configured()) {
             status_header(404);
             exit('Not Found');
         }
 
-        // Ask the Canto metadata API for the asset's URLs
-        $api_url = 'https://' . $domain . '.' . $app_api . '/api/v1/' . $asset_type . '/' . $asset_id;
-
-        $response = wp_remote_get($api_url, array(
-            'headers' => array(
-                'Authorization' => 'Bearer ' . $token,
-                'Content-Type'  => 'application/json;charset=utf-8',
-            ),
-            'timeout' => 30,
-        ));
-
-        if (!is_wp_error($response) && wp_remote_retrieve_response_code($response) === 200) {
-            $data = json_decode(wp_remote_retrieve_body($response), true);
-
-            if (!empty($data['url']['directUrlPreview'])) {
-                // Clean any output that may have been sent by other plugins
-                while (ob_get_level()) {
-                    ob_end_clean();
-                }
-
-                header('Location: ' . $data['url']['directUrlPreview'], true, 302);
-                header('Cache-Control: public, max-age=3600');
-                exit;
-            }
+        $preview_url = $api->get_thumbnail_url($asset_id, $asset_type);
+
+        if (is_wp_error($preview_url)) {
+            status_header(404);
+            exit('Not Found');
         }
 
-        status_header(404);
-        exit('Not Found');
+        $this->redirect($preview_url);
+    }
+
+    /**
+     * Load the API helper
+     *
+     * @return ACF_Canto_API
+     */
+    private function get_api()
+    {
+        // The helper classes are normally loaded later, on init priority 20
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-logger.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-cache.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/interface-acf-canto-transport.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-wp-transport.php';
+        require_once ACF_CANTO_FIELD_PLUGIN_PATH . 'includes/class-acf-canto-api.php';
+
+        return new ACF_Canto_API();
     }
 }
 
@@ -0,0 +1,508 @@
+<?php
+/**
+ * ACF Canto Usage Index Class
+ *
+ * Keeps a reverse index from Canto asset IDs to the posts, terms, users,
+ * comments and options pages whose Canto fields reference them
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Usage_Index
+{
+    /**
+     * Schema version of the index table
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version
+     */
+    const DB_VERSION_OPTION = 'acf_canto_usage_db_version';
+
+    /**
+     * Asset formatter instance
+     */
+    private $formatter;
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Asset_Formatter $formatter
+     */
+    public function __construct($formatter = null)
+    {
+        $this->formatter = $formatter ?: new ACF_Canto_Asset_Formatter();
+    }
+
+    /**
+     * Get the index table name
+     *
+     * @return string
+     */
+    public static function get_table_name()
+    {
+        global $wpdb;
+
+        return $wpdb->prefix . 'acf_canto_usage';
+    }
+
+    /**
+     * Create or upgrade the index table
+     */
+    public static function install()
+    {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table = self::get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            asset_id varchar(64) NOT NULL,
+            object_type varchar(20) NOT NULL,
+            object_id varchar(191) NOT NULL,
+            meta_key varchar(255) NOT NULL,
+            field_key varchar(64) NOT NULL,
+            position int(11) unsigned NOT NULL DEFAULT 0,
+            PRIMARY KEY  (id),
+            KEY asset_id (asset_id),
+            KEY object (object_type, object_id)
+        ) {$charset_collate};");
+
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+
+    /**
+     * Install the table on sites updated without reactivating the plugin
+     */
+    public static function maybe_install()
+    {
+        if (get_option(self::DB_VERSION_OPTION) !== self::DB_VERSION) {
+            self::install();
+        }
+    }
+
+    /**
+     * Remove index entries when values or their objects are deleted
+     */
+    public function register_hooks()
+    {
+        add_action('acf/delete_value/type=canto', array($this, 'handle_deleted_value'), 10, 2);
+        add_action('deleted_post', array($this, 'handle_deleted_post'));
+        add_action('delete_term', array($this, 'handle_deleted_term'));
+        add_action('deleted_user', array($this, 'handle_deleted_user'));
+        add_action('deleted_comment', array($this, 'handle_deleted_comment'));
+    }
+
+    /**
+     * Replace the index entries for a field value being saved
+     *
+     * @param mixed $value Sanitized value, single item or list of items
+     * @param int|string $post_id ACF post ID (post, term_1, user_1, options, ...)
+     * @param array $field Field being saved; its name is the full meta key for sub fields
+     */
+    public function index_value($value, $post_id, $field)
+    {
+        $object = $this->decode_object($post_id);
+
+        if (!$object || empty($field['name'])) {
+            return;
+        }
+
+        // The value is slashed for saving
+        $this->replace_entries($object, $field['name'], isset($field['key']) ? $field['key'] : '', wp_unslash($value));
+    }
+
+    /**
+     * Drop the index entries of a deleted field value
+     *
+     * @param int|string $post_id ACF post ID
+     * @param string $name Meta key of the value
+     */
+    public function handle_deleted_value($post_id, $name)
+    {
+        $object = $this->decode_object($post_id);
+
+        if ($object) {
+            $this->delete_entries($object, $name);
+        }
+    }
+
+    /**
+     * @param int $post_id
+     */
+    public function handle_deleted_post($post_id)
+    {
+        $this->delete_entries(array('type' => 'post', 'id' => (string) $post_id));
+    }
+
+    /**
+     * @param int $term_id
+     */
+    public function handle_deleted_term($term_id)
+    {
+        $this->delete_entries(array('type' => 'term', 'id' => (string) $term_id));
+    }
+
+    /**
+     * @param int $user_id
+     */
+    public function handle_deleted_user($user_id)
+    {
+        $this->delete_entries(array('type' => 'user', 'id' => (string) $user_id));
+    }
+
+    /**
+     * @param int $comment_id
+     */
+    public function handle_deleted_comment($comment_id)
+    {
+        $this->delete_entries(array('type' => 'comment', 'id' => (string) $comment_id));
+    }
+
+    /**
+     * Index the value behind an ACF_Canto_Field_Values batch row
+     *
+     * @param array $row
+     * @param mixed $value
+     * @param array $option_prefixes For option rows, the ACF post IDs of the
+     *                               options pages, longest first
+     */
+    public function index_row($row, $value, $option_prefixes = array())
+    {
+        if ($row['meta_type'] === 'post' && wp_is_post_revision($row['object_id'])) {
+            return;
+        }
+
+        $object = array('type' => $row['meta_type'], 'id' => (string) $row['object_id']);
+        $name = $row['meta_key'];
+
+        // Options are stored as "{post_id}_{name}"
+        if ($row['meta_type'] === 'option') {
+            $object['id'] = 'options';
+
+            foreach ($option_prefixes as $prefix) {
+                if (strpos($name, $prefix . '_') === 0) {
+                    $object['id'] = $prefix;
+                    break;
+                }
+            }
+
+            $name = substr($name, strlen($object['id']) + 1);
+        }
+
+        $this->replace_entries($object, $name, $row['field_key'], $value);
+    }
+
+    /**
+     * Empty the index before a rebuild
+     */
+    public function truncate()
+    {
+        global $wpdb;
+
+        $wpdb->query('TRUNCATE TABLE ' . self::get_table_name());
+    }
+
+    /**
+     * Get the ACF post IDs of all options pages, longest first
+     *
+     * @return array
+     */
+    public function get_option_prefixes()
+    {
+        $prefixes = array('options');
+
+        if (function_exists('acf_get_options_pages')) {
+            foreach ((array) acf_get_options_pages() as $page) {
+                if (!empty($page['post_id']) && is_string($page['post_id'])) {
+                    $prefixes[] = $page['post_id'];
+                }
+            }
+        }
+
+        $prefixes = array_unique($prefixes);
+        usort($prefixes, function ($a, $b) {
+            return strlen($b) - strlen($a);
+        });
+
+        return $prefixes;
+    }
+
+    /**
+     * Count the places an asset is used in
+     *
+     * @param string $asset_id
+     * @return int
+     */
+    public function count_usage($asset_id)
+    {
+        global $wpdb;
+
+        $table = self::get_table_name();
+
+        return (int) $wpdb->get_var($wpdb->prepare("SELECT COUNT(*) FROM {$table} WHERE asset_id = %s", $asset_id));
+    }
+
+    /**
+     * Get the places an asset is used in
+     *
+     * @param string $asset_id
+     * @param array $args {
+     *     @type int  $limit        Maximum number of places. Default 20.
+     *     @type int  $offset       Default 0.
+     *     @type bool $visible_only Leave out places the current user can't
+     *                              see, such as other authors' drafts, and
+     *                              count only the rest. Default false.
+     * }
+     * @return array 'total' and 'places', each with 'object_type', 'object_id',
+     *               'meta_key', 'field_key', 'field_label', 'title' and 'edit_url'
+     */
+    public function get_usage($asset_id, $args = array())
+    {
+        global $wpdb;
+
+        $args = wp_parse_args($args, array('limit' => 20, 'offset' => 0, 'visible_only' => false));
+        $table = self::get_table_name();
+        $limit = max(1, (int) $args['limit']);
+        $offset = max(0, (int) $args['offset']);
+
+        $sql = "SELECT object_type, object_id, meta_key, field_key, position
+             FROM {$table}
+             WHERE asset_id = %s
+             ORDER BY object_type ASC, id ASC";
+
+        // Visibility is checked per place, so page after filtering
+        if ($args['visible_only']) {
+            $rows = array_values(array_filter(
+                $wpdb->get_results($wpdb->prepare($sql, $asset_id), ARRAY_A) ?: array(),
+                array($this, 'can_see_place')
+            ));
+
+            return array(
+                'total'  => count($rows),
+                'places' => array_map(array($this, 'describe_place'), array_slice($rows, $offset, $limit)),
+            );
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare($sql . ' LIMIT %d OFFSET %d', $asset_id, $limit, $offset), ARRAY_A);
+
+        return array(
+            'total'  => $this->count_usage($asset_id),
+            'places' => array_map(array($this, 'describe_place'), $rows ?: array()),
+        );
+    }
+
+    /**
+     * Check whether the current user may see a place in the usage list
+     *
+     * @param array $row Index row
+     * @return bool
+     */
+    private function can_see_place($row)
+    {
+        $id = (int) $row['object_id'];
+
+        switch ($row['object_type']) {
+            case 'post':
+                // Maps to edit_post for drafts and read_private_posts for private posts
+                return current_user_can('read_post', $id);
+
+            case 'term':
+                $term = get_term($id);
+                return $term && !is_wp_error($term) && (is_taxonomy_viewable($term->taxonomy) || current_user_can('edit_term', $id));
+
+            case 'user':
+                return current_user_can('list_users') || current_user_can('edit_user', $id);
+
+            case 'comment':
+                return current_user_can('edit_comment', $id);
+
+            case 'option':
+                $page = $this->find_options_page($row['object_id']);
+                return $page ? current_user_can($page['capability']) : current_user_can('manage_options');
+        }
+
+        return false;
+    }
+
+    /**
+     * Add a title, edit link and field label to an index row
+     *
+     * @param array $row
+     * @return array
+     */
+    private function describe_place($row)
+    {
+        $field = function_exists('acf_get_field') ? acf_get_field($row['field_key']) : false;
+        $id = (int) $row['object_id'];
+        $title = '';
+        $edit_url = '';
+
+        switch ($row['object_type']) {
+            case 'post':
+                $title = get_the_title($id);
+                $edit_url = current_user_can('edit_post', $id) ? get_edit_post_link($id, 'raw') : '';
+                break;
+
+            case 'term':
+                $term = get_term($id);
+                $title = $term && !is_wp_error($term) ? $term->name : '';
+                $edit_url = current_user_can('edit_term', $id) ? get_edit_term_link($id) : '';
+                break;
+
+            case 'user':
+                $user = get_userdata($id);
+                $title = $user ? $user->display_name : '';
+                $edit_url = current_user_can('edit_user', $id) ? get_edit_user_link($id) : '';
+                break;
+
+            case 'comment':
+                /* translators: %d: comment ID */
+                $title = sprintf(__('Comment #%d', 'acf-canto-field'), $id);
+                $edit_url = current_user_can('edit_comment', $id) ? get_edit_comment_link($id) : '';
+                break;
+
+            case 'option':
+                $page = $this->find_options_page($row['object_id']);
+                $title = $page ? $page['page_title'] : __('Options', 'acf-canto-field');
+                $edit_url = $page && current_user_can($page['capability']) ? menu_page_url($page['menu_slug'], false) : '';
+                break;
+        }
+
+        return array(
+            'object_type' => $row['object_type'],
+            'object_id'   => $row['object_id'],
+            'meta_key'    => $row['meta_key'],
+            'field_key'   => $row['field_key'],
+            'field_label' => $field && !empty($field['label']) ? $field['label'] : $row['meta_key'],
+            'title'       => $title !== '' ? $title : sprintf('#%s', $row['object_id']),
+            'edit_url'    => $edit_url ?: '',
+        );
+    }
+
+    /**
+     * Find the options page registered for an ACF post ID
+     *
+     * @param string $post_id
+     * @return array|false
+     */
+    private function find_options_page($post_id)
+    {
+        if (!function_exists('acf_get_options_pages')) {
+            return false;
+        }
+
+        foreach ((array) acf_get_options_pages() as $page) {
+            if (isset($page['post_id']) && $page['post_id'] === $post_id) {
+                return $page;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Resolve an ACF post ID to the object it stores values on
+     *
+     * Revisions and blocks aren't indexed.
+     *
+     * @param int|string $post_id
+     * @return array|false 'type' and 'id'
+     */
+    private function decode_object($post_id)
+    {
+        if (!function_exists('acf_decode_post_id')) {
+            return false;
+        }
+
+        $decoded = acf_decode_post_id($post_id);
+
+        if (!in_array($decoded['type'], array('post', 'term', 'user', 'comment', 'option'), true)) {
+            return false;
+        }
+
+        if ($decoded['type'] === 'post' && (!$decoded['id'] || wp_is_post_revision($decoded['id']))) {
+            return false;
+        }
+
+        return array('type' => $decoded['type'], 'id' => (string) $decoded['id']);
+    }
+
+    /**
+     * Replace the entries of one stored value
+     *
+     * @param array $object 'type' and 'id'
+     * @param string $meta_key
+     * @param string $field_key
+     * @param mixed $value
+     */
+    private function replace_entries($object, $meta_key, $field_key, $value)
+    {
+        global $wpdb;
+
+        $this->delete_entries($object, $meta_key);
+
+        $items = is_array($value) ? $value : array($value);
+        $seen = array();
+
+        foreach (array_values($items) as $position => $item) {
+            $asset_id = $this->get_asset_id((string) $item);
+
+            if (!$asset_id || isset($seen[$asset_id])) {
+                continue;
+            }
+
+            $seen[$asset_id] = true;
+
+            $wpdb->insert(self::get_table_name(), array(
+                'asset_id'    => $asset_id,
+                'object_type' => $object['type'],
+                'object_id'   => $object['id'],
+                'meta_key'    => $meta_key,
+                'field_key'   => $field_key,
+                'position'    => $position,
+            ));
+        }
+    }
+
+    /**
+     * Delete the entries of an object, or of one of its values
+     *
+     * @param array $object 'type' and 'id'
+     * @param string|null $meta_key
+     */
+    private function delete_entries($object, $meta_key = null)
+    {
+        global $wpdb;
+
+        $where = array('object_type' => $object['type'], 'object_id' => $object['id']);
+
+        if ($meta_key !== null) {
+            $where['meta_key'] = $meta_key;
+        }
+
+        $wpdb->delete(self::get_table_name(), $where);
+    }
+
+    /**
+     * Get the asset ID a stored item points to
+     *
+     * @param string $item
+     * @return string|false
+     */
+    private function get_asset_id($item)
+    {
+        if ($item === '') {
+            return false;
+        }
+
+        return $this->formatter->get_reference_asset_id($this->formatter->parse_value_item($item));
+    }
+}
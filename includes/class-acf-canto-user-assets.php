@@ -0,0 +1,265 @@
+<?php
+/**
+ * ACF Canto User Assets Class
+ *
+ * Keeps each user's recently used and favourite Canto assets, and where
+ * they left the Browse tab, in user meta
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_User_Assets
+{
+    /**
+     * User meta key for recently confirmed assets
+     */
+    const RECENT_META_KEY = 'acf_canto_recent_assets';
+
+    /**
+     * User meta key for starred assets
+     */
+    const FAVORITES_META_KEY = 'acf_canto_favorite_assets';
+
+    /**
+     * User meta key for the expanded folders and last album of the Browse tab
+     */
+    const BROWSE_META_KEY = 'acf_canto_browse_state';
+
+    /**
+     * Maximum number of expanded folders remembered per user
+     */
+    const EXPANDED_LIMIT = 200;
+
+    /**
+     * Maximum number of recent assets kept per user
+     */
+    const RECENT_LIMIT = 24;
+
+    /**
+     * Maximum number of favourite assets kept per user
+     */
+    const FAVORITES_LIMIT = 100;
+
+    /**
+     * Asset keys stored in each list entry
+     *
+     * @var array
+     */
+    private $stored_keys = array(
+        'id',
+        'scheme',
+        'name',
+        'filename',
+        'url',
+        'thumbnail',
+        'download_url',
+        'dimensions',
+        'mime_type',
+        'size',
+        'uploaded',
+    );
+
+    /**
+     * Get a user's recently used assets, newest first
+     *
+     * @param int $user_id
+     * @return array
+     */
+    public function get_recent($user_id)
+    {
+        return $this->get_list($user_id, self::RECENT_META_KEY);
+    }
+
+    /**
+     * Get a user's favourite assets, newest first
+     *
+     * @param int $user_id
+     * @return array
+     */
+    public function get_favorites($user_id)
+    {
+        return $this->get_list($user_id, self::FAVORITES_META_KEY);
+    }
+
+    /**
+     * Move assets to the top of a user's recent list
+     *
+     * @param int $user_id
+     * @param array $assets Formatted asset data, most recent last
+     * @return array The updated list
+     */
+    public function add_recent($user_id, $assets)
+    {
+        $list = $this->get_recent($user_id);
+
+        foreach ($assets as $asset_data) {
+            $list = $this->prepend($list, $asset_data);
+        }
+
+        return $this->save_list($user_id, self::RECENT_META_KEY, $list, self::RECENT_LIMIT);
+    }
+
+    /**
+     * Star or unstar an asset for a user
+     *
+     * @param int $user_id
+     * @param array $asset_data Formatted asset data
+     * @param bool $favorite Whether the asset should be a favourite
+     * @return array The updated list
+     */
+    public function set_favorite($user_id, $asset_data, $favorite)
+    {
+        $list = $this->get_favorites($user_id);
+
+        if ($favorite) {
+            $list = $this->prepend($list, $asset_data);
+        } else {
+            $list = $this->remove($list, $asset_data['id']);
+        }
+
+        return $this->save_list($user_id, self::FAVORITES_META_KEY, $list, self::FAVORITES_LIMIT);
+    }
+
+    /**
+     * Get where a user left the Browse tab
+     *
+     * @param int $user_id
+     * @return array 'expanded' folder IDs and the last opened 'album' (with
+     *               'id', 'name' and its 'path' of ancestors, each with 'id'
+     *               and 'name'), or null
+     */
+    public function get_browse_state($user_id)
+    {
+        $state = get_user_meta($user_id, self::BROWSE_META_KEY, true);
+
+        return $this->sanitize_browse_state(is_array($state) ? $state : array());
+    }
+
+    /**
+     * Remember where a user left the Browse tab
+     *
+     * @param int $user_id
+     * @param array $state 'expanded' and 'album' as returned by get_browse_state()
+     * @return array The saved state
+     */
+    public function save_browse_state($user_id, $state)
+    {
+        $state = $this->sanitize_browse_state($state);
+        update_user_meta($user_id, self::BROWSE_META_KEY, $state);
+
+        return $state;
+    }
+
+    /**
+     * Clean a browse state from storage or a request
+     *
+     * @param array $state
+     * @return array
+     */
+    private function sanitize_browse_state($state)
+    {
+        $expanded = isset($state['expanded']) && is_array($state['expanded']) ? $state['expanded'] : array();
+        $expanded = array_slice(array_values(array_unique(array_filter(array_map('sanitize_text_field', array_filter($expanded, 'is_scalar'))))), 0, self::EXPANDED_LIMIT);
+
+        $album = isset($state['album']) && is_array($state['album']) ? $this->sanitize_tree_node($state['album']) : null;
+
+        if ($album) {
+            $path = isset($state['album']['path']) && is_array($state['album']['path']) ? $state['album']['path'] : array();
+            $album['path'] = array_values(array_filter(array_map(array($this, 'sanitize_tree_node'), array_filter($path, 'is_array'))));
+        }
+
+        return array(
+            'expanded' => $expanded,
+            'album'    => $album,
+        );
+    }
+
+    /**
+     * Clean an album or folder reference
+     *
+     * @param array $node
+     * @return array|null 'id' and 'name', or null without an ID
+     */
+    private function sanitize_tree_node($node)
+    {
+        $id = isset($node['id']) && is_scalar($node['id']) ? sanitize_text_field($node['id']) : '';
+
+        if ($id === '') {
+            return null;
+        }
+
+        return array(
+            'id'   => $id,
+            'name' => isset($node['name']) && is_scalar($node['name']) ? sanitize_text_field($node['name']) : '',
+        );
+    }
+
+    /**
+     * Read a stored list
+     *
+     * @param int $user_id
+     * @param string $meta_key
+     * @return array
+     */
+    private function get_list($user_id, $meta_key)
+    {
+        $list = get_user_meta($user_id, $meta_key, true);
+
+        return is_array($list) ? array_values($list) : array();
+    }
+
+    /**
+     * Save a list, trimmed to its limit
+     *
+     * @param int $user_id
+     * @param string $meta_key
+     * @param array $list
+     * @param int $limit
+     * @return array The saved list
+     */
+    private function save_list($user_id, $meta_key, $list, $limit)
+    {
+        $list = array_slice(array_values($list), 0, $limit);
+        update_user_meta($user_id, $meta_key, $list);
+
+        return $list;
+    }
+
+    /**
+     * Put an asset at the top of a list, dropping any earlier copy
+     *
+     * @param array $list
+     * @param array $asset_data
+     * @return array
+     */
+    private function prepend($list, $asset_data)
+    {
+        $entry = array_intersect_key($asset_data, array_flip($this->stored_keys));
+
+        if (empty($entry['id'])) {
+            return $list;
+        }
+
+        $list = $this->remove($list, $entry['id']);
+        array_unshift($list, $entry);
+
+        return $list;
+    }
+
+    /**
+     * Remove an asset from a list
+     *
+     * @param array $list
+     * @param string $asset_id
+     * @return array
+     */
+    private function remove($list, $asset_id)
+    {
+        return array_values(array_filter($list, function ($entry) use ($asset_id) {
+            return isset($entry['id']) && (string) $entry['id'] !== (string) $asset_id;
+        }));
+    }
+}
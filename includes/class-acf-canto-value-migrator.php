@@ -0,0 +1,234 @@
+<?php
+/**
+ * ACF Canto Value Migrator Class
+ *
+ * Converts legacy Canto field values (bare URLs and filenames) stored in
+ * postmeta to structured asset records
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Value_Migrator
+{
+    /**
+     * Logger instance
+     */
+    private $logger;
+
+    /**
+     * API instance
+     */
+    private $api;
+
+    /**
+     * Asset formatter instance
+     */
+    private $formatter;
+
+    /**
+     * Stored field value access
+     */
+    private $values;
+
+    /**
+     * Assets already resolved during this run, keyed by legacy value
+     *
+     * @var array
+     */
+    private $resolved = array();
+
+    /**
+     * Constructor
+     *
+     * @param ACF_Canto_Logger $logger
+     * @param ACF_Canto_API $api
+     */
+    public function __construct($logger = null, $api = null)
+    {
+        $this->logger = $logger ?: new ACF_Canto_Logger();
+        $this->api = $api ?: new ACF_Canto_API($this->logger);
+        $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->values = new ACF_Canto_Field_Values();
+    }
+
+    /**
+     * Migrate the value behind one batch row
+     *
+     * @param array $row As returned by ACF_Canto_Field_Values::get_batch()
+     * @param bool $dry_run Report what would change without saving
+     * @return array 'status' (migrated, current, partial, unresolved or empty),
+     *               'old' and 'new' values and the 'unresolved' items
+     */
+    public function migrate_row($row, $dry_run = false)
+    {
+        $value = $this->values->get_value($row);
+        $result = $this->migrate_value($value);
+
+        if (!$dry_run && in_array($result['status'], array('migrated', 'partial'), true)) {
+            $this->values->update_value($row, $result['new']);
+
+            $this->logger->info('Migrated Canto field value', array(
+                'post_id'  => $row['post_id'],
+                'meta_key' => $row['meta_key'],
+            ));
+        }
+
+        return array_merge($result, array('old' => $value));
+    }
+
+    /**
+     * Convert a stored field value, single or multiple, to records
+     *
+     * Items that can't be resolved are left untouched.
+     *
+     * @param mixed $value
+     * @return array 'status', 'new' value and 'unresolved' items
+     */
+    public function migrate_value($value)
+    {
+        $items = $this->values->get_items($value);
+
+        if (empty($items)) {
+            return array('status' => 'empty', 'new' => $value, 'unresolved' => array());
+        }
+
+        $new_items = array();
+        $unresolved = array();
+        $changed = 0;
+
+        foreach ($items as $item) {
+            $new_item = $this->migrate_item($item);
+
+            if ($new_item === false) {
+                $unresolved[] = $item;
+                $new_items[] = $item;
+            } else {
+                $changed += $new_item !== $item ? 1 : 0;
+                $new_items[] = $new_item;
+            }
+        }
+
+        if ($changed === 0) {
+            $status = $unresolved ? 'unresolved' : 'current';
+        } else {
+            $status = $unresolved ? 'partial' : 'migrated';
+        }
+
+        return array(
+            'status'     => $status,
+            'new'        => is_array($value) ? $new_items : $new_items[0],
+            'unresolved' => $unresolved,
+        );
+    }
+
+    /**
+     * Convert one stored item to a record
+     *
+     * @param string $item
+     * @return string|false The encoded record (the item itself when it already
+     *                      is one), or false when the asset can't be resolved
+     */
+    public function migrate_item($item)
+    {
+        $reference = $this->formatter->parse_value_item($item);
+
+        if ($this->formatter->is_record($reference)) {
+            return $item;
+        }
+
+        $asset_data = $this->resolve_asset($reference['url']);
+
+        if (!$asset_data) {
+            return false;
+        }
+
+        return $this->formatter->encode_value_item($this->formatter->build_value_record($asset_data, $reference));
+    }
+
+    /**
+     * Look up the asset a legacy value points to
+     *
+     * Handles download and direct URLs, the CANTO_{id}_ test format and bare
+     * filenames. Filenames must match exactly; no fuzzy matching is done.
+     *
+     * @param string $value
+     * @return array|false Formatted asset data
+     */
+    private function resolve_asset($value)
+    {
+        if ($value === '') {
+            return false;
+        }
+
+        if (array_key_exists($value, $this->resolved)) {
+            return $this->resolved[$value];
+        }
+
+        $asset_data = false;
+
+        if (preg_match('/^CANTO_([^_]+)_/', $value, $matches)) {
+            $asset_data = $this->get_formatted_asset($matches[1]);
+        } elseif (filter_var($value, FILTER_VALIDATE_URL)) {
+            $asset_id = $this->formatter->extract_asset_id_from_url($value);
+            $asset_data = $asset_id ? $this->get_formatted_asset($asset_id, $this->formatter->extract_scheme_from_url($value)) : false;
+        } else {
+            $asset_data = $this->find_by_filename($value);
+        }
+
+        $this->resolved[$value] = $asset_data;
+
+        return $asset_data;
+    }
+
+    /**
+     * Load and format an asset by ID
+     *
+     * @param string $asset_id
+     * @param string|null $scheme Tried first when known
+     * @return array|false
+     */
+    private function get_formatted_asset($asset_id, $scheme = null)
+    {
+        $result = $scheme ? $this->api->get_asset($asset_id, $scheme) : $this->api->get_asset($asset_id);
+
+        // The scheme guessed from a URL can be wrong, so try them all before giving up
+        if (is_wp_error($result) && $scheme) {
+            $result = $this->api->get_asset($asset_id);
+        }
+
+        if (is_wp_error($result)) {
+            $this->logger->warning('Could not resolve asset for migration: ' . $result->get_error_message(), array('asset_id' => $asset_id));
+            return false;
+        }
+
+        return $this->formatter->format_from_api($result, $asset_id);
+    }
+
+    /**
+     * Find an asset whose filename or name matches exactly
+     *
+     * @param string $filename
+     * @return array|false
+     */
+    private function find_by_filename($filename)
+    {
+        $result = $this->api->search_assets($filename, array('limit' => 50));
+
+        if (is_wp_error($result) || empty($result['results'])) {
+            return false;
+        }
+
+        foreach ($result['results'] as $item) {
+            $asset_data = $this->formatter->format_from_search($item);
+
+            if ($asset_data && ($asset_data['filename'] === $filename || $asset_data['name'] === $filename)) {
+                return $this->get_formatted_asset($asset_data['id'], $asset_data['scheme']) ?: $asset_data;
+            }
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+/**
+ * ACF Canto WP Transport Class
+ *
+ * The default ACF_Canto_Transport, backed by the WordPress HTTP API
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_WP_Transport implements ACF_Canto_Transport
+{
+    /**
+     * Send a request with wp_remote_request()
+     *
+     * @param string $url
+     * @param array $args
+     * @return array|WP_Error
+     */
+    public function request($url, $args)
+    {
+        return wp_remote_request($url, $args);
+    }
+}
@@ -51,6 +51,48 @@ class ACF_Field_Canto extends acf_field
      */
     private $formatter;
 
+    /**
+     * Asset usage index
+     *
+     * @var ACF_Canto_Usage_Index
+     */
+    private $usage;
+
+    /**
+     * Error from the last failed asset lookup
+     *
+     * @var WP_Error|null
+     */
+    private $last_lookup_error;
+
+    /**
+     * Modal markup and assets, shared with the block editor
+     *
+     * @var ACF_Canto_Picker
+     */
+    private $picker;
+
+    /**
+     * Ranks the assets a filename could refer to
+     *
+     * @var ACF_Canto_Filename_Matcher
+     */
+    private $matcher;
+
+    /**
+     * Picker capability settings
+     *
+     * @var ACF_Canto_Access
+     */
+    private $access;
+
+    /**
+     * Role album checks for saved values
+     *
+     * @var ACF_Canto_Asset_Query
+     */
+    private $query;
+
     /**
      * Constructor
      */
@@ -71,22 +113,27 @@ class ACF_Field_Canto extends acf_field
         // Field defaults
         $this->defaults = array(
             'return_format' => 'object',
+            'multiple'      => 0,
+            'min'           => '',
+            'max'           => '',
+            'allowed_schemes'    => array(),
+            'allowed_extensions' => '',
+            'rendition_type'       => '',
+            'rendition_max_width'  => '',
+            'rendition_max_height' => '',
+            'rendition_dpi'        => '',
+            'enable_crop'          => 0,
+            'enable_upload'        => 0,
+            'upload_album'         => '',
+            'preferred_album'      => '',
+            'root_albums'          => '',
+            'default_album'        => '',
+            'capability'           => '',
         );
         
-        // JavaScript strings
-        $this->l10n = array(
-            'error' => __('Error! Please select a Canto asset.', 'acf-canto-field'),
-            'select' => __('Select Canto Asset', 'acf-canto-field'),
-            'edit' => __('Edit Asset', 'acf-canto-field'),
-            'remove' => __('Remove Asset', 'acf-canto-field'),
-            'loading' => __('Loading...', 'acf-canto-field'),
-            'no_assets' => __('No assets found.', 'acf-canto-field'),
-            'search_placeholder' => __('Search assets...', 'acf-canto-field'),
-            'select_asset_button' => __('Select Asset', 'acf-canto-field'),
-            'cancel' => __('Cancel', 'acf-canto-field'),
-            'show_details' => __('Show Details', 'acf-canto-field'),
-            'hide_details' => __('Hide Details', 'acf-canto-field'),
-        );
+        // JavaScript strings, shared with the block editor picker
+        $this->picker = new ACF_Canto_Picker();
+        $this->l10n = $this->picker->get_l10n();
         
         // Environment settings
         $this->env = array(
@@ -98,6 +145,10 @@ class ACF_Field_Canto extends acf_field
         $this->logger = new ACF_Canto_Logger();
         $this->api = new ACF_Canto_API($this->logger);
         $this->formatter = new ACF_Canto_Asset_Formatter($this->logger, $this->api);
+        $this->usage = new ACF_Canto_Usage_Index($this->formatter);
+        $this->matcher = new ACF_Canto_Filename_Matcher($this->logger, $this->api);
+        $this->access = new ACF_Canto_Access();
+        $this->query = new ACF_Canto_Asset_Query($this->logger, $this->api);
         
         // Call parent constructor
         parent::__construct();
@@ -119,8 +170,209 @@ class ACF_Field_Canto extends acf_field
                 'object'    => __('Canto Asset Object', 'acf-canto-field'),
                 'id'        => __('Canto Asset ID', 'acf-canto-field'),
                 'url'       => __('Asset URL', 'acf-canto-field'),
+                'html'      => __('HTML (responsive image, video or link)', 'acf-canto-field'),
             )
         ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Allow Multiple Assets', 'acf-canto-field'),
+            'instructions' => __('Let editors select several assets and reorder them. The value is returned as an ordered array.', 'acf-canto-field'),
+            'type'         => 'true_false',
+            'name'         => 'multiple',
+            'ui'           => 1,
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Minimum Assets', 'acf-canto-field'),
+            'instructions' => '',
+            'type'         => 'number',
+            'name'         => 'min',
+            'min'          => 0,
+            'conditions'   => array(
+                'field'    => 'multiple',
+                'operator' => '==',
+                'value'    => 1,
+            ),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Maximum Assets', 'acf-canto-field'),
+            'instructions' => __('Leave empty for no limit.', 'acf-canto-field'),
+            'type'         => 'number',
+            'name'         => 'max',
+            'min'          => 0,
+            'conditions'   => array(
+                'field'    => 'multiple',
+                'operator' => '==',
+                'value'    => 1,
+            ),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Allowed Asset Types', 'acf-canto-field'),
+            'instructions' => __('Only show and accept these asset types. Leave all unchecked to allow every type.', 'acf-canto-field'),
+            'type'         => 'checkbox',
+            'name'         => 'allowed_schemes',
+            'layout'       => 'horizontal',
+            'choices'      => array(
+                'image'    => __('Image', 'acf-canto-field'),
+                'video'    => __('Video', 'acf-canto-field'),
+                'document' => __('Document', 'acf-canto-field'),
+            ),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Allowed File Extensions', 'acf-canto-field'),
+            'instructions' => __('Comma separated list, e.g. jpg, png, webp. Leave empty to allow every extension of the allowed types.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'allowed_extensions',
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Root Albums & Folders', 'acf-canto-field'),
+            'instructions' => __('Limit the Browse tree and searches to these Canto albums and folders and everything inside them. Leave empty to use the whole library.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'root_albums',
+            'placeholder'  => __('Comma separated album or folder IDs', 'acf-canto-field'),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Default Album', 'acf-canto-field'),
+            'instructions' => __('The asset modal opens in the Browse tab with this album. It must be inside the root albums and folders when they are set.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'default_album',
+            'placeholder'  => __('Album ID', 'acf-canto-field'),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Image Output Format', 'acf-canto-field'),
+            'instructions' => __('Images are returned as a Canto rendition in this format instead of the original file.', 'acf-canto-field'),
+            'type'         => 'select',
+            'name'         => 'rendition_type',
+            'choices'      => array(
+                ''     => __('Same as original', 'acf-canto-field'),
+                'jpg'  => 'JPG',
+                'png'  => 'PNG',
+                'webp' => 'WebP',
+            ),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Image Maximum Width', 'acf-canto-field'),
+            'instructions' => __('In pixels. Leave empty to keep the original width.', 'acf-canto-field'),
+            'type'         => 'number',
+            'name'         => 'rendition_max_width',
+            'min'          => 0,
+            'append'       => 'px',
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Image Maximum Height', 'acf-canto-field'),
+            'instructions' => __('In pixels. Leave empty to keep the original height.', 'acf-canto-field'),
+            'type'         => 'number',
+            'name'         => 'rendition_max_height',
+            'min'          => 0,
+            'append'       => 'px',
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Image DPI', 'acf-canto-field'),
+            'instructions' => '',
+            'type'         => 'number',
+            'name'         => 'rendition_dpi',
+            'min'          => 0,
+            'placeholder'  => '72',
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Crop & Focal Point', 'acf-canto-field'),
+            'instructions' => __('Let editors crop images and set a focal point in the asset modal.', 'acf-canto-field'),
+            'type'         => 'true_false',
+            'name'         => 'enable_crop',
+            'ui'           => 1,
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Allow Uploads', 'acf-canto-field'),
+            'instructions' => __('Let editors drop files on the field or the asset modal to upload them to Canto and select them.', 'acf-canto-field'),
+            'type'         => 'true_false',
+            'name'         => 'enable_upload',
+            'ui'           => 1,
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Upload Album ID', 'acf-canto-field'),
+            'instructions' => __('Canto album new uploads are added to. Files dropped while an album is open in the Browse tab go to that album instead.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'upload_album',
+            'conditions'   => array(
+                'field'    => 'enable_upload',
+                'operator' => '==',
+                'value'    => 1,
+            ),
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Preferred Album ID', 'acf-canto-field'),
+            'instructions' => __('When several assets match an imported or unlinked filename equally well, the one in this album is used.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'preferred_album',
+        ));
+
+        acf_render_field_setting($field, array(
+            'label'        => __('Required Capability', 'acf-canto-field'),
+            'instructions' => __('Users need this capability to choose assets in this field, in wp-admin and in front-end forms. Leave empty to use the one set under Tools → Canto Access.', 'acf-canto-field'),
+            'type'         => 'text',
+            'name'         => 'capability',
+            'placeholder'  => ACF_Canto_Access::DEFAULT_CAPABILITY,
+        ));
+    }
+
+    /**
+     * Tidy the album settings before the field is saved
+     *
+     * @param array $field
+     * @return array
+     */
+    public function update_field($field)
+    {
+        $roots = isset($field['root_albums']) ? explode(',', (string) $field['root_albums']) : array();
+        $field['root_albums'] = implode(',', array_unique(array_filter(array_map('trim', array_map('sanitize_text_field', $roots)), 'strlen')));
+        $field['default_album'] = isset($field['default_album']) ? trim(sanitize_text_field($field['default_album'])) : '';
+        $field['capability'] = isset($field['capability']) ? trim(sanitize_text_field($field['capability'])) : '';
+
+        return $field;
+    }
+
+    /**
+     * Check if the field allows multiple assets
+     *
+     * @param array $field
+     * @return bool
+     */
+    private function is_multiple($field)
+    {
+        return !empty($field['multiple']);
+    }
+
+    /**
+     * Split a stored value into its individual asset references
+     *
+     * Single fields store a string and multiple fields store an array, but
+     * either shape can be found in the database after the setting changes.
+     *
+     * @param mixed $value
+     * @return array
+     */
+    private function get_value_items($value)
+    {
+        if (empty($value)) {
+            return array();
+        }
+
+        $items = is_array($value) ? $value : array($value);
+
+        return array_values(array_filter(array_map('strval', $items), 'strlen'));
     }
     
     /**
@@ -136,9 +388,20 @@ class ACF_Field_Canto extends acf_field
             return;
         }
         
-        $value = $field['value'];
-        $canto_data = $this->get_asset_data_for_field($value);
+        if (!$this->access->can_use($field)) {
+            $this->render_no_access($field, $this->get_value_items($field['value']));
+            return;
+        }
         
+        if ($this->is_multiple($field)) {
+            $this->render_multiple_field_html($field, $this->get_value_items($field['value']));
+            return;
+        }
+
+        $items = $this->get_value_items($field['value']);
+        $value = $items ? $items[0] : '';
+        $reference = $this->formatter->parse_value_item($value);
+        $canto_data = $this->get_preview_data_for_reference($reference);
         
         $this->render_field_html($field, $value, $canto_data);
     }
@@ -173,6 +436,32 @@ class ACF_Field_Canto extends acf_field
         echo '</div>';
     }
     
+    /**
+     * Render the field for users without the picker capability
+     *
+     * The stored assets are kept in hidden inputs, so saving a front-end
+     * form or an edit screen doesn't clear them.
+     *
+     * @param array $field
+     * @param array $items Stored asset references
+     */
+    private function render_no_access($field, $items)
+    {
+        ?>
+        <div class="acf-canto-no-access">
+            <?php if ($this->is_multiple($field)): ?>
+                <input type="hidden" name="<?php echo esc_attr($field['name']); ?>" value="" />
+                <?php foreach ($items as $item): ?>
+                    <input type="hidden" name="<?php echo esc_attr($field['name']); ?>[]" value="<?php echo esc_attr($item); ?>" />
+                <?php endforeach; ?>
+            <?php else: ?>
+                <input type="hidden" name="<?php echo esc_attr($field['name']); ?>" value="<?php echo esc_attr($items ? $items[0] : ''); ?>" />
+            <?php endif; ?>
+            <p><?php echo esc_html__('You are not allowed to choose Canto assets.', 'acf-canto-field'); ?></p>
+        </div>
+        <?php
+    }
+    
     /**
      * Get asset data for field value
      *
@@ -196,6 +485,59 @@ class ACF_Field_Canto extends acf_field
         return $this->find_asset_by_download_url($download_url);
     }
     
+    /**
+     * Get asset data for a parsed value item
+     *
+     * Records are looked up by their asset ID; legacy items by their URL.
+     *
+     * @param array $reference As returned by ACF_Canto_Asset_Formatter::parse_value_item()
+     * @return array|false
+     */
+    private function get_asset_data_for_reference($reference)
+    {
+        if (!empty($reference['id'])) {
+            return $this->get_canto_asset_data($reference['id']);
+        }
+        
+        return $this->get_asset_data_for_field($reference['url']);
+    }
+    
+    /**
+     * Get asset data for previewing a parsed value item in the field UI
+     *
+     * Assets Canto no longer has are built from the stored value and flagged
+     * 'missing', so the editor sees which reference broke.
+     *
+     * @param array $reference As returned by ACF_Canto_Asset_Formatter::parse_value_item()
+     * @return array|false
+     */
+    private function get_preview_data_for_reference($reference)
+    {
+        $this->last_lookup_error = null;
+        $canto_data = $this->get_asset_data_for_reference($reference);
+        
+        if ($canto_data || !$this->last_lookup_error || $this->last_lookup_error->get_error_code() !== 'asset_not_found') {
+            return $canto_data;
+        }
+        
+        $canto_data = $this->formatter->format_from_reference($reference);
+        
+        if (!$canto_data) {
+            // Legacy values only carry a URL to name the asset by
+            $name = filter_var($reference['url'], FILTER_VALIDATE_URL) ? $this->formatter->extract_name_from_url($reference['url']) : '';
+            $canto_data = array(
+                'id'        => '',
+                'scheme'    => '',
+                'name'      => $name ?: $reference['url'],
+                'thumbnail' => '',
+            );
+        }
+        
+        $canto_data['missing'] = true;
+        
+        return $canto_data;
+    }
+    
     /**
      * Extract asset data from test format
      *
@@ -222,8 +564,8 @@ class ACF_Field_Canto extends acf_field
     private function render_field_html($field, $value, $canto_data)
     {
         ?>
-        <div class="acf-canto-field" data-field-name="<?php echo esc_attr($field['name']); ?>">
-            <input type="hidden" name="<?php echo esc_attr($field['name']); ?>" value="<?php echo esc_attr($value); ?>" />
+        <div class="acf-canto-field" data-field-name="<?php echo esc_attr($field['name']); ?>" data-field-key="<?php echo esc_attr($field['key']); ?>" data-field-token="<?php echo esc_attr($this->access->get_field_token($field)); ?>" data-crop="<?php echo $field['enable_crop'] ? '1' : '0'; ?>" data-upload="<?php echo $this->picker->can_upload($field) ? '1' : '0'; ?>" data-default-album="<?php echo esc_attr($field['default_album']); ?>">
+            <input type="hidden" class="acf-canto-value" name="<?php echo esc_attr($field['name']); ?>" value="<?php echo esc_attr($value); ?>" />
             
             <div class="acf-canto-container">
                 <?php if ($canto_data): ?>
@@ -233,10 +575,128 @@ class ACF_Field_Canto extends acf_field
                 <?php endif; ?>
             </div>
             
-            <?php $this->render_asset_modal(); ?>
+            <?php if (!$canto_data && $this->is_unlinked_filename($value)): ?>
+                <?php $this->render_filename_match($value); ?>
+            <?php endif; ?>
+            
+            <?php $this->picker->render_upload_progress($field); ?>
+            <?php $this->picker->render_modal($field); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Check whether a stored value is a bare filename no asset was found for
+     *
+     * Imports can leave these behind when no Canto asset matched clearly.
+     *
+     * @param string $value
+     * @return bool
+     */
+    private function is_unlinked_filename($value)
+    {
+        if ($value === '' || strpos($value, 'CANTO_') === 0 || filter_var($value, FILTER_VALIDATE_URL)) {
+            return false;
+        }
+
+        return !$this->formatter->is_record($this->formatter->parse_value_item($value));
+    }
+
+    /**
+     * Render the prompt to link a stored filename to a Canto asset
+     *
+     * The candidates are loaded and listed by input.js.
+     *
+     * @param string $filename
+     */
+    private function render_filename_match($filename)
+    {
+        ?>
+        <div class="acf-canto-filename-match" data-filename="<?php echo esc_attr($filename); ?>">
+            <p>
+                <?php
+                /* translators: %s: stored filename */
+                echo esc_html(sprintf(__('"%s" isn\'t linked to a Canto asset yet.', 'acf-canto-field'), $filename));
+                ?>
+                <button type="button" class="button button-small acf-canto-find-match"><?php echo esc_html($this->l10n['find_match']); ?></button>
+            </p>
+            <div class="acf-canto-candidates" aria-live="polite"></div>
         </div>
         <?php
     }
+
+    /**
+     * Render field HTML for multiple asset selection
+     *
+     * The empty hidden input makes sure the field is saved as empty when
+     * every item has been removed from the gallery.
+     *
+     * @param array $field
+     * @param array $items Stored asset references in order
+     */
+    private function render_multiple_field_html($field, $items)
+    {
+        ?>
+        <div class="acf-canto-field acf-canto-field-multiple"
+             data-field-name="<?php echo esc_attr($field['name']); ?>"
+             data-field-key="<?php echo esc_attr($field['key']); ?>"
+             data-field-token="<?php echo esc_attr($this->access->get_field_token($field)); ?>"
+             data-multiple="1"
+             data-crop="<?php echo $field['enable_crop'] ? '1' : '0'; ?>"
+             data-upload="<?php echo $this->picker->can_upload($field) ? '1' : '0'; ?>"
+             data-default-album="<?php echo esc_attr($field['default_album']); ?>"
+             data-min="<?php echo esc_attr($field['min']); ?>"
+             data-max="<?php echo esc_attr($field['max']); ?>">
+            <input type="hidden" class="acf-canto-value" name="<?php echo esc_attr($field['name']); ?>" value="" />
+
+            <div class="acf-canto-container">
+                <div class="acf-canto-gallery">
+                    <ul class="acf-canto-gallery-list">
+                        <?php foreach ($items as $item): ?>
+                            <?php $reference = $this->formatter->parse_value_item($item); ?>
+                            <?php $this->render_gallery_item($field, $item, $this->get_preview_data_for_reference($reference)); ?>
+                        <?php endforeach; ?>
+                    </ul>
+                    <div class="acf-canto-gallery-toolbar">
+                        <button type="button" class="button acf-canto-select"><?php echo esc_html($this->l10n['add']); ?></button>
+                    </div>
+                </div>
+            </div>
+
+            <?php $this->picker->render_upload_progress($field); ?>
+            <?php $this->picker->render_modal($field); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a single gallery item
+     *
+     * Items whose asset can no longer be loaded are still rendered so the
+     * stored reference isn't dropped on the next save.
+     *
+     * @param array $field
+     * @param string $item Stored asset reference
+     * @param array|false $canto_data
+     */
+    private function render_gallery_item($field, $item, $canto_data)
+    {
+        $reference = $this->formatter->parse_value_item($item);
+        $name = $canto_data ? $canto_data['name'] : basename((string) parse_url($reference['url'], PHP_URL_PATH));
+        ?>
+        <li class="acf-canto-gallery-item<?php echo !empty($canto_data['missing']) ? ' is-missing' : ''; ?>" data-asset-id="<?php echo esc_attr($canto_data ? $canto_data['id'] : ''); ?>">
+            <input type="hidden" class="acf-canto-gallery-value" name="<?php echo esc_attr($field['name']); ?>[]" value="<?php echo esc_attr($item); ?>" />
+            <div class="acf-canto-gallery-thumb">
+                <?php if ($canto_data && !empty($canto_data['thumbnail'])): ?>
+                    <img src="<?php echo esc_url($canto_data['thumbnail']); ?>" alt="<?php echo esc_attr($name); ?>" data-scheme="<?php echo esc_attr($canto_data['scheme']); ?>" />
+                <?php endif; ?>
+            </div>
+            <div class="acf-canto-gallery-name"><?php echo esc_html($name); ?></div>
+            <?php $this->render_missing_badge($canto_data); ?>
+            <button type="button" class="acf-canto-gallery-remove" title="<?php echo esc_attr($this->l10n['remove']); ?>">&times;</button>
+        </li>
+        <?php
+    }
     
     /**
      * Render asset preview
@@ -248,12 +708,13 @@ class ACF_Field_Canto extends acf_field
         ?>
         <div class="acf-canto-preview">
             <div class="acf-canto-preview-image">
-                <?php if (isset($canto_data['thumbnail'])): ?>
+                <?php if (!empty($canto_data['thumbnail'])): ?>
                     <img src="<?php echo esc_url($canto_data['thumbnail']); ?>" alt="<?php echo esc_attr($canto_data['name']); ?>" />
                 <?php endif; ?>
             </div>
             <div class="acf-canto-preview-details">
                 <h4><?php echo esc_html($canto_data['name']); ?></h4>
+                <?php $this->render_missing_badge($canto_data); ?>
                 <?php if (isset($canto_data['dimensions']) && $canto_data['dimensions']): ?>
                     <p><?php echo esc_html($canto_data['dimensions']); ?></p>
                 <?php endif; ?>
@@ -270,100 +731,33 @@ class ACF_Field_Canto extends acf_field
     }
     
     /**
-     * Render asset placeholder
+     * Render the warning badge for an asset Canto no longer has
+     *
+     * @param array|false $canto_data
      */
-    private function render_asset_placeholder()
+    private function render_missing_badge($canto_data)
     {
+        if (empty($canto_data['missing'])) {
+            return;
+        }
         ?>
-        <div class="acf-canto-placeholder">
-            <button type="button" class="button button-primary acf-canto-select">
-                <?php echo esc_html($this->l10n['select']); ?>
-            </button>
-        </div>
+        <span class="acf-canto-missing-badge" title="<?php echo esc_attr($this->l10n['missing_description']); ?>">
+            <span class="dashicons dashicons-warning" aria-hidden="true"></span>
+            <?php echo esc_html($this->l10n['missing']); ?>
+        </span>
         <?php
     }
     
     /**
-     * Render asset selection modal
+     * Render asset placeholder
      */
-    private function render_asset_modal()
+    private function render_asset_placeholder()
     {
         ?>
-        <!-- Modal for asset selection -->
-        <div class="acf-canto-modal" style="display: none;">
-            <div class="acf-canto-modal-content">
-                <div class="acf-canto-modal-header">
-                    <h3><?php echo esc_html($this->l10n['select']); ?></h3>
-                    <button type="button" class="acf-canto-modal-close">&times;</button>
-                </div>
-                <div class="acf-canto-modal-body">
-                    <div class="acf-canto-navigation">
-                        <div class="acf-canto-nav-tabs">
-                            <button type="button" class="acf-canto-nav-tab active" data-view="search"><?php _e('Search', 'acf-canto-field'); ?></button>
-                            <button type="button" class="acf-canto-nav-tab" data-view="browse"><?php _e('Browse', 'acf-canto-field'); ?></button>
-                        </div>
-                        <div class="acf-canto-view-toggle">
-                            <button type="button" class="acf-canto-view-toggle-btn active" data-view-mode="grid" title="<?php _e('Grid View', 'acf-canto-field'); ?>">
-                                <span class="dashicons dashicons-grid-view"></span>
-                            </button>
-                            <button type="button" class="acf-canto-view-toggle-btn" data-view-mode="list" title="<?php _e('List View', 'acf-canto-field'); ?>">
-                                <span class="dashicons dashicons-list-view"></span>
-                            </button>
-                        </div>
-                    </div>
-                    
-                    <div class="acf-canto-content">
-                        <!-- Search View -->
-                        <div class="acf-canto-view acf-canto-search-view active">
-                            <div class="acf-canto-search">
-                                <div class="acf-canto-search-input-wrapper">
-                                    <input type="text" class="acf-canto-search-input" placeholder="<?php echo esc_attr($this->l10n['search_placeholder']); ?>" />
-                                    <button type="button" class="acf-canto-search-clear" title="<?php _e('Clear search', 'acf-canto-field'); ?>" style="display: none;">&times;</button>
-                                </div>
-                                <button type="button" class="button acf-canto-search-btn"><?php _e('Search', 'acf-canto-field'); ?></button>
-                            </div>
-                            <div class="acf-canto-results">
-                                <div class="acf-canto-loading" style="display: none;">
-                                    <?php echo esc_html($this->l10n['loading']); ?>
-                                </div>
-                                <div class="acf-canto-assets-grid"></div>
-                            </div>
-                        </div>
-                        
-                        <!-- Browse View -->
-                        <div class="acf-canto-view acf-canto-browse-view">
-                            <div class="acf-canto-browse-layout">
-                                <div class="acf-canto-tree-sidebar">
-                                    <div class="acf-canto-tree-header">
-                                        <h4><?php _e('Albums & Folders', 'acf-canto-field'); ?></h4>
-                                        <button type="button" class="button-link acf-canto-tree-refresh" title="<?php _e('Refresh', 'acf-canto-field'); ?>">↻</button>
-                                    </div>
-                                    <div class="acf-canto-tree-loading" style="display: none;">
-                                        <?php echo esc_html($this->l10n['loading']); ?>
-                                    </div>
-                                    <div class="acf-canto-tree-container">
-                                        <ul class="acf-canto-tree-list"></ul>
-                                    </div>
-                                </div>
-                                <div class="acf-canto-browse-content">
-                                    <div class="acf-canto-browse-header">
-                                        <h4 class="acf-canto-current-path"><?php _e('All Assets', 'acf-canto-field'); ?></h4>
-                                        <button type="button" class="button-link acf-canto-browse-refresh" title="<?php _e('Refresh', 'acf-canto-field'); ?>">↻</button>
-                                    </div>
-                                    <div class="acf-canto-browse-loading" style="display: none;">
-                                        <?php echo esc_html($this->l10n['loading']); ?>
-                                    </div>
-                                    <div class="acf-canto-browse-assets"></div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-                <div class="acf-canto-modal-footer">
-                    <button type="button" class="button button-primary acf-canto-confirm-selection" disabled><?php echo esc_html($this->l10n['select_asset_button']); ?></button>
-                    <button type="button" class="button acf-canto-cancel"><?php echo esc_html($this->l10n['cancel']); ?></button>
-                </div>
-            </div>
+        <div class="acf-canto-placeholder">
+            <button type="button" class="button button-primary acf-canto-select">
+                <?php echo esc_html($this->l10n['select']); ?>
+            </button>
         </div>
         <?php
     }
@@ -376,33 +770,39 @@ class ACF_Field_Canto extends acf_field
         $url = trailingslashit($this->env['url']);
         $version = $this->env['version'];
         
+        // The modal script, stylesheet and acf_canto settings
+        $this->picker->register_assets();
+        
         // Register & include JS
         wp_register_script(
             'acf-input-canto',
             "{$url}assets/js/input.js",
-            array('acf-input'),
+            array('acf-input', 'jquery-ui-sortable', 'acf-canto-modal'),
             $version
         );
         wp_enqueue_script('acf-input-canto');
+        wp_enqueue_style('acf-input-canto');
+    }
+
+    /**
+     * Enqueue the album tree picker for the field settings
+     */
+    public function field_group_admin_enqueue_scripts()
+    {
+        $url = trailingslashit($this->env['url']);
+        $version = $this->env['version'];
         
-        // Register & include CSS
-        wp_register_style(
-            'acf-input-canto',
-            "{$url}assets/css/input.css",
-            array('acf-input'),
+        // The acf_canto settings come with the modal script
+        $this->picker->register_assets();
+        
+        wp_register_script(
+            'acf-canto-field-settings',
+            "{$url}assets/js/field-settings.js",
+            array('acf-field-group', 'acf-canto-modal'),
             $version
         );
+        wp_enqueue_script('acf-canto-field-settings');
         wp_enqueue_style('acf-input-canto');
-        
-        // Localize script with Canto data
-        wp_localize_script('acf-input-canto', 'acf_canto', array(
-            'ajax_url' => admin_url('admin-ajax.php'),
-            'nonce' => wp_create_nonce('acf_canto_nonce'),
-            'plugin_url' => ACF_CANTO_FIELD_PLUGIN_URL,
-            'l10n' => $this->l10n,
-            'canto_domain' => get_option('fbc_flight_domain'),
-            'canto_available' => function_exists('Canto') && get_option('fbc_app_token')
-        ));
     }
     
     /**
@@ -410,7 +810,8 @@ class ACF_Field_Canto extends acf_field
      *
      * By default, constructs asset data from the stored URL without calling
      * the Canto API. Thumbnails are served lazily by the canto-thumbnail
-     * proxy route when the browser requests them.
+     * proxy route when the browser requests them. Legacy api_binary URLs are
+     * looked up in Canto unless the field has 'resolve_legacy' set to false.
      *
      * To re-enable live API calls, use the filter:
      *   add_filter('acf_canto_format_value_use_api', '__return_true');
@@ -422,16 +823,51 @@ class ACF_Field_Canto extends acf_field
      */
     public function format_value($value, $post_id, $field)
     {
-        if (empty($value)) {
+        $items = $this->get_value_items($value);
+
+        if (empty($items)) {
             return false;
         }
 
-        $use_api = apply_filters('acf_canto_format_value_use_api', false, $value, $post_id, $field);
+        if ($this->is_multiple($field)) {
+            $formatted = array();
+
+            foreach ($items as $item) {
+                $item_value = $this->format_single_value($item, $post_id, $field);
+                if ($item_value !== false) {
+                    $formatted[] = $item_value;
+                }
+            }
+
+            return $formatted ?: false;
+        }
+
+        return $this->format_single_value($items[0], $post_id, $field);
+    }
+
+    /**
+     * Format one stored asset reference for the configured return format
+     *
+     * Structured records carry everything needed; legacy URL values are
+     * decoded from the URL. Image assets get their rendition URL and focal
+     * point added.
+     *
+     * @param string $value Stored asset reference
+     * @param int $post_id
+     * @param array $field
+     * @return mixed
+     */
+    private function format_single_value($value, $post_id, $field)
+    {
+        $reference = $this->formatter->parse_value_item($value);
+        $use_api = apply_filters('acf_canto_format_value_use_api', false, $reference['url'], $post_id, $field);
 
         if ($use_api) {
-            $asset_data = $this->get_asset_data_for_field($value);
+            $asset_data = $this->get_asset_data_for_reference($reference);
+        } elseif ($this->formatter->is_record($reference)) {
+            $asset_data = $this->formatter->format_from_reference($reference);
         } else {
-            $asset_data = $this->format_value_from_url($value);
+            $asset_data = $this->format_value_from_url($reference['url'], !isset($field['resolve_legacy']) || $field['resolve_legacy']);
         }
 
         if (!$asset_data) {
@@ -439,6 +875,8 @@ class ACF_Field_Canto extends acf_field
             return false;
         }
 
+        $asset_data = $this->formatter->apply_rendition($asset_data, $reference, $field);
+
         return $this->formatter->prepare_return_value($asset_data, $field);
     }
 
@@ -450,9 +888,10 @@ class ACF_Field_Canto extends acf_field
      * point to the local canto-thumbnail proxy route.
      *
      * @param mixed $value The stored field value (download URL or test format)
+     * @param bool $resolve_legacy Look up api_binary URLs in Canto
      * @return array|false Asset data array, or false on failure
      */
-    private function format_value_from_url($value)
+    private function format_value_from_url($value, $resolve_legacy = true)
     {
         $download_url = (string) $value;
 
@@ -463,17 +902,17 @@ class ACF_Field_Canto extends acf_field
 
         // api_binary URLs require authentication and can't be used as direct
         // browser downloads. Fall back to the API to get a directUrlOriginal.
-        if (strpos($download_url, '/api_binary/') !== false) {
+        if ($resolve_legacy && strpos($download_url, '/api_binary/') !== false) {
             return $this->get_asset_data_for_field($value);
         }
 
-        $asset_id = $this->extract_asset_id_from_url($download_url);
+        $asset_id = $this->formatter->extract_asset_id_from_url($download_url);
         if (!$asset_id) {
             return false;
         }
 
-        $scheme = $this->extract_scheme_from_url($download_url);
-        $name = $this->extract_name_from_url($download_url);
+        $scheme = $this->formatter->extract_scheme_from_url($download_url);
+        $name = $this->formatter->extract_name_from_url($download_url);
 
         // Build the same structure as format_from_api() / build_base_asset_data()
         return array(
@@ -493,167 +932,252 @@ class ACF_Field_Canto extends acf_field
     }
 
     /**
-     * Extract the asset scheme (image, video, document) from a URL.
+     * Find asset by download URL
      *
-     * @param string $url
-     * @return string One of 'image', 'video', 'document'
+     * @param string $download_url The download URL to search for
+     * @return array|false Asset data if found, false otherwise
      */
-    private function extract_scheme_from_url($url)
+    public function find_asset_by_download_url($download_url)
     {
-        if (preg_match('/\/(image)\//', $url)) {
-            return 'image';
+        if (empty($download_url)) {
+            return false;
         }
-        if (preg_match('/\/(video)\//', $url)) {
-            return 'video';
+
+        $asset_id = $this->formatter->extract_asset_id_from_url($download_url);
+
+        if ($asset_id) {
+            return $this->get_canto_asset_data($asset_id);
         }
-        // Default to document (most assets are PDFs)
-        return 'document';
+
+        $this->logger->warning('Could not extract asset ID from URL', array('url' => $download_url));
+        return false;
     }
 
     /**
-     * Extract the asset name from a Canto download URL.
+     * Search for asset by filename
      *
-     * Checks the 'name' query parameter first (present in direct URLs),
-     * then falls back to the URL path basename. Returns empty string
-     * for generic basenames like 'original' or 'download'.
+     * Returns the best match only when it's clear; when the best candidates
+     * are too close to call, use match_asset_by_filename() to see them.
      *
-     * @param string $url
-     * @return string
+     * @param string $filename The filename to search for
+     * @param array $field Optional field whose type restrictions and
+     *                     preferred album apply
+     * @return array|false Asset data if found, false otherwise
      */
-    private function extract_name_from_url($url)
+    public function find_asset_by_filename($filename, $field = null)
     {
-        // Try query string 'name' parameter first
-        $query = parse_url($url, PHP_URL_QUERY);
-        if ($query) {
-            parse_str($query, $params);
-            if (!empty($params['name'])) {
-                return $params['name'];
-            }
+        $match = $this->match_asset_by_filename($filename, $field);
+
+        return $match['ambiguous'] ? false : $match['asset'];
+    }
+
+    /**
+     * Match a filename against Canto assets
+     *
+     * Candidates are scored by ACF_Canto_Filename_Matcher: exact filename or
+     * name first, then matches ignoring case, extension, separators and
+     * version suffixes such as _v2 or -final, then similar names.
+     *
+     * @param string $filename The filename to search for
+     * @param array $field Optional field whose type restrictions and
+     *                     preferred album apply
+     * @return array The best 'asset' or false, its tier in 'match'
+     *               (filename or name for exact matches, fuzzy otherwise,
+     *               none without candidates), the number of candidates
+     *               within reach of the best in 'count', whether they are
+     *               too close to call in 'ambiguous', and the ranked
+     *               'candidates'
+     */
+    public function match_asset_by_filename($filename, $field = null)
+    {
+        $result = $this->matcher->match($filename, array(
+            'album_id'     => !empty($field['preferred_album']) ? (string) $field['preferred_album'] : '',
+            'restrictions' => $field ? $this->formatter->get_field_restrictions($field) : array(),
+        ));
+
+        if (empty($result['candidates'])) {
+            return array('asset' => false, 'match' => 'none', 'count' => 0, 'ambiguous' => false, 'candidates' => array());
         }
 
-        // Fall back to URL path basename
-        $path = parse_url($url, PHP_URL_PATH);
-        $basename = $path ? basename($path) : '';
+        $best = $result['candidates'][0];
+        $count = 0;
 
-        // Skip generic basenames that aren't real filenames
-        if (in_array(strtolower($basename), array('original', 'download', 'preview'), true)) {
-            return '';
+        foreach ($result['candidates'] as $candidate) {
+            $count += $best['score'] - $candidate['score'] < ACF_Canto_Filename_Matcher::CLOSE_MARGIN ? 1 : 0;
         }
 
-        return $basename;
+        return array(
+            'asset'      => $best,
+            'match'      => $best['reason'] === 'exact' ? $best['matched_on'] : 'fuzzy',
+            'count'      => $count,
+            'ambiguous'  => $result['ambiguous'],
+            'candidates' => $result['candidates'],
+        );
     }
-
+    
     /**
-     * Extract asset ID from various URL formats
+     * Validate the field value
      *
-     * @param string $url The URL to extract asset ID from
-     * @return string|false Asset ID if found, false otherwise
+     * @param bool $valid Current validation status
+     * @param mixed $value The $_POST value
+     * @param array $field The field array holding all the field options
+     * @param string $input The corresponding input name for $_POST value
+     * @return bool|string
      */
-    private function extract_asset_id_from_url($url) {
-        if (empty($url)) {
-            return false;
-        }
+    public function validate_value($valid, $value, $field, $input)
+    {
+        $items = $this->get_value_items($value);
 
-        // Pattern 1: Direct URL - /direct/(document|image|video)/ASSET_ID/TOKEN/original
-        if (preg_match('/\/direct\/(?:document|image|video)\/([^\/\?]+)\/[^\/]+\/original/', $url, $matches)) {
-            return $matches[1];
+        if ($field['required'] && empty($items)) {
+            return __('This field is required.', 'acf-canto-field');
         }
 
-        // Pattern 2: Direct URL without /original - /direct/(document|image|video)/ASSET_ID
-        if (preg_match('/\/direct\/(?:document|image|video)\/([^\/\?]+)/', $url, $matches)) {
-            return $matches[1];
+        $type_error = $this->validate_allowed_types($items, $field);
+        if ($type_error) {
+            return $type_error;
         }
 
-        // Pattern 3: API binary URL - /api_binary/v1/(advance/)?(image|video|document)/ASSET_ID
-        if (preg_match('/\/api_binary\/v1\/(?:advance\/)?(?:image|video|document)\/([a-zA-Z0-9]+)/', $url, $matches)) {
-            return $matches[1];
+        $access_error = $this->validate_access($items, $field);
+        if ($access_error) {
+            return $access_error;
         }
 
-        // Pattern 4: Any other asset URL with recognizable ID pattern
-        if (preg_match('/\/(?:document|image|video)\/([a-zA-Z0-9_-]{15,})/', $url, $matches)) {
-            return $matches[1];
+        if ($this->is_multiple($field) && !empty($items)) {
+            $count = count($items);
+
+            if ($field['min'] !== '' && $count < (int) $field['min']) {
+                /* translators: %d: minimum number of assets */
+                return sprintf(__('Please select at least %d assets.', 'acf-canto-field'), (int) $field['min']);
+            }
+
+            if ($field['max'] !== '' && (int) $field['max'] > 0 && $count > (int) $field['max']) {
+                /* translators: %d: maximum number of assets */
+                return sprintf(__('Please select no more than %d assets.', 'acf-canto-field'), (int) $field['max']);
+            }
         }
 
-        return false;
+        return $valid;
     }
-
+    
     /**
-     * Find asset by download URL
+     * Check every stored asset against the field's type restrictions
      *
-     * @param string $download_url The download URL to search for
-     * @return array|false Asset data if found, false otherwise
+     * @param array $items Asset references being saved
+     * @param array $field
+     * @return string|false Error message for the first disallowed asset, or false
      */
-    public function find_asset_by_download_url($download_url)
+    private function validate_allowed_types($items, $field)
     {
-        if (empty($download_url)) {
+        $restrictions = $this->formatter->get_field_restrictions($field);
+
+        if (empty($restrictions['schemes']) && empty($restrictions['extensions'])) {
             return false;
         }
 
-        $asset_id = $this->extract_asset_id_from_url($download_url);
+        foreach ($items as $item) {
+            $reference = $this->formatter->parse_value_item($item);
 
-        if ($asset_id) {
-            return $this->get_canto_asset_data($asset_id);
+            // Records store the scheme and name already; only legacy URLs need Canto
+            if ($this->formatter->is_record($reference)) {
+                $asset_data = $this->formatter->format_from_reference($reference);
+            } else {
+                $asset_data = $this->get_asset_data_for_reference($reference) ?: $this->format_value_from_url($reference['url']);
+            }
+
+            // Nothing to check against if the asset can't be resolved at all
+            if (!$asset_data) {
+                continue;
+            }
+
+            if (!$this->formatter->is_asset_allowed($asset_data, $restrictions)) {
+                /* translators: %s: asset name */
+                return sprintf(__('"%s" is not an allowed file type for this field.', 'acf-canto-field'), $asset_data['name']);
+            }
         }
 
-        $this->logger->warning('Could not extract asset ID from URL', array('url' => $download_url));
         return false;
     }
-
+    
     /**
-     * Search for asset by filename
+     * Check that the current user may save the assets they added
      *
-     * @param string $filename The filename to search for
-     * @return array|false Asset data if found, false otherwise
+     * Assets already stored are left alone, so a value picked by someone
+     * with wider access survives the post being saved again.
+     *
+     * @param array $items Asset references being saved
+     * @param array $field
+     * @return string|false Error message for the first asset the user may not add, or false
      */
-    public function find_asset_by_filename($filename)
+    private function validate_access($items, $field)
     {
-        if (empty($filename)) {
-            return false;
-        }
+        $saved = array_map(array($this, 'get_item_key'), $this->get_saved_items($field));
+        $added = array();
 
-        $result = $this->api->search_assets($filename, array('limit' => 50));
+        foreach ($items as $item) {
+            if (!in_array($this->get_item_key($item), $saved, true)) {
+                $added[] = $item;
+            }
+        }
 
-        if (is_wp_error($result) || !isset($result['results']) || empty($result['results'])) {
+        if (empty($added)) {
             return false;
         }
 
-        // Priority 1: Exact filename match
-        foreach ($result['results'] as $item) {
-            $asset_data = $this->formatter->format_from_search($item);
-            if ($asset_data && $asset_data['filename'] === $filename) {
-                return $asset_data;
-            }
+        if (!$this->access->can_use($field)) {
+            return __('You are not allowed to choose Canto assets.', 'acf-canto-field');
         }
 
-        // Priority 2: Exact name match
-        foreach ($result['results'] as $item) {
-            $asset_data = $this->formatter->format_from_search($item);
-            if ($asset_data && $asset_data['name'] === $filename) {
-                return $asset_data;
+        foreach ($added as $item) {
+            $reference = $this->formatter->parse_value_item($item);
+            $asset_id = $reference['id'];
+
+            if ($asset_id === '') {
+                $asset_data = $this->get_asset_data_for_reference($reference);
+                $asset_id = $asset_data ? $asset_data['id'] : '';
+            }
+
+            // Nothing to check against if the asset can't be resolved at all
+            if ($asset_id === '') {
+                continue;
+            }
+
+            $access = $this->query->check_asset_access($asset_id);
+            if (is_wp_error($access) && $access->get_error_code() === 'asset_out_of_scope') {
+                return $access->get_error_message();
             }
         }
 
-        // Priority 3: First result as fuzzy fallback
-        $first = reset($result['results']);
-        return $this->formatter->format_from_search($first) ?: false;
+        return false;
     }
-    
+
     /**
-     * Validate the field value
+     * Get the references stored in the field of the object being saved
      *
-     * @param bool $valid Current validation status
-     * @param mixed $value The $_POST value
-     * @param array $field The field array holding all the field options
-     * @param string $input The corresponding input name for $_POST value
-     * @return bool|string
+     * @param array $field
+     * @return array
      */
-    public function validate_value($valid, $value, $field, $input)
+    private function get_saved_items($field)
     {
-        if ($field['required'] && empty($value)) {
-            $valid = __('This field is required.', 'acf-canto-field');
+        $post_id = isset($_POST['_acf_post_id']) ? sanitize_text_field(wp_unslash($_POST['_acf_post_id'])) : '';
+
+        if ($post_id === '' || !function_exists('acf_get_value')) {
+            return array();
         }
 
-        return $valid;
+        return $this->get_value_items(acf_get_value($post_id, $field));
+    }
+
+    /**
+     * Identify a stored reference by its asset ID, or its URL for legacy items
+     *
+     * @param string $item
+     * @return string
+     */
+    private function get_item_key($item)
+    {
+        $reference = $this->formatter->parse_value_item($item);
+
+        return $reference['id'] !== '' ? $reference['id'] : $reference['url'];
     }
     
     /**
@@ -672,15 +1196,59 @@ class ACF_Field_Canto extends acf_field
             'field_name' => isset($field['name']) ? $field['name'] : 'unknown'
         ));
         
+        if (is_array($value)) {
+            $value = $this->update_multiple_value($value);
+        } else {
+            $value = $this->sanitize_value_item($value);
+        }
+
+        // Keep the asset → post/field reverse lookup in step with the saved value
+        $this->usage->index_value($value, $post_id, $field);
+
+        return $value;
+    }
+
+    /**
+     * Sanitize an ordered list of asset references for storage
+     *
+     * @param array $value
+     * @return array|string
+     */
+    private function update_multiple_value($value)
+    {
+        $items = array();
+
+        foreach ($value as $item) {
+            $item = $this->sanitize_value_item($item);
+            if ($item !== '') {
+                $items[] = $item;
+            }
+        }
+
+        return $items ?: '';
+    }
+
+    /**
+     * Sanitize a single asset reference for storage
+     *
+     * @param mixed $value
+     * @return string
+     */
+    private function sanitize_value_item($value)
+    {
         if (empty($value) || !is_string($value)) {
             return '';
         }
         
-        $value = trim($value);
+        $reference = $this->formatter->parse_value_item($value);
+        $value = $reference['url'];
         
         // Validate URL format
         if (filter_var($value, FILTER_VALIDATE_URL)) {
-            return $this->sanitize_url_value($value);
+            $reference['url'] = $this->sanitize_url_value($value);
+            
+            // Stored JSON must stay slashed until update_metadata() unslashes it
+            return wp_slash($this->formatter->encode_value_item($reference));
         }
         
         // Handle legacy or test format values
@@ -735,6 +1303,7 @@ class ACF_Field_Canto extends acf_field
         
         if (is_wp_error($result)) {
             $this->logger->error('Failed to get asset data: ' . $result->get_error_message(), array('asset_id' => $asset_id));
+            $this->last_lookup_error = $result;
             return false;
         }
         
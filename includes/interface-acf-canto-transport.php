@@ -0,0 +1,25 @@
+<?php
+/**
+ * ACF Canto Transport Interface
+ *
+ * Sends the HTTP requests of ACF_Canto_API. The default transport uses the
+ * WordPress HTTP API; another one can be swapped in with the
+ * acf_canto_http_transport filter, e.g. to run against a fake Canto server.
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+interface ACF_Canto_Transport
+{
+    /**
+     * Send a request
+     *
+     * @param string $url
+     * @param array $args Arguments as accepted by wp_remote_request()
+     * @return array|WP_Error A response array as returned by wp_remote_request()
+     */
+    public function request($url, $args);
+}
@@ -0,0 +1,274 @@
+<?php
+/**
+ * Check ACF_Canto_API against a scripted fake Canto
+ *
+ * Covers the retries and circuit breaker of every request and the upload
+ * flow. Runs inside WordPress with the plugin active and never calls Canto:
+ *
+ *     wp eval-file wp-content/plugins/agp-acf-canto-field/tests/check-api.php
+ *
+ * The Canto settings are overridden for the run, retry delays are cut to a
+ * few milliseconds and the circuit breaker state is restored afterwards.
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+require_once __DIR__ . '/class-acf-canto-fake-transport.php';
+
+// wp eval-file includes this file inside a function
+$GLOBALS['acf_canto_checks'] = array();
+
+/**
+ * Run a check with a fresh fake transport and API
+ *
+ * @param string $name
+ * @param callable $check Receives the fake transport and the API, returns
+ *                        an error message or '' when the check passed
+ */
+function acf_canto_check($name, $check)
+{
+    global $acf_canto_checks;
+
+    $transport = new ACF_Canto_Fake_Transport();
+    $use_transport = function () use ($transport) {
+        return $transport;
+    };
+
+    delete_option(ACF_Canto_API::CIRCUIT_OPTION);
+    add_filter('acf_canto_http_transport', $use_transport);
+
+    $error = call_user_func($check, $transport, new ACF_Canto_API());
+
+    remove_filter('acf_canto_http_transport', $use_transport);
+
+    $acf_canto_checks[$name] = $error;
+    WP_CLI::log(($error === '' ? 'PASS ' : 'FAIL ') . $name . ($error === '' ? '' : ': ' . $error));
+}
+
+/**
+ * Describe a result for a failure message
+ *
+ * @param mixed $result
+ * @return string
+ */
+function acf_canto_describe($result)
+{
+    if (is_wp_error($result)) {
+        $data = $result->get_error_data();
+
+        return $result->get_error_code() . (isset($data['code']) ? ' ' . $data['code'] : '');
+    }
+
+    return wp_json_encode($result);
+}
+
+$circuit_state = get_option(ACF_Canto_API::CIRCUIT_OPTION);
+$retry_delays = array();
+
+$fake_settings = array(
+    'fbc_flight_domain' => 'example',
+    'fbc_app_api'       => 'canto.test',
+    'fbc_app_token'     => 'fake-token',
+);
+
+foreach ($fake_settings as $option => $value) {
+    add_filter('pre_option_' . $option, function () use ($value) {
+        return $value;
+    });
+}
+
+// Record the delays the API asks for, then wait a few milliseconds instead
+add_filter('acf_canto_retry_delay', function ($delay) use (&$retry_delays) {
+    $retry_delays[] = $delay;
+    return 0.01;
+});
+
+$ok = ACF_Canto_Fake_Transport::response(200, array('results' => array()));
+$unavailable = ACF_Canto_Fake_Transport::response(503, 'Service Unavailable');
+
+acf_canto_check('429 is retried and Retry-After is honoured', function ($transport, $api) use ($ok, &$retry_delays) {
+    $retry_delays = array();
+    $transport->on('tree', ACF_Canto_Fake_Transport::response(429, '', array('Retry-After' => '3')), $ok);
+
+    $result = $api->request('tree');
+
+    if (is_wp_error($result) || $transport->count() !== 2) {
+        return sprintf('expected success after 2 requests, got %s after %d', acf_canto_describe($result), $transport->count());
+    }
+
+    return $retry_delays && $retry_delays[0] >= 3 ? '' : 'waited ' . wp_json_encode($retry_delays) . ' instead of the 3 seconds Retry-After asked for';
+});
+
+acf_canto_check('5xx is retried MAX_RETRIES times, then returned', function ($transport, $api) use ($unavailable) {
+    $transport->on('tree', $unavailable);
+
+    $result = $api->request('tree');
+    $data = is_wp_error($result) ? $result->get_error_data() : array();
+
+    if (!isset($data['code']) || $data['code'] !== 503) {
+        return 'expected api_http_error 503, got ' . acf_canto_describe($result);
+    }
+
+    return $transport->count() === ACF_Canto_API::MAX_RETRIES + 1 ? '' : sprintf('sent %d requests', $transport->count());
+});
+
+acf_canto_check('404 is not retried', function ($transport, $api) {
+    $transport->on('tree', ACF_Canto_Fake_Transport::response(404, 'Not Found'));
+
+    $api->request('tree');
+
+    return $transport->count() === 1 ? '' : sprintf('sent %d requests', $transport->count());
+});
+
+acf_canto_check('A Retry-After longer than MAX_RETRY_DELAY fails at once', function ($transport, $api) {
+    $transport->on('tree', ACF_Canto_Fake_Transport::response(429, '', array('Retry-After' => '60')));
+
+    $result = $api->request('tree');
+
+    return is_wp_error($result) && $transport->count() === 1 ? '' : sprintf('sent %d requests', $transport->count());
+});
+
+acf_canto_check('Retries stop once the total wait would pass the cap', function ($transport, $api) use ($unavailable) {
+    $retries = function () {
+        return 10;
+    };
+    $max_wait = function () {
+        return 0.025;
+    };
+
+    add_filter('acf_canto_max_retries', $retries);
+    add_filter('acf_canto_max_retry_wait', $max_wait);
+
+    $transport->on('tree', $unavailable);
+    $api->request('tree');
+
+    remove_filter('acf_canto_max_retries', $retries);
+    remove_filter('acf_canto_max_retry_wait', $max_wait);
+
+    // Waits of 0.01 seconds: two fit in 0.025, the third doesn't
+    return $transport->count() === 3 ? '' : sprintf('sent %d requests, expected 3', $transport->count());
+});
+
+acf_canto_check('The circuit opens after CIRCUIT_THRESHOLD failures and closes on success', function ($transport, $api) use ($ok, $unavailable) {
+    $no_retries = function () {
+        return 0;
+    };
+    add_filter('acf_canto_max_retries', $no_retries);
+
+    $transport->on('tree', $unavailable);
+
+    for ($i = 0; $i < ACF_Canto_API::CIRCUIT_THRESHOLD; $i++) {
+        $api->request('tree');
+    }
+
+    $sent = $transport->count();
+    $result = $api->request('tree');
+
+    remove_filter('acf_canto_max_retries', $no_retries);
+
+    if (!is_wp_error($result) || $result->get_error_code() !== 'api_unavailable' || $transport->count() !== $sent) {
+        return 'expected api_unavailable without a request, got ' . acf_canto_describe($result);
+    }
+
+    // Let the cooldown pass
+    update_option(ACF_Canto_API::CIRCUIT_OPTION, array('failures' => ACF_Canto_API::CIRCUIT_THRESHOLD, 'open_until' => time() - 1), false);
+    $transport->on('tree', $ok);
+    $api->request('tree');
+
+    return $api->is_circuit_open() || get_option(ACF_Canto_API::CIRCUIT_OPTION) ? 'the circuit stayed open after a successful request' : '';
+});
+
+$upload_settings = ACF_Canto_Fake_Transport::response(200, array(
+    'url'    => 'https://storage.test/upload',
+    'key'    => 'uploads/${filename}',
+    'policy' => 'fake-policy',
+));
+$upload_file = wp_tempnam('photo.jpg');
+file_put_contents($upload_file, 'fake image data');
+
+acf_canto_check('An upload goes to the signed URL without the API token and finds the new asset', function ($transport, $api) use ($upload_settings, $upload_file) {
+    $transport->on('upload/setting', $upload_settings)
+        ->on('storage.test', ACF_Canto_Fake_Transport::response(204))
+        ->on(
+            'upload/status',
+            ACF_Canto_Fake_Transport::response(200, array('results' => array(
+                array('name' => 'photo.jpg', 'id' => 'old1', 'status' => 'Done'),
+            ))),
+            ACF_Canto_Fake_Transport::response(200, array('results' => array(
+                array('name' => 'photo.jpg', 'id' => 'new1', 'status' => 'Processing'),
+                array('name' => 'photo.jpg', 'id' => 'old1', 'status' => 'Done'),
+            ))),
+            ACF_Canto_Fake_Transport::response(200, array('results' => array(
+                array('name' => 'photo.jpg', 'id' => 'new1', 'status' => 'Done', 'scheme' => 'image'),
+                array('name' => 'photo.jpg', 'id' => 'old1', 'status' => 'Done'),
+            )))
+        );
+
+    $upload = $api->upload_file($upload_file, 'photo.jpg', 'album1');
+
+    if (is_wp_error($upload) || $upload['known_ids'] !== array('old1')) {
+        return 'expected the earlier upload as a known ID, got ' . acf_canto_describe($upload);
+    }
+
+    $sent = wp_list_pluck($transport->requests, 'args', 'url');
+    $args = isset($sent['https://storage.test/upload']) ? $sent['https://storage.test/upload'] : null;
+
+    if (!$args || isset($args['headers']['Authorization'])) {
+        return 'the file was not posted to the signed URL, or the API token went along';
+    }
+
+    if (strpos($args['body'], 'uploads/photo.jpg') === false || strpos($args['body'], 'fake image data') === false || strpos($args['body'], 'album1') === false) {
+        return 'the multipart body is missing the key, album or file';
+    }
+
+    if ($api->find_uploaded_asset('photo.jpg', $upload['known_ids']) !== null) {
+        return 'an asset still processing was reported as finished';
+    }
+
+    $asset = $api->find_uploaded_asset('photo.jpg', $upload['known_ids']);
+
+    return isset($asset['id']) && $asset['id'] === 'new1' ? '' : 'expected asset new1, got ' . acf_canto_describe($asset);
+});
+
+acf_canto_check('A rejected upload is reported and not retried', function ($transport, $api) use ($upload_settings, $upload_file) {
+    $transport->on('upload/setting', $upload_settings)
+        ->on('upload/status', ACF_Canto_Fake_Transport::response(200, array('results' => array())))
+        ->on('storage.test', ACF_Canto_Fake_Transport::response(503, 'Slow Down'));
+
+    $result = $api->upload_file($upload_file, 'photo.jpg');
+
+    if (!is_wp_error($result) || $result->get_error_code() !== 'upload_http_error') {
+        return 'expected upload_http_error, got ' . acf_canto_describe($result);
+    }
+
+    return $transport->count('storage.test') === 1 ? '' : sprintf('posted the file %d times', $transport->count('storage.test'));
+});
+
+acf_canto_check('Canto failing to process an upload is reported', function ($transport, $api) {
+    $transport->on('upload/status', ACF_Canto_Fake_Transport::response(200, array('results' => array(
+        array('name' => 'photo.jpg', 'id' => 'new1', 'status' => 'Failed'),
+    ))));
+
+    $result = $api->find_uploaded_asset('photo.jpg');
+
+    return is_wp_error($result) && $result->get_error_code() === 'upload_processing_failed' ? '' : 'expected upload_processing_failed, got ' . acf_canto_describe($result);
+});
+
+unlink($upload_file);
+
+if ($circuit_state === false) {
+    delete_option(ACF_Canto_API::CIRCUIT_OPTION);
+} else {
+    update_option(ACF_Canto_API::CIRCUIT_OPTION, $circuit_state, false);
+}
+
+$failed = array_filter($GLOBALS['acf_canto_checks']);
+
+if ($failed) {
+    WP_CLI::error(sprintf('%d of %d checks failed.', count($failed), count($GLOBALS['acf_canto_checks'])));
+}
+
+WP_CLI::success(sprintf('All %d checks passed.', count($GLOBALS['acf_canto_checks'])));
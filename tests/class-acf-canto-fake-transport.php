@@ -0,0 +1,103 @@
+<?php
+/**
+ * ACF Canto Fake Transport Class
+ *
+ * An ACF_Canto_Transport that answers from a script instead of Canto, for
+ * checking ACF_Canto_API's retries, circuit breaker and uploads without a
+ * network. Responses are queued per URL fragment and handed out in order;
+ * the last one repeats once the queue runs dry.
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class ACF_Canto_Fake_Transport implements ACF_Canto_Transport
+{
+    /**
+     * Scripted responses by URL fragment
+     *
+     * @var array
+     */
+    private $routes = array();
+
+    /**
+     * Requests sent so far, each with 'url' and 'args'
+     *
+     * @var array
+     */
+    public $requests = array();
+
+    /**
+     * Queue responses for URLs containing a fragment
+     *
+     * @param string $fragment e.g. 'upload/status'
+     * @param array|WP_Error ...$responses Built with response()
+     * @return $this
+     */
+    public function on($fragment, ...$responses)
+    {
+        $this->routes[$fragment] = $responses;
+
+        return $this;
+    }
+
+    /**
+     * Build a response array like wp_remote_request() returns
+     *
+     * @param int $code
+     * @param array|string $body Arrays are JSON encoded
+     * @param array $headers Header names in any case
+     * @return array
+     */
+    public static function response($code, $body = '', $headers = array())
+    {
+        return array(
+            'response' => array('code' => $code, 'message' => get_status_header_desc($code)),
+            'headers'  => array_change_key_case($headers, CASE_LOWER),
+            'body'     => is_array($body) ? wp_json_encode($body) : $body,
+        );
+    }
+
+    /**
+     * Answer a request from the script
+     *
+     * @param string $url
+     * @param array $args
+     * @return array|WP_Error
+     */
+    public function request($url, $args)
+    {
+        $this->requests[] = array('url' => $url, 'args' => $args);
+
+        // Longest fragment first, so 'upload/status' wins over 'upload'
+        $fragments = array_keys($this->routes);
+        usort($fragments, function ($a, $b) {
+            return strlen($b) - strlen($a);
+        });
+
+        foreach ($fragments as $fragment) {
+            if (strpos($url, $fragment) === false) {
+                continue;
+            }
+
+            return count($this->routes[$fragment]) > 1 ? array_shift($this->routes[$fragment]) : $this->routes[$fragment][0];
+        }
+
+        return new WP_Error('http_request_failed', 'No scripted response for ' . $url);
+    }
+
+    /**
+     * Count the requests sent to URLs containing a fragment
+     *
+     * @param string $fragment
+     * @return int
+     */
+    public function count($fragment = '')
+    {
+        return count(array_filter($this->requests, function ($request) use ($fragment) {
+            return strpos($request['url'], $fragment) !== false;
+        }));
+    }
+}
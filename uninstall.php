@@ -29,7 +29,37 @@ function acf_canto_field_uninstall_cleanup() {
     // Remove plugin options
     delete_option('acf_canto_field_activated');
     delete_option('acf_canto_field_version');
-    
+
+    // Remove the asset health scan and its report
+    wp_clear_scheduled_hook('acf_canto_health_scan');
+    wp_clear_scheduled_hook('acf_canto_health_scan_continue');
+    delete_option('acf_canto_health_report');
+    delete_option('acf_canto_health_scan_state');
+
+    // Remove the asset usage index
+    $wpdb->query("DROP TABLE IF EXISTS {$wpdb->prefix}acf_canto_usage");
+    delete_option('acf_canto_usage_db_version');
+
+    // Remove the import log and settings
+    delete_option('acf_canto_import_log');
+    delete_option('acf_canto_import_settings');
+
+    // Remove the picker capability and role album settings
+    delete_option('acf_canto_access_settings');
+
+    // Remove the cache settings, purged tag versions and hit counters
+    delete_option('acf_canto_cache_settings');
+    delete_option('acf_canto_cache_tags');
+    delete_option('acf_canto_cache_stats');
+
+    // Remove the circuit breaker state
+    delete_option('acf_canto_circuit');
+
+    // Remove per-user recent and favourite asset lists and Browse tab state
+    delete_metadata('user', 0, 'acf_canto_recent_assets', '', true);
+    delete_metadata('user', 0, 'acf_canto_favorite_assets', '', true);
+    delete_metadata('user', 0, 'acf_canto_browse_state', '', true);
+
     // Clean up any remaining cache
     if (function_exists('wp_cache_flush')) {
         wp_cache_flush();